@@ -0,0 +1,56 @@
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { AuthService } from '../src/services/auth.service.js';
+
+/**
+ * Create a user and print their first API key. Use this to create the first admin,
+ * who can then manage users through POST /api/users.
+ *
+ *   npm run create-user -- --name "Jane Doe" [--email jane@example.com] [--admin]
+ *       [--daily-llm-calls 200] [--requests-per-window 300]
+ *
+ * Uses the same STORAGE_DRIVER / STORAGE_DIR as the server (from .env).
+ */
+
+dotenv.config({ path: path.join(path.dirname(fileURLToPath(import.meta.url)), '../.env') });
+
+const { values } = parseArgs({
+    options: {
+        name: { type: 'string' },
+        email: { type: 'string' },
+        admin: { type: 'boolean', default: false },
+        'daily-llm-calls': { type: 'string' },
+        'requests-per-window': { type: 'string' }
+    }
+});
+
+const toLimit = (value, flag) => {
+    if (value === undefined) {
+        return null;
+    }
+    const limit = Number(value);
+    if (!Number.isInteger(limit) || limit < 0) {
+        console.error(`--${flag} must be a non-negative integer (0 for no limit)`);
+        process.exit(1);
+    }
+    return limit;
+};
+
+if (!values.name) {
+    console.error('Usage: npm run create-user -- --name "Jane Doe" [--email jane@example.com] [--admin] [--daily-llm-calls N] [--requests-per-window N]');
+    process.exit(1);
+}
+
+const user = await AuthService.createUser({
+    name: values.name,
+    email: values.email || null,
+    role: values.admin ? 'admin' : 'user',
+    dailyLlmCalls: toLimit(values['daily-llm-calls'], 'daily-llm-calls'),
+    requestsPerWindow: toLimit(values['requests-per-window'], 'requests-per-window')
+});
+const { key } = await AuthService.createKey(user.id);
+
+console.log(`Created ${user.role} ${user.name} (${user.id})`);
+console.log(`API key (shown only once): ${key}`);
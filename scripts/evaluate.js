@@ -0,0 +1,97 @@
+import dotenv from 'dotenv';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { EvaluationService } from '../src/services/evaluation.service.js';
+import { logger } from '../src/utils/logger.js';
+
+/**
+ * Score generated materials over the evaluation cases, offline, and compare two configurations
+ * or each configuration with its run in a saved reference report.
+ *
+ *   npm run eval -- [--config eval/configs/baseline.json ...] [--compare eval/configs/per-part.json]
+ *       [--against eval/reference.json] [--cases eval/cases] [--case photosynthesis]
+ *       [--format markdown|json] [--out report.md] [--fail-on-regression] [--record]
+ *
+ * --record calls the provider configured in .env (AI_PROVIDER) instead of replaying, and saves
+ * its responses as the configuration's recordings. Everything else runs without network access.
+ *
+ * Exit codes: 1 when the evaluation can't run, 2 for a regression (with --fail-on-regression),
+ * 3 when a configuration wasn't evaluated because some calls had no recorded response.
+ */
+
+const root = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+const { values } = parseArgs({
+    options: {
+        config: { type: 'string', multiple: true, default: [path.join(root, 'eval/configs/baseline.json')] },
+        compare: { type: 'string' },
+        against: { type: 'string' },
+        cases: { type: 'string', default: path.join(root, 'eval/cases') },
+        case: { type: 'string', multiple: true },
+        format: { type: 'string', default: 'markdown' },
+        out: { type: 'string' },
+        'fail-on-regression': { type: 'boolean', default: false },
+        record: { type: 'boolean', default: false }
+    }
+});
+
+if (!['markdown', 'json'].includes(values.format)) {
+    console.error('--format must be markdown or json');
+    process.exit(1);
+}
+if (values.compare && (values.against || values.config.length > 1)) {
+    console.error('--compare takes one --config and no --against');
+    process.exit(1);
+}
+if (values.record && (values.compare || values.config.length > 1)) {
+    console.error('--record works on one configuration at a time');
+    process.exit(1);
+}
+
+if (values.record) {
+    // Only recording talks to a model, with the credentials from .env
+    dotenv.config({ path: path.join(root, '.env') });
+}
+
+// Keep stdout free for the report
+logger.useStderr();
+
+try {
+    const cases = EvaluationService.loadCases(values.cases, { only: values.case || null });
+    const configs = [...values.config, values.compare].filter(Boolean).map(file => EvaluationService.loadConfig(file));
+    const reference = values.against ? EvaluationService.readJSON(values.against) : null;
+
+    const runs = [];
+    for (const config of configs) {
+        runs.push(await EvaluationService.run(config, cases, { record: values.record }));
+    }
+
+    const report = EvaluationService.buildReport(runs, { reference });
+    const output = values.format === 'json'
+        ? `${JSON.stringify(report, null, 2)}\n`
+        : EvaluationService.toMarkdown(report);
+
+    if (values.out) {
+        fs.writeFileSync(values.out, output);
+        console.error(`Report written to ${values.out}`);
+    } else {
+        process.stdout.write(output);
+    }
+
+    if (!report.evaluated) {
+        const skipped = runs.filter(run => !run.evaluated).map(run => run.config.name);
+        console.error(`Not evaluated (calls without a recorded response): ${skipped.join(', ')}`);
+        process.exit(3);
+    }
+
+    const regressions = report.comparisons.flatMap(({ candidate, regressions: metrics }) => metrics.map(metric => `${candidate} ${metric}`));
+    if (values['fail-on-regression'] && regressions.length > 0) {
+        console.error(`Regressions: ${regressions.join(', ')}`);
+        process.exit(2);
+    }
+} catch (error) {
+    console.error(`Evaluation failed: ${error.message}`);
+    process.exit(1);
+}
@@ -0,0 +1,94 @@
+import { CourseService } from '../services/course.service.js';
+import { LearningService } from '../services/learning.service.js';
+import { QuizService } from '../services/quiz.service.js';
+import { JobQueue } from '../utils/jobQueue.js';
+import { logger } from '../utils/logger.js';
+import { NotFoundError, ErrorCodes } from '../utils/errors.js';
+
+/**
+ * Queue processing of a whole course (a playlist or a list of videos) and return the job right away.
+ * The job reports each lecture's status in partial.lectures; its result is the course.
+ * Concurrent requests for the same course and settings share one job.
+ */
+export const createCourse = async (req, res, next) => {
+    try {
+        const { playlistId, videoIds, title, examQuestionCount } = req.courseInput;
+        const quizOptions = req.quizOptions || QuizService.DEFAULT_OPTIONS;
+        const languageOptions = req.languageOptions || {};
+        const promptVariants = req.promptVariants || {};
+        const ownerId = req.user?.id || null;
+
+        const source = playlistId ? `playlist:${playlistId}` : `videos:${videoIds.join(',')}`;
+
+        const { job, deduplicated } = JobQueue.enqueue({
+            type: 'course',
+            key: `${source}|${title || ''}|exam:${examQuestionCount}|${LearningService.buildGenerationKey(quizOptions, { ...languageOptions, promptVariants })}`,
+            stages: CourseService.STAGES,
+            input: { playlistId, videoIds, title, examQuestionCount, quizOptions, ...languageOptions, promptVariants },
+            ownerId,
+            run: async (progress, job) => {
+                const course = await CourseService.processCourse(
+                    { playlistId, videoIds, title, examQuestionCount, quizOptions, ...languageOptions, promptVariants, ownerId },
+                    { onProgress: ({ stage, detail, partial }) => progress(stage, { detail, partial }) }
+                );
+                return CourseService.toClientCourse(await CourseService.addOwners(course, job.ownerIds));
+            }
+        });
+
+        res.status(202)
+            .location(`/api/jobs/${job.id}`)
+            .json({
+                success: true,
+                data: JobQueue.toClient(job),
+                deduplicated
+            });
+
+    } catch (error) {
+        logger.error('Error creating course job:', error);
+        next(error);
+    }
+};
+
+/**
+ * Get a processed course: lecture statuses, course summary and the final exam (without answers)
+ */
+export const getCourse = async (req, res, next) => {
+    try {
+        const course = await CourseService.get(req.params.id);
+
+        if (!course || !CourseService.canAccess(course, req.user)) {
+            return next(new NotFoundError('Course not found', { code: ErrorCodes.COURSE_NOT_FOUND }));
+        }
+
+        res.json({
+            success: true,
+            data: await CourseService.toClientCourse(course)
+        });
+
+    } catch (error) {
+        logger.error('Error fetching course:', error);
+        next(error);
+    }
+};
+
+/**
+ * List the caller's courses, most recent first (every course for admins)
+ */
+export const listCourses = async (req, res, next) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+        const { items, total } = await CourseService.list({ limit, offset, user: req.user });
+
+        res.json({
+            success: true,
+            data: items,
+            pagination: { limit, offset, total }
+        });
+
+    } catch (error) {
+        logger.error('Error listing courses:', error);
+        next(error);
+    }
+};
@@ -0,0 +1,80 @@
+import { LearningService } from '../services/learning.service.js';
+import { QuizService } from '../services/quiz.service.js';
+import { MaterialsService } from '../services/materials.service.js';
+import { JobQueue } from '../utils/jobQueue.js';
+import { logger } from '../utils/logger.js';
+import { ValidationError, NotFoundError, ErrorCodes } from '../utils/errors.js';
+import { extractVideoId } from '../utils/youtube.js';
+
+/**
+ * Queue background processing of a YouTube video and return the job right away.
+ * Concurrent requests for the same video and generation settings share one job, whoever sends them.
+ */
+export const createJob = async (req, res, next) => {
+    try {
+        const { videoUrl } = req.body;
+        const quizOptions = req.quizOptions || QuizService.DEFAULT_OPTIONS;
+        const languageOptions = req.languageOptions || {};
+        const include = req.include || [];
+        const promptVariants = req.promptVariants || {};
+        const ownerId = req.user?.id || null;
+
+        const videoId = extractVideoId(videoUrl);
+
+        if (!videoId) {
+            return next(new ValidationError('Invalid YouTube URL. Please provide a valid video URL.', { code: ErrorCodes.INVALID_VIDEO_URL }));
+        }
+
+        const { job, deduplicated } = JobQueue.enqueue({
+            type: 'youtube',
+            key: `${videoId}|${LearningService.buildGenerationKey(quizOptions, { ...languageOptions, include, promptVariants })}`,
+            stages: LearningService.STAGES,
+            input: { videoId, videoUrl, quizOptions, ...languageOptions, include, promptVariants },
+            ownerId,
+            run: async (progress, job) => {
+                const { result } = await LearningService.processVideo(
+                    { videoId, videoUrl, quizOptions, ...languageOptions, include, promptVariants, ownerId },
+                    { onProgress: ({ stage, detail, partial }) => progress(stage, { detail, partial }) }
+                );
+                // The saved set also belongs to everyone who joined the job
+                for (const owner of job.ownerIds.filter(owner => owner !== ownerId)) {
+                    await MaterialsService.addOwner(videoId, owner);
+                }
+                return MaterialsService.toClientResult(result);
+            }
+        });
+
+        res.status(202)
+            .location(`/api/jobs/${job.id}`)
+            .json({
+                success: true,
+                data: JobQueue.toClient(job),
+                deduplicated
+            });
+
+    } catch (error) {
+        logger.error('Error creating job:', error);
+        next(error);
+    }
+};
+
+/**
+ * Get a job's status, stage progress, partial results and final result or error
+ */
+export const getJob = async (req, res, next) => {
+    try {
+        const job = await JobQueue.get(req.params.id);
+        if (!job || !JobQueue.canAccess(job, req.user)) {
+            return next(new NotFoundError('Job not found or expired', { code: ErrorCodes.JOB_NOT_FOUND }));
+        }
+
+        res.json({
+            success: true,
+            data: JobQueue.toClient(job)
+        });
+
+    } catch (error) {
+        logger.error('Error fetching job:', error);
+        next(error);
+    }
+};
@@ -1,80 +1,36 @@
+import { LearningService } from '../services/learning.service.js';
+import { QuizService } from '../services/quiz.service.js';
+import { MaterialsService } from '../services/materials.service.js';
+import { CaptionService } from '../services/caption.service.js';
 import { TranscriptService } from '../services/transcript.service.js';
-import { AIService } from '../services/ai.service.js';
-import { CacheManager } from '../utils/cache.js';
+import { NotesService } from '../services/notes.service.js';
 import { logger } from '../utils/logger.js';
+import { ValidationError, ErrorCodes, describeError } from '../utils/errors.js';
+import { extractVideoId } from '../utils/youtube.js';
+import { openEventStream } from '../utils/sse.js';
 
 /**
  * Main controller for processing YouTube videos
  * Orchestrates transcript extraction and AI processing
  */
 export const processVideo = async (req, res, next) => {
-    const startTime = Date.now();
-    
     try {
         const { videoUrl } = req.body;
-        
+        const quizOptions = req.quizOptions || QuizService.DEFAULT_OPTIONS;
+
         // Extract video ID from URL
         const videoId = extractVideoId(videoUrl);
-        
-        if (!videoId) {
-            return res.status(400).json({
-                success: false,
-                error: 'Invalid YouTube URL. Please provide a valid video URL.'
-            });
-        }
-
-        logger.info(`Processing video: ${videoId}`);
 
-        // Check cache first
-        const cachedResult = CacheManager.get(videoId);
-        if (cachedResult) {
-            logger.info(`Cache hit for video: ${videoId}`);
-            return res.json({
-                success: true,
-                data: cachedResult,
-                cached: true
-            });
+        if (!videoId) {
+            return next(new ValidationError('Invalid YouTube URL. Please provide a valid video URL.', { code: ErrorCodes.INVALID_VIDEO_URL }));
         }
 
-        // Step 1: Fetch transcript
-        logger.info('Fetching transcript...');
-        const transcript = await TranscriptService.getTranscript(videoId);
-        
-        if (!transcript || transcript.length === 0) {
-            return res.status(404).json({
-                success: false,
-                error: 'No transcript available for this video. Please try a video with captions/subtitles enabled.'
-            });
-        }
-
-        // Step 2: Process with AI
-        logger.info('Processing with AI...');
-        const aiResult = await AIService.processTranscript(transcript, videoId);
-
-        // Step 3: Build response
-        const result = {
-            videoId,
-            videoUrl,
-            title: aiResult.title || 'Educational Video',
-            summary: aiResult.summary,
-            keyPoints: aiResult.keyPoints,
-            quiz: aiResult.quiz,
-            metadata: {
-                transcriptLength: transcript.length,
-                processingTime: Date.now() - startTime,
-                generatedAt: new Date().toISOString()
-            }
-        };
-
-        // Cache the result (1 hour TTL)
-        CacheManager.set(videoId, result);
-
-        logger.info(`Successfully processed video ${videoId} in ${Date.now() - startTime}ms`);
+        const { result, cached } = await LearningService.processVideo({ videoId, videoUrl, quizOptions, ...req.languageOptions, include: req.include, promptVariants: req.promptVariants, ownerId: req.user?.id || null });
 
         res.json({
             success: true,
-            data: result,
-            cached: false
+            data: await MaterialsService.toClientResult(result),
+            cached
         });
 
     } catch (error) {
@@ -88,102 +44,231 @@ export const processVideo = async (req, res, next) => {
  * Generate quiz and learning materials from pasted transcript
  */
 export const processTranscript = async (req, res, next) => {
-    const startTime = Date.now();
-    
     try {
         const { transcript } = req.body;
-        
+        const quizOptions = req.quizOptions || QuizService.DEFAULT_OPTIONS;
+
         if (!transcript || transcript.trim().length === 0) {
-            return res.status(400).json({
-                success: false,
-                error: 'Transcript is required'
-            });
+            return next(new ValidationError('Transcript is required', { code: ErrorCodes.INVALID_TRANSCRIPT }));
         }
 
-        logger.info('Processing pasted transcript...');
+        const { result, cached } = await LearningService.processTranscript({
+            transcript,
+            quizOptions,
+            outputLanguage: req.languageOptions?.outputLanguage,
+            include: req.include,
+            promptVariants: req.promptVariants,
+            ownerId: req.user?.id || null
+        });
 
-        // Generate unique ID for caching (hash of transcript)
-        const transcriptId = generateTranscriptHash(transcript);
+        res.json({
+            success: true,
+            data: await MaterialsService.toClientResult(result),
+            cached
+        });
 
-        // Check cache first
-        const cachedResult = CacheManager.get(`transcript_${transcriptId}`);
-        if (cachedResult) {
-            logger.info(`Cache hit for transcript: ${transcriptId}`);
-            return res.json({
-                success: true,
-                data: cachedResult,
-                cached: true
-            });
+    } catch (error) {
+        logger.error('Error processing transcript:', error);
+        next(error);
+    }
+};
+
+/**
+ * Process an uploaded caption file (.srt, .vtt, .sbv or .txt)
+ * Keeps cue timings and speaker labels; key points and quiz questions get a `start` time
+ */
+export const processUpload = async (req, res, next) => {
+    try {
+        const quizOptions = req.quizOptions || QuizService.DEFAULT_OPTIONS;
+        const { originalname } = req.file;
+
+        const captions = CaptionService.parse(req.file.buffer.toString('utf8'), originalname);
+        logger.info(`Parsed ${captions.format} upload ${originalname}: ${captions.segments.length} cues`);
+
+        const lengthError = TranscriptService.checkLength(captions.text);
+        if (lengthError) {
+            return next(lengthError);
         }
 
-        // Process with AI
-        logger.info('Processing transcript with AI...');
-        const aiResult = await AIService.processTranscript(transcript, null);
-
-        // Build response
-        const result = {
-            title: aiResult.title || 'Custom Transcript',
-            summary: aiResult.summary,
-            keyPoints: aiResult.keyPoints,
-            quiz: aiResult.quiz,
-            metadata: {
-                transcriptLength: transcript.length,
-                processingTime: Date.now() - startTime,
-                generatedAt: new Date().toISOString()
+        const { result, cached } = await LearningService.processTranscript({
+            transcript: captions.text,
+            quizOptions,
+            segments: captions.segments,
+            sourceType: 'upload',
+            outputLanguage: req.languageOptions?.outputLanguage,
+            include: req.include,
+            promptVariants: req.promptVariants,
+            ownerId: req.user?.id || null,
+            source: {
+                filename: originalname,
+                format: captions.format,
+                speakers: captions.speakers,
+                cues: captions.segments.length
             }
-        };
+        });
 
-        // Cache the result (1 hour TTL)
-        CacheManager.set(`transcript_${transcriptId}`, result);
+        res.json({
+            success: true,
+            data: await MaterialsService.toClientResult(result),
+            cached
+        });
 
-        logger.info(`Successfully processed transcript in ${Date.now() - startTime}ms`);
+    } catch (error) {
+        logger.error('Error processing upload:', error);
+        next(error);
+    }
+};
+
+/**
+ * List the caption languages available for a YouTube video
+ */
+export const listCaptionLanguages = async (req, res, next) => {
+    try {
+        const videoId = extractVideoId(req.params.videoId);
+
+        if (!videoId) {
+            return next(new ValidationError('Invalid YouTube video ID.', { code: ErrorCodes.INVALID_VIDEO_URL }));
+        }
+
+        const languages = await TranscriptService.listCaptionLanguages(videoId);
 
         res.json({
             success: true,
-            data: result,
-            cached: false
+            data: { videoId, languages }
         });
 
     } catch (error) {
-        logger.error('Error processing transcript:', error);
+        logger.error('Error listing caption languages:', error);
         next(error);
     }
 };
 
 /**
- * Generate a simple hash for transcript caching
+ * Streaming variant of processVideo: sends Server-Sent Events as materials are generated
+ * (transcript, summary tokens, keyPoints, flashcards, included study notes, each validated quiz
+ * question, then done)
  */
-function generateTranscriptHash(transcript) {
-    // Simple hash function for caching purposes
-    let hash = 0;
-    const str = transcript.substring(0, 1000); // Use first 1000 chars for hash
-    for (let i = 0; i < str.length; i++) {
-        const char = str.charCodeAt(i);
-        hash = ((hash << 5) - hash) + char;
-        hash = hash & hash; // Convert to 32-bit integer
+export const streamVideo = async (req, res, next) => {
+    const { videoUrl } = req.body;
+    const quizOptions = req.quizOptions || QuizService.DEFAULT_OPTIONS;
+
+    const videoId = extractVideoId(videoUrl);
+
+    if (!videoId) {
+        return next(new ValidationError('Invalid YouTube URL. Please provide a valid video URL.', { code: ErrorCodes.INVALID_VIDEO_URL }));
     }
-    return Math.abs(hash).toString(36);
-}
+
+    await streamMaterials(res, listeners => LearningService.processVideo({ videoId, videoUrl, quizOptions, ...req.languageOptions, include: req.include, promptVariants: req.promptVariants, ownerId: req.user?.id || null }, {
+        ...listeners,
+        onTranscript: ({ text, segments }) => {
+            const lastSegment = segments[segments.length - 1];
+            listeners.send('transcript', {
+                videoId,
+                transcriptLength: text.length,
+                duration: lastSegment ? Math.ceil(lastSegment.start + lastSegment.duration) : null,
+                text
+            });
+        }
+    }));
+};
 
 /**
- * Extract YouTube video ID from various URL formats
+ * Streaming variant of processTranscript: sends Server-Sent Events as materials are generated
  */
-function extractVideoId(url) {
+export const streamTranscript = async (req, res) => {
+    const { transcript } = req.body;
+    const quizOptions = req.quizOptions || QuizService.DEFAULT_OPTIONS;
+
+    await streamMaterials(res, listeners => {
+        listeners.send('transcript', { transcriptLength: transcript.length });
+        return LearningService.processTranscript({
+            transcript,
+            quizOptions,
+            outputLanguage: req.languageOptions?.outputLanguage,
+            include: req.include,
+            promptVariants: req.promptVariants,
+            ownerId: req.user?.id || null
+        }, listeners);
+    });
+};
+
+/**
+ * Run a pipeline with listeners that forward its output as SSE events.
+ * Cached results are replayed as the same sequence of events.
+ * @param {Object} res - Express response
+ * @param {Function} run - (listeners) => Promise<{ result, cached }>
+ */
+async function streamMaterials(res, run) {
+    const stream = openEventStream(res);
+    let streamedSummary = false;
+    const streamedQuestions = [];
+
+    // One event per included study note (outline, glossary, conceptMap)
+    const sendNotes = (materials) => NotesService.NOTES
+        .filter(name => materials?.[name])
+        .forEach(name => stream.send(name, { [name]: materials[name] }));
+
+    const listeners = {
+        send: stream.send,
+        onProgress: ({ stage, detail, partial }) => {
+            stream.send('progress', { stage, detail: detail || null });
+            if (partial?.keyPoints) {
+                stream.send('keyPoints', { title: partial.title || null, keyPoints: partial.keyPoints });
+            }
+            if (partial?.flashcards) {
+                stream.send('flashcards', { flashcards: partial.flashcards });
+            }
+            sendNotes(partial);
+        },
+        onSummaryToken: (text) => {
+            streamedSummary = true;
+            stream.send('summary', { text });
+        },
+        onQuestion: (question) => {
+            streamedQuestions.push(question);
+            stream.send('question', QuizService.toClientQuestion(question));
+        }
+    };
+
     try {
-        const patterns = [
-            /(?:youtube\.com\/watch\?v=|youtu\.be\/|youtube\.com\/embed\/)([a-zA-Z0-9_-]{11})/,
-            /^([a-zA-Z0-9_-]{11})$/
-        ];
-
-        for (const pattern of patterns) {
-            const match = url.match(pattern);
-            if (match && match[1]) {
-                return match[1];
+        const { result, cached } = await run(listeners);
+        const data = await MaterialsService.toClientResult(result);
+
+        // Nothing was generated for a cached result, so send it in the usual order
+        if (!streamedSummary) {
+            stream.send('summary', { text: data.summary });
+        }
+        if (cached) {
+            stream.send('keyPoints', { title: data.title, keyPoints: data.keyPoints });
+            if (data.flashcards) {
+                stream.send('flashcards', { flashcards: data.flashcards });
             }
+            sendNotes(data);
         }
 
-        return null;
+        // Questions are streamed before the grounding check; when it dropped or renumbered any, replace the list
+        const changed = streamedQuestions.some((question, position) =>
+            data.quiz[position]?.id !== question.id || data.quiz[position]?.question !== question.question);
+        if (changed) {
+            stream.send('quiz', { quiz: data.quiz });
+        } else {
+            data.quiz.slice(streamedQuestions.length).forEach(question => stream.send('question', question));
+        }
+
+        stream.send('done', { success: true, data, cached });
+
     } catch (error) {
-        return null;
+        logger.error('Error streaming materials:', error);
+        const { statusCode, code, message, retryAfter, details } = describeError(error);
+        stream.send('error', {
+            success: false,
+            status: statusCode,
+            error: message,
+            code,
+            ...(retryAfter !== null && { retryAfter }),
+            ...(details && { details })
+        });
     }
+
+    stream.close();
 }
@@ -0,0 +1,326 @@
+import { MaterialsService } from '../services/materials.service.js';
+import { FlashcardService } from '../services/flashcard.service.js';
+import { ExportService } from '../services/export.service.js';
+import { GroundingService } from '../services/grounding.service.js';
+import { AskService } from '../services/ask.service.js';
+import { NotesService } from '../services/notes.service.js';
+import { LearningService } from '../services/learning.service.js';
+import { logger } from '../utils/logger.js';
+import { NotFoundError, ValidationError, ForbiddenError, ErrorCodes } from '../utils/errors.js';
+
+/**
+ * Get a saved learning set by ID (video ID, transcript_<hash> or upload_<hash>);
+ * ?variant=<variantId> chooses a generation other than the most recent one
+ */
+export const getMaterial = async (req, res, next) => {
+    try {
+        const record = await MaterialsService.getVariant(req.params.id, req.query.variant || null);
+
+        // Other users' sets are reported as missing rather than forbidden
+        if (!record || !MaterialsService.canAccess(record, req.user)) {
+            return next(new NotFoundError('Learning materials not found', { code: ErrorCodes.MATERIALS_NOT_FOUND }));
+        }
+
+        res.json({
+            success: true,
+            data: {
+                ...(await MaterialsService.toClientResult(record.result)),
+                createdAt: record.createdAt,
+                updatedAt: record.updatedAt
+            }
+        });
+
+    } catch (error) {
+        logger.error('Error fetching materials:', error);
+        next(error);
+    }
+};
+
+/**
+ * List saved learning sets, most recently updated first: the caller's own sets,
+ * public sets for anonymous callers, or every set for admins
+ */
+export const listMaterials = async (req, res, next) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+        const { items, total } = await MaterialsService.list({ limit, offset, user: req.user });
+
+        res.json({
+            success: true,
+            data: items,
+            pagination: { limit, offset, total }
+        });
+
+    } catch (error) {
+        logger.error('Error listing materials:', error);
+        next(error);
+    }
+};
+
+/**
+ * Export the flashcard deck of a saved learning set
+ * ?format=json (default), csv, tsv (Anki text import) or apkg (Anki package).
+ * Sets generated without flashcards get their deck generated (and saved) on the first export.
+ */
+export const exportFlashcards = async (req, res, next) => {
+    try {
+        const format = String(req.query.format || 'json').toLowerCase();
+
+        if (!FlashcardService.EXPORT_FORMATS.includes(format)) {
+            return next(new ValidationError(
+                `format must be one of: ${FlashcardService.EXPORT_FORMATS.join(', ')}`,
+                { code: ErrorCodes.INVALID_EXPORT_FORMAT }
+            ));
+        }
+
+        const record = await MaterialsService.getVariant(req.params.id, req.query.variant || null);
+
+        if (!record || !MaterialsService.canAccess(record, req.user)) {
+            return next(new NotFoundError('Learning materials not found', { code: ErrorCodes.MATERIALS_NOT_FOUND }));
+        }
+
+        const result = Array.isArray(record.result.flashcards) ? record.result : await LearningService.addFlashcards(record);
+        const deck = result && FlashcardService.toDeck(result);
+
+        if (!deck) {
+            return next(new NotFoundError(
+                'These learning materials have no flashcards. Process the source again with include=flashcards to generate them.',
+                { code: ErrorCodes.FLASHCARDS_NOT_FOUND }
+            ));
+        }
+
+        logger.info(`Exporting ${deck.cards.length} flashcards for ${record.id} as ${format}`);
+
+        switch (format) {
+            case 'csv':
+                return res
+                    .attachment(FlashcardService.fileName(deck, 'csv'))
+                    .type('text/csv; charset=utf-8')
+                    .send(FlashcardService.toCsv(deck));
+
+            case 'tsv':
+                return res
+                    .attachment(FlashcardService.fileName(deck, 'txt'))
+                    .type('text/tab-separated-values; charset=utf-8')
+                    .send(FlashcardService.toAnkiText(deck));
+
+            case 'apkg':
+                return res
+                    .attachment(FlashcardService.fileName(deck, 'apkg'))
+                    .type('application/octet-stream')
+                    .send(await FlashcardService.toApkg(deck));
+
+            default:
+                res.json({
+                    success: true,
+                    data: deck
+                });
+        }
+
+    } catch (error) {
+        logger.error('Error exporting flashcards:', error);
+        next(error);
+    }
+};
+
+/**
+ * Export a saved learning set as a printable document
+ * ?format=md, html (print to PDF from the browser) or json;
+ * ?version=student (default, no answers), complete or answer-key; the versions with answers are
+ * only for the set's owners and admins
+ */
+export const exportMaterial = async (req, res, next) => {
+    try {
+        const format = String(req.query.format || 'md').toLowerCase();
+        const version = String(req.query.version || 'student').toLowerCase();
+
+        if (!ExportService.FORMATS.includes(format)) {
+            return next(new ValidationError(
+                `format must be one of: ${ExportService.FORMATS.join(', ')}`,
+                { code: ErrorCodes.INVALID_EXPORT_FORMAT }
+            ));
+        }
+        if (!ExportService.VERSIONS.includes(version)) {
+            return next(new ValidationError(
+                `version must be one of: ${ExportService.VERSIONS.join(', ')}`,
+                { code: ErrorCodes.INVALID_EXPORT_FORMAT }
+            ));
+        }
+
+        const record = await MaterialsService.getVariant(req.params.id, req.query.variant || null);
+
+        if (!record || !MaterialsService.canAccess(record, req.user)) {
+            return next(new NotFoundError('Learning materials not found', { code: ErrorCodes.MATERIALS_NOT_FOUND }));
+        }
+
+        if (version !== 'student' && !MaterialsService.isOwner(record, req.user)) {
+            return next(new ForbiddenError('Only the owners of these learning materials can export the answers'));
+        }
+
+        const document = ExportService.toDocument(record.result, version);
+
+        logger.info(`Exporting materials ${record.id} as ${format} (${version})`);
+
+        switch (format) {
+            case 'md':
+                return res
+                    .attachment(ExportService.fileName(document, 'md'))
+                    .type('text/markdown; charset=utf-8')
+                    .send(ExportService.toMarkdown(document));
+
+            case 'html':
+                // Shown inline so it can be printed straight from the browser
+                return res
+                    .type('text/html; charset=utf-8')
+                    .send(ExportService.toHtml(document));
+
+            default:
+                res.json({
+                    success: true,
+                    data: document
+                });
+        }
+
+    } catch (error) {
+        logger.error('Error exporting materials:', error);
+        next(error);
+    }
+};
+
+/**
+ * Export the concept map of a saved learning set
+ * ?format=json (default: nodes, edges and the Mermaid source) or mermaid (a .mmd file)
+ */
+export const exportConceptMap = async (req, res, next) => {
+    try {
+        const format = String(req.query.format || 'json').toLowerCase();
+
+        if (!NotesService.EXPORT_FORMATS.includes(format)) {
+            return next(new ValidationError(
+                `format must be one of: ${NotesService.EXPORT_FORMATS.join(', ')}`,
+                { code: ErrorCodes.INVALID_EXPORT_FORMAT }
+            ));
+        }
+
+        const record = await MaterialsService.getVariant(req.params.id, req.query.variant || null);
+
+        if (!record || !MaterialsService.canAccess(record, req.user)) {
+            return next(new NotFoundError('Learning materials not found', { code: ErrorCodes.MATERIALS_NOT_FOUND }));
+        }
+
+        const conceptMap = NotesService.toConceptMapExport(record.result);
+
+        if (!conceptMap) {
+            return next(new NotFoundError(
+                'These learning materials have no concept map. Process the source again with include: ["conceptMap"].',
+                { code: ErrorCodes.CONCEPT_MAP_NOT_FOUND }
+            ));
+        }
+
+        if (format === 'mermaid') {
+            return res
+                .attachment(NotesService.fileName(conceptMap, 'mmd'))
+                .type('text/plain; charset=utf-8')
+                .send(conceptMap.mermaid);
+        }
+
+        res.json({
+            success: true,
+            data: conceptMap
+        });
+
+    } catch (error) {
+        logger.error('Error exporting concept map:', error);
+        next(error);
+    }
+};
+
+/**
+ * Get the grounding report of a saved learning set for review: every key point and quiz
+ * answer with its status, confidence and supporting transcript passages. Only owners and
+ * admins see the evidence for quiz answers, which would give the answers away.
+ */
+export const getGrounding = async (req, res, next) => {
+    try {
+        const record = await MaterialsService.getVariant(req.params.id, req.query.variant || null);
+
+        if (!record || !MaterialsService.canAccess(record, req.user)) {
+            return next(new NotFoundError('Learning materials not found', { code: ErrorCodes.MATERIALS_NOT_FOUND }));
+        }
+
+        const report = MaterialsService.isOwner(record, req.user)
+            ? record.result.grounding || GroundingService.notChecked('not-checked')
+            : GroundingService.toClientReport(record.result.grounding);
+
+        res.json({
+            success: true,
+            data: {
+                materialId: record.id,
+                title: record.title,
+                ...report
+            }
+        });
+
+    } catch (error) {
+        logger.error('Error fetching grounding report:', error);
+        next(error);
+    }
+};
+
+/**
+ * Answer a question about a saved learning set from its transcript, with citations.
+ * Send the returned sessionId with follow-up questions to continue the conversation.
+ */
+export const askMaterial = async (req, res, next) => {
+    try {
+        const record = await MaterialsService.getVariant(req.params.id, req.query.variant || null);
+
+        if (!record || !MaterialsService.canAccess(record, req.user)) {
+            return next(new NotFoundError('Learning materials not found', { code: ErrorCodes.MATERIALS_NOT_FOUND }));
+        }
+
+        const reply = await AskService.ask(record, req.body.question, {
+            sessionId: req.body.sessionId || null,
+            ownerId: req.user?.id || null
+        });
+
+        res.json({
+            success: true,
+            data: reply
+        });
+
+    } catch (error) {
+        logger.error('Error answering question:', error);
+        next(error);
+    }
+};
+
+/**
+ * Get a conversation about a saved learning set
+ */
+export const getAskSession = async (req, res, next) => {
+    try {
+        const record = await MaterialsService.getVariant(req.params.id, req.query.variant || null);
+
+        if (!record || !MaterialsService.canAccess(record, req.user)) {
+            return next(new NotFoundError('Learning materials not found', { code: ErrorCodes.MATERIALS_NOT_FOUND }));
+        }
+
+        const session = await AskService.getSession(req.params.sessionId, { materialId: record.id, ownerId: req.user?.id || null });
+
+        if (!session) {
+            return next(new NotFoundError('Conversation not found', { code: ErrorCodes.ASK_SESSION_NOT_FOUND }));
+        }
+
+        res.json({
+            success: true,
+            data: AskService.toClientSession(session)
+        });
+
+    } catch (error) {
+        logger.error('Error fetching conversation:', error);
+        next(error);
+    }
+};
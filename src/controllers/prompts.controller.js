@@ -0,0 +1,45 @@
+import { PromptRegistry } from '../utils/promptRegistry.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * List the prompt templates (admins only). Templates marked active are the ones used when
+ * their variant is chosen without a pinned version.
+ */
+export const listPrompts = async (req, res, next) => {
+    try {
+        const templates = PromptRegistry.list();
+
+        res.json({
+            success: true,
+            data: {
+                selectable: PromptRegistry.SELECTABLE,
+                templates: templates.map(template => ({
+                    ...template,
+                    active: PromptRegistry.find(template.name, template.variant).id === template.id
+                }))
+            }
+        });
+
+    } catch (error) {
+        logger.error('Error listing prompt templates:', error);
+        next(error);
+    }
+};
+
+/**
+ * Read the prompt template files again (admins only)
+ */
+export const reloadPrompts = async (req, res, next) => {
+    try {
+        const count = PromptRegistry.reload();
+
+        res.json({
+            success: true,
+            data: { templates: count }
+        });
+
+    } catch (error) {
+        logger.error('Error reloading prompt templates:', error);
+        next(error);
+    }
+};
@@ -0,0 +1,131 @@
+import { QuizStore } from '../utils/quizStore.js';
+import { QuizService } from '../services/quiz.service.js';
+import { AIService } from '../services/ai.service.js';
+import { ReviewService } from '../services/review.service.js';
+import { AttemptsService } from '../services/attempts.service.js';
+import { logger } from '../utils/logger.js';
+import { NotFoundError, ErrorCodes } from '../utils/errors.js';
+
+/**
+ * Get a stored quiz without its answers
+ */
+export const getQuiz = async (req, res, next) => {
+    const entry = await QuizStore.get(req.params.id);
+
+    if (!entry) {
+        return next(new NotFoundError('Quiz not found. It may have expired; please process the video again.', { code: ErrorCodes.QUIZ_NOT_FOUND }));
+    }
+
+    res.json({
+        success: true,
+        data: {
+            quizId: entry.id,
+            title: entry.title,
+            quiz: entry.quiz.map(question => QuizService.toClientQuestion(question)),
+            createdAt: entry.createdAt
+        }
+    });
+};
+
+/**
+ * Grade a set of answers for a stored quiz
+ * Objective questions are checked directly; short answers are graded by the LLM against their rubric.
+ * When a learner ID is given, the results are added to the learner's spaced-repetition reviews;
+ * submissions from signed-in users are also saved as attempts.
+ */
+export const submitQuiz = async (req, res, next) => {
+    try {
+        const entry = await QuizStore.get(req.params.id);
+
+        if (!entry) {
+            return next(new NotFoundError('Quiz not found. It may have expired; please process the video again.', { code: ErrorCodes.QUIZ_NOT_FOUND }));
+        }
+
+        const { answers } = req.body;
+        logger.info(`Grading submission for quiz: ${entry.id}`);
+
+        const results = await Promise.all(entry.quiz.map(async (question, index) => {
+            const answer = getAnswer(answers, question, index);
+            const grade = await AIService.gradeAnswer(question, answer);
+
+            return {
+                questionId: question.id,
+                type: question.type,
+                answer: answer ?? null,
+                ...grade,
+                score: Math.round(grade.score * 100) / 100,
+                correctAnswer: question.correctAnswer,
+                explanation: question.explanation,
+                ...(question.start !== undefined && { start: question.start, link: question.link })
+            };
+        }));
+
+        const earned = results.reduce((total, result) => total + result.score, 0);
+        const score = {
+            earned: Math.round(earned * 100) / 100,
+            possible: results.length,
+            percentage: Math.round((earned / results.length) * 100),
+            correct: results.filter(result => result.correct).length
+        };
+
+        const review = req.learnerId
+            ? await ReviewService.recordQuiz(req.learnerId, entry, results.map(result => ({
+                score: result.score,
+                correct: result.correct,
+                answered: result.answer !== null && result.answer !== ''
+            })))
+            : null;
+
+        const attempt = req.user
+            ? await AttemptsService.save({ userId: req.user.id, entry, score, results })
+            : null;
+
+        res.json({
+            success: true,
+            data: {
+                quizId: entry.id,
+                ...(attempt && { attemptId: attempt.id }),
+                score,
+                results,
+                ...(review && { review })
+            }
+        });
+
+    } catch (error) {
+        logger.error('Error grading quiz:', error);
+        next(error);
+    }
+};
+
+/**
+ * Look up the answer to a question from a submission
+ * Answers may be an object keyed by question ID or an array in question order
+ */
+function getAnswer(answers, question, index) {
+    if (Array.isArray(answers)) {
+        return answers[index];
+    }
+    return answers[question.id] ?? answers[String(question.id)];
+}
+
+/**
+ * The signed-in user's graded attempts at a quiz, most recent first
+ */
+export const listAttempts = async (req, res, next) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+        const { items, total } = await AttemptsService.list(req.user.id, { quizId: req.params.id, limit, offset });
+
+        res.json({
+            success: true,
+            data: items,
+            pagination: { limit, offset, total }
+        });
+
+    } catch (error) {
+        logger.error('Error listing quiz attempts:', error);
+        next(error);
+    }
+};
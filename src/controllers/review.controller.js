@@ -0,0 +1,67 @@
+import { ReviewService } from '../services/review.service.js';
+import { AIService } from '../services/ai.service.js';
+import { logger } from '../utils/logger.js';
+import { NotFoundError, ErrorCodes } from '../utils/errors.js';
+
+/**
+ * Get the learner's questions that are due for review, across all their quizzes
+ */
+export const getDueReviews = async (req, res, next) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        const { items, due, total, nextDueAt } = await ReviewService.getDue(req.learnerId, { limit });
+
+        res.json({
+            success: true,
+            data: items,
+            due,
+            total,
+            nextDueAt
+        });
+
+    } catch (error) {
+        logger.error('Error fetching due reviews:', error);
+        next(error);
+    }
+};
+
+/**
+ * Review one question: grade the learner's answer (or take their self-rated quality)
+ * and schedule the next review
+ */
+export const submitReview = async (req, res, next) => {
+    try {
+        const { answer, quality } = req.body;
+
+        const result = await ReviewService.review(req.learnerId, req.params.questionId, async (question) => {
+            if (answer === undefined) {
+                return { quality };
+            }
+
+            const grade = await AIService.gradeAnswer(question, answer);
+            return {
+                ...grade,
+                score: Math.round(grade.score * 100) / 100,
+                answered: answer !== null && answer !== '',
+                correctAnswer: question.correctAnswer,
+                explanation: question.explanation,
+                ...(quality !== undefined && { quality })
+            };
+        });
+
+        if (!result) {
+            return next(new NotFoundError('Review question not found. Use a reviewId from GET /api/review/due.', { code: ErrorCodes.REVIEW_QUESTION_NOT_FOUND }));
+        }
+
+        logger.info(`Review of ${req.params.questionId} by ${req.learnerId}: quality ${result.grade.quality}, next in ${result.card.interval} days`);
+
+        res.json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        logger.error('Error recording review:', error);
+        next(error);
+    }
+};
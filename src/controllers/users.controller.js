@@ -0,0 +1,149 @@
+import { AuthService } from '../services/auth.service.js';
+import { QuotaService } from '../services/quota.service.js';
+import { PromptRegistry } from '../utils/promptRegistry.js';
+import { logger } from '../utils/logger.js';
+import { NotFoundError, ErrorCodes } from '../utils/errors.js';
+
+/**
+ * The caller: user, API keys and today's LLM-call usage for the key in use
+ * (anonymous callers only get their usage)
+ */
+export const getMe = async (req, res, next) => {
+    try {
+        const usage = await QuotaService.getUsage(req.quota.subject, req.quota.limit);
+
+        if (!req.user) {
+            return res.json({
+                success: true,
+                data: { user: null, usage }
+            });
+        }
+
+        const keys = await AuthService.listKeys(req.user.id);
+
+        res.json({
+            success: true,
+            data: {
+                user: req.user,
+                apiKey: AuthService.toClientKey(req.apiKey),
+                keys: keys.map(key => AuthService.toClientKey(key)),
+                usage
+            }
+        });
+
+    } catch (error) {
+        logger.error('Error fetching current user:', error);
+        next(error);
+    }
+};
+
+/**
+ * Create a user with a first API key (admins only). The key is only returned here.
+ */
+export const createUser = async (req, res, next) => {
+    try {
+        const { name, email, role, dailyLlmCalls, requestsPerWindow, promptVariants } = req.body;
+        const { variants } = PromptRegistry.resolveVariants(promptVariants);
+
+        const user = await AuthService.createUser({ name: name.trim(), email, role, dailyLlmCalls, requestsPerWindow, promptVariants: variants });
+        const { key, record } = await AuthService.createKey(user.id);
+
+        res.status(201).json({
+            success: true,
+            data: {
+                user,
+                apiKey: { key, ...AuthService.toClientKey(record) }
+            }
+        });
+
+    } catch (error) {
+        logger.error('Error creating user:', error);
+        next(error);
+    }
+};
+
+/**
+ * List users (admins only)
+ */
+export const listUsers = async (req, res, next) => {
+    try {
+        res.json({
+            success: true,
+            data: await AuthService.listUsers()
+        });
+
+    } catch (error) {
+        logger.error('Error listing users:', error);
+        next(error);
+    }
+};
+
+/**
+ * Change a user's default prompt variants (admins only)
+ */
+export const updateUser = async (req, res, next) => {
+    try {
+        const { variants } = PromptRegistry.resolveVariants(req.body.promptVariants);
+        const user = await AuthService.updateUser(req.params.id, { promptVariants: variants });
+
+        if (!user) {
+            return next(new NotFoundError('User not found', { code: ErrorCodes.USER_NOT_FOUND }));
+        }
+
+        res.json({
+            success: true,
+            data: user
+        });
+
+    } catch (error) {
+        logger.error('Error updating user:', error);
+        next(error);
+    }
+};
+
+/**
+ * Create another API key for a user (the user themselves or an admin). The key is only returned here.
+ */
+export const createKey = async (req, res, next) => {
+    try {
+        const user = await AuthService.getUser(req.params.id);
+
+        if (!user) {
+            return next(new NotFoundError('User not found', { code: ErrorCodes.USER_NOT_FOUND }));
+        }
+
+        const name = typeof req.body?.name === 'string' && req.body.name.trim() ? req.body.name.trim().slice(0, 100) : 'default';
+        const { key, record } = await AuthService.createKey(user.id, { name });
+
+        res.status(201).json({
+            success: true,
+            data: { key, ...AuthService.toClientKey(record) }
+        });
+
+    } catch (error) {
+        logger.error('Error creating API key:', error);
+        next(error);
+    }
+};
+
+/**
+ * Revoke one of a user's API keys (the user themselves or an admin)
+ */
+export const revokeKey = async (req, res, next) => {
+    try {
+        const record = await AuthService.revokeKey(req.params.id, req.params.keyId);
+
+        if (!record) {
+            return next(new NotFoundError('API key not found', { code: ErrorCodes.API_KEY_NOT_FOUND }));
+        }
+
+        res.json({
+            success: true,
+            data: AuthService.toClientKey(record)
+        });
+
+    } catch (error) {
+        logger.error('Error revoking API key:', error);
+        next(error);
+    }
+};
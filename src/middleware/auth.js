@@ -0,0 +1,109 @@
+import crypto from 'crypto';
+import { AuthService } from '../services/auth.service.js';
+import { QuotaService } from '../services/quota.service.js';
+import { runWithContext } from '../utils/requestContext.js';
+import { AuthenticationError, ForbiddenError, ErrorCodes } from '../utils/errors.js';
+
+/**
+ * Authentication middleware: API keys, anonymous access and roles
+ */
+
+/**
+ * Identify the caller from an API key in the Authorization header ("Bearer <key>") or X-API-Key.
+ * Sets req.user and req.apiKey (null for anonymous callers, when ALLOW_ANONYMOUS permits them)
+ * and req.quota, and runs the rest of the request in a context that charges LLM calls to the caller.
+ */
+export const authenticate = async (req, res, next) => {
+    try {
+        const key = readApiKey(req);
+        const config = QuotaService.getConfig();
+        let context;
+
+        if (key) {
+            const auth = await AuthService.authenticate(key);
+            if (!auth) {
+                return next(new AuthenticationError('Invalid or revoked API key', { code: ErrorCodes.INVALID_API_KEY }));
+            }
+
+            context = {
+                user: auth.user,
+                apiKey: auth.apiKey,
+                quota: {
+                    subject: `key_${auth.apiKey.id}`,
+                    limit: auth.user.quotas?.dailyLlmCalls ?? config.dailyLlmCalls
+                }
+            };
+        } else {
+            if (!config.allowAnonymous) {
+                return next(new AuthenticationError('An API key is required. Send it as "Authorization: Bearer <key>".'));
+            }
+
+            context = {
+                user: null,
+                apiKey: null,
+                quota: {
+                    // Hashed so client IPs don't end up in storage
+                    subject: `anon_${crypto.createHash('sha256').update(String(req.ip)).digest('hex').slice(0, 16)}`,
+                    limit: config.anonymousDailyLlmCalls
+                }
+            };
+        }
+
+        req.user = context.user;
+        req.apiKey = context.apiKey;
+        req.quota = context.quota;
+
+        runWithContext(context, next);
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Require a signed-in user
+ */
+export const requireUser = (req, res, next) => {
+    if (!req.user) {
+        return next(new AuthenticationError('Sign in with an API key to use this endpoint'));
+    }
+    next();
+};
+
+/**
+ * Require an admin
+ */
+export const requireAdmin = (req, res, next) => {
+    if (!req.user) {
+        return next(new AuthenticationError('Sign in with an admin API key to use this endpoint'));
+    }
+    if (req.user.role !== 'admin') {
+        return next(new ForbiddenError('Only admins can do this'));
+    }
+    next();
+};
+
+/**
+ * Require the user named in :id, or an admin
+ */
+export const requireSelfOrAdmin = (req, res, next) => {
+    if (!req.user) {
+        return next(new AuthenticationError('Sign in with an API key to use this endpoint'));
+    }
+    if (req.user.role !== 'admin' && req.user.id !== req.params.id) {
+        return next(new ForbiddenError('You can only manage your own API keys'));
+    }
+    next();
+};
+
+/**
+ * API key from "Authorization: Bearer <key>" or "X-API-Key: <key>"
+ */
+function readApiKey(req) {
+    const authorization = req.get('Authorization');
+    if (authorization) {
+        const match = authorization.match(/^Bearer\s+(\S+)$/i);
+        return match ? match[1] : authorization.trim();
+    }
+    return req.get('X-API-Key') || null;
+}
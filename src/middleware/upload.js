@@ -0,0 +1,56 @@
+import path from 'path';
+import multer from 'multer';
+import { CaptionService } from '../services/caption.service.js';
+import { ValidationError, ErrorCodes } from '../utils/errors.js';
+
+/**
+ * Upload middleware for caption files
+ */
+
+/**
+ * Accept one caption file (.srt, .vtt, .sbv or .txt) in the multipart field "file".
+ * The file is kept in memory as req.file; other form fields are parsed into req.body.
+ */
+export const uploadCaptionFile = (req, res, next) => {
+    const maxBytes = parseInt(process.env.MAX_UPLOAD_BYTES) || 2 * 1024 * 1024;
+
+    const upload = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: maxBytes, files: 1 },
+        fileFilter: (req, file, callback) => {
+            const extension = path.extname(file.originalname).slice(1).toLowerCase();
+            const accepted = CaptionService.FORMATS.includes(extension);
+            if (!accepted) {
+                req.rejectedFile = file.originalname;
+            }
+            callback(null, accepted);
+        }
+    }).single('file');
+
+    upload(req, res, (error) => {
+        if (error) {
+            return next(error.code === 'LIMIT_FILE_SIZE'
+                ? new ValidationError(`Caption file is too large. Please limit uploads to ${Math.round(maxBytes / 1024)} KB.`, {
+                    code: ErrorCodes.FILE_TOO_LARGE,
+                    details: { maxBytes }
+                })
+                : new ValidationError(`Upload failed: ${error.message}`, { code: ErrorCodes.UPLOAD_FAILED }));
+        }
+
+        const formats = CaptionService.FORMATS.map(format => `.${format}`).join(', ');
+
+        if (req.rejectedFile) {
+            return next(new ValidationError(`Unsupported caption file type: ${req.rejectedFile}. Please upload ${formats}.`, {
+                code: ErrorCodes.UNSUPPORTED_FILE_TYPE
+            }));
+        }
+
+        if (!req.file) {
+            return next(new ValidationError(`A caption file is required in the "file" field (${formats})`, {
+                code: ErrorCodes.FILE_REQUIRED
+            }));
+        }
+
+        next();
+    });
+};
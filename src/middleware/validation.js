@@ -1,3 +1,15 @@
+import { QuizService } from '../services/quiz.service.js';
+import { TranscriptService } from '../services/transcript.service.js';
+import { ReviewService } from '../services/review.service.js';
+import { AuthService } from '../services/auth.service.js';
+import { CourseService } from '../services/course.service.js';
+import { AskService } from '../services/ask.service.js';
+import { NotesService } from '../services/notes.service.js';
+import { normalizeLanguage } from '../utils/language.js';
+import { PromptRegistry } from '../utils/promptRegistry.js';
+import { ValidationError, AuthenticationError, ForbiddenError, ErrorCodes } from '../utils/errors.js';
+import { extractVideoId, extractPlaylistId } from '../utils/youtube.js';
+
 /**
  * Validation middleware for API requests
  */
@@ -9,27 +21,18 @@ export const validateVideoUrl = (req, res, next) => {
     const { videoUrl } = req.body;
 
     if (!videoUrl) {
-        return res.status(400).json({
-            success: false,
-            error: 'Video URL is required'
-        });
+        return next(new ValidationError('Video URL is required', { code: ErrorCodes.INVALID_VIDEO_URL }));
     }
 
     if (typeof videoUrl !== 'string') {
-        return res.status(400).json({
-            success: false,
-            error: 'Video URL must be a string'
-        });
+        return next(new ValidationError('Video URL must be a string', { code: ErrorCodes.INVALID_VIDEO_URL }));
     }
 
     // Basic YouTube URL validation
     const youtubeRegex = /^(https?:\/\/)?(www\.)?(youtube\.com|youtu\.be)\/.+/;
     
     if (!youtubeRegex.test(videoUrl)) {
-        return res.status(400).json({
-            success: false,
-            error: 'Invalid YouTube URL format. Please provide a valid YouTube video link.'
-        });
+        return next(new ValidationError('Invalid YouTube URL format. Please provide a valid YouTube video link.', { code: ErrorCodes.INVALID_VIDEO_URL }));
     }
 
     next();
@@ -42,33 +45,296 @@ export const validateTranscript = (req, res, next) => {
     const { transcript } = req.body;
 
     if (!transcript) {
-        return res.status(400).json({
-            success: false,
-            error: 'Transcript is required'
-        });
+        return next(new ValidationError('Transcript is required', { code: ErrorCodes.INVALID_TRANSCRIPT }));
     }
 
     if (typeof transcript !== 'string') {
-        return res.status(400).json({
-            success: false,
-            error: 'Transcript must be a string'
-        });
-    }
-
-    // Check minimum length (at least 100 characters)
-    if (transcript.trim().length < 100) {
-        return res.status(400).json({
-            success: false,
-            error: 'Transcript is too short. Please provide at least 100 characters of content.'
-        });
-    }
-
-    // Check maximum length (max 50,000 characters to avoid token limits)
-    if (transcript.length > 50000) {
-        return res.status(400).json({
-            success: false,
-            error: 'Transcript is too long. Please limit to 50,000 characters.'
-        });
+        return next(new ValidationError('Transcript must be a string', { code: ErrorCodes.INVALID_TRANSCRIPT }));
+    }
+
+    // Check minimum and maximum length (long transcripts are processed in chunks)
+    const lengthError = TranscriptService.checkLength(transcript);
+    if (lengthError) {
+        return next(lengthError);
+    }
+
+    next();
+};
+
+/**
+ * Validate optional quiz options (questionCount, difficulty, questionTypes)
+ * and attach the resolved options to req.quizOptions
+ */
+export const validateQuizOptions = (req, res, next) => {
+    const { questionCount, difficulty, questionTypes } = req.body;
+    const { options, error } = QuizService.resolveOptions({ questionCount, difficulty, questionTypes });
+
+    if (error) {
+        return next(new ValidationError(error, { code: ErrorCodes.INVALID_QUIZ_OPTIONS }));
+    }
+
+    req.quizOptions = options;
+    next();
+};
+
+/**
+ * Validate optional language options and attach them to req.languageOptions:
+ * captionLanguage (which caption track to fetch) and outputLanguage (language of the
+ * generated materials, default English)
+ */
+export const validateLanguageOptions = (req, res, next) => {
+    const { captionLanguage, outputLanguage } = req.body;
+    const languageOptions = { captionLanguage: null, outputLanguage: 'en' };
+
+    for (const [field, value] of Object.entries({ captionLanguage, outputLanguage })) {
+        if (value === undefined || value === null || value === '') {
+            continue;
+        }
+
+        const language = normalizeLanguage(value);
+        if (!language) {
+            return next(new ValidationError(`${field} must be a language code such as "en", "hi" or "es-419"`, { code: ErrorCodes.INVALID_LANGUAGE }));
+        }
+        languageOptions[field] = language;
+    }
+
+    req.languageOptions = languageOptions;
+    next();
+};
+
+/**
+ * Validate the optional materials to generate (include: an array or comma-separated list of
+ * flashcards, outline, glossary and conceptMap) and attach them to req.include
+ */
+export const validateInclude = (req, res, next) => {
+    const { include, error } = NotesService.resolveInclude(req.body.include);
+
+    if (error) {
+        return next(new ValidationError(error, { code: ErrorCodes.INVALID_INCLUDE }));
+    }
+
+    req.include = include;
+    next();
+};
+
+/**
+ * Validate optional prompt template variants (promptVariants, e.g. { "summary": "eli5" }; admins only)
+ * and attach them to req.promptVariants, on top of the caller's own defaults
+ */
+export const validatePromptVariants = (req, res, next) => {
+    const { promptVariants } = req.body;
+    const { variants, error } = PromptRegistry.resolveVariants(promptVariants);
+
+    if (error) {
+        return next(new ValidationError(error, { code: ErrorCodes.INVALID_PROMPT_VARIANT }));
+    }
+
+    if (Object.keys(variants).length > 0 && !req.user) {
+        return next(new AuthenticationError('Sign in with an admin API key to choose prompt variants'));
+    }
+    if (Object.keys(variants).length > 0 && req.user.role !== 'admin') {
+        return next(new ForbiddenError('Only admins can choose prompt variants'));
+    }
+
+    req.promptVariants = { ...req.user?.promptVariants, ...variants };
+    next();
+};
+
+/**
+ * Validate a course: either playlistUrl (a playlist link or ID) or videoIds (video IDs or
+ * URLs, in course order), an optional title and examQuestionCount. Attaches
+ * { playlistId, videoIds, title, examQuestionCount } to req.courseInput.
+ */
+export const validateCourse = (req, res, next) => {
+    const { playlistUrl, videoIds, title, examQuestionCount } = req.body;
+    const courseInput = { playlistId: null, videoIds: [], title: null, examQuestionCount: CourseService.DEFAULT_EXAM_QUESTIONS };
+
+    if ((playlistUrl === undefined) === (videoIds === undefined)) {
+        return next(new ValidationError('Provide either playlistUrl or videoIds', { code: ErrorCodes.INVALID_COURSE }));
+    }
+
+    if (playlistUrl !== undefined) {
+        courseInput.playlistId = typeof playlistUrl === 'string' ? extractPlaylistId(playlistUrl.trim()) : null;
+        if (!courseInput.playlistId) {
+            return next(new ValidationError('Invalid YouTube playlist URL. Please provide a link with a "list" parameter.', { code: ErrorCodes.INVALID_COURSE }));
+        }
+    } else {
+        const maxVideos = CourseService.getMaxVideos();
+        if (!Array.isArray(videoIds) || videoIds.length === 0 || videoIds.length > maxVideos) {
+            return next(new ValidationError(`videoIds must be a list of 1 to ${maxVideos} YouTube video IDs or URLs`, { code: ErrorCodes.INVALID_COURSE }));
+        }
+
+        for (const [index, value] of videoIds.entries()) {
+            const videoId = typeof value === 'string' ? extractVideoId(value.trim()) : null;
+            if (!videoId) {
+                return next(new ValidationError(`videoIds[${index}] is not a YouTube video ID or URL`, { code: ErrorCodes.INVALID_COURSE }));
+            }
+            // The same lecture listed twice is processed once
+            if (!courseInput.videoIds.includes(videoId)) {
+                courseInput.videoIds.push(videoId);
+            }
+        }
+    }
+
+    if (title !== undefined && title !== null) {
+        if (typeof title !== 'string' || !title.trim() || title.length > 200) {
+            return next(new ValidationError('title must be a string of up to 200 characters', { code: ErrorCodes.INVALID_COURSE }));
+        }
+        courseInput.title = title.trim();
+    }
+
+    if (examQuestionCount !== undefined) {
+        const max = CourseService.MAX_EXAM_QUESTIONS;
+        if (!Number.isInteger(examQuestionCount) || examQuestionCount < 1 || examQuestionCount > max) {
+            return next(new ValidationError(`examQuestionCount must be an integer from 1 to ${max}`, { code: ErrorCodes.INVALID_COURSE }));
+        }
+        courseInput.examQuestionCount = examQuestionCount;
+    }
+
+    req.courseInput = courseInput;
+    next();
+};
+
+/**
+ * Validate a quiz submission
+ */
+export const validateQuizSubmission = (req, res, next) => {
+    const { answers } = req.body;
+
+    if (!answers || typeof answers !== 'object') {
+        return next(new ValidationError('Answers are required as an object keyed by question ID or an array in question order', { code: ErrorCodes.INVALID_ANSWERS }));
+    }
+
+    next();
+};
+
+/**
+ * Validate a question about a learning set, and the optional sessionId of the conversation it continues
+ */
+export const validateQuestion = (req, res, next) => {
+    const { question, sessionId } = req.body;
+
+    if (typeof question !== 'string' || question.trim().length < AskService.MIN_QUESTION_LENGTH || question.length > AskService.MAX_QUESTION_LENGTH) {
+        return next(new ValidationError(
+            `question must be ${AskService.MIN_QUESTION_LENGTH}-${AskService.MAX_QUESTION_LENGTH} characters`,
+            { code: ErrorCodes.INVALID_QUESTION }
+        ));
+    }
+
+    if (sessionId !== undefined && sessionId !== null && typeof sessionId !== 'string') {
+        return next(new ValidationError('sessionId must be a string', { code: ErrorCodes.INVALID_QUESTION }));
+    }
+
+    req.body.question = question.trim();
+    next();
+};
+
+/**
+ * Identify the learner and attach it to req.learnerId: the signed-in user, or for anonymous
+ * callers the X-Learner-Id header (or a learnerId query/body field); null when none is given.
+ * Anonymous IDs get an "anon_" prefix so they can never name a signed-in user's reviews.
+ */
+export const identifyLearner = (req, res, next) => {
+    if (req.user) {
+        req.learnerId = req.user.id;
+        return next();
+    }
+
+    const learnerId = req.get('X-Learner-Id') ?? req.query.learnerId ?? req.body?.learnerId;
+
+    if (learnerId === undefined || learnerId === '') {
+        req.learnerId = null;
+        return next();
+    }
+
+    if (!ReviewService.isValidLearnerId(learnerId)) {
+        return next(new ValidationError('Learner ID must be 1-64 letters, digits, "-" or "_"', { code: ErrorCodes.INVALID_LEARNER_ID }));
+    }
+
+    req.learnerId = `anon_${learnerId}`;
+    next();
+};
+
+/**
+ * Require a learner ID (see identifyLearner)
+ */
+export const requireLearner = (req, res, next) => {
+    identifyLearner(req, res, (error) => {
+        if (error) {
+            return next(error);
+        }
+        if (!req.learnerId) {
+            return next(new ValidationError('Sign in with an API key, or send a learner ID in the X-Learner-Id header', { code: ErrorCodes.INVALID_LEARNER_ID }));
+        }
+        next();
+    });
+};
+
+/**
+ * Validate a review: an answer to grade, a self-rated quality from 0 to 5, or both
+ */
+export const validateReview = (req, res, next) => {
+    const { answer, quality } = req.body;
+
+    if (answer === undefined && quality === undefined) {
+        return next(new ValidationError('Provide an answer to grade or a quality rating from 0 to 5', { code: ErrorCodes.INVALID_REVIEW }));
+    }
+
+    if (quality !== undefined && (!Number.isInteger(quality) || quality < 0 || quality > ReviewService.MAX_QUALITY)) {
+        return next(new ValidationError(`quality must be an integer from 0 to ${ReviewService.MAX_QUALITY}`, { code: ErrorCodes.INVALID_REVIEW }));
+    }
+
+    next();
+};
+
+/**
+ * Validate a new user: name, optional email and role, optional quota overrides
+ * (dailyLlmCalls and requestsPerWindow, 0 for no limit, null for the server default)
+ * and optional default prompt variants (promptVariants)
+ */
+export const validateNewUser = (req, res, next) => {
+    const { name, email, role, dailyLlmCalls, requestsPerWindow, promptVariants } = req.body;
+
+    if (typeof name !== 'string' || !name.trim() || name.length > 100) {
+        return next(new ValidationError('name is required (up to 100 characters)'));
+    }
+
+    if (email !== undefined && email !== null && (typeof email !== 'string' || !/^[^\s@]+@[^\s@]+$/.test(email))) {
+        return next(new ValidationError('email must be an email address'));
+    }
+
+    if (role !== undefined && !AuthService.ROLES.includes(role)) {
+        return next(new ValidationError(`role must be one of: ${AuthService.ROLES.join(', ')}`));
+    }
+
+    for (const [field, value] of Object.entries({ dailyLlmCalls, requestsPerWindow })) {
+        if (value !== undefined && value !== null && (!Number.isInteger(value) || value < 0)) {
+            return next(new ValidationError(`${field} must be a non-negative integer (0 for no limit) or null`));
+        }
+    }
+
+    const { error } = PromptRegistry.resolveVariants(promptVariants);
+    if (error) {
+        return next(new ValidationError(error, { code: ErrorCodes.INVALID_PROMPT_VARIANT }));
+    }
+
+    next();
+};
+
+/**
+ * Validate a change to a user: promptVariants, the default prompt variants for their requests
+ * ({} or null to go back to the default templates)
+ */
+export const validateUserUpdate = (req, res, next) => {
+    const { promptVariants } = req.body;
+
+    if (promptVariants === undefined) {
+        return next(new ValidationError('promptVariants is required'));
+    }
+
+    const { error } = PromptRegistry.resolveVariants(promptVariants);
+    if (error) {
+        return next(new ValidationError(error, { code: ErrorCodes.INVALID_PROMPT_VARIANT }));
     }
 
     next();
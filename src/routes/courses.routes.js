@@ -0,0 +1,28 @@
+import express from 'express';
+import { createCourse, getCourse, listCourses } from '../controllers/courses.controller.js';
+import { validateCourse, validateQuizOptions, validateLanguageOptions, validatePromptVariants } from '../middleware/validation.js';
+
+const router = express.Router();
+
+/**
+ * @route   POST /api/courses
+ * @desc    Queue processing of a playlist or list of videos as a course; poll the returned job
+ * @access  Public (rate-limited)
+ */
+router.post('/', validateCourse, validateQuizOptions, validateLanguageOptions, validatePromptVariants, createCourse);
+
+/**
+ * @route   GET /api/courses
+ * @desc    List the caller's courses (?limit=20&offset=0)
+ * @access  Public (rate-limited)
+ */
+router.get('/', listCourses);
+
+/**
+ * @route   GET /api/courses/:id
+ * @desc    Get a course: lecture statuses, course summary and final exam
+ * @access  Public (rate-limited)
+ */
+router.get('/:id', getCourse);
+
+export default router;
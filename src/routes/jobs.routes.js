@@ -0,0 +1,21 @@
+import express from 'express';
+import { createJob, getJob } from '../controllers/jobs.controller.js';
+import { validateVideoUrl, validateQuizOptions, validateLanguageOptions, validateInclude, validatePromptVariants } from '../middleware/validation.js';
+
+const router = express.Router();
+
+/**
+ * @route   POST /api/jobs
+ * @desc    Queue background processing of a YouTube video; returns a job ID immediately
+ * @access  Public (rate-limited)
+ */
+router.post('/', validateVideoUrl, validateQuizOptions, validateLanguageOptions, validateInclude, validatePromptVariants, createJob);
+
+/**
+ * @route   GET /api/jobs/:id
+ * @desc    Poll a job's stage-by-stage progress, partial results and errors
+ * @access  Public (rate-limited)
+ */
+router.get('/:id', getJob);
+
+export default router;
@@ -1,6 +1,7 @@
 import express from 'express';
-import { processVideo, processTranscript } from '../controllers/learning.controller.js';
-import { validateVideoUrl, validateTranscript } from '../middleware/validation.js';
+import { processVideo, processTranscript, processUpload, streamVideo, streamTranscript, listCaptionLanguages } from '../controllers/learning.controller.js';
+import { validateVideoUrl, validateTranscript, validateQuizOptions, validateLanguageOptions, validateInclude, validatePromptVariants } from '../middleware/validation.js';
+import { uploadCaptionFile } from '../middleware/upload.js';
 
 const router = express.Router();
 
@@ -15,25 +16,54 @@ router.get('/health', (req, res) => {
         message: 'API is running',
         timestamp: new Date().toISOString(),
         env: {
+            provider: process.env.AI_PROVIDER || 'gemini',
             hasApiKey: !!process.env.GEMINI_API_KEY,
             model: process.env.AI_MODEL || 'not set'
         }
     });
 });
 
+/**
+ * @route   GET /api/videos/:videoId/captions
+ * @desc    List the caption languages available for a YouTube video
+ * @access  Public (rate-limited)
+ */
+router.get('/videos/:videoId/captions', listCaptionLanguages);
+
 /**
  * @route   POST /api/process
  * @desc    Process YouTube video and generate learning materials
  * @access  Public (rate-limited)
  */
-router.post('/process', validateVideoUrl, processVideo);
-router.post('/process-youtube', validateVideoUrl, processVideo); // Alias
+router.post('/process', validateVideoUrl, validateQuizOptions, validateLanguageOptions, validateInclude, validatePromptVariants, processVideo);
+router.post('/process-youtube', validateVideoUrl, validateQuizOptions, validateLanguageOptions, validateInclude, validatePromptVariants, processVideo); // Alias
+
+/**
+ * @route   POST /api/process-youtube/stream
+ * @desc    Process YouTube video, streaming materials as Server-Sent Events
+ * @access  Public (rate-limited)
+ */
+router.post('/process-youtube/stream', validateVideoUrl, validateQuizOptions, validateLanguageOptions, validateInclude, validatePromptVariants, streamVideo);
 
 /**
  * @route   POST /api/process-transcript
  * @desc    Process pasted transcript and generate learning materials
  * @access  Public (rate-limited)
  */
-router.post('/process-transcript', validateTranscript, processTranscript);
+router.post('/process-transcript', validateTranscript, validateQuizOptions, validateLanguageOptions, validateInclude, validatePromptVariants, processTranscript);
+
+/**
+ * @route   POST /api/process-transcript/stream
+ * @desc    Process pasted transcript, streaming materials as Server-Sent Events
+ * @access  Public (rate-limited)
+ */
+router.post('/process-transcript/stream', validateTranscript, validateQuizOptions, validateLanguageOptions, validateInclude, validatePromptVariants, streamTranscript);
+
+/**
+ * @route   POST /api/process-transcript/upload
+ * @desc    Process an uploaded caption file (multipart field "file": .srt, .vtt, .sbv or .txt)
+ * @access  Public (rate-limited)
+ */
+router.post('/process-transcript/upload', uploadCaptionFile, validateQuizOptions, validateLanguageOptions, validateInclude, validatePromptVariants, processUpload);
 
 export default router;
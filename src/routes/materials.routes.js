@@ -0,0 +1,63 @@
+import express from 'express';
+import { getMaterial, listMaterials, exportFlashcards, exportMaterial, exportConceptMap, getGrounding, askMaterial, getAskSession } from '../controllers/materials.controller.js';
+import { validateQuestion } from '../middleware/validation.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/materials
+ * @desc    List saved learning sets (?limit=20&offset=0)
+ * @access  Public (rate-limited)
+ */
+router.get('/', listMaterials);
+
+/**
+ * @route   GET /api/materials/:id
+ * @desc    Get a saved learning set without reprocessing (?variant=<variantId>)
+ * @access  Public (rate-limited)
+ */
+router.get('/:id', getMaterial);
+
+/**
+ * @route   GET /api/materials/:id/flashcards
+ * @desc    Export the flashcard deck (?format=json|csv|tsv|apkg)
+ * @access  Public (rate-limited)
+ */
+router.get('/:id/flashcards', exportFlashcards);
+
+/**
+ * @route   GET /api/materials/:id/export
+ * @desc    Export as a printable document (?format=md|html|json&version=student|complete|answer-key)
+ * @access  Public (rate-limited)
+ */
+router.get('/:id/export', exportMaterial);
+
+/**
+ * @route   GET /api/materials/:id/concept-map
+ * @desc    Export the concept map (?format=json|mermaid)
+ * @access  Public (rate-limited)
+ */
+router.get('/:id/concept-map', exportConceptMap);
+
+/**
+ * @route   GET /api/materials/:id/grounding
+ * @desc    Grounding report: transcript evidence and confidence for each key point, and for each quiz answer to owners and admins
+ * @access  Public (rate-limited)
+ */
+router.get('/:id/grounding', getGrounding);
+
+/**
+ * @route   POST /api/materials/:id/ask
+ * @desc    Ask a question answered from the transcript, with citations ({ question, sessionId? })
+ * @access  Public (rate-limited)
+ */
+router.post('/:id/ask', validateQuestion, askMaterial);
+
+/**
+ * @route   GET /api/materials/:id/ask/:sessionId
+ * @desc    Get a conversation about a learning set
+ * @access  Public (rate-limited)
+ */
+router.get('/:id/ask/:sessionId', getAskSession);
+
+export default router;
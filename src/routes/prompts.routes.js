@@ -0,0 +1,21 @@
+import express from 'express';
+import { listPrompts, reloadPrompts } from '../controllers/prompts.controller.js';
+import { requireAdmin } from '../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/prompts
+ * @desc    Prompt templates: every variant and version, with its variables
+ * @access  Admin
+ */
+router.get('/', requireAdmin, listPrompts);
+
+/**
+ * @route   POST /api/prompts/reload
+ * @desc    Read the prompt template files again (after editing PROMPTS_DIR)
+ * @access  Admin
+ */
+router.post('/reload', requireAdmin, reloadPrompts);
+
+export default router;
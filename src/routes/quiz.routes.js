@@ -0,0 +1,30 @@
+import express from 'express';
+import { getQuiz, submitQuiz, listAttempts } from '../controllers/quiz.controller.js';
+import { requireUser } from '../middleware/auth.js';
+import { validateQuizSubmission, identifyLearner } from '../middleware/validation.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/quizzes/:id
+ * @desc    Get a stored quiz without answers
+ * @access  Public (rate-limited)
+ */
+router.get('/:id', getQuiz);
+
+/**
+ * @route   POST /api/quizzes/:id/submit
+ * @desc    Grade answers for a stored quiz; for signed-in users (or with X-Learner-Id) also schedules
+ *          the questions for review, and saves the attempt for signed-in users
+ * @access  Public (rate-limited)
+ */
+router.post('/:id/submit', identifyLearner, validateQuizSubmission, submitQuiz);
+
+/**
+ * @route   GET /api/quizzes/:id/attempts
+ * @desc    The signed-in user's graded attempts at a quiz (?limit=20&offset=0)
+ * @access  Signed-in users
+ */
+router.get('/:id/attempts', requireUser, listAttempts);
+
+export default router;
@@ -0,0 +1,21 @@
+import express from 'express';
+import { getDueReviews, submitReview } from '../controllers/review.controller.js';
+import { requireLearner, validateReview } from '../middleware/validation.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/review/due
+ * @desc    Questions due for spaced-repetition review (X-Learner-Id header, ?limit=20)
+ * @access  Public (rate-limited)
+ */
+router.get('/due', requireLearner, getDueReviews);
+
+/**
+ * @route   POST /api/review/:questionId
+ * @desc    Answer or rate a review question and schedule its next review
+ * @access  Public (rate-limited)
+ */
+router.post('/:questionId', requireLearner, validateReview, submitReview);
+
+export default router;
@@ -0,0 +1,50 @@
+import express from 'express';
+import { getMe, createUser, listUsers, updateUser, createKey, revokeKey } from '../controllers/users.controller.js';
+import { requireAdmin, requireSelfOrAdmin } from '../middleware/auth.js';
+import { validateNewUser, validateUserUpdate } from '../middleware/validation.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/me
+ * @desc    The caller's user, API keys and today's LLM-call usage
+ * @access  Public (anonymous callers get their usage only)
+ */
+router.get('/me', getMe);
+
+/**
+ * @route   POST /api/users
+ * @desc    Create a user and their first API key
+ * @access  Admin
+ */
+router.post('/users', requireAdmin, validateNewUser, createUser);
+
+/**
+ * @route   GET /api/users
+ * @desc    List users
+ * @access  Admin
+ */
+router.get('/users', requireAdmin, listUsers);
+
+/**
+ * @route   PATCH /api/users/:id
+ * @desc    Change a user's default prompt variants
+ * @access  Admin
+ */
+router.patch('/users/:id', requireAdmin, validateUserUpdate, updateUser);
+
+/**
+ * @route   POST /api/users/:id/keys
+ * @desc    Create another API key
+ * @access  The user or an admin
+ */
+router.post('/users/:id/keys', requireSelfOrAdmin, createKey);
+
+/**
+ * @route   DELETE /api/users/:id/keys/:keyId
+ * @desc    Revoke an API key
+ * @access  The user or an admin
+ */
+router.delete('/users/:id/keys/:keyId', requireSelfOrAdmin, revokeKey);
+
+export default router;
@@ -5,7 +5,17 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import rateLimit from 'express-rate-limit';
 import learningRouter from './routes/learning.routes.js';
+import quizRouter from './routes/quiz.routes.js';
+import materialsRouter from './routes/materials.routes.js';
+import jobsRouter from './routes/jobs.routes.js';
+import coursesRouter from './routes/courses.routes.js';
+import reviewRouter from './routes/review.routes.js';
+import usersRouter from './routes/users.routes.js';
+import promptsRouter from './routes/prompts.routes.js';
 import { errorHandler } from './middleware/errorHandler.js';
+import { authenticate } from './middleware/auth.js';
+import { ErrorCodes } from './utils/errors.js';
+import { AIService } from './services/ai.service.js';
 
 // ES Module __dirname alternative
 const __filename = fileURLToPath(import.meta.url);
@@ -18,6 +28,7 @@ dotenv.config({ path: path.join(__dirname, '../.env') });
 // Log environment status for debugging
 console.log('Environment check:');
 console.log('NODE_ENV:', process.env.NODE_ENV);
+console.log('AI_PROVIDER:', process.env.AI_PROVIDER || 'gemini');
 console.log('GEMINI_API_KEY exists:', !!process.env.GEMINI_API_KEY);
 console.log('AI_MODEL:', process.env.AI_MODEL);
 
@@ -31,21 +42,44 @@ const PORT = process.env.PORT || 3000;
 // CORS configuration
 app.use(cors({
     origin: '*',
-    methods: ['GET', 'POST'],
-    allowedHeaders: ['Content-Type']
+    methods: ['GET', 'POST', 'DELETE'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Learner-Id']
 }));
 
-// Body parser
-app.use(express.json());
+// Body parser (pasted transcripts can be several hundred KB)
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '2mb' }));
 app.use(express.urlencoded({ extended: true }));
 
-// Rate limiting - 100 requests per 15 minutes
+// Health check endpoint (degraded while the AI provider's circuit breaker is open).
+// Registered before authentication so monitors don't need a key.
+app.get('/api/health', (req, res) => {
+    const ai = AIService.getHealth();
+
+    res.json({
+        status: ai.circuit.state === 'closed' ? 'healthy' : 'degraded',
+        timestamp: new Date().toISOString(),
+        version: '1.0.0',
+        ai
+    });
+});
+
+// API key authentication (anonymous callers are allowed unless ALLOW_ANONYMOUS=false)
+app.use('/api/', authenticate);
+
+// Rate limiting - 100 requests per 15 minutes per API key (per IP for anonymous callers);
+// users can have their own limit
+const defaultMaxRequests = parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100;
 const limiter = rateLimit({
     windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000,
-    max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
+    limit: (req) => {
+        const max = req.user?.quotas?.requestsPerWindow ?? defaultMaxRequests;
+        return max === 0 ? Number.MAX_SAFE_INTEGER : max;
+    },
+    keyGenerator: (req) => req.apiKey ? `key:${req.apiKey.id}` : req.ip,
     message: {
         success: false,
-        error: 'Too many requests. Please try again later.'
+        error: 'Too many requests. Please try again later.',
+        code: ErrorCodes.RATE_LIMITED
     },
     standardHeaders: true,
     legacyHeaders: false
@@ -57,17 +91,15 @@ app.use('/api/', limiter);
 // ROUTES
 // ========================================
 
-// Health check endpoint
-app.get('/api/health', (req, res) => {
-    res.json({
-        status: 'healthy',
-        timestamp: new Date().toISOString(),
-        version: '1.0.0'
-    });
-});
-
 // Learning API routes
 app.use('/api', learningRouter);
+app.use('/api/quizzes', quizRouter);
+app.use('/api/materials', materialsRouter);
+app.use('/api/jobs', jobsRouter);
+app.use('/api/courses', coursesRouter);
+app.use('/api/review', reviewRouter);
+app.use('/api', usersRouter);
+app.use('/api/prompts', promptsRouter);
 
 // Root route - API info
 app.get('/', (req, res) => {
@@ -78,7 +110,37 @@ app.get('/', (req, res) => {
         endpoints: {
             health: '/api/health',
             processYouTube: 'POST /api/process-youtube',
-            processTranscript: 'POST /api/process-transcript'
+            processTranscript: 'POST /api/process-transcript',
+            streamYouTube: 'POST /api/process-youtube/stream',
+            streamTranscript: 'POST /api/process-transcript/stream',
+            uploadTranscript: 'POST /api/process-transcript/upload',
+            captionLanguages: 'GET /api/videos/:videoId/captions',
+            createJob: 'POST /api/jobs',
+            getJob: 'GET /api/jobs/:id',
+            createCourse: 'POST /api/courses',
+            listCourses: 'GET /api/courses',
+            getCourse: 'GET /api/courses/:id',
+            listMaterials: 'GET /api/materials',
+            getMaterial: 'GET /api/materials/:id',
+            exportFlashcards: 'GET /api/materials/:id/flashcards?format=json|csv|tsv|apkg',
+            exportMaterial: 'GET /api/materials/:id/export?format=md|html|json&version=complete|student|answer-key',
+            exportConceptMap: 'GET /api/materials/:id/concept-map?format=json|mermaid',
+            groundingReport: 'GET /api/materials/:id/grounding',
+            askMaterial: 'POST /api/materials/:id/ask',
+            getAskSession: 'GET /api/materials/:id/ask/:sessionId',
+            getQuiz: 'GET /api/quizzes/:id',
+            submitQuiz: 'POST /api/quizzes/:id/submit',
+            quizAttempts: 'GET /api/quizzes/:id/attempts',
+            dueReviews: 'GET /api/review/due',
+            submitReview: 'POST /api/review/:questionId',
+            me: 'GET /api/me',
+            createUser: 'POST /api/users',
+            listUsers: 'GET /api/users',
+            updateUser: 'PATCH /api/users/:id',
+            createApiKey: 'POST /api/users/:id/keys',
+            revokeApiKey: 'DELETE /api/users/:id/keys/:keyId',
+            listPrompts: 'GET /api/prompts',
+            reloadPrompts: 'POST /api/prompts/reload'
         }
     });
 });
@@ -101,13 +163,14 @@ app.listen(PORT, () => {
 ║                                                           ║
 ║   📍 URL: http://localhost:${PORT}                       ║
 ║   🌍 Environment: ${process.env.NODE_ENV || 'development'}               ║
+║   🤖 AI Provider: ${process.env.AI_PROVIDER || 'gemini'}                      ║
 ║   🤖 AI Model: ${process.env.AI_MODEL || 'gemini-2.5-flash'}           ║
 ║                                                           ║
 ╚═══════════════════════════════════════════════════════════╝
     `);
 
-    // Check for API key
-    if (!process.env.GEMINI_API_KEY) {
+    // Check for API key (only the Gemini provider needs one)
+    if ((process.env.AI_PROVIDER || 'gemini') === 'gemini' && !process.env.GEMINI_API_KEY) {
         console.warn(`
 ⚠️  WARNING: GEMINI_API_KEY not found in .env file!
    Please add your API key to continue.
@@ -1,73 +1,358 @@
-import { GoogleGenerativeAI } from '@google/generative-ai';
+import { createProvider } from './providers/index.js';
+import { TranscriptService } from './transcript.service.js';
 import { logger } from '../utils/logger.js';
+import { dedupeBySimilarity, pickEvenly, coverage } from '../utils/text.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+import { validateSchema, toProviderSchema } from '../utils/schema.js';
+import { MATERIALS_SCHEMA, MATERIALS_ENVELOPE_SCHEMA, QUESTION_SCHEMA, GRADING_SCHEMA, FLASHCARDS_SCHEMA, ANSWER_SCHEMA, OUTLINE_SCHEMA, GLOSSARY_SCHEMA, CONCEPT_MAP_SCHEMA } from './schemas.js';
+import { QuizService } from './quiz.service.js';
+import { FlashcardService } from './flashcard.service.js';
+import { NotesService } from './notes.service.js';
+import { TimestampService } from './timestamp.service.js';
+import { languageName, baseLanguage } from '../utils/language.js';
+import { AIProviderError, AppError, ErrorCodes } from '../utils/errors.js';
+import { withRetry, CircuitBreaker } from '../utils/resilience.js';
+import { getContext } from '../utils/requestContext.js';
+import { QuotaService } from './quota.service.js';
+import { PromptRegistry } from '../utils/promptRegistry.js';
 
 /**
  * AI Service for processing transcripts and generating learning materials
- * Uses Google Gemini 2.0 Flash for intelligent content generation
+ * Delegates generation to a pluggable LLM provider (Gemini, OpenAI-compatible or fixture)
  */
 export class AIService {
-    static genAI = null;
-    static model = null;
+    static provider = null;
+    static breaker = null;
+
+    // Provider failures worth retrying, and that count towards opening the circuit
+    static TRANSIENT_ERRORS = new Set([
+        ErrorCodes.AI_RATE_LIMITED,
+        ErrorCodes.AI_QUOTA_EXCEEDED,
+        ErrorCodes.AI_UNAVAILABLE,
+        ErrorCodes.AI_TIMEOUT
+    ]);
+
+    // Errors that end the whole generation: best-effort steps (repairs, regeneration, titles) rethrow them
+    // rather than carrying on with less, since every later call would fail the same way
+    static FATAL_ERRORS = new Set([
+        ErrorCodes.DAILY_QUOTA_EXCEEDED,
+        ErrorCodes.AI_QUOTA_EXCEEDED,
+        ErrorCodes.AI_CIRCUIT_OPEN,
+        ErrorCodes.CONFIGURATION_ERROR
+    ]);
+
+    // Transcripts up to this length are processed in a single pass
+    static SINGLE_PASS_LIMIT = 12000;
+    // Chunk size for map-reduce processing of longer transcripts
+    static CHUNK_SIZE = 8000;
+    static MAX_KEY_POINTS = 10;
+    static MAX_MERGED_KEY_POINTS = 15;
+    static FLASHCARD_COUNT = 15;
+    static MAX_MERGED_FLASHCARDS = 30;
+    // Reply to a question the lesson doesn't answer, whatever the model said
+    static NOT_COVERED_ANSWER = "The video doesn't cover this. Try asking about something the lesson talks about.";
+    // Follow-up generation rounds allowed to replace rejected quiz questions
+    static MAX_QUIZ_REGENERATIONS = 2;
+
+    // Prompt rules for each question type
+    static QUESTION_TYPE_RULES = {
+        'multiple-choice': 'exactly 4 distinct options; "correctAnswer" is the letter (A, B, C or D) of the one correct option',
+        'true-false': 'a statement that is clearly true or false according to the transcript; "correctAnswer" is "True" or "False"',
+        'multi-select': '4-6 distinct options, one or more of them correct; "correctAnswer" lists every correct letter separated by commas (e.g. "A,C")',
+        'fill-in-the-blank': 'a sentence from the lesson with one key term replaced by "____"; "correctAnswer" is the missing term; "acceptableAnswers" lists accepted spellings or synonyms',
+        'short-answer': 'an open question answered in 1-3 sentences; "correctAnswer" is a model answer; "rubric" lists 2-4 criteria a good answer must meet'
+    };
+
+    // Example output for each question type
+    static QUESTION_TYPE_EXAMPLES = {
+        'multiple-choice': {
+            type: 'multiple-choice',
+            question: 'Question text here?',
+            options: ['Option A', 'Option B', 'Option C', 'Option D'],
+            correctAnswer: 'A',
+            explanation: 'Brief explanation why this is correct'
+        },
+        'true-false': {
+            type: 'true-false',
+            question: 'A statement to judge as true or false.',
+            correctAnswer: 'False',
+            explanation: 'Brief explanation why the statement is false'
+        },
+        'multi-select': {
+            type: 'multi-select',
+            question: 'Which of the following are true? (Select all that apply)',
+            options: ['Option A', 'Option B', 'Option C', 'Option D', 'Option E'],
+            correctAnswer: 'A,C',
+            explanation: 'Brief explanation of which options are correct and why'
+        },
+        'fill-in-the-blank': {
+            type: 'fill-in-the-blank',
+            question: 'The ____ converts light energy into chemical energy.',
+            correctAnswer: 'chloroplast',
+            acceptableAnswers: ['chloroplasts'],
+            explanation: 'Brief explanation of the missing term'
+        },
+        'short-answer': {
+            type: 'short-answer',
+            question: 'Open question here?',
+            correctAnswer: 'A model answer in 1-3 sentences.',
+            rubric: ['First thing a good answer must mention', 'Second thing a good answer must mention'],
+            explanation: 'Brief explanation of the key idea'
+        }
+    };
+
+    // Prompt guidance for each difficulty level
+    static DIFFICULTY_GUIDANCE = {
+        easy: 'Easy: straightforward recall and comprehension of what was said',
+        mixed: 'Progressive difficulty (start easy, get harder)',
+        hard: 'Hard: application, analysis and comparison rather than recall',
+        remember: 'Bloom\'s level "remember": recall facts, terms and basic concepts',
+        understand: 'Bloom\'s level "understand": explain ideas and concepts in other words',
+        apply: 'Bloom\'s level "apply": use the ideas in new situations or examples',
+        analyze: 'Bloom\'s level "analyze": draw connections, compare and distinguish between ideas',
+        evaluate: 'Bloom\'s level "evaluate": justify a position or judge between alternatives using the lesson',
+        create: 'Bloom\'s level "create": combine ideas from the lesson into a new design, plan or explanation'
+    };
 
     /**
-     * Initialize Google Gemini client
+     * Initialize the configured LLM provider
      */
     static initialize() {
-        if (!this.model) {
-            const apiKey = process.env.GEMINI_API_KEY;
-            
-            console.log('Initializing Gemini AI...');
-            console.log('API Key exists:', !!apiKey);
-            console.log('AI Model:', process.env.AI_MODEL || 'gemini-2.0-flash-exp');
-            
-            if (!apiKey) {
-                console.error('GEMINI_API_KEY is not set in environment variables');
-                throw new Error('GEMINI_API_KEY is not set in environment variables');
-            }
+        if (!this.provider) {
+            logger.info(`Initializing AI provider: ${process.env.AI_PROVIDER || 'gemini'}`);
 
             try {
-                this.genAI = new GoogleGenerativeAI(apiKey);
-                this.model = this.genAI.getGenerativeModel({ 
-                    model: process.env.AI_MODEL || 'gemini-2.0-flash-exp'
-                });
-
-                console.log('Google Gemini client initialized successfully');
-                logger.info('Google Gemini client initialized');
+                this.provider = createProvider();
+                logger.info(`AI provider initialized: ${this.provider.name} (${this.provider.model})`);
             } catch (error) {
-                console.error('Error initializing Gemini:', error);
+                logger.error('Error initializing AI provider:', error);
                 throw error;
             }
         }
     }
 
+    /**
+     * Replace the active provider (used for tests and offline tooling)
+     * @param {Object} provider - Provider implementing generate(prompt, options)
+     */
+    static setProvider(provider) {
+        this.provider = provider;
+    }
+
+    /**
+     * Identify the active provider and model, e.g. "gemini:gemini-1.5-flash".
+     * Part of cache keys so a model change never serves results from another model.
+     * @returns {string}
+     */
+    static getModelKey() {
+        this.initialize();
+        return `${this.provider.name}:${this.provider.model}`;
+    }
+
+    /**
+     * Send a prompt to the active provider. Each attempt has a time limit; rate limits, outages
+     * and timeouts are retried with backoff (honoring retry-after hints), and a circuit breaker
+     * fails calls fast while the provider keeps failing. Inside a request, each call counts
+     * against the caller's daily quota (retries don't, nor do calls the circuit breaker turns away).
+     * @param {string} prompt - Prompt text
+     * @param {Object} [options] - Generation options (task, ...)
+     * @param {Function} [options.onToken] - Stream the text: called with each piece as it arrives
+     *   (once with the whole text when the provider cannot stream)
+     * @returns {Promise<string>} - Generated text
+     */
+    static async generate(prompt, { onToken, ...options } = {}) {
+        this.initialize();
+
+        const quota = getContext()?.quota;
+        if (quota) {
+            await QuotaService.consume(quota.subject, quota.limit);
+        }
+
+        try {
+            return await this.send(prompt, onToken, options);
+        } catch (error) {
+            // Calls the circuit breaker turned away never reached the provider
+            if (quota && error.code === ErrorCodes.AI_CIRCUIT_OPEN) {
+                await QuotaService.refund(quota.subject);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Send a prompt to the provider, streaming it when there is a token listener
+     * @param {string} prompt - Prompt text
+     * @param {Function} [onToken] - Token listener (see generate)
+     * @param {Object} options - Generation options
+     * @returns {Promise<string>} - Generated text
+     */
+    static async send(prompt, onToken, options) {
+        if (!onToken) {
+            return this.invoke(signal => this.provider.generate(prompt, { ...options, signal }), options.task);
+        }
+
+        // A stream can only be retried until its first token has been passed on
+        let streamed = false;
+
+        // The time limit applies to the first token and to each pause between tokens, not to the whole stream
+        return this.invoke(async (signal, keepAlive) => {
+            const emit = (text) => {
+                streamed = true;
+                keepAlive();
+                onToken(text);
+            };
+
+            if (typeof this.provider.generateStream === 'function') {
+                return this.provider.generateStream(prompt, { ...options, signal }, emit);
+            }
+
+            const text = await this.provider.generate(prompt, { ...options, signal });
+            emit(text);
+            return text;
+        }, options.task, () => !streamed, { idleTimeout: true });
+    }
+
+    /**
+     * Run one provider call with timeouts, retries and the circuit breaker
+     * @param {Function} call - (signal, keepAlive) => Promise<string>
+     * @param {string} [task] - Task name for logs
+     * @param {Function} [canRetry] - () => boolean; false stops further attempts
+     * @param {Object} [options] - { idleTimeout }: the time limit restarts whenever the call calls keepAlive
+     * @returns {Promise<string>}
+     */
+    static async invoke(call, task = 'generate', canRetry = () => true, { idleTimeout = false } = {}) {
+        const config = this.getResilienceConfig();
+
+        return this.getBreaker().call(() => withRetry(({ signal, keepAlive }) => call(signal, keepAlive), {
+            retries: config.retries,
+            timeoutMs: config.timeoutMs,
+            idleTimeout,
+            baseDelayMs: config.baseDelayMs,
+            maxDelayMs: config.maxDelayMs,
+            maxWaitMs: config.maxWaitMs,
+            createTimeoutError: () => new AIProviderError('AI service took too long to respond. Please try again.', {
+                code: ErrorCodes.AI_TIMEOUT,
+                statusCode: 504
+            }),
+            shouldRetry: error => this.isTransientError(error) && canRetry(),
+            onRetry: (error, attempt, delay) => {
+                logger.warn(`AI ${task} call failed (${error.code || error.message}); retry ${attempt}/${config.retries} in ${Math.round(delay)}ms`);
+            }
+        }));
+    }
+
+    /**
+     * Whether a provider error is temporary (worth retrying, and a sign the provider is struggling)
+     * @param {Error} error - Error
+     * @returns {boolean}
+     */
+    static isTransientError(error) {
+        return error instanceof AppError && this.TRANSIENT_ERRORS.has(error.code);
+    }
+
+    /**
+     * Whether an error should stop generation instead of being worked around (see FATAL_ERRORS):
+     * the caller's quota is used up, the circuit is open or the provider rejected our credentials
+     * @param {Error} error - Error
+     * @returns {boolean}
+     */
+    static isFatalError(error) {
+        return error instanceof AppError && this.FATAL_ERRORS.has(error.code);
+    }
+
+    /**
+     * Timeout, retry and circuit breaker settings
+     * @returns {Object}
+     */
+    static getResilienceConfig() {
+        const number = (value, fallback) => (Number.isFinite(parseInt(value)) ? parseInt(value) : fallback);
+
+        return {
+            timeoutMs: number(process.env.AI_TIMEOUT_MS, 60000),
+            retries: number(process.env.AI_MAX_RETRIES, 3),
+            baseDelayMs: number(process.env.AI_RETRY_BASE_MS, 500),
+            maxDelayMs: number(process.env.AI_RETRY_MAX_DELAY_MS, 8000),
+            // Retry-after hints longer than this fail straight away and are passed on to the client
+            maxWaitMs: number(process.env.AI_RETRY_MAX_WAIT_MS, 30000),
+            failureThreshold: number(process.env.AI_CIRCUIT_THRESHOLD, 5),
+            cooldownMs: number(process.env.AI_CIRCUIT_COOLDOWN_MS, 30000)
+        };
+    }
+
+    /**
+     * Circuit breaker shared by every provider call
+     * @returns {CircuitBreaker}
+     */
+    static getBreaker() {
+        if (!this.breaker) {
+            const { failureThreshold, cooldownMs } = this.getResilienceConfig();
+
+            this.breaker = new CircuitBreaker({
+                name: 'ai-provider',
+                failureThreshold,
+                cooldownMs,
+                isFailure: error => this.isTransientError(error),
+                createOpenError: retryAfter => new AIProviderError('AI service is temporarily unavailable. Please try again shortly.', {
+                    code: ErrorCodes.AI_CIRCUIT_OPEN,
+                    statusCode: 503,
+                    retryAfter
+                })
+            });
+        }
+        return this.breaker;
+    }
+
+    /**
+     * Provider and circuit breaker state for the health endpoint
+     * @returns {Object} - { provider, model, circuit }
+     */
+    static getHealth() {
+        return {
+            provider: this.provider?.name || process.env.AI_PROVIDER || 'gemini',
+            model: this.provider?.model || null,
+            circuit: this.getBreaker().getState()
+        };
+    }
+
     /**
      * Process transcript and generate all learning materials
      * @param {string} transcript - Video transcript
      * @param {string} videoId - YouTube video ID
-     * @returns {Promise<Object>} - Learning materials object
+     * @param {Object} [options] - Generation options
+     * @param {Object} [options.quiz] - Resolved quiz options (see QuizService.resolveOptions)
+     * @param {Function} [options.onProgress] - Called with { stage, detail, partial } as
+     *   the chunk, summarize and quiz stages start
+     * @param {Function} [options.onSummaryToken] - Stream the final summary: called with each
+     *   piece of text as the model produces it (uses per-part generation for the summary)
+     * @param {Function} [options.onQuestion] - Called with each quiz question once it is validated
+     * @param {string} [options.outputLanguage] - Language tag for the generated materials
+     *   (default English, whatever language the transcript is in)
+     * @param {Array<string>} [options.include] - Optional materials to generate: flashcards and study notes (see NotesService.INCLUDE_OPTIONS)
+     * @param {Object} [options.promptVariants] - Prompt template variant per template name (see PromptRegistry.resolveVariants)
+     * @returns {Promise<Object>} - Learning materials object; `flashcards` is null unless included,
+     *   `notes` holds the included study notes and `prompts` the IDs of the prompt templates used
      */
-    static async processTranscript(transcript, videoId) {
+    static async processTranscript(transcript, videoId, options = {}) {
         this.initialize();
 
-        try {
-            // Truncate transcript if too long (to fit within token limits)
-            const processedTranscript = this.truncateTranscript(transcript, 12000);
+        const quizOptions = options.quiz || QuizService.DEFAULT_OPTIONS;
+        const events = {
+            onProgress: options.onProgress || (() => {}),
+            onSummaryToken: options.onSummaryToken || null,
+            onQuestion: options.onQuestion || null,
+            language: options.outputLanguage || null,
+            include: options.include || [],
+            prompts: PromptRegistry.select(options.promptVariants)
+        };
 
+        try {
             logger.info('Generating learning materials with AI...');
 
-            // Generate all materials in parallel for efficiency
-            const [summary, keyPoints, quiz] = await Promise.all([
-                this.generateSummary(processedTranscript),
-                this.generateKeyPoints(processedTranscript),
-                this.generateQuiz(processedTranscript)
-            ]);
+            const materials = transcript.length <= this.SINGLE_PASS_LIMIT
+                ? await this.processSinglePass(transcript, quizOptions, events)
+                : await this.processMapReduce(transcript, quizOptions, events);
 
-            return {
-                title: await this.extractTitle(processedTranscript),
-                summary,
-                keyPoints,
-                quiz
-            };
+            return { ...materials, prompts: events.prompts.used };
 
         } catch (error) {
             console.error('AI processing error:', error);
@@ -75,91 +360,408 @@ export class AIService {
             console.error('Error stack:', error.stack);
             logger.error('AI processing error:', error);
             logger.error('Error details:', error.message, error.stack);
-            
-            // Provide specific error messages
-            if (error.message.includes('429') || error.message.includes('quota')) {
-                throw new Error('API quota exceeded. Please try again later or upgrade your API plan.');
-            } else if (error.message.includes('404') || error.message.includes('not found')) {
-                throw new Error('AI model not available. Please check your API configuration.');
-            } else if (error.message.includes('API key')) {
-                throw new Error('Invalid API key. Please check your configuration.');
-            } else {
-                throw new Error(`Failed to generate learning materials: ${error.message}`);
-            }
+
+            // Providers and services throw typed errors, which the error handler maps directly
+            throw error;
         }
     }
 
     /**
-     * Generate concise summary from transcript
+     * Generate all materials from a transcript that fits in one prompt
      * @param {string} transcript - Video transcript
-     * @returns {Promise<string>} - Summary text
+     * @param {Object} quizOptions - Resolved quiz options
+     * @param {Object} events - { onProgress, onSummaryToken, onQuestion } listeners, output language, included materials and prompt selection
+     * @returns {Promise<Object>} - Learning materials object
+     */
+    static async processSinglePass(transcript, quizOptions, { onProgress, onSummaryToken, onQuestion, language, include, prompts }) {
+        onProgress({ stage: 'chunk', partial: { chunks: 1 } });
+        onProgress({ stage: 'summarize' });
+        const materials = await this.generateMaterials(transcript, quizOptions.questionCount, { quizOptions, onSummaryToken, language, include, prompts });
+
+        const flashcards = materials.flashcards && FlashcardService.finalize(materials.flashcards, materials.title, this.FLASHCARD_COUNT);
+        const notes = NotesService.finalize(materials.notes);
+
+        onProgress({
+            stage: 'quiz',
+            partial: { title: materials.title, summary: materials.summary, keyPoints: materials.keyPoints, ...(flashcards && { flashcards }), ...notes }
+        });
+        const { quiz, quality } = await this.finalizeQuiz(materials.questions, [transcript], quizOptions, { onQuestion, language, prompts });
+
+        return {
+            title: materials.title,
+            summary: materials.summary,
+            keyPoints: materials.keyPoints,
+            flashcards,
+            notes,
+            quiz,
+            quizQuality: quality,
+            chunks: 1,
+            mode: materials.mode
+        };
+    }
+
+    /**
+     * Generate materials for a long transcript by processing each chunk (map)
+     * and merging the partial results into one set covering the whole video (reduce)
+     * @param {string} transcript - Video transcript
+     * @param {Object} quizOptions - Resolved quiz options
+     * @param {Object} events - { onProgress, onSummaryToken, onQuestion } listeners, output language, included materials and prompt selection
+     * @returns {Promise<Object>} - Learning materials object
      */
-    static async generateSummary(transcript) {
+    static async processMapReduce(transcript, quizOptions, { onProgress, onSummaryToken, onQuestion, language, include, prompts }) {
+        const chunks = TranscriptService.segmentTranscript(transcript, this.CHUNK_SIZE);
+        onProgress({ stage: 'chunk', partial: { chunks: chunks.length } });
+        const concurrency = parseInt(process.env.AI_CHUNK_CONCURRENCY) || 2;
+        // Ask for a few spare questions per chunk so deduplication still leaves enough
+        const questionsPerChunk = Math.max(3, Math.ceil(quizOptions.questionCount / chunks.length) + 1);
+        const flashcardsPerChunk = this.flashcardsPerChunk(chunks.length);
+
+        logger.info(`Long transcript (${transcript.length} chars): processing ${chunks.length} chunks`);
+
+        let processed = 0;
+        onProgress({ stage: 'summarize', detail: `0/${chunks.length} chunks` });
+        const partials = await mapWithConcurrency(chunks, concurrency, async (chunk, index) => {
+            logger.info(`Processing chunk ${index + 1}/${chunks.length}`);
+
+            const partial = await this.generateMaterials(chunk, questionsPerChunk, { withTitle: false, quizOptions, language, flashcardCount: flashcardsPerChunk, include, prompts });
+            onProgress({ stage: 'summarize', detail: `${++processed}/${chunks.length} chunks` });
+            return partial;
+        });
+
+        const summary = await this.mergeSummaries(partials.map(partial => partial.summary), { onToken: onSummaryToken, language, prompts });
+        const title = await this.extractTitle(summary, { language, prompts });
+
+        const keyPoints = this.mergeByChunk(
+            partials.map(partial => partial.keyPoints),
+            point => point,
+            this.MAX_MERGED_KEY_POINTS
+        );
+
+        const questions = this.mergeByChunk(
+            partials.map(partial => partial.questions),
+            question => QuizService.describeQuestion(QuizService.normalizeQuestion(question)),
+            quizOptions.questionCount
+        );
+
+        const flashcards = include.includes('flashcards')
+            ? this.mergeFlashcards(partials.map(partial => partial.flashcards), title)
+            : null;
+
+        const notes = NotesService.merge(partials.map(partial => partial.notes));
+
+        onProgress({ stage: 'quiz', partial: { title, summary, keyPoints, ...(flashcards && { flashcards }), ...notes } });
+        const { quiz, quality } = await this.finalizeQuiz(questions, chunks, quizOptions, { onQuestion, language, prompts });
+
+        return {
+            title,
+            summary,
+            keyPoints,
+            flashcards,
+            notes,
+            quiz,
+            quizQuality: quality,
+            chunks: chunks.length,
+            mode: partials.every(partial => partial.mode === 'structured') ? 'structured' : 'per-part'
+        };
+    }
+
+    /**
+     * Generate the flashcard deck for a transcript on its own, e.g. for a set generated without
+     * flashcards; long transcripts get cards per chunk, merged as in processMapReduce
+     * @param {string} transcript - Video transcript
+     * @param {Object} [options] - Options
+     * @param {string} [options.title] - Lesson title, used for tags
+     * @param {string} [options.language] - Output language tag
+     * @returns {Promise<Array<Object>>} - Cards { id, type, front, back, tags }
+     */
+    static async createFlashcards(transcript, { title = '', language = null } = {}) {
+        this.initialize();
+
+        if (transcript.length <= this.SINGLE_PASS_LIMIT) {
+            return FlashcardService.finalize(await this.generateFlashcards(transcript, { language }), title, this.FLASHCARD_COUNT);
+        }
+
+        const chunks = TranscriptService.segmentTranscript(transcript, this.CHUNK_SIZE);
+        const count = this.flashcardsPerChunk(chunks.length);
+        logger.info(`Generating flashcards for ${chunks.length} chunks`);
+
+        const groups = await mapWithConcurrency(chunks, parseInt(process.env.AI_CHUNK_CONCURRENCY) || 2,
+            chunk => this.generateFlashcards(chunk, { count, language }));
+        return this.mergeFlashcards(groups, title);
+    }
+
+    /**
+     * Number of flashcards to request per chunk, with a few spare so deduplication still leaves enough
+     * @param {number} chunkCount - Number of chunks
+     * @returns {number}
+     */
+    static flashcardsPerChunk(chunkCount) {
+        return Math.max(5, Math.ceil(this.MAX_MERGED_FLASHCARDS / chunkCount) + 2);
+    }
+
+    /**
+     * Merge the flashcards generated for each chunk into one deck
+     * @param {Array<Array<Object>>} groups - Raw cards per chunk, in transcript order
+     * @param {string} title - Lesson title, used for tags
+     * @returns {Array<Object>} - Cards { id, type, front, back, tags }
+     */
+    static mergeFlashcards(groups, title) {
+        return FlashcardService.finalize(
+            this.mergeByChunk(
+                groups.map(cards => cards.map(card => FlashcardService.normalizeCard(card)).filter(Boolean)),
+                card => FlashcardService.describeCard(card),
+                this.MAX_MERGED_FLASHCARDS
+            ),
+            title
+        );
+    }
+
+    /**
+     * Whether to request all materials in one schema-constrained call
+     * @returns {boolean}
+     */
+    static useStructuredOutput() {
+        return process.env.AI_GENERATION_MODE !== 'per-part' && !!this.provider?.supportsResponseSchema;
+    }
+
+    /**
+     * Generate title, summary, key points and questions for a transcript (or chunk), plus the included
+     * flashcards and study notes.
+     * Uses a single structured call, following the chosen prompt variants' one-line instructions, when
+     * the provider supports response schemas; otherwise (when a chosen template has no such instructions,
+     * or the structured output is invalid) one call per part.
+     * Flashcards and study notes always have calls of their own, in parallel with the rest.
+     * @param {string} transcript - Transcript text
+     * @param {number} questionCount - Number of questions to request
+     * @param {Object} [options] - Options
+     * @param {boolean} [options.withTitle] - Whether a title is needed
+     * @param {Object} [options.quizOptions] - Resolved quiz options
+     * @param {Function} [options.onSummaryToken] - Stream the summary (forces per-part generation,
+     *   since a structured response can't be shown until it is complete)
+     * @param {string} [options.language] - Output language tag
+     * @param {number} [options.flashcardCount] - Number of flashcards to request
+     * @param {Array<string>} [options.include] - Optional materials to generate (flashcards and study notes)
+     * @param {Object} [options.prompts] - Prompt selection (see PromptRegistry.select)
+     * @returns {Promise<Object>} - { title, summary, keyPoints, questions, flashcards, notes, mode };
+     *   flashcards is null unless included
+     */
+    static async generateMaterials(transcript, questionCount, { withTitle = true, quizOptions = QuizService.DEFAULT_OPTIONS, onSummaryToken = null, language = null, flashcardCount = this.FLASHCARD_COUNT, include = [], prompts = PromptRegistry.select() } = {}) {
+        this.initialize();
+
+        const withFlashcards = include.includes('flashcards');
+        let flashcards = null;
+        let notes = null;
+
+        const structuredCall = this.useStructuredOutput() && !onSummaryToken;
+        const specs = structuredCall ? prompts.renderStructured(['title', 'summary', 'keyPoints', 'quiz'], { questionCount }) : null;
+        if (structuredCall && !specs) {
+            logger.warn('A chosen prompt template has no structured instructions; generating per part');
+        }
+
+        if (specs) {
+            let structured;
+            [structured, flashcards, notes] = await Promise.all([
+                this.generateStructured(transcript, questionCount, quizOptions, language, prompts, specs),
+                withFlashcards ? this.generateFlashcards(transcript, { count: flashcardCount, language }) : null,
+                this.generateNotes(transcript, include, { language })
+            ]);
+
+            if (structured) {
+                return {
+                    title: withTitle ? structured.title : null,
+                    summary: structured.summary,
+                    keyPoints: structured.keyPoints.slice(0, this.MAX_KEY_POINTS),
+                    questions: structured.quiz.slice(0, questionCount),
+                    flashcards,
+                    notes,
+                    mode: 'structured'
+                };
+            }
+            logger.warn('Structured output was invalid, falling back to per-part generation');
+        }
+
+        // Generate all materials in parallel for efficiency
+        const [summary, keyPoints, questions, cards, studyNotes] = await Promise.all([
+            this.generateSummary(transcript, { onToken: onSummaryToken, language, prompts }),
+            this.generateKeyPoints(transcript, { language, prompts }),
+            this.generateQuestions(transcript, questionCount, { quizOptions, language, prompts }),
+            flashcards ?? (withFlashcards ? this.generateFlashcards(transcript, { count: flashcardCount, language }) : null),
+            notes ?? this.generateNotes(transcript, include, { language })
+        ]);
+
+        return {
+            title: withTitle ? await this.extractTitle(transcript, { language, prompts }) : null,
+            summary,
+            keyPoints,
+            questions,
+            flashcards: cards,
+            notes: studyNotes,
+            mode: 'per-part'
+        };
+    }
+
+    /**
+     * Generate all materials in one call constrained by MATERIALS_SCHEMA
+     * @param {string} transcript - Transcript text
+     * @param {number} questionCount - Number of questions to request
+     * @param {Object} quizOptions - Resolved quiz options
+     * @param {string} [language] - Output language tag
+     * @param {Object} prompts - Prompt selection (see PromptRegistry.select)
+     * @param {Object} specs - { title, summary, keyPoints, quiz } instructions from the chosen templates
+     *   (see PromptSelection.renderStructured)
+     * @returns {Promise<Object|null>} - Validated materials, or null if the output was unusable
+     */
+    static async generateStructured(transcript, questionCount, quizOptions, language, prompts, { title, summary, keyPoints, quiz }) {
+        const prompt = prompts.render('materials', {
+            transcript,
+            questionCount,
+            titleSpec: title,
+            summarySpec: summary,
+            keyPointsSpec: keyPoints,
+            quizSpec: quiz,
+            quizInstructions: this.buildQuizInstructions(questionCount, quizOptions),
+            quizExample: this.buildQuizExample(quizOptions),
+            languageInstructions: this.buildLanguageInstructions(language, { json: true })
+        });
+
+        const content = await this.generate(prompt, {
+            task: 'materials',
+            responseSchema: toProviderSchema(MATERIALS_SCHEMA)
+        });
+
+        let materials;
+        try {
+            materials = this.extractJSON(content);
+        } catch (error) {
+            logger.warn('Structured output is not valid JSON:', error.message);
+            return null;
+        }
+
+        const errors = validateSchema(materials, MATERIALS_ENVELOPE_SCHEMA);
+        if (errors.length > 0) {
+            logger.warn(`Structured output failed schema validation: ${errors.slice(0, 5).join('; ')}`);
+            return null;
+        }
+
+        return materials;
+    }
+
+    /**
+     * Deduplicate per-chunk items and select a limited set spread across all chunks
+     * @param {Array<Array>} groups - Items per chunk
+     * @param {Function} getText - Returns the text used to detect duplicates
+     * @param {number} limit - Maximum number of items
+     * @returns {Array} - Merged items in transcript order
+     */
+    static mergeByChunk(groups, getText, limit) {
+        const tagged = groups.flatMap((items, chunk) => items.map(item => ({ chunk, item })));
+        const unique = dedupeBySimilarity(tagged, entry => getText(entry.item));
+        const regrouped = groups.map((_, chunk) =>
+            unique.filter(entry => entry.chunk === chunk).map(entry => entry.item)
+        );
+
+        return pickEvenly(regrouped, limit);
+    }
+
+    /**
+     * Combine per-chunk summaries into one summary of the whole video
+     * @param {Array<string>} summaries - Partial summaries in transcript order
+     * @param {Object} [options] - Options
+     * @param {Function} [options.onToken] - Stream the summary as it is generated
+     * @param {string} [options.language] - Output language tag
+     * @param {Object} [options.prompts] - Prompt selection (see PromptRegistry.select)
+     * @returns {Promise<string>} - Final summary
+     */
+    static async mergeSummaries(summaries, { onToken, language, prompts = PromptRegistry.select() } = {}) {
+        const sections = summaries
+            .map((summary, index) => `[Part ${index + 1}]\n${summary}`)
+            .join('\n\n');
+
+        const prompt = prompts.render('mergeSummaries', { sections, languageInstructions: this.buildLanguageInstructions(language) });
+
+        try {
+            return await this.generate(prompt, { task: 'summary', onToken });
+
+        } catch (error) {
+            logger.error('Error merging summaries:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Write a course overview from the summaries of its lectures
+     * @param {Array<{title: string, summary: string}>} lectures - Lectures in course order
+     * @param {Object} [options] - Options
+     * @param {string} [options.language] - Output language tag
+     * @returns {Promise<string>} - Course summary
+     */
+    static async summarizeCourse(lectures, { language } = {}) {
+        const sections = lectures
+            .map((lecture, index) => `[Lecture ${index + 1}: ${lecture.title}]\n${lecture.summary}`)
+            .join('\n\n');
+
         const prompt = `You are an expert educational content summarizer.
 
-TRANSCRIPT:
-${transcript}
+SECTION SUMMARIES:
+${sections}
 
 TASK:
-Create a concise, exam-oriented summary of this educational content.
+These are summaries of the lectures of one course, in order. Write an overview of the whole course for a student revising for the final exam.
 
 REQUIREMENTS:
-- Write 2-3 clear paragraphs
+- Write 3-6 clear paragraphs
+- Show how the course progresses and how later lectures build on earlier ones
+- Name the lectures where each main topic is taught
+- Remove repetition between lectures
 - Use simple, student-friendly language
-- Focus on main concepts and key takeaways
-- Make it suitable for quick revision
-- Stay factual - only use information from the transcript
-- No external information or assumptions
+- Stay factual - only use information from the lecture summaries${this.buildLanguageInstructions(language)}
 
 OUTPUT FORMAT:
 Plain text summary, well-structured paragraphs.`;
 
         try {
-            this.initialize();
-            const result = await this.model.generateContent(prompt);
-            const response = await result.response;
-            return response.text().trim();
+            return await this.generate(prompt, { task: 'courseSummary' });
 
         } catch (error) {
-            logger.error('Error generating summary:', error);
+            logger.error('Error summarizing course:', error);
             throw error;
         }
     }
 
     /**
-     * Extract key learning points from transcript
+     * Generate concise summary from transcript
      * @param {string} transcript - Video transcript
-     * @returns {Promise<Array<string>>} - Array of key points
+     * @param {Object} [options] - Options
+     * @param {Function} [options.onToken] - Stream the summary as it is generated
+     * @param {string} [options.language] - Output language tag
+     * @param {Object} [options.prompts] - Prompt selection (see PromptRegistry.select)
+     * @returns {Promise<string>} - Summary text
      */
-    static async generateKeyPoints(transcript) {
-        const prompt = `You are an expert at extracting key learning points from educational content.
-
-TRANSCRIPT:
-${transcript}
+    static async generateSummary(transcript, { onToken, language, prompts = PromptRegistry.select() } = {}) {
+        const prompt = prompts.render('summary', { transcript, languageInstructions: this.buildLanguageInstructions(language) });
 
-TASK:
-Extract 6-10 key learning points from this content.
+        try {
+            return await this.generate(prompt, { task: 'summary', onToken });
 
-REQUIREMENTS:
-- Each point should be clear and concise (1-2 sentences max)
-- Focus on important concepts, facts, and takeaways
-- Make them exam-friendly and revision-ready
-- Use bullet-point style
-- Only include information from the transcript
-- Ensure points are distinct (no repetition)
+        } catch (error) {
+            logger.error('Error generating summary:', error);
+            throw error;
+        }
+    }
 
-OUTPUT FORMAT:
-Return ONLY the bullet points, one per line, without numbers or extra formatting.
-Example:
-- Point one here
-- Point two here
-- Point three here`;
+    /**
+     * Extract key learning points from transcript
+     * @param {string} transcript - Video transcript
+     * @param {Object} [options] - Options
+     * @param {string} [options.language] - Output language tag
+     * @param {Object} [options.prompts] - Prompt selection (see PromptRegistry.select)
+     * @returns {Promise<Array<string>>} - Array of key points
+     */
+    static async generateKeyPoints(transcript, { language, prompts = PromptRegistry.select() } = {}) {
+        const prompt = prompts.render('keyPoints', { transcript, languageInstructions: this.buildLanguageInstructions(language) });
 
         try {
-            this.initialize();
-            const result = await this.model.generateContent(prompt);
-            const response = await result.response;
-            const content = response.text().trim();
+            const content = await this.generate(prompt, { task: 'keyPoints' });
             
             // Parse bullet points
             const points = content
@@ -169,7 +771,7 @@ Example:
                 .filter(point => point.length > 0);
 
             // Ensure we have 6-10 points
-            return points.slice(0, 10);
+            return points.slice(0, this.MAX_KEY_POINTS);
 
         } catch (error) {
             logger.error('Error generating key points:', error);
@@ -178,83 +780,229 @@ Example:
     }
 
     /**
-     * Generate exactly 10 quiz questions from transcript
-     * @param {string} transcript - Video transcript
-     * @returns {Promise<Array<Object>>} - Array of quiz questions
+     * Generate spaced-repetition flashcards from transcript: basic front/back cards
+     * and cloze cards with {{c1::...}} deletions
+     * @param {string} transcript - Video transcript (or one chunk of it)
+     * @param {Object} [options] - Options
+     * @param {number} [options.count] - Number of cards to request
+     * @param {string} [options.language] - Output language tag
+     * @returns {Promise<Array<Object>>} - Raw cards ({ type, front, back }); empty if the response was unusable
      */
-    static async generateQuiz(transcript) {
-        const prompt = `You are an expert exam question creator for educational content.
+    static async generateFlashcards(transcript, { count = this.FLASHCARD_COUNT, language } = {}) {
+        const prompt = `You are an expert at writing spaced-repetition flashcards from educational content.
 
 TRANSCRIPT:
 ${transcript}
 
 TASK:
-Create EXACTLY 10 multiple-choice quiz questions based STRICTLY on the transcript content.
+Write ${count} flashcards covering the most important facts, terms and ideas in this content.
 
-CRITICAL REQUIREMENTS:
-- Generate EXACTLY 10 questions (no more, no less)
-- Base ALL questions on facts from the transcript only
-- Each question must have 4 options (A, B, C, D)
-- Only ONE correct answer per question
-- Include a brief explanation for the correct answer
-- Questions should test understanding, not just memorization
-- Progressive difficulty (start easy, get harder)
-- No repetitive questions
+CARD TYPES:
+- "basic": "front" is a short question or prompt, "back" is its answer (a word, phrase or one sentence)
+- "cloze": "front" is one self-contained sentence from the lesson with the key term wrapped as {{c1::term}} (use {{c2::...}} for a second term on the same card); "back" is optional extra context or ""
 
-OUTPUT FORMAT (STRICT JSON):
-Return a valid JSON array with EXACTLY this structure:
+REQUIREMENTS:
+- About a third of the cards should be cloze cards
+- One fact per card; keep both sides short
+- Every card must make sense on its own, without the video
+- Only use information from the transcript
+- No duplicate cards${this.buildLanguageInstructions(language, { json: true })}
 
+OUTPUT FORMAT:
+[
+  { "type": "basic", "front": "What does the chloroplast do?", "back": "Converts light energy into chemical energy" },
+  { "type": "cloze", "front": "Photosynthesis takes place in the {{c1::chloroplasts}}.", "back": "" }
+]
+
+IMPORTANT: Return ONLY the JSON array, no other text.`;
+
+        try {
+            const content = await this.generate(prompt, {
+                task: 'flashcards',
+                responseSchema: toProviderSchema(FLASHCARDS_SCHEMA)
+            });
+            const cards = this.extractJSON(content);
+
+            return Array.isArray(cards) ? cards.slice(0, count) : [];
+
+        } catch (error) {
+            // Flashcards are a bonus: an unusable response shouldn't fail the whole set
+            if (error.code === ErrorCodes.AI_INVALID_RESPONSE) {
+                logger.warn('Flashcard response was unusable:', error.message);
+                return [];
+            }
+            logger.error('Error generating flashcards:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Generate the requested study notes, each with a call of its own
+     * @param {string} transcript - Video transcript (or one chunk of it)
+     * @param {Array<string>} include - Included materials (see NotesService.INCLUDE_OPTIONS); names that aren't notes are ignored
+     * @param {Object} [options] - Options
+     * @param {string} [options.language] - Output language tag
+     * @returns {Promise<Object>} - Raw notes by name, e.g. { outline, glossary }; empty when no notes are included
+     */
+    static async generateNotes(transcript, include, { language } = {}) {
+        const generators = {
+            outline: () => this.generateOutline(transcript, { language }),
+            glossary: () => this.generateGlossary(transcript, { language }),
+            conceptMap: () => this.generateConceptMap(transcript, { language })
+        };
+
+        const names = include.filter(name => NotesService.NOTES.includes(name));
+        const notes = await Promise.all(names.map(name => generators[name]()));
+        return Object.fromEntries(names.map((name, index) => [name, notes[index]]));
+    }
+
+    /**
+     * Generate a hierarchical outline of the lecture's sections
+     * @param {string} transcript - Video transcript (or one chunk of it)
+     * @param {Object} [options] - Options
+     * @param {string} [options.language] - Output language tag
+     * @returns {Promise<Array<Object>>} - Raw sections ({ title, points, subsections }); empty if the response was unusable
+     */
+    static async generateOutline(transcript, { language } = {}) {
+        const prompt = `You are an expert at structuring lecture notes.
+
+TRANSCRIPT:
+${transcript}
+
+TASK:
+Write an outline of this content: the sections the lecture moves through, in the order it covers them.
+
+REQUIREMENTS:
+- 3-${NotesService.MAX_SECTIONS} sections, each with a short descriptive "title"
+- "points" are the 1-4 main ideas of a section, each a short phrase or sentence
+- Use "subsections" (each with "title" and "points") only where a section clearly has parts; otherwise []
+- Follow the lecture's own order and structure
+- Only use information from the transcript${this.buildLanguageInstructions(language, { json: true })}
+
+OUTPUT FORMAT:
 [
   {
-    "question": "Question text here?",
-    "options": ["Option A", "Option B", "Option C", "Option D"],
-    "correctAnswer": "A",
-    "explanation": "Brief explanation why this is correct"
+    "title": "What photosynthesis is",
+    "points": ["Plants turn light into chemical energy", "It happens in the chloroplasts"],
+    "subsections": []
   }
 ]
 
 IMPORTANT: Return ONLY the JSON array, no other text.`;
 
+        return this.generateNote(prompt, 'outline', OUTLINE_SCHEMA, []);
+    }
+
+    /**
+     * Generate a glossary of the technical terms the lecture defines or explains
+     * @param {string} transcript - Video transcript (or one chunk of it)
+     * @param {Object} [options] - Options
+     * @param {string} [options.language] - Output language tag
+     * @returns {Promise<Array<Object>>} - Raw entries ({ term, definition }); empty if the response was unusable
+     */
+    static async generateGlossary(transcript, { language } = {}) {
+        const prompt = `You are an expert at writing glossaries for students.
+
+TRANSCRIPT:
+${transcript}
+
+TASK:
+List the technical terms this content defines or explains, with their definitions.
+
+REQUIREMENTS:
+- Up to ${NotesService.MAX_GLOSSARY_TERMS} terms; only terms that are specific to the subject, not everyday words
+- Each "definition" is one or two sentences, as the lecture explains the term
+- Only include terms the transcript actually explains; no external definitions
+- No duplicate terms${this.buildLanguageInstructions(language, { json: true })}
+
+OUTPUT FORMAT:
+[
+  { "term": "Chloroplast", "definition": "The part of a plant cell where photosynthesis takes place." }
+]
+
+IMPORTANT: Return ONLY the JSON array, no other text.`;
+
+        return this.generateNote(prompt, 'glossary', GLOSSARY_SCHEMA, []);
+    }
+
+    /**
+     * Generate a concept map: the lecture's main concepts and how they relate
+     * @param {string} transcript - Video transcript (or one chunk of it)
+     * @param {Object} [options] - Options
+     * @param {string} [options.language] - Output language tag
+     * @returns {Promise<Object>} - Raw map ({ nodes, edges }); empty if the response was unusable
+     */
+    static async generateConceptMap(transcript, { language } = {}) {
+        const prompt = `You are an expert at building concept maps for students.
+
+TRANSCRIPT:
+${transcript}
+
+TASK:
+Build a concept map of this content: its main concepts ("nodes") and how they relate ("edges").
+
+REQUIREMENTS:
+- 5-${NotesService.MAX_CONCEPTS} nodes, each a short concept name (1-4 words) with a unique "id"
+- Each edge goes "from" one node ID "to" another, with a short verb phrase "label" that reads from -> to (e.g. "produces", "is part of")
+- Every node should have at least one edge
+- Only use concepts and relations from the transcript${this.buildLanguageInstructions(language, { json: true })}
+
+OUTPUT FORMAT:
+{
+  "nodes": [{ "id": "photosynthesis", "label": "Photosynthesis" }, { "id": "glucose", "label": "Glucose" }],
+  "edges": [{ "from": "photosynthesis", "to": "glucose", "label": "produces" }]
+}
+
+IMPORTANT: Return ONLY the JSON object, no other text.`;
+
+        return this.generateNote(prompt, 'conceptMap', CONCEPT_MAP_SCHEMA, { nodes: [], edges: [] });
+    }
+
+    /**
+     * Run a study notes prompt and parse its JSON. Items are validated by NotesService,
+     * so only the overall shape is checked here.
+     * @param {string} prompt - Prompt text
+     * @param {string} task - Task name
+     * @param {Object} schema - Response schema
+     * @param {*} fallback - Returned when the response is unusable
+     * @returns {Promise<*>} - Parsed response, or the fallback
+     */
+    static async generateNote(prompt, task, schema, fallback) {
         try {
-            this.initialize();
-            const result = await this.model.generateContent(prompt);
-            const response = await result.response;
-            const content = response.text().trim();
-            
-            // Extract JSON from response
-            let quiz = this.extractJSON(content);
+            const content = await this.generate(prompt, { task, responseSchema: toProviderSchema(schema) });
+            const note = this.extractJSON(content);
+            const shaped = schema.type === 'array'
+                ? Array.isArray(note)
+                : Boolean(note) && typeof note === 'object' && !Array.isArray(note);
 
-            // Validate and ensure exactly 10 questions
-            if (!Array.isArray(quiz)) {
-                throw new Error('Invalid quiz format');
+            if (!shaped) {
+                logger.warn(`${task} response has the wrong shape`);
+                return fallback;
             }
+            return note;
 
-            // Ensure exactly 10 questions
-            quiz = quiz.slice(0, 10);
-
-            // Validate each question
-            quiz = quiz.map((q, index) => ({
-                id: index + 1,
-                question: q.question || `Question ${index + 1}`,
-                options: Array.isArray(q.options) && q.options.length === 4 
-                    ? q.options 
-                    : ['Option A', 'Option B', 'Option C', 'Option D'],
-                correctAnswer: q.correctAnswer || 'A',
-                explanation: q.explanation || 'Explanation based on transcript content'
-            }));
-
-            // If we don't have exactly 10, pad or trim
-            while (quiz.length < 10) {
-                quiz.push({
-                    id: quiz.length + 1,
-                    question: 'What is the main topic discussed?',
-                    options: ['Topic A', 'Topic B', 'Topic C', 'Topic D'],
-                    correctAnswer: 'A',
-                    explanation: 'Based on transcript analysis'
-                });
+        } catch (error) {
+            // Study notes are a bonus, like flashcards: an unusable response shouldn't fail the whole set
+            if (error.code === ErrorCodes.AI_INVALID_RESPONSE) {
+                logger.warn(`${task} response was unusable:`, error.message);
+                return fallback;
             }
+            logger.error(`Error generating ${task}:`, error);
+            throw error;
+        }
+    }
 
-            return quiz.slice(0, 10);
+    /**
+     * Generate a validated quiz from transcript
+     * @param {string} transcript - Video transcript
+     * @param {Object} [quizOptions] - Resolved quiz options (10 multiple-choice questions by default)
+     * @returns {Promise<Array<Object>>} - Array of quiz questions (fewer than requested if generation kept failing)
+     */
+    static async generateQuiz(transcript, quizOptions = QuizService.DEFAULT_OPTIONS) {
+        try {
+            const questions = await this.generateQuestions(transcript, quizOptions.questionCount, { quizOptions });
+            const { quiz } = await this.finalizeQuiz(questions, [transcript], quizOptions);
+            return quiz;
 
         } catch (error) {
             logger.error('Error generating quiz:', error);
@@ -262,48 +1010,443 @@ IMPORTANT: Return ONLY the JSON array, no other text.`;
         }
     }
 
+    /**
+     * Generate raw quiz questions from transcript
+     * @param {string} transcript - Video transcript (or one chunk of it)
+     * @param {number} count - Number of questions to request
+     * @param {Object} [options] - Options
+     * @param {Array<string>} [options.avoid] - Existing questions the new ones must not repeat
+     * @param {Object} [options.quizOptions] - Resolved quiz options (types and difficulty)
+     * @param {string} [options.language] - Output language tag
+     * @param {Object} [options.prompts] - Prompt selection (see PromptRegistry.select)
+     * @returns {Promise<Array<Object>>} - Questions as returned by the model; empty if the response
+     *   was unusable, so the quiz's regeneration rounds fill the gap instead of failing the request
+     */
+    static async generateQuestions(transcript, count, { avoid = [], quizOptions = QuizService.DEFAULT_OPTIONS, language = null, prompts = PromptRegistry.select() } = {}) {
+        const avoidSection = avoid.length > 0
+            ? `\n\nDO NOT REPEAT OR REPHRASE THESE EXISTING QUESTIONS:\n${avoid.map(question => `- ${question}`).join('\n')}`
+            : '';
+
+        const prompt = prompts.render('quiz', {
+            transcript,
+            count,
+            quizInstructions: this.buildQuizInstructions(count, quizOptions),
+            avoidSection,
+            languageInstructions: this.buildLanguageInstructions(language, { json: true }),
+            quizExample: this.buildQuizExample(quizOptions)
+        });
+
+        const content = await this.generate(prompt, { task: 'quiz' });
+
+        try {
+            const questions = this.extractJSON(content);
+            if (!Array.isArray(questions)) {
+                throw new AIProviderError('AI returned quiz questions in an unexpected format', { code: ErrorCodes.AI_INVALID_RESPONSE });
+            }
+            return questions.slice(0, count);
+
+        } catch (error) {
+            if (error.code === ErrorCodes.AI_INVALID_RESPONSE) {
+                logger.warn('Quiz response was unusable:', error.message);
+                return [];
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Quiz requirements for a prompt: question mix, per-type rules and difficulty
+     * @param {number} count - Number of questions
+     * @param {Object} quizOptions - Resolved quiz options
+     * @returns {string} - Prompt section
+     */
+    static buildQuizInstructions(count, quizOptions) {
+        const mix = QuizService.distribute(count, quizOptions.questionTypes)
+            .map(({ type, count: typeCount }) => `- ${typeCount} ${type} question${typeCount === 1 ? '' : 's'}`)
+            .join('\n');
+        const rules = quizOptions.questionTypes
+            .map(type => `- ${type}: ${this.QUESTION_TYPE_RULES[type]}`)
+            .join('\n');
+
+        return `QUESTION MIX:
+${mix}
+
+QUESTION TYPE RULES:
+${rules}
+
+CRITICAL REQUIREMENTS:
+- Generate EXACTLY ${count} questions (no more, no less)
+- Base ALL questions on facts from the transcript only
+- Set "type" on every question
+- Include a brief explanation for the correct answer
+- Questions should test understanding, not just memorization
+- ${this.DIFFICULTY_GUIDANCE[quizOptions.difficulty]}
+- No repetitive questions`;
+    }
+
+    /**
+     * Example JSON for the requested question types
+     * @param {Object} quizOptions - Resolved quiz options
+     * @returns {string} - JSON array example
+     */
+    static buildQuizExample(quizOptions) {
+        return JSON.stringify(quizOptions.questionTypes.map(type => this.QUESTION_TYPE_EXAMPLES[type]), null, 2);
+    }
+
+    /**
+     * Whether a language tag means English output (the prompts' default)
+     * @param {string|null} language - Language tag
+     * @returns {boolean}
+     */
+    static isEnglish(language) {
+        return !language || baseLanguage(language) === 'en';
+    }
+
+    /**
+     * Output language section for a prompt (empty for English)
+     * @param {string|null} language - Language tag
+     * @param {Object} [options] - Options
+     * @param {boolean} [options.json] - Whether the prompt asks for JSON
+     * @returns {string} - Prompt section
+     */
+    static buildLanguageInstructions(language, { json = false } = {}) {
+        if (this.isEnglish(language)) {
+            return '';
+        }
+
+        const keep = json
+            ? ' Keep JSON field names, "type" values, option letters and "True"/"False" answers in English.'
+            : '';
+
+        return `\n\nOUTPUT LANGUAGE:\nWrite everything in ${languageName(language)} (${language}), whatever language the transcript is in.${keep}`;
+    }
+
+    /**
+     * Validate generated questions, repair or replace the ones that fail, and number the result.
+     * Never pads with placeholder content: if repairs and regenerations still leave the quiz
+     * short, the quality report says so.
+     * @param {Array<Object>} questions - Raw questions
+     * @param {Array<string>} sources - Transcript text (or chunks) used for follow-up requests
+     * @param {Object} [quizOptions] - Resolved quiz options
+     * @param {Object} [options] - Options
+     * @param {Function} [options.onQuestion] - Called with each question (numbered) once it is accepted
+     * @param {string} [options.language] - Output language tag for repaired and regenerated questions
+     * @param {Object} [options.prompts] - Prompt selection for regenerated questions
+     * @returns {Promise<{quiz: Array<Object>, quality: Object}>} - Quiz and quality report
+     */
+    static async finalizeQuiz(questions, sources, quizOptions = QuizService.DEFAULT_OPTIONS, { onQuestion, language = null, prompts = PromptRegistry.select() } = {}) {
+        const target = quizOptions.questionCount;
+        const types = quizOptions.questionTypes;
+        const screened = QuizService.screen(questions.slice(0, target), [], types);
+        let accepted = screened.accepted;
+        let emitted = 0;
+
+        // Accepted questions keep their position, so they can be reported as soon as they pass
+        const emitAccepted = () => {
+            for (; emitted < Math.min(accepted.length, target); emitted++) {
+                onQuestion?.({ id: emitted + 1, ...accepted[emitted] });
+            }
+        };
+        emitAccepted();
+        let duplicates = screened.duplicates;
+        let repaired = 0;
+        let regenerated = 0;
+
+        // Targeted repair of questions with specific defects
+        if (screened.invalid.length > 0 && accepted.length < target) {
+            const toRepair = screened.invalid.slice(0, target - accepted.length);
+            const repairs = await Promise.all(toRepair.map(({ question, issues }) =>
+                this.repairQuestion(
+                    question,
+                    issues,
+                    this.pickSource(question, sources),
+                    types.includes(question.type) ? question.type : types[0],
+                    { language }
+                )
+            ));
+            const result = QuizService.screen(repairs.filter(Boolean), accepted, types);
+            repaired = result.accepted.length - accepted.length;
+            duplicates += result.duplicates;
+            accepted = result.accepted;
+            emitAccepted();
+        }
+
+        // Fresh questions for whatever is still missing
+        for (let round = 0; round < this.MAX_QUIZ_REGENERATIONS && accepted.length < target; round++) {
+            const missing = target - accepted.length;
+            const source = sources[round % sources.length];
+            logger.info(`Quiz has ${accepted.length}/${target} valid questions, requesting ${missing} more`);
+
+            try {
+                const fresh = await this.generateQuestions(source, missing, {
+                    avoid: accepted.map(question => question.question),
+                    quizOptions,
+                    language,
+                    prompts
+                });
+                const result = QuizService.screen(fresh.slice(0, missing), accepted, types);
+                regenerated += result.accepted.length - accepted.length;
+                duplicates += result.duplicates;
+                accepted = result.accepted;
+                emitAccepted();
+            } catch (error) {
+                if (this.isFatalError(error)) {
+                    throw error;
+                }
+                logger.warn('Quiz regeneration failed:', error.message);
+            }
+        }
+
+        const quiz = accepted.slice(0, target).map((question, index) => ({ id: index + 1, ...question }));
+        const rejected = screened.invalid.length - repaired;
+
+        return {
+            quiz,
+            quality: {
+                status: quiz.length === target ? 'complete' : 'incomplete',
+                requested: target,
+                delivered: quiz.length,
+                repaired,
+                regenerated,
+                rejected: Math.max(0, rejected),
+                duplicatesRemoved: duplicates
+            }
+        };
+    }
+
+    /**
+     * Ask the model to fix one defective question
+     * @param {Object} question - Normalized question
+     * @param {Array<string>} issues - Validation issues
+     * @param {string} transcript - Transcript text the question is based on
+     * @param {string} type - Question type the repaired question must have
+     * @param {Object} [options] - Options
+     * @param {string} [options.language] - Output language tag
+     * @returns {Promise<Object|null>} - Repaired question, or null if the repair failed
+     */
+    static async repairQuestion(question, issues, transcript, type, { language = null } = {}) {
+        const prompt = `You are an expert exam question editor.
+
+TRANSCRIPT:
+${transcript}
+
+TASK:
+This quiz question has problems: ${issues.join('; ')}.
+Fix it so it is a correct ${type} question according to the transcript.
+
+QUESTION:
+${JSON.stringify(question, null, 2)}
+
+REQUIREMENTS:
+- "type" is "${type}"
+- ${this.QUESTION_TYPE_RULES[type]}
+- A brief, non-empty explanation of why the answer is correct
+- Only use information from the transcript${this.buildLanguageInstructions(language, { json: true })}
+
+IMPORTANT: Return ONLY the corrected question as a JSON object, no other text.`;
+
+        try {
+            const content = await this.generate(prompt, {
+                task: 'repairQuestion',
+                responseSchema: toProviderSchema(QUESTION_SCHEMA)
+            });
+            const repaired = this.extractJSON(content);
+            return Array.isArray(repaired) ? repaired[0] || null : repaired;
+
+        } catch (error) {
+            if (this.isFatalError(error)) {
+                throw error;
+            }
+            logger.warn('Quiz question repair failed:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Grade a learner's answer to any stored question: objective questions are checked
+     * directly, short answers are graded by the LLM against their rubric
+     * @param {Object} question - Stored question (with answers)
+     * @param {*} answer - Learner's answer
+     * @returns {Promise<Object>} - { score, correct } plus feedback and criteriaMet for short answers
+     */
+    static async gradeAnswer(question, answer) {
+        if (question.type !== 'short-answer') {
+            return QuizService.gradeObjective(question, answer);
+        }
+
+        const { score, feedback, criteriaMet } = await this.gradeShortAnswer(question, answer);
+        return { score, correct: score >= QuizService.SHORT_ANSWER_PASS_SCORE, feedback, criteriaMet };
+    }
+
+    /**
+     * Grade a short-answer response against the question's rubric
+     * @param {Object} question - Stored short-answer question (with correctAnswer and rubric)
+     * @param {string} answer - Learner's answer
+     * @returns {Promise<{score: number, feedback: string, criteriaMet: Array<string>}>} - Score between 0 and 1
+     */
+    static async gradeShortAnswer(question, answer) {
+        if (!answer || !String(answer).trim()) {
+            return { score: 0, feedback: 'No answer given.', criteriaMet: [] };
+        }
+
+        const prompt = `You are a fair, encouraging teacher grading a student's short answer.
+
+QUESTION:
+${question.question}
+
+MODEL ANSWER:
+${question.correctAnswer}
+
+RUBRIC:
+${question.rubric.map(criterion => `- ${criterion}`).join('\n')}
+
+STUDENT ANSWER:
+${answer}
+
+TASK:
+Grade the student answer against the rubric.
+
+REQUIREMENTS:
+- "score" is a number from 0 to 1: the share of rubric criteria the answer meets
+- "criteriaMet" lists the rubric criteria (copied exactly) the answer meets
+- "feedback" is 1-2 sentences telling the student what was good and what was missing
+- Judge meaning, not wording; ignore spelling and grammar
+- Write the feedback in the language of the question
+
+IMPORTANT: Return ONLY a JSON object with "score", "criteriaMet" and "feedback".`;
+
+        try {
+            const content = await this.generate(prompt, {
+                task: 'gradeShortAnswer',
+                responseSchema: toProviderSchema(GRADING_SCHEMA)
+            });
+            const grade = this.extractJSON(content);
+            const errors = validateSchema(grade, GRADING_SCHEMA);
+
+            if (errors.length > 0) {
+                throw new AIProviderError(`AI returned an invalid grade: ${errors.join('; ')}`, { code: ErrorCodes.AI_INVALID_RESPONSE });
+            }
+
+            return {
+                score: Math.min(1, Math.max(0, grade.score)),
+                feedback: grade.feedback,
+                criteriaMet: grade.criteriaMet || []
+            };
+
+        } catch (error) {
+            logger.error('Error grading short answer:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Answer a learner's question using only the given transcript passages
+     * @param {string} question - Learner's question
+     * @param {Array<{text: string, start: number|null}>} passages - Retrieved passages, numbered from 1 in the prompt
+     * @param {Array<{question: string, answer: string}>} [history] - Earlier turns of the conversation, oldest first
+     * @returns {Promise<{answer: string, covered: boolean, citations: Array<number>}>} - Citations are
+     *   passage numbers (only ones that exist); when the passages don't answer the question, or the answer
+     *   cites none of them, covered is false and the answer is NOT_COVERED_ANSWER
+     */
+    static async answerQuestion(question, passages, history = []) {
+        const numbered = passages
+            .map((passage, index) => `[${index + 1}]${passage.start !== null ? ` (${TimestampService.formatTime(passage.start)})` : ''} ${passage.text}`)
+            .join('\n\n');
+        const conversation = history.length > 0
+            ? `\n\nCONVERSATION SO FAR:\n${history.map(turn => `Student: ${turn.question}\nTutor: ${turn.answer}`).join('\n\n')}`
+            : '';
+
+        const prompt = `You are a patient tutor answering a student's question about a video lesson.
+
+PASSAGES:
+${numbered}${conversation}
+
+QUESTION:
+${question}
+
+TASK:
+Answer the question using ONLY the numbered passages from the lesson transcript above.
+
+REQUIREMENTS:
+- Use nothing but the passages: no outside knowledge, even if you know the answer
+- Cite the passages you rely on by number in "citations"
+- If the passages don't answer the question, set "covered" to false and say briefly that the lesson doesn't cover it; don't guess
+- Use the conversation so far only to understand what the question refers to
+- Answer in 1-4 sentences, in the language of the question
+
+IMPORTANT: Return ONLY a JSON object with "answer", "covered" and "citations".`;
+
+        try {
+            const content = await this.generate(prompt, {
+                task: 'answerQuestion',
+                responseSchema: toProviderSchema(ANSWER_SCHEMA)
+            });
+            const reply = this.extractJSON(content);
+            const errors = validateSchema(reply, ANSWER_SCHEMA);
+
+            if (errors.length > 0) {
+                throw new AIProviderError(`AI returned an invalid answer: ${errors.join('; ')}`, { code: ErrorCodes.AI_INVALID_RESPONSE });
+            }
+
+            const citations = reply.covered
+                ? [...new Set(reply.citations)].filter(number => number >= 1 && number <= passages.length)
+                : [];
+            // An answer that cites nothing isn't grounded in the lesson, so it isn't passed on
+            if (citations.length === 0) {
+                return { answer: this.NOT_COVERED_ANSWER, covered: false, citations: [] };
+            }
+            return { answer: reply.answer, covered: true, citations };
+
+        } catch (error) {
+            logger.error('Error answering question:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Choose the transcript source that best matches a question
+     * @param {Object} question - Question
+     * @param {Array<string>} sources - Transcript text or chunks
+     * @returns {string} - Best matching source
+     */
+    static pickSource(question, sources) {
+        if (sources.length === 1) {
+            return sources[0];
+        }
+
+        const text = `${question.question} ${QuizService.answerText(question)}`;
+        return sources.reduce((best, source) =>
+            coverage(text, source) > coverage(text, best) ? source : best
+        );
+    }
+
     /**
      * Extract title from transcript
      * @param {string} transcript - Video transcript
+     * @param {Object} [options] - Options
+     * @param {string} [options.language] - Output language tag
+     * @param {Object} [options.prompts] - Prompt selection (see PromptRegistry.select)
      * @returns {Promise<string>} - Video title
      */
-    static async extractTitle(transcript) {
+    static async extractTitle(transcript, { language = null, prompts = PromptRegistry.select() } = {}) {
         try {
-            this.initialize();
             // Take first 500 characters for title extraction
             const snippet = transcript.substring(0, 500);
+            const inLanguage = this.isEnglish(language) ? '' : ` in ${languageName(language)}`;
             
-            const prompt = `Create a clear, concise title (5-8 words) for this educational content:\n\n${snippet}\n\nReturn only the title, nothing else.`;
+            const prompt = prompts.render('title', { inLanguage, transcript: snippet });
             
-            const result = await this.model.generateContent(prompt);
-            const response = await result.response;
-            return response.text().trim();
+            return await this.generate(prompt, { task: 'title' });
 
         } catch (error) {
+            if (this.isFatalError(error)) {
+                throw error;
+            }
             logger.error('Error extracting title:', error);
             return 'Educational Video';
         }
     }
 
-    /**
-     * Truncate transcript to fit token limits
-     * @param {string} transcript - Full transcript
-     * @param {number} maxChars - Maximum characters
-     * @returns {string} - Truncated transcript
-     */
-    static truncateTranscript(transcript, maxChars = 12000) {
-        if (transcript.length <= maxChars) {
-            return transcript;
-        }
-
-        // Take beginning and end for context
-        const halfMax = Math.floor(maxChars / 2);
-        const beginning = transcript.substring(0, halfMax);
-        const end = transcript.substring(transcript.length - halfMax);
-
-        return `${beginning}\n\n[... middle section omitted for brevity ...]\n\n${end}`;
-    }
-
     /**
      * Extract JSON from AI response
      * @param {string} content - AI response
@@ -317,23 +1460,21 @@ IMPORTANT: Return ONLY the JSON array, no other text.`;
             // Try to extract JSON from markdown code blocks
             const jsonMatch = content.match(/```json\s*([\s\S]*?)\s*```/) || 
                              content.match(/```\s*([\s\S]*?)\s*```/);
-            
-            if (jsonMatch) {
-                return JSON.parse(jsonMatch[1]);
-            }
 
-            // Try to find JSON array or object
-            const arrayMatch = content.match(/\[[\s\S]*\]/);
-            if (arrayMatch) {
-                return JSON.parse(arrayMatch[0]);
-            }
+            // Otherwise try to find a JSON array or object
+            const candidate = jsonMatch?.[1] ??
+                              content.match(/\[[\s\S]*\]/)?.[0] ??
+                              content.match(/\{[\s\S]*\}/)?.[0];
 
-            const objectMatch = content.match(/\{[\s\S]*\}/);
-            if (objectMatch) {
-                return JSON.parse(objectMatch[0]);
+            try {
+                if (candidate !== undefined) {
+                    return JSON.parse(candidate);
+                }
+            } catch (error) {
+                throw new AIProviderError('AI response contains malformed JSON', { code: ErrorCodes.AI_INVALID_RESPONSE, cause: error });
             }
 
-            throw new Error('Could not extract JSON from response');
+            throw new AIProviderError('Could not extract JSON from the AI response', { code: ErrorCodes.AI_INVALID_RESPONSE });
         }
     }
 }
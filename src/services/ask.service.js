@@ -0,0 +1,238 @@
+import crypto from 'crypto';
+import NodeCache from 'node-cache';
+import { getStorage } from '../storage/index.js';
+import { AIService } from './ai.service.js';
+import { MaterialsService } from './materials.service.js';
+import { TranscriptService } from './transcript.service.js';
+import { TimestampService } from './timestamp.service.js';
+import { buildSearchIndex, search, toTerms } from '../utils/retrieval.js';
+import { createKeyedLock } from '../utils/concurrency.js';
+import { excerpt } from '../utils/text.js';
+import { logger } from '../utils/logger.js';
+import { NotFoundError, ErrorCodes } from '../utils/errors.js';
+
+const COLLECTION = 'askSessions';
+
+/**
+ * Questions about a saved learning set, answered from its transcript.
+ *
+ * The transcript is split into chunks that are indexed for BM25 retrieval; the chunks that
+ * best match a question are the only context the LLM gets, and it cites them by number.
+ * When no chunk matches, the answer says the video doesn't cover the question without
+ * calling the LLM at all.
+ *
+ * Questions can be asked in a session, which keeps the conversation so that follow-ups
+ * ("and why is that?") are understood.
+ */
+export class AskService {
+    // Characters per transcript chunk
+    static CHUNK_SIZE = 1000;
+    // Chunks given to the LLM for each question
+    static PASSAGE_COUNT = 4;
+    // Earlier turns sent with a question; older ones stay in the session but aren't sent
+    static MAX_HISTORY_TURNS = 6;
+    // Turns kept per session
+    static MAX_SESSION_TURNS = 100;
+    static CITATION_LENGTH = 300;
+    static MIN_QUESTION_LENGTH = 3;
+    static MAX_QUESTION_LENGTH = 1000;
+
+    // Chunk indexes by material, rebuilt when the set is regenerated
+    static indexes = new NodeCache({ stdTTL: 3600, checkperiod: 600, useClones: false });
+    // Read-modify-write of a session is serialized per session
+    static lock = createKeyedLock();
+
+    /**
+     * Answer a question about a learning set
+     * @param {Object} record - Stored learning set (see MaterialsService.get)
+     * @param {string} question - Learner's question
+     * @param {Object} [options] - Options
+     * @param {string} [options.sessionId] - Session to continue (a new one is started without it)
+     * @param {string} [options.ownerId] - User asking (null for anonymous callers)
+     * @returns {Promise<Object>} - { sessionId, materialId, turn, question, answer, covered, citations }
+     */
+    static async ask(record, question, { sessionId = null, ownerId = null } = {}) {
+        const existing = sessionId ? await this.getSession(sessionId, { materialId: record.id, ownerId }) : null;
+        if (sessionId && !existing) {
+            throw new NotFoundError('Conversation not found', { code: ErrorCodes.ASK_SESSION_NOT_FOUND });
+        }
+
+        const index = await this.getIndex(record);
+        const history = existing ? existing.turns.slice(-this.MAX_HISTORY_TURNS) : [];
+
+        // Follow-ups often leave their subject implicit, so the previous question joins the search
+        const previous = history[history.length - 1]?.question || '';
+        const passages = search(index, [...toTerms(question), ...toTerms(previous)], this.PASSAGE_COUNT)
+            .map(({ passage }) => passage);
+
+        let reply = { answer: AIService.NOT_COVERED_ANSWER, covered: false, citations: [] };
+        if (passages.length > 0) {
+            reply = await AIService.answerQuestion(question, passages, history);
+        } else {
+            logger.info(`No transcript passage matches the question about ${record.id}`);
+        }
+
+        const turn = {
+            question,
+            answer: reply.answer,
+            covered: reply.covered,
+            citations: reply.citations.map(number => this.toCitation(passages[number - 1], index.videoId)),
+            createdAt: new Date().toISOString()
+        };
+
+        const session = await this.addTurn(existing?.id || null, { materialId: record.id, ownerId }, turn);
+
+        return {
+            sessionId: session.id,
+            materialId: record.id,
+            turn: session.turns.length,
+            ...turn
+        };
+    }
+
+    /**
+     * Search index over the transcript chunks of a learning set
+     * @param {Object} record - Stored learning set
+     * @returns {Promise<Object>} - Index (see buildSearchIndex) plus the video ID for citation links
+     */
+    static async getIndex(record) {
+        const key = `${record.id}|${record.updatedAt}`;
+        const cached = this.indexes.get(key);
+        if (cached) {
+            return cached;
+        }
+
+        const transcript = await this.getTranscript(record);
+        const index = {
+            ...buildSearchIndex(this.buildChunks(transcript)),
+            videoId: record.sourceType === 'youtube' ? record.id : null
+        };
+
+        this.indexes.set(key, index);
+        logger.info(`Indexed ${index.passages.length} transcript chunks of ${record.id}`);
+
+        return index;
+    }
+
+    /**
+     * The transcript a learning set was generated from. Video sets saved before transcripts
+     * were kept fetch their captions again (and keep them); other sources can't be recovered.
+     * @param {Object} record - Stored learning set
+     * @returns {Promise<{text: string, segments: Array<Object>|null}>}
+     */
+    static async getTranscript(record) {
+        const stored = await MaterialsService.getTranscript(record.id);
+        if (stored) {
+            return stored;
+        }
+
+        if (record.sourceType !== 'youtube') {
+            throw new NotFoundError(
+                'The transcript of these learning materials was not kept. Process the transcript again to ask questions about it.',
+                { code: ErrorCodes.TRANSCRIPT_NOT_STORED }
+            );
+        }
+
+        const transcript = await TranscriptService.getTimedTranscript(record.id, { lang: record.result.metadata?.captionLanguage || null });
+        await MaterialsService.saveTranscript(record.id, transcript);
+
+        return transcript;
+    }
+
+    /**
+     * Split a transcript into numbered chunks. With timed segments, each chunk starts at the
+     * time of the caption cue its first word belongs to.
+     * @param {Object} transcript - { text, segments }
+     * @returns {Array<{number: number, text: string, start: number|null}>}
+     */
+    static buildChunks({ text, segments = null }) {
+        const chunks = TranscriptService.segmentTranscript(text, this.CHUNK_SIZE);
+        const timed = Array.isArray(segments) && segments.length > 0 && segments.every(segment => segment.start !== null && segment.start !== undefined);
+
+        // Word offset of each cue in the transcript text
+        let words = 0;
+        const cues = timed
+            ? segments.map(segment => {
+                const cue = { offset: words, start: segment.start };
+                words += segment.text.split(/\s+/).filter(Boolean).length;
+                return cue;
+            })
+            : [];
+
+        let offset = 0;
+        let cue = 0;
+        return chunks.map((chunk, index) => {
+            while (cue + 1 < cues.length && cues[cue + 1].offset <= offset) {
+                cue++;
+            }
+            offset += chunk.split(' ').length;
+
+            return { number: index + 1, text: chunk, start: timed ? Math.floor(cues[cue].start) : null };
+        });
+    }
+
+    /**
+     * Citation for the client: the chunk's number, an excerpt and, for videos, a link to the moment
+     */
+    static toCitation(passage, videoId) {
+        return {
+            chunk: passage.number,
+            text: excerpt(passage.text, this.CITATION_LENGTH),
+            start: passage.start,
+            link: passage.start !== null && videoId ? TimestampService.buildLink(videoId, passage.start) : null
+        };
+    }
+
+    /**
+     * Append a turn to a session, starting the session if there is none yet
+     * @param {string|null} sessionId - Session ID, or null for a new session
+     * @param {Object} owner - { materialId, ownerId }
+     * @param {Object} turn - Turn to append
+     * @returns {Promise<Object>} - Updated session
+     */
+    static async addTurn(sessionId, { materialId, ownerId }, turn) {
+        const id = sessionId || `ask_${crypto.randomBytes(8).toString('hex')}`;
+
+        return this.lock(id, async () => {
+            const session = (sessionId && await getStorage().get(COLLECTION, id))
+                || { id, materialId, ownerId, turns: [], createdAt: turn.createdAt };
+            const updated = {
+                ...session,
+                turns: [...session.turns, turn].slice(-this.MAX_SESSION_TURNS),
+                updatedAt: turn.createdAt
+            };
+
+            await getStorage().put(COLLECTION, id, updated);
+            return updated;
+        });
+    }
+
+    /**
+     * Get a session of a learning set; other users' sessions are treated as missing
+     * @param {string} id - Session ID
+     * @param {Object} owner - { materialId, ownerId }
+     * @returns {Promise<Object|null>}
+     */
+    static async getSession(id, { materialId, ownerId }) {
+        if (!/^ask_[a-f0-9]+$/.test(String(id))) {
+            return null;
+        }
+
+        try {
+            const session = await getStorage().get(COLLECTION, id);
+            return session && session.materialId === materialId && session.ownerId === ownerId ? session : null;
+        } catch (error) {
+            logger.error('Ask session get error:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Prepare a session for the client
+     * @param {Object} session - Stored session
+     * @returns {Object}
+     */
+    static toClientSession({ ownerId, ...session }) {
+        return session;
+    }
+}
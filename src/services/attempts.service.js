@@ -0,0 +1,52 @@
+import crypto from 'crypto';
+import { getStorage } from '../storage/index.js';
+import { logger } from '../utils/logger.js';
+
+const COLLECTION = 'attempts';
+
+/**
+ * Graded quiz submissions of signed-in users, kept so learners can see their history
+ */
+export class AttemptsService {
+    /**
+     * Save a graded submission
+     * @param {Object} params - { userId, entry (stored quiz), score, results }
+     * @returns {Promise<Object|null>} - Stored attempt, or null if saving failed
+     */
+    static async save({ userId, entry, score, results }) {
+        const attempt = {
+            id: crypto.randomUUID(),
+            userId,
+            quizId: entry.id,
+            materialId: entry.source || null,
+            title: entry.title,
+            score,
+            results,
+            createdAt: new Date().toISOString()
+        };
+
+        try {
+            await getStorage().put(COLLECTION, attempt.id, attempt);
+            logger.info(`Quiz attempt saved: ${attempt.id} (${userId})`);
+            return attempt;
+        } catch (error) {
+            // The grades are still returned; only the history entry is lost
+            logger.error('Error saving quiz attempt:', error);
+            return null;
+        }
+    }
+
+    /**
+     * A user's attempts, most recent first
+     * @param {string} userId - User ID
+     * @param {Object} [options] - { quizId, limit, offset }
+     * @returns {Promise<{items: Array<Object>, total: number}>}
+     */
+    static async list(userId, { quizId = null, limit = 20, offset = 0 } = {}) {
+        const attempts = (await getStorage().list(COLLECTION))
+            .filter(attempt => attempt.userId === userId && (!quizId || attempt.quizId === quizId))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+        return { items: attempts.slice(offset, offset + limit), total: attempts.length };
+    }
+}
@@ -0,0 +1,187 @@
+import crypto from 'crypto';
+import { getStorage } from '../storage/index.js';
+import { logger } from '../utils/logger.js';
+
+const USERS = 'users';
+const API_KEYS = 'apiKeys';
+
+/**
+ * Users and API keys, stored locally through the storage adapter. Keys are shown
+ * once when created; only their SHA-256 hash is stored, and it doubles as the record ID.
+ */
+export class AuthService {
+    static ROLES = ['user', 'admin'];
+    static KEY_PREFIX = 'ltk_';
+    // lastUsedAt is written at most this often per key
+    static LAST_USED_INTERVAL_MS = 60 * 1000;
+
+    /**
+     * Create a user
+     * @param {Object} params - { name, email, role, dailyLlmCalls, requestsPerWindow, promptVariants }
+     *   (quotas left null use the server defaults; promptVariants are the prompt template
+     *   variants used for the user's requests unless a request chooses others)
+     * @returns {Promise<Object>} - User
+     */
+    static async createUser({ name, email = null, role = 'user', dailyLlmCalls = null, requestsPerWindow = null, promptVariants = {} }) {
+        const user = {
+            id: `usr_${crypto.randomBytes(8).toString('hex')}`,
+            name,
+            email,
+            role,
+            quotas: { dailyLlmCalls, requestsPerWindow },
+            promptVariants: promptVariants || {},
+            createdAt: new Date().toISOString()
+        };
+
+        await getStorage().put(USERS, user.id, user);
+        logger.info(`User created: ${user.id} (${role})`);
+
+        return user;
+    }
+
+    /**
+     * Get a user
+     * @param {string} id - User ID
+     * @returns {Promise<Object|null>}
+     */
+    static async getUser(id) {
+        if (!/^usr_[a-f0-9]+$/.test(String(id))) {
+            return null;
+        }
+        return getStorage().get(USERS, id);
+    }
+
+    /**
+     * Change a user's default prompt variants
+     * @param {string} id - User ID
+     * @param {Object} changes - { promptVariants } ({} or null for the default templates)
+     * @returns {Promise<Object|null>} - Updated user, or null if there is no such user
+     */
+    static async updateUser(id, { promptVariants }) {
+        const user = await this.getUser(id);
+        if (!user) {
+            return null;
+        }
+
+        const updated = { ...user, promptVariants: promptVariants || {}, updatedAt: new Date().toISOString() };
+        await getStorage().put(USERS, id, updated);
+        logger.info(`User updated: ${id}`);
+
+        return updated;
+    }
+
+    /**
+     * List all users, oldest first
+     * @returns {Promise<Array<Object>>}
+     */
+    static async listUsers() {
+        const users = await getStorage().list(USERS);
+        return users.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+
+    /**
+     * Create an API key for a user
+     * @param {string} userId - User ID
+     * @param {Object} [options] - { name }
+     * @returns {Promise<{key: string, record: Object}>} - The key itself (only available now) and its record
+     */
+    static async createKey(userId, { name = 'default' } = {}) {
+        const key = `${this.KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+        const hash = this.hashKey(key);
+
+        const record = {
+            id: hash.slice(0, 16),
+            hash,
+            userId,
+            name,
+            // Enough of the key for users to recognize it in listings
+            prefix: key.slice(0, this.KEY_PREFIX.length + 4),
+            createdAt: new Date().toISOString(),
+            lastUsedAt: null,
+            revokedAt: null
+        };
+
+        await getStorage().put(API_KEYS, hash, record);
+        logger.info(`API key ${record.id} created for ${userId}`);
+
+        return { key, record };
+    }
+
+    /**
+     * List a user's keys (revoked keys included)
+     * @param {string} userId - User ID
+     * @returns {Promise<Array<Object>>} - Key records
+     */
+    static async listKeys(userId) {
+        const keys = await getStorage().list(API_KEYS);
+        return keys
+            .filter(record => record.userId === userId)
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+
+    /**
+     * Revoke one of a user's keys
+     * @param {string} userId - User ID
+     * @param {string} keyId - Key ID
+     * @returns {Promise<Object|null>} - Revoked key record, or null if the user has no such key
+     */
+    static async revokeKey(userId, keyId) {
+        const record = (await this.listKeys(userId)).find(key => key.id === keyId);
+        if (!record) {
+            return null;
+        }
+
+        if (!record.revokedAt) {
+            record.revokedAt = new Date().toISOString();
+            await getStorage().put(API_KEYS, record.hash, record);
+            logger.info(`API key ${record.id} revoked for ${userId}`);
+        }
+
+        return record;
+    }
+
+    /**
+     * Look up the user for an API key
+     * @param {string} key - API key as sent by the client
+     * @returns {Promise<{user: Object, apiKey: Object}|null>} - null for unknown or revoked keys
+     */
+    static async authenticate(key) {
+        if (typeof key !== 'string' || !key.startsWith(this.KEY_PREFIX)) {
+            return null;
+        }
+
+        const record = await getStorage().get(API_KEYS, this.hashKey(key));
+        if (!record || record.revokedAt) {
+            return null;
+        }
+
+        const user = await this.getUser(record.userId);
+        if (!user) {
+            return null;
+        }
+
+        const now = Date.now();
+        if (!record.lastUsedAt || now - Date.parse(record.lastUsedAt) > this.LAST_USED_INTERVAL_MS) {
+            record.lastUsedAt = new Date(now).toISOString();
+            // Bookkeeping only; never fail a request over it
+            getStorage().put(API_KEYS, record.hash, record).catch(error => {
+                logger.warn(`Could not update lastUsedAt for key ${record.id}:`, error.message);
+            });
+        }
+
+        return { user, apiKey: record };
+    }
+
+    /**
+     * Key record without its hash
+     * @param {Object} record - Key record
+     * @returns {Object}
+     */
+    static toClientKey({ hash, ...key }) {
+        return key;
+    }
+
+    static hashKey(key) {
+        return crypto.createHash('sha256').update(key).digest('hex');
+    }
+}
@@ -0,0 +1,258 @@
+import path from 'path';
+import { TranscriptService } from './transcript.service.js';
+
+/**
+ * Parses uploaded caption files (SubRip, WebVTT, YouTube SBV and plain text)
+ * into timed, speaker-labelled cues and a transcript for processing
+ */
+export class CaptionService {
+    static FORMATS = ['srt', 'vtt', 'sbv', 'txt'];
+
+    // "00:01:02,500 --> 00:01:04,000" (SRT) or "01:02.500 --> 01:04.000 align:start" (VTT)
+    static CUE_TIMING = /^\s*((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})\s*-->\s*((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})/;
+    // "0:01:02.500,0:01:04.000" (SBV)
+    static SBV_TIMING = /^\s*(\d+:\d{2}:\d{2}\.\d{1,3}),(\d+:\d{2}:\d{2}\.\d{1,3})\s*$/;
+    // "[01:02] text", "01:02:03 text" or "(1:02) text" at the start of a plain-text line
+    static TEXT_TIMESTAMP = /^\s*[[(]?((?:\d+:)?\d{1,2}:\d{2}(?:\.\d+)?)[\])]?\s+(.*)$/;
+    // "JOHN: text", "Dr Smith: text" or "Speaker 2: text" at the start of a cue
+    static SPEAKER_LABEL = /^(?:>>\s*)?-?\s*((?:[A-Z][\w.'-]*|\d+)(?: (?:[A-Z][\w.'-]*|\d+)){0,2}):\s+(.*)$/;
+
+    /**
+     * Parse a caption file
+     * @param {string|Buffer} content - File contents
+     * @param {string} [filename] - Original file name, used to pick the format
+     * @returns {Object} - { format, text, segments, speakers, timed }
+     */
+    static parse(content, filename = '') {
+        const source = String(content).replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+        const format = this.detectFormat(source, filename);
+
+        let cues;
+        switch (format) {
+            case 'vtt':
+                cues = this.parseVtt(source);
+                break;
+            case 'srt':
+                cues = this.parseSrt(source);
+                break;
+            case 'sbv':
+                cues = this.parseSbv(source);
+                break;
+            default:
+                cues = this.parseText(source);
+        }
+
+        const segments = this.labelSpeakers(cues)
+            .map(cue => ({ ...cue, text: TranscriptService.cleanTranscript(cue.text) }))
+            .filter(cue => cue.text.length > 0);
+
+        return {
+            format,
+            text: this.toTranscript(segments),
+            segments,
+            speakers: [...new Set(segments.map(segment => segment.speaker).filter(Boolean))],
+            timed: segments.length > 0 && segments.every(segment => segment.start !== null)
+        };
+    }
+
+    /**
+     * Pick the caption format from the file extension, or from the content when that is unknown
+     * @param {string} source - File contents
+     * @param {string} filename - File name
+     * @returns {string} - srt, vtt, sbv or txt
+     */
+    static detectFormat(source, filename) {
+        const extension = path.extname(filename).slice(1).toLowerCase();
+        if (this.FORMATS.includes(extension) && extension !== 'txt') {
+            return extension;
+        }
+
+        if (/^WEBVTT/.test(source)) {
+            return 'vtt';
+        }
+        const lines = source.split('\n');
+        if (lines.some(line => this.CUE_TIMING.test(line))) {
+            return 'srt';
+        }
+        if (lines.some(line => this.SBV_TIMING.test(line))) {
+            return 'sbv';
+        }
+        return 'txt';
+    }
+
+    /**
+     * Parse SubRip: numbered blocks of a timing line followed by text lines
+     */
+    static parseSrt(source) {
+        return this.parseBlocks(source, this.CUE_TIMING);
+    }
+
+    /**
+     * Parse WebVTT, skipping the header, NOTE, STYLE and REGION blocks and keeping <v Speaker> voices
+     */
+    static parseVtt(source) {
+        const cues = [];
+
+        for (const block of source.split(/\n{2,}/)) {
+            const lines = block.split('\n').filter(line => line.trim());
+            const timingIndex = lines.findIndex(line => this.CUE_TIMING.test(line));
+            if (timingIndex === -1) {
+                // Header, NOTE, STYLE or REGION block
+                continue;
+            }
+
+            const [, start, end] = lines[timingIndex].match(this.CUE_TIMING);
+            const body = lines.slice(timingIndex + 1).join(' ');
+            const voice = body.match(/<v(?:\.[\w.-]+)?\s+([^>]+)>/);
+
+            cues.push({
+                start: this.parseTimestamp(start),
+                end: this.parseTimestamp(end),
+                speaker: voice ? voice[1].trim() : null,
+                text: this.stripMarkup(body)
+            });
+        }
+
+        return this.withDurations(cues);
+    }
+
+    /**
+     * Parse YouTube SBV: "start,end" timing lines followed by text lines
+     */
+    static parseSbv(source) {
+        return this.parseBlocks(source, this.SBV_TIMING);
+    }
+
+    /**
+     * Parse plain text. Lines starting with a timestamp become timed cues;
+     * otherwise each line is one untimed cue.
+     */
+    static parseText(source) {
+        const lines = source.split('\n').filter(line => line.trim());
+        const timedLines = lines.filter(line => this.TEXT_TIMESTAMP.test(line));
+
+        if (timedLines.length > 0 && timedLines.length >= lines.length / 2) {
+            const cues = [];
+            for (const line of lines) {
+                const match = line.match(this.TEXT_TIMESTAMP);
+                if (match) {
+                    cues.push({ start: this.parseTimestamp(match[1]), end: null, speaker: null, text: match[2] });
+                } else if (cues.length > 0) {
+                    // Continuation of the previous timed line
+                    cues[cues.length - 1].text += ` ${line.trim()}`;
+                }
+            }
+            return this.withDurations(cues);
+        }
+
+        return lines.map(line => ({ start: null, end: null, duration: null, speaker: null, text: line.trim() }));
+    }
+
+    /**
+     * Parse blank-line separated blocks whose first timing line matches a pattern
+     */
+    static parseBlocks(source, timing) {
+        const cues = [];
+
+        for (const block of source.split(/\n{2,}/)) {
+            const lines = block.split('\n').filter(line => line.trim());
+            const timingIndex = lines.findIndex(line => timing.test(line));
+            if (timingIndex === -1) {
+                continue;
+            }
+
+            const [, start, end] = lines[timingIndex].match(timing);
+            cues.push({
+                start: this.parseTimestamp(start),
+                end: this.parseTimestamp(end),
+                speaker: null,
+                text: this.stripMarkup(lines.slice(timingIndex + 1).join(' '))
+            });
+        }
+
+        return this.withDurations(cues);
+    }
+
+    /**
+     * Fill in end times (from the next cue when missing) and durations
+     */
+    static withDurations(cues) {
+        return cues.map((cue, index) => {
+            const end = cue.end ?? cues[index + 1]?.start ?? null;
+            return {
+                ...cue,
+                end,
+                duration: end !== null && cue.start !== null ? Math.max(0, Math.round((end - cue.start) * 100) / 100) : null
+            };
+        });
+    }
+
+    /**
+     * Move "Name: text" prefixes into the speaker field. A prefix only counts as a speaker
+     * label when it is in capitals or starts at least two cues, so sentences like
+     * "Remember: ..." stay intact.
+     */
+    static labelSpeakers(cues) {
+        const counts = new Map();
+        for (const cue of cues) {
+            const match = !cue.speaker && cue.text.match(this.SPEAKER_LABEL);
+            if (match) {
+                counts.set(match[1], (counts.get(match[1]) || 0) + 1);
+            }
+        }
+
+        return cues.map(cue => {
+            const match = !cue.speaker && cue.text.match(this.SPEAKER_LABEL);
+            if (match && (counts.get(match[1]) >= 2 || /^[A-Z][A-Z0-9 .'-]+$/.test(match[1]))) {
+                return { ...cue, speaker: match[1], text: match[2] };
+            }
+            return cue;
+        });
+    }
+
+    /**
+     * Join cues into transcript text, naming the speaker whenever it changes
+     * @param {Array<Object>} segments - Parsed cues
+     * @returns {string} - Transcript text
+     */
+    static toTranscript(segments) {
+        let speaker = null;
+
+        return segments
+            .map(segment => {
+                const changed = segment.speaker && segment.speaker !== speaker;
+                speaker = segment.speaker || speaker;
+                return changed ? `${segment.speaker}: ${segment.text}` : segment.text;
+            })
+            .join(' ');
+    }
+
+    /**
+     * Remove formatting tags (<i>, <b>, <c.class>, <v Speaker>, inline <00:00:01.000> timestamps)
+     * and {\an8}-style positioning codes
+     */
+    static stripMarkup(text) {
+        return text
+            .replace(/<[^>]*>/g, '')
+            .replace(/\{\\[^}]*\}/g, '')
+            .replace(/&amp;/g, '&')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&nbsp;/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Convert "hh:mm:ss,mmm", "mm:ss.mmm" or "h:mm:ss" to seconds
+     * @param {string} value - Timestamp
+     * @returns {number} - Seconds
+     */
+    static parseTimestamp(value) {
+        const seconds = value
+            .replace(',', '.')
+            .split(':')
+            .reduce((total, part) => total * 60 + parseFloat(part), 0);
+
+        return Math.round(seconds * 1000) / 1000;
+    }
+}
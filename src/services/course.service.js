@@ -0,0 +1,355 @@
+import crypto from 'crypto';
+import { getStorage } from '../storage/index.js';
+import { LearningService } from './learning.service.js';
+import { MaterialsService } from './materials.service.js';
+import { PlaylistService } from './playlist.service.js';
+import { AIService } from './ai.service.js';
+import { QuizService } from './quiz.service.js';
+import { QuizStore } from '../utils/quizStore.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+import { buildVideoUrl } from '../utils/youtube.js';
+import { logger } from '../utils/logger.js';
+import { AppError, TranscriptError, ValidationError, ErrorCodes, describeError } from '../utils/errors.js';
+
+const COLLECTION = 'courses';
+
+/**
+ * Courses: a YouTube playlist (or a list of videos) processed lecture by lecture, plus a
+ * course-level overview and a cumulative final exam drawn from the lectures' quizzes.
+ *
+ * Each lecture goes through the usual video pipeline, so its materials are saved (and cached)
+ * like any other video; a lecture that fails doesn't stop the others.
+ */
+export class CourseService {
+    // Pipeline stages, in order, as reported to progress listeners
+    static STAGES = ['playlist', 'lectures', 'overview'];
+    static DEFAULT_EXAM_QUESTIONS = 20;
+    static MAX_EXAM_QUESTIONS = 100;
+
+    /**
+     * Most videos processed per course (default 50)
+     * @returns {number}
+     */
+    static getMaxVideos() {
+        return parseInt(process.env.COURSE_MAX_VIDEOS) || 50;
+    }
+
+    /**
+     * Lectures processed at once within a course (default 2)
+     * @returns {number}
+     */
+    static getConcurrency() {
+        return parseInt(process.env.COURSE_CONCURRENCY) || 2;
+    }
+
+    /**
+     * Process every lecture of a course, then build its overview and final exam
+     * @param {Object} params - Course input
+     * @param {string} [params.playlistId] - YouTube playlist to process
+     * @param {Array<string>} [params.videoIds] - Videos to process, in course order (when there is no playlist)
+     * @param {string} [params.title] - Course title (default: the playlist title)
+     * @param {Object} [params.quizOptions] - Quiz options for each lecture
+     * @param {string} [params.captionLanguage] - Caption track language
+     * @param {string} [params.outputLanguage] - Language of the generated materials
+     * @param {Object} [params.promptVariants] - Prompt template variant per template name for each lecture
+     * @param {number} [params.examQuestionCount] - Questions in the final exam
+     * @param {string} [params.ownerId] - User the course belongs to (null for anonymous callers)
+     * @param {Object} [listeners] - Optional listeners
+     * @param {Function} [listeners.onProgress] - Called with { stage, detail, partial }; partial.lectures
+     *   holds the status of every lecture
+     * @returns {Promise<Object>} - Stored course (final exam answers included)
+     */
+    static async processCourse({
+        playlistId = null,
+        videoIds = [],
+        title = null,
+        quizOptions = QuizService.DEFAULT_OPTIONS,
+        captionLanguage = null,
+        outputLanguage = 'en',
+        promptVariants = {},
+        examQuestionCount = this.DEFAULT_EXAM_QUESTIONS,
+        ownerId = null
+    }, { onProgress } = {}) {
+        const startTime = Date.now();
+        let playlist = null;
+        let truncated = false;
+        let videos = videoIds.map(videoId => ({ videoId, title: null }));
+
+        // Step 1: Resolve the lectures
+        if (playlistId) {
+            onProgress?.({ stage: 'playlist' });
+            playlist = await PlaylistService.getPlaylist(playlistId);
+            truncated = playlist.videos.length > this.getMaxVideos();
+            videos = playlist.videos.slice(0, this.getMaxVideos());
+        }
+
+        if (videos.length === 0) {
+            throw playlistId
+                ? new TranscriptError('The playlist has no videos to process.', { code: ErrorCodes.PLAYLIST_NOT_FOUND })
+                : new ValidationError('A course needs at least one video', { code: ErrorCodes.INVALID_COURSE });
+        }
+
+        const lectures = videos.map((video, index) => ({
+            position: index + 1,
+            videoId: video.videoId,
+            videoUrl: buildVideoUrl(video.videoId),
+            status: 'pending',
+            title: video.title || null,
+            materialId: null,
+            quizId: null,
+            cached: null,
+            error: null
+        }));
+
+        // Step 2: Process the lectures, a few at a time
+        logger.info(`Processing course of ${lectures.length} lectures`);
+        const results = await this.processLectures(lectures, { quizOptions, captionLanguage, outputLanguage, promptVariants, ownerId }, onProgress);
+
+        const completed = lectures.filter(lecture => lecture.status === 'completed');
+        if (completed.length === 0) {
+            // Report the first lecture's failure (e.g. the daily quota) with every lecture's status
+            const { code, message, statusCode } = lectures[0].error;
+            throw new AppError(`None of the ${lectures.length} lectures could be processed. ${message}`, {
+                code,
+                statusCode,
+                details: { lectures: lectures.map(({ position, videoId, status, error }) => ({ position, videoId, status, error })) }
+            });
+        }
+
+        // Step 3: Course overview and final exam
+        onProgress?.({ stage: 'overview', detail: `${completed.length} of ${lectures.length} lectures processed`, partial: { lectures } });
+        const courseTitle = title || playlist?.title || `Course: ${completed[0].title}`;
+        const summary = await AIService.summarizeCourse(
+            completed.map(lecture => ({ title: lecture.title, summary: results.get(lecture.position).summary })),
+            { language: outputLanguage }
+        );
+
+        const id = `course_${crypto.randomBytes(8).toString('hex')}`;
+        const exam = this.buildExam(completed, results, examQuestionCount);
+        const examQuizId = await QuizStore.save({ quiz: exam, title: `${courseTitle} - Final exam`, source: id });
+
+        const now = new Date().toISOString();
+        const course = {
+            id,
+            title: courseTitle,
+            playlistId,
+            ownerIds: [ownerId],
+            summary,
+            lectures,
+            exam,
+            examQuizId,
+            quizOptions,
+            outputLanguage,
+            metadata: {
+                lectureCount: lectures.length,
+                completed: completed.length,
+                failed: lectures.filter(lecture => lecture.status === 'failed').length,
+                skipped: lectures.filter(lecture => lecture.status === 'skipped').length,
+                truncated,
+                duration: completed.reduce((total, lecture) => total + (results.get(lecture.position).metadata.duration || 0), 0) || null,
+                processingTime: Date.now() - startTime,
+                generatedAt: now
+            },
+            createdAt: now
+        };
+
+        await getStorage().put(COLLECTION, id, course);
+        logger.info(`Course ${id} processed: ${completed.length}/${lectures.length} lectures in ${Date.now() - startTime}ms`);
+
+        return course;
+    }
+
+    /**
+     * Run the video pipeline for each lecture with bounded concurrency, updating each
+     * lecture's status in place. Once the caller's daily quota runs out, the remaining
+     * lectures are skipped rather than attempted.
+     * @param {Array<Object>} lectures - Lecture statuses
+     * @param {Object} options - { quizOptions, captionLanguage, outputLanguage, promptVariants, ownerId }
+     * @param {Function} [onProgress] - Progress listener
+     * @returns {Promise<Map<number, Object>>} - Full results of completed lectures, by position
+     */
+    static async processLectures(lectures, options, onProgress) {
+        const results = new Map();
+        let finished = 0;
+        let quotaError = null;
+
+        const report = () => onProgress?.({
+            stage: 'lectures',
+            detail: `${finished}/${lectures.length} lectures`,
+            partial: { lectures }
+        });
+        report();
+
+        await mapWithConcurrency(lectures, this.getConcurrency(), async (lecture) => {
+            if (quotaError) {
+                Object.assign(lecture, { status: 'skipped', error: quotaError });
+            } else {
+                lecture.status = 'processing';
+                report();
+
+                try {
+                    const { result, cached } = await LearningService.processVideo({
+                        videoId: lecture.videoId,
+                        videoUrl: lecture.videoUrl,
+                        ...options
+                    });
+                    results.set(lecture.position, result);
+                    Object.assign(lecture, {
+                        status: 'completed',
+                        // Playlist titles are the lecturer's own; otherwise use the generated one
+                        title: lecture.title || result.title,
+                        materialId: result.materialId,
+                        quizId: result.quizId,
+                        cached
+                    });
+
+                } catch (error) {
+                    logger.error(`Lecture ${lecture.position} (${lecture.videoId}) failed:`, error.message);
+                    const { code, message, statusCode } = describeError(error);
+                    Object.assign(lecture, { status: 'failed', error: { code, message, statusCode } });
+                    if (code === ErrorCodes.DAILY_QUOTA_EXCEEDED) {
+                        quotaError = lecture.error;
+                    }
+                }
+            }
+
+            finished++;
+            report();
+        });
+
+        return results;
+    }
+
+    /**
+     * Build a cumulative exam from the lectures' quizzes: questions are shared out evenly
+     * between lectures and picked from across each lecture's quiz, then ordered by lecture
+     * @param {Array<Object>} lectures - Completed lectures, in course order
+     * @param {Map<number, Object>} results - Full results by lecture position
+     * @param {number} count - Questions wanted
+     * @returns {Array<Object>} - Exam questions (answers included), numbered from 1
+     */
+    static buildExam(lectures, results, count) {
+        const pools = lectures.map(lecture => results.get(lecture.position).quiz);
+        const shares = pools.map(() => 0);
+
+        // Hand out questions one lecture at a time until the count is met or every quiz is used up
+        let remaining = count;
+        while (remaining > 0 && shares.some((share, index) => share < pools[index].length)) {
+            pools.forEach((pool, index) => {
+                if (remaining > 0 && shares[index] < pool.length) {
+                    shares[index]++;
+                    remaining--;
+                }
+            });
+        }
+
+        const exam = lectures.flatMap((lecture, index) => {
+            const pool = pools[index];
+            const share = shares[index];
+            // Evenly spaced picks cover the whole lecture rather than just its start
+            const picks = Array.from({ length: share }, (_, i) => pool[Math.floor((i * pool.length) / share)]);
+
+            return picks.map(question => ({
+                ...question,
+                lecture: { position: lecture.position, videoId: lecture.videoId, title: lecture.title }
+            }));
+        });
+
+        return exam.map((question, index) => ({ ...question, id: index + 1 }));
+    }
+
+    /**
+     * Get a stored course
+     * @param {string} id - Course ID
+     * @returns {Promise<Object|null>}
+     */
+    static async get(id) {
+        if (!/^course_[a-f0-9]+$/.test(String(id))) {
+            return null;
+        }
+
+        try {
+            return await getStorage().get(COLLECTION, id);
+        } catch (error) {
+            logger.error('Course get error:', error);
+            return null;
+        }
+    }
+
+    /**
+     * List courses visible to a caller, most recent first
+     * @param {Object} [options] - { limit, offset, user }
+     * @returns {Promise<{items: Array<Object>, total: number}>} - Page of summaries
+     */
+    static async list({ limit = 20, offset = 0, user = null } = {}) {
+        const courses = (await getStorage().list(COLLECTION))
+            .filter(course => this.canAccess(course, user))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+        const items = courses.slice(offset, offset + limit).map(course => ({
+            id: course.id,
+            title: course.title,
+            playlistId: course.playlistId,
+            lectureCount: course.metadata.lectureCount,
+            completed: course.metadata.completed,
+            examQuestionCount: course.exam.length,
+            createdAt: course.createdAt
+        }));
+
+        return { items, total: courses.length };
+    }
+
+    /**
+     * Share a processed course, and its lectures' saved materials, with callers who joined its job
+     * @param {Object} course - Stored course
+     * @param {Array<string|null>} ownerIds - User IDs (null for anonymous callers)
+     * @returns {Promise<Object>} - Course with the combined owners
+     */
+    static async addOwners(course, ownerIds) {
+        const added = ownerIds.filter(ownerId => !course.ownerIds.includes(ownerId));
+        if (added.length === 0) {
+            return course;
+        }
+
+        for (const lecture of course.lectures.filter(item => item.status === 'completed')) {
+            for (const ownerId of added) {
+                await MaterialsService.addOwner(lecture.materialId, ownerId);
+            }
+        }
+
+        const shared = { ...course, ownerIds: [...course.ownerIds, ...added] };
+        await getStorage().put(COLLECTION, course.id, shared);
+        return shared;
+    }
+
+    /**
+     * Whether a caller may see a course: admins see every course, everyone else the courses they built
+     * or joined (anonymous callers share the anonymous courses)
+     * @param {Object} course - Stored course
+     * @param {Object|null} user - Authenticated user, or null for anonymous callers
+     * @returns {boolean}
+     */
+    static canAccess(course, user) {
+        // Courses saved before they could be shared have a single ownerId
+        const ownerIds = course.ownerIds || [course.ownerId ?? null];
+        return user?.role === 'admin' || ownerIds.includes(user?.id || null);
+    }
+
+    /**
+     * Prepare a stored course for the client: the final exam is returned without answers,
+     * which stay server-side under examQuizId for POST /api/quizzes/:id/submit
+     * @param {Object} course - Stored course
+     * @returns {Promise<Object>}
+     */
+    static async toClientCourse({ ownerId, ownerIds, exam, ...course }) {
+        // Courses can outlive their stored exam; store it again under the same ID
+        if (!(await QuizStore.has(course.examQuizId))) {
+            await QuizStore.save({ quiz: exam, title: `${course.title} - Final exam`, source: course.id }, course.examQuizId);
+        }
+
+        return {
+            ...course,
+            exam: exam.map(question => QuizService.toClientQuestion(question))
+        };
+    }
+}
@@ -0,0 +1,644 @@
+import fs from 'fs';
+import path from 'path';
+import { AIService } from './ai.service.js';
+import { QuizService } from './quiz.service.js';
+import { FlashcardService } from './flashcard.service.js';
+import { GroundingService } from './grounding.service.js';
+import { FixtureProvider, createProvider } from './providers/index.js';
+import { PromptRegistry } from '../utils/promptRegistry.js';
+import { similarity, normalizeText, tokenize } from '../utils/text.js';
+import { logger } from '../utils/logger.js';
+import { ValidationError } from '../utils/errors.js';
+
+/**
+ * Offline evaluation of generation quality.
+ *
+ * A case is a folder with a transcript.txt, an optional case.json ({ title, quiz }) and
+ * recorded model responses under responses/<recordings>/, named like the fixture provider
+ * expects (<promptHash>.txt, or <task>.txt for every prompt of a task). A configuration
+ * ({ name, generationMode, promptVariants, quiz, outputLanguage, recordings }) runs the
+ * AIService pipeline over every case with the fixture provider replaying its recordings, so
+ * nothing leaves the machine. A case with a call that has no recording isn't scored: the
+ * fixture's built-in response would say nothing about the prompts, so the case (and its
+ * configuration) is reported as not evaluated instead.
+ *
+ * Each case is scored from 0 to 1 on structural validity, question count, first-pass quiz
+ * quality, answer-option sanity, duplicates and transcript grounding, and two configurations
+ * can be compared metric by metric, or each compared with its run in a saved reference report.
+ */
+export class EvaluationService {
+    static METRICS = ['structure', 'questionCount', 'firstPass', 'options', 'uniqueness', 'grounding'];
+    static GENERATION_MODES = ['structured', 'per-part'];
+    static MIN_KEY_POINTS = 3;
+    // Similarity at or above which two items of one set count as near-duplicates
+    static DUPLICATE_THRESHOLD = 0.6;
+    // A correct option this many times longer than the longest distractor gives the answer away
+    static STANDOUT_RATIO = 1.75;
+    // Share of choice-question answers on one letter (or of true/false answers on one value) that counts as a bias
+    static BIAS_SHARE = 0.6;
+    static MIN_BIAS_QUESTIONS = 4;
+    // Drop in a metric's average (on the 0-1 scale) that counts as a regression
+    static REGRESSION_TOLERANCE = 0.02;
+    static CATCH_ALL_OPTION = /\b(all|none|both|neither) of (the )?(above|these|them)\b/i;
+
+    /**
+     * Read the evaluation cases in a folder
+     * @param {string} dir - Folder with one subfolder per case
+     * @param {Object} [options] - Options
+     * @param {Array<string>} [options.only] - Case IDs (folder names) to keep
+     * @returns {Array<Object>} - Cases { id, folder, title, transcript, quiz }, sorted by ID
+     */
+    static loadCases(dir, { only = null } = {}) {
+        if (!fs.existsSync(dir)) {
+            throw new ValidationError(`Evaluation cases folder not found: ${dir}`);
+        }
+
+        const cases = fs.readdirSync(dir)
+            .filter(id => fs.existsSync(path.join(dir, id, 'transcript.txt')))
+            .filter(id => !only || only.includes(id))
+            .sort()
+            .map(id => {
+                const folder = path.join(dir, id);
+                const settings = this.readJSON(path.join(folder, 'case.json'), { optional: true }) || {};
+                const { error } = QuizService.resolveOptions(settings.quiz || {});
+                if (error) {
+                    throw new ValidationError(`Case ${id}: ${error}`);
+                }
+
+                return {
+                    id,
+                    folder,
+                    title: settings.title || id,
+                    transcript: fs.readFileSync(path.join(folder, 'transcript.txt'), 'utf8').trim(),
+                    quiz: settings.quiz || {}
+                };
+            });
+
+        if (cases.length === 0) {
+            throw new ValidationError(`No evaluation cases (folders with a transcript.txt) in ${dir}${only ? ` matching ${only.join(', ')}` : ''}`);
+        }
+        return cases;
+    }
+
+    /**
+     * Read and resolve a configuration file
+     * @param {string} file - JSON file
+     * @returns {Object} - Resolved configuration (see resolveConfig)
+     */
+    static loadConfig(file) {
+        return this.resolveConfig(this.readJSON(file), path.basename(file, '.json'));
+    }
+
+    /**
+     * Check a configuration and fill in its defaults
+     * @param {Object} raw - { name, description, generationMode, promptVariants, quiz, outputLanguage, recordings }
+     * @param {string} fallbackName - Name when the configuration has none (its file name)
+     * @returns {Object} - Configuration; quiz holds resolved quiz options, and recordings
+     *   (default: the name) is the responses subfolder replayed for each case
+     */
+    static resolveConfig(raw, fallbackName) {
+        const name = raw.name || fallbackName;
+        const generationMode = raw.generationMode || 'structured';
+        if (!this.GENERATION_MODES.includes(generationMode)) {
+            throw new ValidationError(`${name}: generationMode must be one of: ${this.GENERATION_MODES.join(', ')}`);
+        }
+
+        const { options: quiz, error } = QuizService.resolveOptions(raw.quiz || {});
+        if (error) {
+            throw new ValidationError(`${name}: ${error}`);
+        }
+
+        const { variants: promptVariants, error: variantError } = PromptRegistry.resolveVariants(raw.promptVariants);
+        if (variantError) {
+            throw new ValidationError(`${name}: ${variantError}`);
+        }
+
+        return {
+            name,
+            description: raw.description || '',
+            generationMode,
+            promptVariants,
+            quiz,
+            outputLanguage: raw.outputLanguage || 'en',
+            recordings: raw.recordings || name
+        };
+    }
+
+    /**
+     * Run a configuration over the cases and score the results
+     * @param {Object} config - Resolved configuration
+     * @param {Array<Object>} cases - Cases from loadCases
+     * @param {Object} [options] - Options
+     * @param {boolean} [options.record] - Call the configured live provider (AI_PROVIDER) instead of
+     *   replaying, and save its responses as the configuration's recordings
+     * @returns {Promise<Object>} - Run { config, evaluated, cases: [case scores], averages }; evaluated
+     *   is false when a case had calls without a recording, and then there are no averages
+     */
+    static async run(config, cases, { record = false } = {}) {
+        const previous = AIService.provider;
+        const previousMode = process.env.AI_GENERATION_MODE;
+        const live = record ? createProvider() : null;
+        const results = [];
+
+        // The configuration decides the mode, whatever the environment (or .env, when recording) says
+        process.env.AI_GENERATION_MODE = config.generationMode;
+
+        try {
+            for (const testCase of cases) {
+                const dir = path.join(testCase.folder, 'responses', config.recordings);
+                const provider = record
+                    ? new RecordingProvider(live, dir, config)
+                    : new ReplayProvider(dir, config);
+                AIService.setProvider(provider);
+
+                const quizOptions = QuizService.resolveOptions({ ...config.quiz, ...testCase.quiz }).options;
+                const startTime = Date.now();
+                logger.info(`Evaluating ${config.name} on ${testCase.id}`);
+
+                let scores;
+                try {
+                    const materials = await AIService.processTranscript(testCase.transcript, null, {
+                        quiz: quizOptions,
+                        outputLanguage: config.outputLanguage,
+                        // Flashcards are scored too, so always generate them
+                        include: ['flashcards'],
+                        promptVariants: config.promptVariants
+                    });
+                    scores = this.score(materials, testCase.transcript, quizOptions);
+                } catch (error) {
+                    // A case that fails to generate scores zero rather than stopping the run
+                    logger.warn(`${config.name} failed on ${testCase.id}: ${error.message}`);
+                    scores = this.failed(error);
+                }
+
+                const missing = provider.missing || [];
+                results.push({
+                    case: testCase.id,
+                    title: testCase.title,
+                    evaluated: missing.length === 0,
+                    ...(missing.length === 0 ? scores : this.notEvaluated(missing)),
+                    calls: provider.calls,
+                    recorded: provider.recorded,
+                    duration: Date.now() - startTime
+                });
+            }
+        } finally {
+            AIService.setProvider(previous);
+            if (previousMode === undefined) {
+                delete process.env.AI_GENERATION_MODE;
+            } else {
+                process.env.AI_GENERATION_MODE = previousMode;
+            }
+        }
+
+        const evaluated = results.every(result => result.evaluated);
+        return {
+            config: { ...config, provider: live ? `${live.name}:${live.model}` : 'fixture (replay)' },
+            evaluated,
+            cases: results,
+            averages: evaluated
+                ? this.average(results)
+                : Object.fromEntries(['overall', ...this.METRICS].map(metric => [metric, null]))
+        };
+    }
+
+    /**
+     * Score generated materials
+     * @param {Object} materials - Result of AIService.processTranscript
+     * @param {string} transcript - Transcript they were generated from
+     * @param {Object} quizOptions - Resolved quiz options they were requested with
+     * @returns {{overall: number, metrics: Object, details: Object}} - Metrics from 0 to 1
+     *   (grounding is null when it can't be checked), overall from 0 to 100
+     */
+    static score(materials, transcript, quizOptions) {
+        const quality = materials.quizQuality;
+        const structure = this.checkStructure(materials, quizOptions);
+        const options = this.checkOptions(materials.quiz);
+        const duplicates = this.findDuplicates(materials);
+        const grounding = this.checkGrounding(materials, transcript);
+
+        // Questions accepted as generated, before any repair or regeneration
+        const firstPass = quality.delivered - quality.repaired - quality.regenerated;
+
+        const metrics = {
+            structure: structure.passed / structure.checks,
+            questionCount: Math.min(1, quality.delivered / quality.requested),
+            firstPass: Math.max(0, firstPass / quality.requested),
+            options: options.checked > 0 ? 1 - options.flagged / options.checked : 1,
+            uniqueness: duplicates.total > 0 ? 1 - duplicates.repeated / duplicates.total : 1,
+            grounding: grounding ? grounding.score : null
+        };
+
+        return {
+            overall: this.overall(metrics),
+            metrics: this.round(metrics),
+            details: {
+                mode: materials.mode,
+                prompts: materials.prompts,
+                quizQuality: quality,
+                structure: structure.issues,
+                options: options.issues,
+                warnings: options.warnings,
+                duplicates: duplicates.pairs,
+                grounding: grounding && { counts: grounding.counts, meanConfidence: grounding.meanConfidence }
+            }
+        };
+    }
+
+    /**
+     * Check that every part of the materials is present and well-formed
+     * @returns {{checks: number, passed: number, issues: Array<string>}}
+     */
+    static checkStructure(materials, quizOptions) {
+        const issues = [];
+        const check = (ok, issue) => {
+            if (!ok) {
+                issues.push(issue);
+            }
+        };
+
+        const keyPoints = materials.keyPoints || [];
+        check(typeof materials.title === 'string' && materials.title.trim().length > 0, 'missing title');
+        check(typeof materials.summary === 'string' && tokenize(materials.summary).length > 0, 'missing summary');
+        check(keyPoints.length >= this.MIN_KEY_POINTS && keyPoints.length <= AIService.MAX_KEY_POINTS,
+            `expected ${this.MIN_KEY_POINTS}-${AIService.MAX_KEY_POINTS} key points, got ${keyPoints.length}`);
+        check((materials.flashcards || []).length > 0, 'no flashcards');
+        check((materials.flashcards || []).every(card => FlashcardService.normalizeCard(card)), 'defective flashcards');
+
+        for (const question of materials.quiz) {
+            const questionIssues = QuizService.validateQuestion(question, quizOptions.questionTypes);
+            check(questionIssues.length === 0, `question ${question.id}: ${questionIssues.join(', ')}`);
+        }
+
+        const checks = 5 + materials.quiz.length;
+        return { checks, passed: checks - issues.length, issues };
+    }
+
+    /**
+     * Look for answer options that make choice questions easy to game: catch-all options,
+     * a correct option much longer than the rest, or one the stem repeats; and, across the
+     * quiz, answers bunched on one letter or one true/false value
+     * @param {Array<Object>} quiz - Final quiz questions
+     * @returns {{checked: number, flagged: number, issues: Array<Object>, warnings: Array<string>}}
+     */
+    static checkOptions(quiz) {
+        const choice = quiz.filter(question => ['multiple-choice', 'multi-select'].includes(question.type));
+        const issues = [];
+
+        for (const question of choice) {
+            const found = [];
+            const correct = [question.correctAnswer].flat().map(letter => QuizService.LETTERS.indexOf(letter));
+            const correctOptions = correct.map(index => question.options[index]).filter(Boolean);
+            const distractors = question.options.filter((option, index) => !correct.includes(index));
+
+            if (question.options.some(option => this.CATCH_ALL_OPTION.test(option))) {
+                found.push('catch-all option ("all/none of the above")');
+            }
+            if (question.type === 'multiple-choice' && correctOptions[0] && distractors.length > 0
+                && correctOptions[0].length >= this.STANDOUT_RATIO * Math.max(...distractors.map(option => option.length))) {
+                found.push('correct option is much longer than the others');
+            }
+            const stem = ` ${normalizeText(question.question)} `;
+            if (correctOptions.some(option => tokenize(option).length >= 2 && stem.includes(` ${normalizeText(option)} `))) {
+                found.push('question stem contains the correct option');
+            }
+
+            if (found.length > 0) {
+                issues.push({ questionId: question.id, issues: found });
+            }
+        }
+
+        const warnings = [];
+        const bias = (answers, label) => {
+            if (answers.length < this.MIN_BIAS_QUESTIONS) {
+                return;
+            }
+            const counts = answers.reduce((all, answer) => all.set(answer, (all.get(answer) || 0) + 1), new Map());
+            const [answer, count] = [...counts].sort(([, a], [, b]) => b - a)[0];
+            if (count / answers.length > this.BIAS_SHARE) {
+                warnings.push(`${count} of ${answers.length} ${label} answers are "${answer}"`);
+            }
+        };
+        bias(quiz.filter(question => question.type === 'multiple-choice').map(question => question.correctAnswer), 'multiple-choice');
+        bias(quiz.filter(question => question.type === 'true-false').map(question => question.correctAnswer), 'true/false');
+
+        return { checked: choice.length, flagged: issues.length, issues, warnings };
+    }
+
+    /**
+     * Find near-duplicate quiz questions, key points and flashcards (within each set)
+     * @returns {{total: number, repeated: number, pairs: Array<Object>}} - repeated counts
+     *   items that duplicate an earlier item of their set
+     */
+    static findDuplicates(materials) {
+        const sets = {
+            // Stems plus answers, as in the pipeline's own check: generic stems alone aren't repeats
+            quiz: materials.quiz.map(question => QuizService.describeQuestion(question)),
+            keyPoints: (materials.keyPoints || []).map(point => (typeof point === 'string' ? point : point.text)),
+            flashcards: (materials.flashcards || []).map(card => FlashcardService.describeCard(card))
+        };
+
+        const pairs = [];
+        let total = 0;
+        let repeated = 0;
+        for (const [kind, texts] of Object.entries(sets)) {
+            total += texts.length;
+            texts.forEach((text, index) => {
+                const earlier = texts.findIndex((other, otherIndex) => otherIndex < index && similarity(other, text) >= this.DUPLICATE_THRESHOLD);
+                if (earlier >= 0) {
+                    repeated++;
+                    pairs.push({ kind, first: earlier + 1, second: index + 1, similarity: Math.round(similarity(texts[earlier], text) * 100) / 100 });
+                }
+            });
+        }
+
+        return { total, repeated, pairs };
+    }
+
+    /**
+     * Check key points and quiz answers against the transcript (see GroundingService),
+     * whatever GROUNDING_MODE is set to
+     * @returns {{score: number, meanConfidence: number, counts: Object}|null} - null when the
+     *   materials are in another language than the transcript, which can't be checked
+     */
+    static checkGrounding(materials, transcript) {
+        const index = GroundingService.buildIndex(GroundingService.buildPassages(transcript));
+        if (index.passages.length === 0 || GroundingService.overlap(index, materials.summary) < GroundingService.MIN_LANGUAGE_OVERLAP) {
+            return null;
+        }
+
+        const checks = [
+            ...(materials.keyPoints || []).map(point => GroundingService.check(index, typeof point === 'string' ? point : point.text)),
+            ...materials.quiz.map(question => GroundingService.check(index, GroundingService.claimText(question)))
+        ];
+        if (checks.length === 0) {
+            return null;
+        }
+
+        const counts = { supported: 0, weak: 0, unsupported: 0 };
+        checks.forEach(check => counts[check.status]++);
+
+        return {
+            // Weakly supported items count half
+            score: (counts.supported + counts.weak / 2) / checks.length,
+            meanConfidence: Math.round((checks.reduce((sum, check) => sum + check.confidence, 0) / checks.length) * 100) / 100,
+            counts
+        };
+    }
+
+    /**
+     * Scores of a case whose generation failed
+     */
+    static failed(error) {
+        const metrics = Object.fromEntries(this.METRICS.map(metric => [metric, 0]));
+        return { overall: 0, metrics, details: { error: error.message, code: error.code || null } };
+    }
+
+    /**
+     * Scores of a case with calls that had no recorded response
+     * @param {Array<string>} missing - Calls without a recording ("<task> (<promptHash>)")
+     */
+    static notEvaluated(missing) {
+        const metrics = Object.fromEntries(this.METRICS.map(metric => [metric, null]));
+        return { overall: null, metrics, details: { missing } };
+    }
+
+    /**
+     * Mean of the available metrics, from 0 to 100
+     */
+    static overall(metrics) {
+        const values = Object.values(metrics).filter(value => value !== null);
+        return Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 1000) / 10;
+    }
+
+    /**
+     * Average metrics and overall score of a run's cases (cases where a metric couldn't be computed are left out of it)
+     * @param {Array<Object>} results - Case scores
+     * @returns {Object} - { overall, ...metrics }
+     */
+    static average(results) {
+        const mean = values => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+        const metrics = Object.fromEntries(this.METRICS.map(metric => [
+            metric,
+            mean(results.map(result => result.metrics[metric]).filter(value => value !== null))
+        ]));
+
+        return {
+            overall: Math.round(mean(results.map(result => result.overall)) * 10) / 10,
+            ...this.round(metrics)
+        };
+    }
+
+    /**
+     * Compare two runs over the same cases
+     * @param {Object} baseline - Run of the reference configuration
+     * @param {Object} candidate - Run of the configuration under test
+     * @returns {Object} - { metrics: [{ metric, baseline, candidate, delta }], cases: [...], regressions: [metric] }
+     */
+    static compare(baseline, candidate) {
+        const delta = (a, b) => (a === null || b === null ? null : Math.round((b - a) * 1000) / 1000);
+
+        const metrics = ['overall', ...this.METRICS].map(metric => ({
+            metric,
+            baseline: baseline.averages[metric],
+            candidate: candidate.averages[metric],
+            delta: delta(baseline.averages[metric], candidate.averages[metric])
+        }));
+
+        const cases = baseline.cases
+            .map(result => [result, candidate.cases.find(other => other.case === result.case)])
+            .filter(([, other]) => other)
+            .map(([result, other]) => ({ case: result.case, baseline: result.overall, candidate: other.overall, delta: delta(result.overall, other.overall) }));
+
+        // The overall score is out of 100; metrics are out of 1
+        const regressions = metrics
+            .filter(({ metric, delta: change }) => change !== null && change < -this.REGRESSION_TOLERANCE * (metric === 'overall' ? 100 : 1))
+            .map(({ metric }) => metric);
+
+        return { metrics, cases, regressions };
+    }
+
+    /**
+     * Build the report of some runs
+     * @param {Array<Object>} runs - Runs; without a reference, a second run is compared to the first
+     * @param {Object} [options] - Options
+     * @param {Object} [options.reference] - Earlier report (JSON from buildReport); each run is
+     *   compared to the reference's run of the same configuration instead
+     * @returns {Object} - { generatedAt, evaluated, runs, comparisons: [{ baseline, candidate, ...compare }] }
+     */
+    static buildReport(runs, { reference = null } = {}) {
+        let comparisons = [];
+        if (reference) {
+            comparisons = runs.map(run => {
+                const saved = (reference.runs || []).find(other => other.config.name === run.config.name);
+                if (!saved) {
+                    throw new ValidationError(`The reference report has no run of ${run.config.name}`);
+                }
+                return { baseline: `${run.config.name} (reference)`, candidate: run.config.name, ...this.compare(saved, run) };
+            });
+        } else if (runs.length === 2) {
+            comparisons = [{ baseline: runs[0].config.name, candidate: runs[1].config.name, ...this.compare(runs[0], runs[1]) }];
+        }
+
+        return {
+            generatedAt: new Date().toISOString(),
+            evaluated: runs.every(run => run.evaluated),
+            runs,
+            comparisons
+        };
+    }
+
+    /**
+     * Render a report as Markdown
+     * @param {Object} report - Report from buildReport
+     * @returns {string}
+     */
+    static toMarkdown({ generatedAt, runs, comparisons }) {
+        const format = value => (value === null || value === undefined ? 'n/a' : String(value));
+        const signed = value => (value === null ? 'n/a' : `${value > 0 ? '+' : ''}${value}`);
+        const lines = [`# Evaluation report`, '', `Generated ${generatedAt} over ${runs[0].cases.length} cases.`, ''];
+
+        lines.push('## Configurations', '', '| Configuration | Provider | Mode | Prompt variants | Quiz (unless a case sets its own) | Recorded responses |', '|---|---|---|---|---|---|');
+        for (const { config, evaluated, cases } of runs) {
+            const calls = cases.reduce((sum, result) => sum + result.calls, 0);
+            const recorded = cases.reduce((sum, result) => sum + result.recorded, 0);
+            const variants = Object.entries(config.promptVariants).map(([name, variant]) => `${name}=${variant}`).join(', ') || 'default';
+            lines.push(`| ${config.name}${config.description ? ` - ${config.description}` : ''} | ${config.provider} | ${config.generationMode} | ${variants} | ${config.quiz.questionCount} × ${config.quiz.questionTypes.join('/')}, ${config.quiz.difficulty} | ${recorded}/${calls} calls${evaluated ? '' : ' - **not evaluated**'} |`);
+        }
+
+        const skipped = runs.filter(run => !run.evaluated).map(run => run.config.name);
+        if (skipped.length > 0) {
+            lines.push('', `⚠️ **Not evaluated: ${skipped.join(', ')}.** Some calls had no recorded response (listed under findings), so there are no scores to report. Record them with --record.`);
+        }
+
+        lines.push('', '## Scores', '', `| Metric | ${runs.map(run => run.config.name).join(' | ')} |`, `|---|${runs.map(() => '---|').join('')}`);
+        ['overall', ...this.METRICS].forEach(metric => lines.push(`| ${metric} | ${runs.map(run => format(run.averages[metric])).join(' | ')} |`));
+
+        for (const comparison of comparisons) {
+            lines.push('', `## Comparison: ${comparison.candidate} vs ${comparison.baseline}`, '');
+            lines.push(`| Metric | ${comparison.baseline} | ${comparison.candidate} | Change |`, '|---|---|---|---|');
+            comparison.metrics.forEach(({ metric, baseline, candidate, delta }) => {
+                lines.push(`| ${metric} | ${format(baseline)} | ${format(candidate)} | ${signed(delta)}${comparison.regressions.includes(metric) ? ' ⚠️' : ''} |`);
+            });
+            lines.push('', comparison.regressions.length > 0
+                ? `Regressions: ${comparison.regressions.join(', ')}.`
+                : 'No regressions.');
+
+            lines.push('', `| Case | ${comparison.baseline} | ${comparison.candidate} | Change |`, '|---|---|---|---|');
+            comparison.cases.forEach(result => lines.push(`| ${result.case} | ${format(result.baseline)} | ${format(result.candidate)} | ${signed(result.delta)} |`));
+        }
+
+        for (const { config, cases } of runs) {
+            lines.push('', `## Findings: ${config.name}`, '');
+            for (const result of cases) {
+                const findings = this.describeFindings(result);
+                lines.push(`- **${result.case}** (${result.evaluated ? result.overall : 'not evaluated'}): ${findings.length > 0 ? findings.join('; ') : 'no issues'}`);
+            }
+        }
+
+        return `${lines.join('\n')}\n`;
+    }
+
+    /**
+     * One-line descriptions of what lowered a case's scores
+     * @param {Object} result - Case scores
+     * @returns {Array<string>}
+     */
+    static describeFindings({ details }) {
+        if (details.missing) {
+            return [`no recorded response for ${details.missing.join(', ')}`];
+        }
+        if (details.error) {
+            return [`generation failed: ${details.error}`];
+        }
+
+        const { quizQuality: quality } = details;
+        return [
+            ...details.structure,
+            quality.delivered < quality.requested ? `${quality.delivered}/${quality.requested} questions` : null,
+            quality.repaired + quality.regenerated > 0 ? `${quality.repaired} repaired, ${quality.regenerated} regenerated questions` : null,
+            ...details.options.map(({ questionId, issues }) => `question ${questionId}: ${issues.join(', ')}`),
+            ...details.warnings,
+            ...details.duplicates.map(({ kind, first, second }) => `${kind} ${second} repeats ${first}`),
+            details.grounding && details.grounding.counts.unsupported > 0 ? `${details.grounding.counts.unsupported} unsupported items` : null,
+            details.grounding ? null : 'grounding not checked (materials not in the transcript language)'
+        ].filter(Boolean);
+    }
+
+    /**
+     * Round metrics to three decimals
+     */
+    static round(metrics) {
+        return Object.fromEntries(Object.entries(metrics).map(([metric, value]) => [metric, value === null ? null : Math.round(value * 1000) / 1000]));
+    }
+
+    /**
+     * Read a JSON file
+     * @param {string} file - Path
+     * @param {Object} [options] - { optional: return null when the file doesn't exist }
+     * @returns {Object|null}
+     */
+    static readJSON(file, { optional = false } = {}) {
+        if (optional && !fs.existsSync(file)) {
+            return null;
+        }
+        try {
+            return JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            throw new ValidationError(`Could not read ${file}: ${error.message}`);
+        }
+    }
+}
+
+/**
+ * Fixture provider replaying a case's recorded responses, listing the calls that had none
+ */
+class ReplayProvider {
+    constructor(dir, { generationMode }) {
+        this.fixture = new FixtureProvider({ dir: fs.existsSync(dir) ? dir : null });
+        this.name = 'fixture';
+        this.model = 'fixture';
+        this.supportsResponseSchema = generationMode === 'structured';
+        this.calls = 0;
+        this.recorded = 0;
+        this.missing = [];
+    }
+
+    async generate(prompt, options = {}) {
+        this.calls++;
+        const hash = FixtureProvider.hashPrompt(prompt);
+        if (this.fixture.readRecorded(hash) !== null || (options.task && this.fixture.readRecorded(options.task) !== null)) {
+            this.recorded++;
+        } else {
+            // The built-in response keeps the pipeline going, so every missing call gets listed
+            this.missing.push(`${options.task || 'prompt'} (${hash})`);
+        }
+        return this.fixture.generate(prompt, options);
+    }
+}
+
+/**
+ * Live provider whose responses are saved for replay, named by prompt hash
+ */
+class RecordingProvider {
+    constructor(provider, dir, { generationMode }) {
+        this.provider = provider;
+        this.dir = dir;
+        this.name = provider.name;
+        this.model = provider.model;
+        this.supportsResponseSchema = generationMode === 'structured' && !!provider.supportsResponseSchema;
+        this.calls = 0;
+        this.recorded = 0;
+    }
+
+    async generate(prompt, options = {}) {
+        this.calls++;
+        const text = await this.provider.generate(prompt, options);
+
+        fs.mkdirSync(this.dir, { recursive: true });
+        fs.writeFileSync(path.join(this.dir, `${FixtureProvider.hashPrompt(prompt)}.txt`), text);
+        this.recorded++;
+
+        return text;
+    }
+}
@@ -0,0 +1,356 @@
+import { QuizService } from './quiz.service.js';
+import { TimestampService } from './timestamp.service.js';
+import { slugify } from '../utils/text.js';
+
+/**
+ * Printable documents from saved learning sets: Markdown, standalone HTML that
+ * prints cleanly to PDF, and JSON. The quiz comes as a student copy without
+ * answers and as a separate answer key with explanations.
+ */
+export class ExportService {
+    static FORMATS = ['md', 'html', 'json'];
+    // complete: materials, student quiz and answer key; student: without the answer key;
+    // answer-key: only the answer key
+    static VERSIONS = ['complete', 'student', 'answer-key'];
+
+    static TYPE_INSTRUCTIONS = {
+        'multiple-choice': 'Choose one answer.',
+        'true-false': 'True or false?',
+        'multi-select': 'Choose {count} answers.',
+        'fill-in-the-blank': 'Fill in the blank.',
+        'short-answer': 'Answer in a few sentences.'
+    };
+
+    /**
+     * Build the export document for a stored learning set
+     * @param {Object} result - Stored processing result (quiz with answers)
+     * @param {string} [version] - student, complete or answer-key
+     * @returns {Object} - { materialId, version, title, source, generatedAt, summary?, keyPoints?, quiz?, answerKey? }
+     */
+    static toDocument(result, version = 'student') {
+        const quiz = Array.isArray(result.quiz) ? result.quiz : [];
+        const document = {
+            materialId: result.materialId || null,
+            version,
+            title: result.title || 'Learning Materials',
+            source: this.describeSource(result),
+            generatedAt: result.metadata?.generatedAt || null
+        };
+
+        if (version !== 'answer-key') {
+            document.summary = result.summary || '';
+            document.keyPoints = (result.keyPoints || []).map(point => TimestampService.toKeyPoint(point));
+            document.quiz = quiz.map((question, index) => this.toStudentQuestion(question, index + 1));
+        }
+
+        if (version !== 'student') {
+            document.answerKey = quiz.map((question, index) => this.toAnswer(question, index + 1));
+        }
+
+        return document;
+    }
+
+    /**
+     * Where the materials came from, for the document header
+     * @param {Object} result - Stored processing result
+     * @returns {Object} - { label, url }
+     */
+    static describeSource(result) {
+        if (result.videoUrl) {
+            return { label: 'YouTube video', url: result.videoUrl };
+        }
+        if (result.metadata?.filename) {
+            return { label: result.metadata.filename, url: null };
+        }
+        return { label: 'Transcript', url: null };
+    }
+
+    /**
+     * Question as printed on the student copy
+     * @param {Object} question - Stored question
+     * @param {number} number - Question number
+     * @returns {Object} - { number, type, instructions, question, options: [{ letter, text }] }
+     */
+    static toStudentQuestion(question, number) {
+        const safe = QuizService.toClientQuestion(question);
+
+        return {
+            number,
+            type: safe.type,
+            instructions: (this.TYPE_INSTRUCTIONS[safe.type] || '').replace('{count}', safe.selectCount),
+            question: safe.question,
+            options: (safe.options || []).map((text, index) => ({ letter: QuizService.LETTERS[index], text }))
+        };
+    }
+
+    /**
+     * Answer key entry for a question
+     * @param {Object} question - Stored question
+     * @param {number} number - Question number
+     * @returns {Object} - { number, question, answer, acceptableAnswers, rubric, explanation, start, link }
+     */
+    static toAnswer(question, number) {
+        return {
+            number,
+            question: question.question,
+            answer: this.formatAnswer(question),
+            acceptableAnswers: question.acceptableAnswers || [],
+            rubric: question.rubric || [],
+            explanation: question.explanation || '',
+            start: question.start ?? null,
+            link: question.link ?? null
+        };
+    }
+
+    /**
+     * Correct answer as text: option letters with their text ("B. Mitochondria"), or the answer itself
+     * @param {Object} question - Stored question
+     * @returns {string}
+     */
+    static formatAnswer(question) {
+        if (question.type === 'multiple-choice' || question.type === 'multi-select') {
+            const letters = Array.isArray(question.correctAnswer) ? question.correctAnswer : [question.correctAnswer];
+            return letters
+                .map(letter => {
+                    const option = question.options?.[QuizService.LETTERS.indexOf(letter)];
+                    return option ? `${letter}. ${option}` : String(letter);
+                })
+                .join('; ');
+        }
+
+        return QuizService.answerText(question);
+    }
+
+    /**
+     * Render a document as Markdown
+     * @param {Object} document - Export document
+     * @returns {string}
+     */
+    static toMarkdown(document) {
+        const md = (text) => this.escapeMarkdown(text);
+        const lines = [`# ${md(document.title)}`, '', this.describeHeader(document, md), ''];
+
+        if (document.summary !== undefined) {
+            lines.push('## Summary', '');
+            this.toParagraphs(document.summary).forEach(paragraph => lines.push(md(paragraph), ''));
+        }
+
+        if (document.keyPoints?.length > 0) {
+            lines.push('## Key Points', '');
+            document.keyPoints.forEach(point => lines.push(`- ${md(point.text)}${this.markdownTime(point)}`));
+            lines.push('');
+        }
+
+        if (document.quiz?.length > 0) {
+            lines.push('## Quiz', '', 'Name: ____________________ Date: ____________', '');
+            for (const question of document.quiz) {
+                lines.push(`**${question.number}.** ${md(question.question)}`, '');
+                if (question.instructions) {
+                    lines.push(`*${question.instructions}*`, '');
+                }
+                if (question.options.length > 0) {
+                    question.options.forEach(option => lines.push(`- [ ] ${option.letter}. ${md(option.text)}`));
+                    lines.push('');
+                } else if (question.type === 'short-answer') {
+                    lines.push('_______________________________________________', '', '_______________________________________________', '');
+                } else if (question.type === 'fill-in-the-blank') {
+                    lines.push('Answer: ____________________', '');
+                }
+            }
+        }
+
+        if (document.answerKey?.length > 0) {
+            lines.push('## Answer Key', '');
+            for (const answer of document.answerKey) {
+                lines.push(`**${answer.number}.** ${md(answer.question)}`, '', `**Answer:** ${md(answer.answer)}${this.markdownTime(answer)}`, '');
+                if (answer.acceptableAnswers.length > 0) {
+                    lines.push(`Also accept: ${answer.acceptableAnswers.map(md).join(', ')}`, '');
+                }
+                if (answer.rubric.length > 0) {
+                    lines.push('Award credit for:', '', ...answer.rubric.map(criterion => `- ${md(criterion)}`), '');
+                }
+                if (answer.explanation) {
+                    lines.push(`> ${md(answer.explanation)}`, '');
+                }
+            }
+        }
+
+        return lines.join('\n').replace(/\n{3,}/g, '\n\n').trimEnd() + '\n';
+    }
+
+    /**
+     * Render a document as a standalone HTML page. The answer key starts on a new
+     * page when printed, so the student copy can be printed on its own.
+     * @param {Object} document - Export document
+     * @returns {string}
+     */
+    static toHtml(document) {
+        const html = (text) => this.escapeHtml(text);
+        const body = [`<h1>${html(document.title)}</h1>`, `<p class="meta">${this.describeHeader(document, html, true)}</p>`];
+
+        if (document.summary !== undefined) {
+            body.push('<section class="summary">', '<h2>Summary</h2>');
+            this.toParagraphs(document.summary).forEach(paragraph => body.push(`<p>${html(paragraph)}</p>`));
+            body.push('</section>');
+        }
+
+        if (document.keyPoints?.length > 0) {
+            body.push('<section class="key-points">', '<h2>Key Points</h2>', '<ul>');
+            document.keyPoints.forEach(point => body.push(`<li>${html(point.text)}${this.htmlTime(point)}</li>`));
+            body.push('</ul>', '</section>');
+        }
+
+        if (document.quiz?.length > 0) {
+            // The quiz starts on its own page unless it is the whole document
+            const pageBreak = document.summary || document.keyPoints?.length > 0 ? ' page-break' : '';
+            body.push(`<section class="quiz${pageBreak}">`, '<h2>Quiz</h2>', '<p class="student">Name: <span class="line"></span> Date: <span class="line short"></span></p>', '<ol>');
+            for (const question of document.quiz) {
+                body.push('<li class="question">', `<p>${html(question.question)}</p>`);
+                if (question.instructions) {
+                    body.push(`<p class="instructions">${html(question.instructions)}</p>`);
+                }
+                if (question.options.length > 0) {
+                    body.push('<ol class="options">');
+                    question.options.forEach(option => body.push(`<li><span class="box"></span> ${option.letter}. ${html(option.text)}</li>`));
+                    body.push('</ol>');
+                } else {
+                    const lines = question.type === 'short-answer' ? 3 : 1;
+                    body.push(`<div class="answer-space">${'<span class="line full"></span>'.repeat(lines)}</div>`);
+                }
+                body.push('</li>');
+            }
+            body.push('</ol>', '</section>');
+        }
+
+        if (document.answerKey?.length > 0) {
+            const pageBreak = document.quiz?.length > 0 ? ' page-break' : '';
+            body.push(`<section class="answer-key${pageBreak}">`, '<h2>Answer Key</h2>', '<ol>');
+            for (const answer of document.answerKey) {
+                body.push('<li class="question">', `<p>${html(answer.question)}</p>`, `<p><strong>Answer:</strong> ${html(answer.answer)}${this.htmlTime(answer)}</p>`);
+                if (answer.acceptableAnswers.length > 0) {
+                    body.push(`<p>Also accept: ${answer.acceptableAnswers.map(html).join(', ')}</p>`);
+                }
+                if (answer.rubric.length > 0) {
+                    body.push('<p>Award credit for:</p>', '<ul>', ...answer.rubric.map(criterion => `<li>${html(criterion)}</li>`), '</ul>');
+                }
+                if (answer.explanation) {
+                    body.push(`<p class="explanation">${html(answer.explanation)}</p>`);
+                }
+                body.push('</li>');
+            }
+            body.push('</ol>', '</section>');
+        }
+
+        return [
+            '<!DOCTYPE html>',
+            '<html lang="en">',
+            '<head>',
+            '<meta charset="utf-8">',
+            `<title>${html(document.title)}</title>`,
+            `<style>${PRINT_CSS}</style>`,
+            '</head>',
+            '<body>',
+            ...body,
+            '</body>',
+            '</html>'
+        ].join('\n') + '\n';
+    }
+
+    /**
+     * File name for an exported document, e.g. "cell-biology-answer-key.md"
+     * @param {Object} document - Export document
+     * @param {string} extension - File extension
+     * @returns {string}
+     */
+    static fileName(document, extension) {
+        const base = slugify(document.title) || 'learning-materials';
+        const suffix = document.version === 'complete' ? '' : `-${document.version}`;
+        return `${base}${suffix}.${extension}`;
+    }
+
+    /**
+     * Source and date line under the title
+     */
+    static describeHeader(document, escape, linkSource = false) {
+        const { label, url } = document.source;
+        let source = escape(label);
+
+        if (url) {
+            source = linkSource ? `<a href="${escape(url)}">${source}</a>` : `[${source}](${url})`;
+        }
+
+        const date = document.generatedAt ? ` · Generated ${document.generatedAt.slice(0, 10)}` : '';
+        return `Source: ${source}${date}`;
+    }
+
+    static markdownTime({ start, link }) {
+        if (start === null) {
+            return '';
+        }
+        const time = TimestampService.formatTime(start);
+        return link ? ` ([${time}](${link}))` : ` (${time})`;
+    }
+
+    static htmlTime({ start, link }) {
+        if (start === null) {
+            return '';
+        }
+        const time = TimestampService.formatTime(start);
+        return link
+            ? ` <a class="time" href="${this.escapeHtml(link)}">${time}</a>`
+            : ` <span class="time">${time}</span>`;
+    }
+
+    /**
+     * Split text into paragraphs on blank lines (single line breaks are kept inside paragraphs)
+     */
+    static toParagraphs(text) {
+        return String(text || '')
+            .split(/\n\s*\n/)
+            .map(paragraph => paragraph.trim())
+            .filter(Boolean);
+    }
+
+    /**
+     * Escape generated text so Markdown shows it literally. Runs of underscores
+     * (fill-in-the-blank gaps) are left readable.
+     */
+    static escapeMarkdown(text) {
+        return String(text ?? '')
+            .replace(/[\\`*[\]<>|]/g, '\\$&')
+            .replace(/(^|[^_])_(?!_)/g, '$1\\_')
+            .replace(/^(\s*)([#>+-]|\d+\.)(\s)/gm, '$1\\$2$3');
+    }
+
+    static escapeHtml(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/\n/g, '<br>');
+    }
+}
+
+const PRINT_CSS = `
+body { font-family: Georgia, "Times New Roman", serif; font-size: 12pt; line-height: 1.5; color: #111; max-width: 46em; margin: 2em auto; padding: 0 1em; }
+h1 { font-size: 20pt; margin-bottom: 0.2em; }
+h2 { font-size: 15pt; border-bottom: 1px solid #999; padding-bottom: 0.2em; margin-top: 1.5em; }
+a { color: inherit; }
+.meta, .instructions, .time { color: #555; font-size: 10pt; }
+.instructions { font-style: italic; margin: 0.2em 0; }
+.question { margin-bottom: 1em; break-inside: avoid; page-break-inside: avoid; }
+.question p { margin: 0.2em 0; }
+.options { list-style: none; padding-left: 0.5em; }
+.box { display: inline-block; width: 0.8em; height: 0.8em; border: 1px solid #333; margin-right: 0.3em; vertical-align: middle; }
+.line { display: inline-block; width: 14em; border-bottom: 1px solid #333; }
+.line.short { width: 8em; }
+.line.full { display: block; width: 100%; height: 2em; }
+.explanation { color: #333; border-left: 3px solid #ccc; padding-left: 0.6em; }
+@page { margin: 2cm; }
+@media print {
+    body { margin: 0; max-width: none; padding: 0; }
+    .page-break { break-before: page; page-break-before: always; }
+    a { text-decoration: none; }
+}
+`;
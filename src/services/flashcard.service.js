@@ -0,0 +1,225 @@
+import { dedupeBySimilarity, slugify, tokenize } from '../utils/text.js';
+import { buildApkg } from '../utils/apkg.js';
+
+/**
+ * Flashcard decks: validation of generated cards, tags and export to
+ * Anki (text import and .apkg packages) and CSV
+ */
+export class FlashcardService {
+    static CARD_TYPES = ['basic', 'cloze'];
+    static EXPORT_FORMATS = ['json', 'csv', 'tsv', 'apkg'];
+
+    // "{{c1::answer}}" or "{{c1::answer::hint}}"
+    static CLOZE_DELETION = /\{\{c(\d+)::([\s\S]+?)(?:::([\s\S]*?))?\}\}/g;
+    static MAX_TITLE_TAGS = 4;
+
+    /**
+     * Validate, deduplicate, number and tag generated cards. Cards with cloze deletions
+     * become cloze cards whatever type they were given; defective cards are dropped.
+     * @param {Array<Object>} cards - Raw cards ({ type, front, back })
+     * @param {string} [title] - Lesson title, used for tags
+     * @param {number} [limit] - Maximum number of cards
+     * @returns {Array<Object>} - Cards { id, type, front, back, tags }
+     */
+    static finalize(cards, title = '', limit = Infinity) {
+        const tags = this.buildTags(title);
+
+        const valid = (Array.isArray(cards) ? cards : [])
+            .map(card => this.normalizeCard(card))
+            .filter(Boolean);
+
+        return dedupeBySimilarity(valid, card => this.describeCard(card), 0.8)
+            .slice(0, limit)
+            .map((card, index) => ({ id: index + 1, ...card, tags }));
+    }
+
+    /**
+     * Normalize one generated card
+     * @param {Object} card - Raw card
+     * @returns {Object|null} - { type, front, back }, or null if the card is unusable
+     */
+    static normalizeCard(card) {
+        if (!card || typeof card !== 'object') {
+            return null;
+        }
+
+        const front = typeof card.front === 'string' ? card.front.trim() : '';
+        const back = typeof card.back === 'string' ? card.back.trim() : '';
+
+        if (this.hasCloze(front)) {
+            return { type: 'cloze', front: this.renumberCloze(front), back };
+        }
+        if (card.type === 'cloze' || !front || !back || front === back) {
+            // A cloze card without deletions, or a basic card missing a side
+            return null;
+        }
+
+        return { type: 'basic', front, back };
+    }
+
+    /**
+     * Whether text contains at least one cloze deletion
+     * @param {string} text - Card text
+     * @returns {boolean}
+     */
+    static hasCloze(text) {
+        return [...text.matchAll(this.CLOZE_DELETION)].some(([, , answer]) => answer.trim().length > 0);
+    }
+
+    /**
+     * Number cloze deletions c1, c2, ... in order of first appearance, keeping deletions that
+     * shared a number together (models sometimes start at c2 or skip numbers)
+     * @param {string} text - Cloze text
+     * @returns {string}
+     */
+    static renumberCloze(text) {
+        const numbers = new Map();
+        return text.replace(this.CLOZE_DELETION, (match, number, answer, hint) => {
+            if (!numbers.has(number)) {
+                numbers.set(number, numbers.size + 1);
+            }
+            return `{{c${numbers.get(number)}::${answer.trim()}${hint ? `::${hint.trim()}` : ''}}}`;
+        });
+    }
+
+    /**
+     * Text of both sides of a card, used to detect duplicates
+     * @param {Object} card - Normalized card
+     * @returns {string}
+     */
+    static describeCard(card) {
+        return `${this.toPlainText(card.front)} ${card.back}`;
+    }
+
+    /**
+     * Card text with cloze deletions replaced by their answers
+     * @param {string} text - Card text
+     * @returns {string}
+     */
+    static toPlainText(text) {
+        return text.replace(this.CLOZE_DELETION, (match, number, answer) => answer);
+    }
+
+    /**
+     * Anki tags from the lesson title: the whole title, plus its main words
+     * e.g. "Photosynthesis and the Calvin Cycle" -> Photosynthesis_and_the_Calvin_Cycle, photosynthesis, calvin, cycle
+     * @param {string} title - Lesson title
+     * @returns {Array<string>} - Tags (Anki tags cannot contain spaces)
+     */
+    static buildTags(title) {
+        const titleTag = String(title || '')
+            .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+            .trim()
+            .replace(/\s+/g, '_');
+
+        if (!titleTag) {
+            return [];
+        }
+
+        const words = [...new Set(tokenize(title))].slice(0, this.MAX_TITLE_TAGS);
+        return [...new Set([titleTag, ...words])];
+    }
+
+    /**
+     * Build the deck for a stored learning set
+     * @param {Object} result - Stored processing result
+     * @returns {Object|null} - { materialId, title, tags, cards }, or null if it has no flashcards
+     */
+    static toDeck(result) {
+        if (!Array.isArray(result.flashcards)) {
+            return null;
+        }
+
+        return {
+            materialId: result.materialId,
+            title: result.title,
+            tags: this.buildTags(result.title),
+            cards: result.flashcards
+        };
+    }
+
+    /**
+     * Export a deck as CSV (type, front, back, tags)
+     * @param {Object} deck - Deck
+     * @returns {string} - CSV text
+     */
+    static toCsv(deck) {
+        const quote = (value) => /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+        const rows = deck.cards.map(card => [card.type, card.front, card.back, card.tags.join(' ')]);
+
+        return [['type', 'front', 'back', 'tags'], ...rows]
+            .map(row => row.map(value => quote(String(value))).join(','))
+            .join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Export a deck as an Anki text import file (File > Import): tab-separated, with header
+     * lines that tell Anki the note type of each row, the deck and the tags column
+     * @param {Object} deck - Deck
+     * @returns {string} - TSV text
+     */
+    static toAnkiText(deck) {
+        const header = [
+            '#separator:tab',
+            '#html:true',
+            '#notetype column:1',
+            `#deck:${this.cleanLine(deck.title)}`,
+            '#tags column:4'
+        ];
+
+        const rows = deck.cards.map(card => [
+            card.type === 'cloze' ? 'Cloze' : 'Basic',
+            this.toHtml(card.front),
+            this.toHtml(card.back),
+            card.tags.join(' ')
+        ].join('\t'));
+
+        return [...header, ...rows].join('\n') + '\n';
+    }
+
+    /**
+     * Export a deck as an Anki package
+     * @param {Object} deck - Deck
+     * @returns {Promise<Buffer>} - .apkg contents
+     */
+    static toApkg(deck) {
+        return buildApkg({
+            name: deck.title,
+            key: deck.materialId || deck.title,
+            notes: deck.cards.map(card => ({
+                type: card.type,
+                fields: [this.toHtml(card.front), this.toHtml(card.back)],
+                tags: card.tags
+            }))
+        });
+    }
+
+    /**
+     * File name for an exported deck
+     * @param {Object} deck - Deck
+     * @param {string} extension - File extension
+     * @returns {string}
+     */
+    static fileName(deck, extension) {
+        return `${slugify(deck.title) || 'flashcards'}.${extension}`;
+    }
+
+    /**
+     * Escape card text for Anki's HTML fields, keeping line breaks
+     */
+    static toHtml(text) {
+        return String(text || '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/\t/g, ' ')
+            .replace(/\r?\n/g, '<br>');
+    }
+
+    /**
+     * Make a value safe for a single header line
+     */
+    static cleanLine(text) {
+        return String(text || 'Flashcards').replace(/[\t\r\n]+/g, ' ').trim();
+    }
+}
@@ -0,0 +1,295 @@
+import { QuizService } from './quiz.service.js';
+import { TimestampService } from './timestamp.service.js';
+import { tokenize, stem, excerpt } from '../utils/text.js';
+import { buildSearchIndex, search } from '../utils/retrieval.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Checks generated key points and quiz answers against the transcript they came from.
+ *
+ * The transcript is split into overlapping passages, and each item is matched to the
+ * passages that best support it with BM25 retrieval. Its confidence is the share of its
+ * content words (weighted by how rare they are in the transcript) found in those passages,
+ * so items built on terms the speaker never used score low. This is a lexical check: it
+ * catches invented facts and terminology, not subtle misreadings of what was said.
+ */
+export class GroundingService {
+    static MODES = ['flag', 'drop', 'off'];
+    // Confidence at or above which an item counts as fully supported
+    static SUPPORTED_CONFIDENCE = 0.6;
+    // Words per transcript block; passages are two consecutive blocks, so they overlap by half
+    static BLOCK_WORDS = 30;
+    // Passages returned as evidence for each item
+    static EVIDENCE_COUNT = 2;
+    static EVIDENCE_LENGTH = 400;
+    // Below this share of summary words found in the transcript, the materials are taken to be
+    // in another language than the transcript, which a lexical check can't compare
+    static MIN_LANGUAGE_OVERLAP = 0.2;
+    // Words explanations use to talk about the source rather than its content ("the lecture states...")
+    static FRAMING_WORDS = new Set([
+        'lesson', 'lecture', 'video', 'transcript', 'speaker', 'instructor', 'teacher', 'presenter', 'course',
+        'state', 'states', 'stated', 'explain', 'explains', 'explained', 'mention', 'mentions', 'mentioned',
+        'describe', 'describes', 'described', 'say', 'says', 'said', 'according', 'answer', 'correct', 'option'
+    ]);
+
+    /**
+     * What to do with unsupported items (GROUNDING_MODE): 'flag' them in the report (default),
+     * 'drop' them from the materials, or 'off' to skip the check
+     * @returns {string}
+     */
+    static getMode() {
+        const mode = (process.env.GROUNDING_MODE || 'flag').toLowerCase();
+        return this.MODES.includes(mode) ? mode : 'flag';
+    }
+
+    /**
+     * Confidence below which an item is unsupported (GROUNDING_MIN_CONFIDENCE, default 0.35)
+     * @returns {number}
+     */
+    static getMinConfidence() {
+        const value = parseFloat(process.env.GROUNDING_MIN_CONFIDENCE);
+        return value >= 0 && value <= 1 ? value : 0.35;
+    }
+
+    /**
+     * Check key points and quiz questions against the transcript
+     * @param {Object} materials - { summary, keyPoints: Array<string>, quiz: Array<Object> }
+     * @param {Object} source - Transcript the materials were generated from
+     * @param {string} source.transcript - Transcript text
+     * @param {Array<Object>} [source.segments] - Timed segments; evidence then gets `start` (and `link`)
+     * @param {string} [source.videoId] - YouTube video ID for evidence links
+     * @returns {{keyPoints: Array<string>, quiz: Array<Object>, report: Object}} - Materials (without
+     *   unsupported items in drop mode; quiz renumbered) and the grounding report
+     */
+    static verify({ summary = '', keyPoints = [], quiz = [] }, { transcript, segments = null, videoId = null }) {
+        const mode = this.getMode();
+        if (mode === 'off') {
+            return { keyPoints, quiz, report: this.notChecked('disabled') };
+        }
+
+        const index = this.buildIndex(this.buildPassages(transcript, segments), videoId);
+        if (index.passages.length === 0) {
+            return { keyPoints, quiz, report: this.notChecked('no-transcript') };
+        }
+        if (this.overlap(index, summary) < this.MIN_LANGUAGE_OVERLAP) {
+            return { keyPoints, quiz, report: this.notChecked('translated') };
+        }
+
+        const dropped = (check) => mode === 'drop' && check.status === 'unsupported';
+
+        const pointChecks = keyPoints.map((point, position) => {
+            const check = this.check(index, point);
+            return { index: position, text: point, ...check, dropped: dropped(check) };
+        });
+        const questionChecks = quiz.map(question => {
+            const check = this.check(index, this.claimText(question));
+            return { questionId: question.id, question: question.question, ...check, dropped: dropped(check) };
+        });
+
+        const keptPoints = keyPoints.filter((point, position) => !pointChecks[position].dropped);
+        let keptQuestions = quiz;
+        if (mode === 'drop') {
+            // Remaining questions are renumbered, and the report follows the new IDs
+            let nextId = 0;
+            questionChecks.forEach(check => { check.questionId = check.dropped ? null : ++nextId; });
+            keptQuestions = quiz
+                .filter((question, position) => !questionChecks[position].dropped)
+                .map((question, position) => ({ ...question, id: position + 1 }));
+        }
+
+        const all = [...pointChecks, ...questionChecks];
+        const report = {
+            checked: true,
+            method: 'lexical',
+            mode,
+            minConfidence: this.getMinConfidence(),
+            passages: index.passages.length,
+            counts: {
+                supported: all.filter(check => check.status === 'supported').length,
+                weak: all.filter(check => check.status === 'weak').length,
+                unsupported: all.filter(check => check.status === 'unsupported').length,
+                dropped: all.filter(check => check.dropped).length
+            },
+            keyPoints: pointChecks,
+            quiz: questionChecks
+        };
+
+        if (report.counts.unsupported > 0) {
+            logger.warn(`Grounding: ${report.counts.unsupported} of ${all.length} items unsupported by the transcript${mode === 'drop' ? ' (dropped)' : ''}`);
+        }
+
+        return { keyPoints: keptPoints, quiz: keptQuestions, report };
+    }
+
+    /**
+     * Score one item against the transcript
+     * @param {Object} index - Passage index from buildIndex
+     * @param {string} text - Item text
+     * @returns {{status: string, confidence: number, evidence: Array<Object>}}
+     */
+    static check(index, text) {
+        const terms = [...new Set(this.terms(text, { claim: true }))];
+        if (terms.length === 0) {
+            return { status: 'unsupported', confidence: 0, evidence: [] };
+        }
+
+        const ranked = search(index, terms, this.EVIDENCE_COUNT);
+
+        const found = new Set(ranked.flatMap(({ passage }) => terms.filter(term => passage.counts.has(term))));
+        const weight = term => index.idf.get(term) ?? index.maxIdf;
+        const total = terms.reduce((sum, term) => sum + weight(term), 0);
+        const confidence = Math.round((terms.filter(term => found.has(term)).reduce((sum, term) => sum + weight(term), 0) / total) * 100) / 100;
+
+        return {
+            status: this.classify(confidence),
+            confidence,
+            evidence: ranked.map(({ passage }) => ({
+                text: excerpt(passage.text, this.EVIDENCE_LENGTH),
+                start: passage.start,
+                link: passage.start !== null && index.videoId ? TimestampService.buildLink(index.videoId, passage.start) : null
+            }))
+        };
+    }
+
+    /**
+     * Map a confidence score to 'supported', 'weak' or 'unsupported'
+     * @param {number} confidence - Score between 0 and 1
+     * @returns {string}
+     */
+    static classify(confidence) {
+        if (confidence >= Math.max(this.SUPPORTED_CONFIDENCE, this.getMinConfidence())) {
+            return 'supported';
+        }
+        return confidence >= this.getMinConfidence() ? 'weak' : 'unsupported';
+    }
+
+    /**
+     * The claim a question makes: its correct answer (the filled-in sentence for blanks,
+     * the statement for true/false) plus the explanation
+     * @param {Object} question - Stored question
+     * @returns {string}
+     */
+    static claimText(question) {
+        const answer = QuizService.answerText(question);
+        let claim;
+
+        switch (question.type) {
+            case 'true-false':
+                claim = question.question;
+                break;
+            case 'fill-in-the-blank':
+                claim = question.question.replace(/_{2,}/, answer);
+                break;
+            default:
+                claim = answer;
+        }
+
+        return `${claim} ${question.explanation || ''}`;
+    }
+
+    /**
+     * Split a transcript into overlapping passages of two consecutive blocks of about
+     * BLOCK_WORDS words. Blocks follow caption cues when there are timed segments.
+     * @param {string} transcript - Transcript text
+     * @param {Array<Object>} [segments] - Timed segments
+     * @returns {Array<{text: string, start: number|null}>}
+     */
+    static buildPassages(transcript, segments = null) {
+        const timed = Array.isArray(segments) && segments.length > 0 && segments.every(segment => segment.start !== null && segment.start !== undefined);
+        const units = timed
+            ? segments.map(segment => ({ text: segment.text, start: segment.start }))
+            : (String(transcript || '').match(/\S+/g) || []).map(word => ({ text: word, start: null }));
+
+        const blocks = [];
+        let current = null;
+        for (const unit of units) {
+            if (!current || current.words >= this.BLOCK_WORDS) {
+                current = { parts: [], words: 0, start: unit.start };
+                blocks.push(current);
+            }
+            current.parts.push(unit.text);
+            current.words += unit.text.split(/\s+/).filter(Boolean).length;
+        }
+
+        const texts = blocks.map(block => block.parts.join(' '));
+        if (blocks.length === 1) {
+            return [{ text: texts[0], start: blocks[0].start }];
+        }
+        return blocks.slice(0, -1).map((block, i) => ({
+            text: `${texts[i]} ${texts[i + 1]}`,
+            start: block.start === null ? null : Math.floor(block.start)
+        }));
+    }
+
+    /**
+     * Search index over the passages, plus the video ID for evidence links
+     */
+    static buildIndex(passages, videoId = null) {
+        return { ...buildSearchIndex(passages), videoId };
+    }
+
+    /**
+     * Share of a text's distinct terms that occur anywhere in the transcript
+     */
+    static overlap(index, text) {
+        const terms = [...new Set(this.terms(text))];
+        return terms.length === 0 ? 1 : terms.filter(term => index.idf.has(term)).length / terms.length;
+    }
+
+    /**
+     * Stemmed content words of a text; claims also leave out framing words
+     */
+    static terms(text, { claim = false } = {}) {
+        const tokens = tokenize(text);
+        return (claim ? tokens.filter(token => !this.FRAMING_WORDS.has(token)) : tokens).map(stem);
+    }
+
+    /**
+     * Quiz quality report after the check: questions dropped as unsupported no longer count as delivered
+     * @param {Object} [quality] - Quiz quality report from generation (see AIService.finalizeQuiz)
+     * @param {Array<Object>} quiz - Quiz after the check
+     * @returns {Object|undefined} - Report with `delivered` and `status` for the final quiz, and `dropped`
+     */
+    static adjustQuality(quality, quiz) {
+        if (!quality || quiz.length >= quality.delivered) {
+            return quality;
+        }
+
+        return {
+            ...quality,
+            status: quiz.length >= quality.requested ? 'complete' : 'incomplete',
+            delivered: quiz.length,
+            dropped: quality.delivered - quiz.length
+        };
+    }
+
+    /**
+     * Report for materials that weren't checked
+     * @param {string} reason - 'disabled', 'translated' (materials in a different language
+     *   from the transcript) or 'no-transcript'
+     * @returns {Object}
+     */
+    static notChecked(reason) {
+        return { checked: false, reason };
+    }
+
+    /**
+     * Grounding report for the client: quiz items keep their status and confidence,
+     * but not their evidence, which would give the answers away
+     * @param {Object|undefined} report - Stored report (missing for sets generated before the check existed)
+     * @returns {Object}
+     */
+    static toClientReport(report) {
+        if (!report) {
+            return this.notChecked('not-checked');
+        }
+        if (!report.checked) {
+            return report;
+        }
+
+        return {
+            ...report,
+            quiz: report.quiz.map(({ questionId, status, confidence, dropped }) => ({ questionId, status, confidence, dropped }))
+        };
+    }
+}
@@ -0,0 +1,335 @@
+import { TranscriptService } from './transcript.service.js';
+import { AIService } from './ai.service.js';
+import { TimestampService } from './timestamp.service.js';
+import { QuizService } from './quiz.service.js';
+import { MaterialsService } from './materials.service.js';
+import { GroundingService } from './grounding.service.js';
+import { PromptRegistry } from '../utils/promptRegistry.js';
+import { CacheManager } from '../utils/cache.js';
+import { QuizStore } from '../utils/quizStore.js';
+import { logger } from '../utils/logger.js';
+import { hashTranscript } from '../utils/hash.js';
+import { baseLanguage } from '../utils/language.js';
+import { TranscriptError, ErrorCodes } from '../utils/errors.js';
+
+/**
+ * Learning pipeline shared by the synchronous endpoints and background jobs:
+ * cache lookup, transcript fetch, AI generation, timestamps and persistence
+ */
+export class LearningService {
+    // Pipeline stages, in order, as reported to progress listeners
+    static STAGES = ['fetch', 'chunk', 'summarize', 'quiz'];
+
+    /**
+     * Generate (or load previously generated) learning materials for a YouTube video
+     * @param {Object} params - { videoId, videoUrl, quizOptions, captionLanguage, outputLanguage, include, promptVariants, ownerId }
+     *   (include: optional study notes, see NotesService; promptVariants: prompt template variant per
+     *   template name, see PromptRegistry; ownerId: user the saved materials belong to, null for anonymous callers)
+     * @param {Object} [listeners] - Optional listeners for results as they become available
+     * @param {Function} [listeners.onProgress] - Called with { stage, detail, partial } as stages start
+     * @param {Function} [listeners.onTranscript] - Called with { text, segments } once fetched
+     * @param {Function} [listeners.onSummaryToken] - Called with each piece of the summary as it is generated
+     * @param {Function} [listeners.onQuestion] - Called with each quiz question once it is validated
+     * @returns {Promise<Object>} - { result, cached } with the full result (answers included)
+     */
+    static async processVideo({ videoId, videoUrl, quizOptions = QuizService.DEFAULT_OPTIONS, captionLanguage = null, outputLanguage = 'en', include = [], promptVariants = {}, ownerId = null }, listeners = {}) {
+        const { onProgress, onTranscript, onSummaryToken, onQuestion } = listeners;
+        const startTime = Date.now();
+
+        logger.info(`Processing video: ${videoId}`);
+
+        // Check cache, then saved materials (results differ per model, quiz configuration and language)
+        const generationKey = this.buildGenerationKey(quizOptions, { captionLanguage, outputLanguage, include, promptVariants });
+        const cacheKey = `${videoId}|${generationKey}`;
+        const cachedResult = await this.findExistingResult(cacheKey, videoId, generationKey);
+        if (cachedResult) {
+            logger.info(`Cache hit for video: ${videoId}`);
+            await MaterialsService.addOwner(videoId, ownerId);
+            return { result: cachedResult, cached: true };
+        }
+
+        // Step 1: Fetch transcript
+        logger.info('Fetching transcript...');
+        onProgress?.({ stage: 'fetch' });
+        const { text: transcript, segments, language } = await TranscriptService.getTimedTranscript(videoId, { lang: captionLanguage });
+
+        if (!transcript || transcript.length === 0) {
+            throw new TranscriptError(
+                'No transcript available for this video. Please try a video with captions/subtitles enabled.',
+                { code: ErrorCodes.TRANSCRIPT_UNAVAILABLE }
+            );
+        }
+        onTranscript?.({ text: transcript, segments });
+
+        // Step 2: Process with AI
+        logger.info('Processing with AI...');
+        const aiResult = await AIService.processTranscript(transcript, videoId, {
+            quiz: quizOptions,
+            outputLanguage,
+            include,
+            promptVariants,
+            onProgress: this.withTimedKeyPoints(onProgress, segments, videoId),
+            onSummaryToken,
+            onQuestion
+        });
+
+        // Step 3: Check key points and quiz answers against the transcript
+        const grounded = GroundingService.verify(aiResult, { transcript, segments, videoId });
+
+        // Step 4: Link key points and quiz answers to moments in the video
+        const { keyPoints, quiz } = TimestampService.annotate(grounded, segments, videoId);
+
+        // Step 5: Build result
+        const lastSegment = segments[segments.length - 1];
+        const result = {
+            videoId,
+            videoUrl,
+            title: aiResult.title || 'Educational Video',
+            summary: aiResult.summary,
+            keyPoints,
+            ...(aiResult.flashcards && { flashcards: aiResult.flashcards }),
+            ...aiResult.notes,
+            quiz,
+            quizQuality: GroundingService.adjustQuality(aiResult.quizQuality, quiz),
+            grounding: grounded.report,
+            quizOptions,
+            outputLanguage,
+            include,
+            metadata: {
+                transcriptLength: transcript.length,
+                captionLanguage: language,
+                duration: lastSegment ? Math.ceil(lastSegment.start + lastSegment.duration) : null,
+                chunks: aiResult.chunks,
+                generationMode: aiResult.mode,
+                prompts: aiResult.prompts,
+                processingTime: Date.now() - startTime,
+                generatedAt: new Date().toISOString()
+            }
+        };
+
+        await this.store(result, {
+            materialId: videoId,
+            cacheKey,
+            sourceType: 'youtube',
+            generationKey,
+            ownerId,
+            transcript: { text: transcript, segments, language }
+        });
+
+        logger.info(`Successfully processed video ${videoId} in ${Date.now() - startTime}ms`);
+
+        return { result, cached: false };
+    }
+
+    /**
+     * Generate (or load previously generated) learning materials for a pasted or uploaded transcript
+     * @param {Object} params - Transcript and options
+     * @param {string} params.transcript - Transcript text
+     * @param {Object} [params.quizOptions] - Resolved quiz options
+     * @param {Array<Object>} [params.segments] - Timed cues from a caption file; key points and
+     *   quiz questions are then given a `start` time
+     * @param {string} [params.sourceType] - 'transcript' (pasted) or 'upload'
+     * @param {Object} [params.source] - Extra metadata about the source (file name, format, speakers)
+     * @param {string} [params.outputLanguage] - Language tag for the generated materials (default 'en')
+     * @param {Array<string>} [params.include] - Optional study notes to generate (outline, glossary, conceptMap)
+     * @param {Object} [params.promptVariants] - Prompt template variant per template name (see PromptRegistry)
+     * @param {string} [params.ownerId] - User the saved materials belong to (null for anonymous callers)
+     * @param {Object} [listeners] - Optional listeners, as for processVideo (onTranscript is not called)
+     * @returns {Promise<Object>} - { result, cached } with the full result (answers included)
+     */
+    static async processTranscript({ transcript, quizOptions = QuizService.DEFAULT_OPTIONS, segments = null, sourceType = 'transcript', source = {}, outputLanguage = 'en', include = [], promptVariants = {}, ownerId = null }, listeners = {}) {
+        const { onProgress, onSummaryToken, onQuestion } = listeners;
+        const startTime = Date.now();
+        const timed = Array.isArray(segments) && segments.length > 0 && segments.every(segment => segment.start !== null);
+
+        logger.info(`Processing ${sourceType === 'upload' ? 'uploaded' : 'pasted'} transcript...`);
+
+        // Identify the transcript by a digest of its whole normalized text
+        const transcriptId = hashTranscript(transcript);
+        // Uploads carry cue timings, so they are kept apart from the same text pasted in
+        const materialId = `${sourceType === 'upload' ? 'upload' : 'transcript'}_${transcriptId}`;
+        const generationKey = this.buildGenerationKey(quizOptions, { outputLanguage, include, promptVariants });
+        const cacheKey = `${materialId}|${generationKey}`;
+
+        // Check cache, then saved materials
+        const cachedResult = await this.findExistingResult(cacheKey, materialId, generationKey);
+        if (cachedResult) {
+            logger.info(`Cache hit for transcript: ${transcriptId}`);
+            await MaterialsService.addOwner(materialId, ownerId);
+            return { result: cachedResult, cached: true };
+        }
+
+        // Process with AI
+        logger.info('Processing transcript with AI...');
+        const aiResult = await AIService.processTranscript(transcript, null, {
+            quiz: quizOptions,
+            outputLanguage,
+            include,
+            promptVariants,
+            onProgress: this.withTimedKeyPoints(onProgress, timed ? segments : null, null),
+            onSummaryToken,
+            onQuestion
+        });
+
+        // Check key points and quiz answers against the transcript
+        const grounded = GroundingService.verify(aiResult, { transcript, segments: timed ? segments : null });
+
+        // Caption files keep their cue timings, so link materials to moments in the recording
+        const { keyPoints, quiz } = timed
+            ? TimestampService.annotate(grounded, segments, null)
+            : { keyPoints: grounded.keyPoints.map(point => TimestampService.toKeyPoint(point)), quiz: grounded.quiz };
+        const lastSegment = timed ? segments[segments.length - 1] : null;
+
+        const result = {
+            title: aiResult.title || 'Custom Transcript',
+            summary: aiResult.summary,
+            keyPoints,
+            ...(aiResult.flashcards && { flashcards: aiResult.flashcards }),
+            ...aiResult.notes,
+            quiz,
+            quizQuality: GroundingService.adjustQuality(aiResult.quizQuality, quiz),
+            grounding: grounded.report,
+            quizOptions,
+            outputLanguage,
+            include,
+            metadata: {
+                ...source,
+                transcriptLength: transcript.length,
+                ...(lastSegment && { duration: Math.ceil(lastSegment.start + (lastSegment.duration || 0)) }),
+                chunks: aiResult.chunks,
+                generationMode: aiResult.mode,
+                prompts: aiResult.prompts,
+                processingTime: Date.now() - startTime,
+                generatedAt: new Date().toISOString()
+            }
+        };
+
+        await this.store(result, {
+            materialId,
+            cacheKey,
+            sourceType,
+            generationKey,
+            ownerId,
+            transcript: { text: transcript, segments: timed ? segments : null }
+        });
+
+        logger.info(`Successfully processed transcript in ${Date.now() - startTime}ms`);
+
+        return { result, cached: false };
+    }
+
+    /**
+     * Wrap a progress listener so partial key points get their timestamps (and the client shape) straight away
+     * @param {Function} [onProgress] - Progress listener
+     * @param {Array<Object>|null} segments - Timed segments, or null for untimed transcripts
+     * @param {string|null} videoId - YouTube video ID for deep links
+     * @returns {Function|undefined}
+     */
+    static withTimedKeyPoints(onProgress, segments, videoId) {
+        return onProgress && (event => {
+            if (!event.partial?.keyPoints) {
+                return onProgress(event);
+            }
+            const { keyPoints } = segments
+                ? TimestampService.annotate({ keyPoints: event.partial.keyPoints }, segments, videoId)
+                : { keyPoints: event.partial.keyPoints.map(point => TimestampService.toKeyPoint(point)) };
+            onProgress({ ...event, partial: { ...event.partial, keyPoints } });
+        });
+    }
+
+    /**
+     * Save the quiz for grading, then cache and persist the result (unless its quiz is incomplete) and its transcript
+     * @param {Object} result - Full result; quizId, materialId and variantId are set on it
+     * @param {Object} meta - { materialId, cacheKey, sourceType, generationKey, ownerId, transcript }
+     */
+    static async store(result, { materialId, cacheKey, sourceType, generationKey, ownerId = null, transcript = null }) {
+        // Keep the quiz with its answers server-side for grading
+        result.quizId = await QuizStore.save({ quiz: result.quiz, title: result.title, source: materialId });
+        result.materialId = materialId;
+        result.variantId = MaterialsService.variantId(generationKey);
+
+        // Cache the result (1 hour TTL) and save it beyond restarts. A quiz that generation left short
+        // is served but not kept, so the next request for the same source and options gets a full one;
+        // questions the grounding check dropped were generated, so those quizzes are kept.
+        const quality = result.quizQuality;
+        if (quality && quality.delivered + (quality.dropped || 0) < quality.requested) {
+            logger.warn(`Quiz for ${materialId} is incomplete (${quality.delivered}/${quality.requested}); not caching or saving the result`);
+        } else {
+            CacheManager.set(cacheKey, result);
+            await MaterialsService.save(materialId, result, { sourceType, generationKey, ownerId });
+        }
+        if (transcript) {
+            await MaterialsService.saveTranscript(materialId, transcript);
+        }
+    }
+
+    /**
+     * Generate the flashcard deck of a saved set that was generated without one, from its saved transcript,
+     * and save it with the set
+     * @param {Object} record - Stored record, with the variant to add the deck to as its result
+     * @returns {Promise<Object|null>} - The record's result with `flashcards`, or null if the transcript wasn't saved
+     */
+    static async addFlashcards(record) {
+        const transcript = await MaterialsService.getTranscript(record.id);
+        if (!transcript?.text) {
+            return null;
+        }
+
+        logger.info(`Generating flashcards for saved materials ${record.id}`);
+        const flashcards = await AIService.createFlashcards(transcript.text, {
+            title: record.result.title,
+            language: record.result.outputLanguage || null
+        });
+
+        const variantId = record.result.variantId || MaterialsService.variantId(record.generationKey);
+        await MaterialsService.updateResult(record.id, variantId, { flashcards });
+        return { ...record.result, flashcards };
+    }
+
+    /**
+     * Look up a previously generated result in the cache, then in saved materials
+     * (warming the cache when found there)
+     */
+    static async findExistingResult(cacheKey, materialId, generationKey) {
+        const cached = CacheManager.get(cacheKey);
+        if (cached) {
+            return cached;
+        }
+
+        const saved = await MaterialsService.findResult(materialId, generationKey);
+        if (saved) {
+            logger.info(`Loaded saved materials: ${materialId}`);
+            CacheManager.set(cacheKey, saved);
+        }
+        return saved;
+    }
+
+    /**
+     * Everything besides the source that determines a result: provider, model and generation options.
+     * Languages, study notes, prompt templates and dropping ungrounded items are only included when
+     * they differ from the defaults, so existing keys stay valid.
+     * @param {Object} quizOptions - Resolved quiz options
+     * @param {Object} [options] - { captionLanguage, outputLanguage, include, promptVariants }
+     * @returns {string}
+     */
+    static buildGenerationKey(quizOptions, { captionLanguage = null, outputLanguage = 'en', include = [], promptVariants = {} } = {}) {
+        let key = `${AIService.getModelKey()}|${QuizService.optionsKey(quizOptions)}`;
+        if (outputLanguage && baseLanguage(outputLanguage) !== 'en') {
+            key += `|out:${outputLanguage}`;
+        }
+        if (captionLanguage) {
+            key += `|captions:${captionLanguage}`;
+        }
+        if (include.length > 0) {
+            key += `|include:${include.join('+')}`;
+        }
+        const prompts = PromptRegistry.describe(promptVariants);
+        if (prompts) {
+            key += `|prompts:${prompts}`;
+        }
+        if (GroundingService.getMode() === 'drop') {
+            key += '|grounding:drop';
+        }
+        return key;
+    }
+}
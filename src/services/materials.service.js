@@ -0,0 +1,316 @@
+import crypto from 'crypto';
+import { getStorage } from '../storage/index.js';
+import { QuizStore } from '../utils/quizStore.js';
+import { QuizService } from './quiz.service.js';
+import { GroundingService } from './grounding.service.js';
+import { TimestampService } from './timestamp.service.js';
+import { logger } from '../utils/logger.js';
+
+const COLLECTION = 'materials';
+const TRANSCRIPTS = 'transcripts';
+
+/**
+ * Saved learning sets: generated materials persisted by video ID or transcript hash
+ * so they survive restarts and can be fetched again without reprocessing.
+ *
+ * A source can be generated with different models and options (quiz settings, languages,
+ * prompt variants); each generation key is kept as a variant of the record, identified by
+ * `variantId`, and the record's own `result` is the most recently generated one.
+ *
+ * A set belongs to every user who processed its source (`ownerIds`); sets processed
+ * anonymously, and sets saved before accounts existed, are public.
+ */
+export class MaterialsService {
+    // Variants kept per source; the least recently generated ones are dropped first
+    static MAX_VARIANTS = 10;
+
+    /**
+     * Save (or update) the learning set for a source
+     * @param {string} id - Material ID (video ID, transcript_<hash> or upload_<hash>)
+     * @param {Object} result - Full processing result (quiz with answers)
+     * @param {Object} meta - { sourceType: 'youtube' | 'transcript' | 'upload', generationKey, ownerId }
+     * @returns {Promise<Object|null>} - Stored record, or null if saving failed
+     */
+    static async save(id, result, { sourceType, generationKey, ownerId = null }) {
+        try {
+            const existing = await this.get(id);
+            const now = new Date().toISOString();
+            const variantId = this.variantId(generationKey);
+            const stored = { ...result, materialId: id, variantId };
+
+            const variants = Object.entries({
+                ...this.variantsOf(existing),
+                [variantId]: {
+                    generationKey,
+                    result: stored,
+                    createdAt: this.variantsOf(existing)[variantId]?.createdAt || now,
+                    updatedAt: now
+                }
+            })
+                .sort(([, a], [, b]) => b.updatedAt.localeCompare(a.updatedAt))
+                .slice(0, this.MAX_VARIANTS);
+
+            const record = {
+                id,
+                sourceType,
+                title: result.title,
+                generationKey,
+                ...this.withOwner(existing, ownerId),
+                result: stored,
+                variants: Object.fromEntries(variants),
+                createdAt: existing?.createdAt || now,
+                updatedAt: now
+            };
+
+            await getStorage().put(COLLECTION, id, record);
+            logger.info(`Materials saved: ${id} (variant ${variantId})`);
+
+            return record;
+
+        } catch (error) {
+            // The response can still be served; it just won't survive a restart
+            logger.error(`Error saving materials ${id}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Add to (or replace) fields of one variant's saved result, e.g. materials generated on demand later
+     * @param {string} id - Material ID
+     * @param {string} variantId - Variant to update
+     * @param {Object} changes - Result fields to set
+     * @returns {Promise<Object|null>} - Updated result, or null if there is no such variant or saving failed
+     */
+    static async updateResult(id, variantId, changes) {
+        try {
+            const record = await this.get(id);
+            const variant = this.variantsOf(record)[variantId];
+            if (!variant) {
+                return null;
+            }
+
+            const result = { ...variant.result, ...changes };
+            await getStorage().put(COLLECTION, id, {
+                ...record,
+                ...(this.variantId(record.generationKey) === variantId && { result }),
+                variants: { ...this.variantsOf(record), [variantId]: { ...variant, result } }
+            });
+
+            return result;
+
+        } catch (error) {
+            logger.error(`Error updating materials ${id}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Short, URL-safe identifier of a generation key, for choosing a variant of a saved set
+     * @param {string} generationKey - Model and generation options key
+     * @returns {string}
+     */
+    static variantId(generationKey) {
+        return crypto.createHash('sha256').update(generationKey).digest('hex').slice(0, 12);
+    }
+
+    /**
+     * Variants of a record by variant ID; records saved before variants were kept have just their one result
+     * @param {Object|null} record - Stored record
+     * @returns {Object} - { [variantId]: { generationKey, result, createdAt, updatedAt } }
+     */
+    static variantsOf(record) {
+        if (!record) {
+            return {};
+        }
+        if (record.variants) {
+            return record.variants;
+        }
+        const variantId = this.variantId(record.generationKey);
+        return {
+            [variantId]: {
+                generationKey: record.generationKey,
+                result: { ...record.result, variantId },
+                createdAt: record.createdAt,
+                updatedAt: record.updatedAt
+            }
+        };
+    }
+
+    /**
+     * Record that a user (or an anonymous caller) processed a source whose set was already saved
+     * @param {string} id - Material ID
+     * @param {string|null} ownerId - User ID, or null for anonymous callers
+     */
+    static async addOwner(id, ownerId) {
+        try {
+            const record = await this.get(id);
+            const owned = ownerId ? record?.ownerIds?.includes(ownerId) : record?.anonymous;
+
+            if (record && !owned) {
+                await getStorage().put(COLLECTION, id, { ...record, ...this.withOwner(record, ownerId) });
+            }
+        } catch (error) {
+            logger.error(`Error adding owner to materials ${id}:`, error);
+        }
+    }
+
+    /**
+     * Ownership fields of a record after a user (or an anonymous caller) processed it
+     */
+    static withOwner(record, ownerId) {
+        const ownerIds = record?.ownerIds || [];
+
+        return {
+            ownerIds: ownerId && !ownerIds.includes(ownerId) ? [...ownerIds, ownerId] : ownerIds,
+            anonymous: Boolean(record?.anonymous || !ownerId)
+        };
+    }
+
+    /**
+     * Whether a caller may see a saved set: admins see everything, users their own sets, and everyone the public ones
+     * @param {Object} record - Stored record
+     * @param {Object|null} user - Authenticated user, or null for anonymous callers
+     * @returns {boolean}
+     */
+    static canAccess(record, user) {
+        return this.isPublic(record) || this.isOwner(record, user);
+    }
+
+    /**
+     * Whether a caller owns a saved set (or is an admin), and so may see its answers
+     * @param {Object} record - Stored record
+     * @param {Object|null} user - Authenticated user, or null for anonymous callers
+     * @returns {boolean}
+     */
+    static isOwner(record, user) {
+        return user?.role === 'admin' || Boolean(user && record.ownerIds?.includes(user.id));
+    }
+
+    static isPublic(record) {
+        return Boolean(record.anonymous || !record.ownerIds?.length);
+    }
+
+    /**
+     * Save the transcript a learning set was generated from (kept apart from the set, so
+     * listings don't load it), for answering questions about the source later
+     * @param {string} id - Material ID
+     * @param {Object} transcript - { text, segments (timed cues, or null), language }
+     */
+    static async saveTranscript(id, { text, segments = null, language = null }) {
+        try {
+            await getStorage().put(TRANSCRIPTS, id, { id, text, segments, language, savedAt: new Date().toISOString() });
+        } catch (error) {
+            // Only follow-up questions depend on it; they fetch the captions again where they can
+            logger.error(`Error saving transcript for ${id}:`, error);
+        }
+    }
+
+    /**
+     * Get the saved transcript of a learning set
+     * @param {string} id - Material ID
+     * @returns {Promise<Object|null>} - { id, text, segments, language, savedAt } or null
+     */
+    static async getTranscript(id) {
+        try {
+            return await getStorage().get(TRANSCRIPTS, id);
+        } catch (error) {
+            logger.error('Transcript get error:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Get a saved learning set
+     * @param {string} id - Material ID
+     * @returns {Promise<Object|null>} - Stored record or null
+     */
+    static async get(id) {
+        try {
+            return await getStorage().get(COLLECTION, id);
+        } catch (error) {
+            logger.error('Materials get error:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Get a saved learning set with one of its variants as its result
+     * @param {string} id - Material ID
+     * @param {string} [variantId] - Variant (the `variantId` of a result); the most recently generated one by default
+     * @returns {Promise<Object|null>} - Stored record with that variant's result and generationKey, or null
+     *   if there is no such set or variant
+     */
+    static async getVariant(id, variantId = null) {
+        const record = await this.get(id);
+        if (!record || !variantId) {
+            return record;
+        }
+
+        const variant = this.variantsOf(record)[variantId];
+        return variant ? { ...record, generationKey: variant.generationKey, result: variant.result } : null;
+    }
+
+    /**
+     * Get the saved result for a source if it was generated with the same model and options
+     * @param {string} id - Material ID
+     * @param {string} generationKey - Model and generation options key
+     * @returns {Promise<Object|null>} - Stored result or null
+     */
+    static async findResult(id, generationKey) {
+        const variant = this.variantsOf(await this.get(id))[this.variantId(generationKey)];
+        return variant?.generationKey === generationKey ? variant.result : null;
+    }
+
+    /**
+     * List saved learning sets, most recently updated first: all sets for admins,
+     * the user's own sets for users, and public sets for anonymous callers
+     * @param {Object} [options] - { limit, offset, user }
+     * @returns {Promise<{items: Array<Object>, total: number}>} - Page of summaries
+     */
+    static async list({ limit = 20, offset = 0, user = null } = {}) {
+        const records = (await getStorage().list(COLLECTION)).filter(record => {
+            if (user?.role === 'admin') {
+                return true;
+            }
+            return user ? Boolean(record.ownerIds?.includes(user.id)) : this.isPublic(record);
+        });
+
+        const items = records
+            .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+            .slice(offset, offset + limit)
+            .map(record => ({
+                id: record.id,
+                title: record.title,
+                sourceType: record.sourceType,
+                videoId: record.result.videoId || null,
+                variantIds: Object.keys(this.variantsOf(record)),
+                questionCount: record.result.quiz.length,
+                flashcardCount: record.result.flashcards?.length || 0,
+                createdAt: record.createdAt,
+                updatedAt: record.updatedAt
+            }));
+
+        return { items, total: records.length };
+    }
+
+    /**
+     * Prepare a stored result for the client: the quiz is returned without answers,
+     * which stay server-side under quizId for POST /api/quizzes/:id/submit, the
+     * grounding report without the evidence for quiz answers, and key points always as { text, start, link }
+     * @param {Object} result - Full processing result
+     * @returns {Promise<Object>} - Client-safe result
+     */
+    static async toClientResult(result) {
+        // Results can outlive their stored quiz; store it again under the same ID
+        if (!(await QuizStore.has(result.quizId))) {
+            await QuizStore.save({ quiz: result.quiz, title: result.title, source: result.materialId || null }, result.quizId);
+        }
+
+        return {
+            ...result,
+            keyPoints: (result.keyPoints || []).map(point => TimestampService.toKeyPoint(point)),
+            quiz: result.quiz.map(question => QuizService.toClientQuestion(question)),
+            grounding: GroundingService.toClientReport(result.grounding)
+        };
+    }
+}
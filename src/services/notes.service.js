@@ -0,0 +1,225 @@
+import { dedupeBySimilarity, normalizeText, slugify } from '../utils/text.js';
+
+/**
+ * Optional study notes generated next to the core materials, selected with `include`:
+ * a section outline, a glossary of the terms the lecture defines, and a concept map of
+ * how its ideas relate (exportable as JSON or Mermaid). `include` also selects flashcards.
+ */
+export class NotesService {
+    static NOTES = ['outline', 'glossary', 'conceptMap'];
+    static INCLUDE_OPTIONS = ['flashcards', ...NotesService.NOTES];
+    static EXPORT_FORMATS = ['json', 'mermaid'];
+    static MAX_SECTIONS = 12;
+    static MAX_MERGED_SECTIONS = 30;
+    static MAX_GLOSSARY_TERMS = 25;
+    static MAX_MERGED_GLOSSARY_TERMS = 50;
+    static MAX_CONCEPTS = 20;
+    static MAX_MERGED_CONCEPTS = 30;
+
+    /**
+     * Resolve the `include` request parameter
+     * @param {Array<string>|string} [value] - Names of the optional materials to generate, as an array or comma-separated
+     * @returns {{include: Array<string>, error: string|null}} - Names in canonical order
+     */
+    static resolveInclude(value) {
+        if (value === undefined || value === null || value === '') {
+            return { include: [], error: null };
+        }
+
+        const names = typeof value === 'string' ? value.split(',').map(name => name.trim()).filter(Boolean) : value;
+        if (!Array.isArray(names) || names.some(name => !this.INCLUDE_OPTIONS.includes(name))) {
+            return { include: [], error: `include must be a list of: ${this.INCLUDE_OPTIONS.join(', ')}` };
+        }
+
+        return { include: this.INCLUDE_OPTIONS.filter(name => names.includes(name)), error: null };
+    }
+
+    /**
+     * Validate generated notes for a transcript that was processed in one pass
+     * @param {Object} notes - Raw notes by name ({ outline, glossary, conceptMap }); only generated ones are present
+     * @returns {Object} - Normalized notes with the same names
+     */
+    static finalize(notes = {}) {
+        return this.merge([notes]);
+    }
+
+    /**
+     * Validate and merge the notes generated for each chunk of a long transcript
+     * @param {Array<Object>} groups - Raw notes per chunk, in transcript order
+     * @returns {Object} - Normalized notes ({ outline, glossary, conceptMap }, only the generated ones)
+     */
+    static merge(groups) {
+        const notes = {};
+        const single = groups.length === 1;
+
+        if (groups.some(group => group.outline)) {
+            const sections = groups.flatMap(group => this.normalizeOutline(group.outline));
+            // Chunk boundaries can split a section in two; keep the first
+            notes.outline = dedupeBySimilarity(sections, section => section.title, 0.8)
+                .slice(0, single ? this.MAX_SECTIONS : this.MAX_MERGED_SECTIONS);
+        }
+
+        if (groups.some(group => group.glossary)) {
+            const seen = new Set();
+            notes.glossary = groups
+                .flatMap(group => this.normalizeGlossary(group.glossary))
+                .filter(entry => !seen.has(normalizeText(entry.term)) && seen.add(normalizeText(entry.term)))
+                .slice(0, single ? this.MAX_GLOSSARY_TERMS : this.MAX_MERGED_GLOSSARY_TERMS)
+                .sort((a, b) => a.term.localeCompare(b.term, undefined, { sensitivity: 'base' }));
+        }
+
+        if (groups.some(group => group.conceptMap)) {
+            notes.conceptMap = this.mergeConceptMaps(
+                groups.map(group => group.conceptMap).filter(Boolean),
+                single ? this.MAX_CONCEPTS : this.MAX_MERGED_CONCEPTS
+            );
+        }
+
+        return notes;
+    }
+
+    /**
+     * Normalize a generated outline: sections with a title, key points and subsections
+     * @param {Array<Object>} sections - Raw sections ({ title, points, subsections })
+     * @returns {Array<{title: string, points: Array<string>, subsections: Array<Object>}>}
+     */
+    static normalizeOutline(sections) {
+        const toPoints = points => (Array.isArray(points) ? points : [])
+            .filter(point => typeof point === 'string' && point.trim())
+            .map(point => point.trim());
+
+        const toSection = (section, depth) => {
+            if (!section || typeof section.title !== 'string' || !section.title.trim()) {
+                return null;
+            }
+            return {
+                title: section.title.trim(),
+                points: toPoints(section.points),
+                // Two levels are enough for a lecture; deeper nesting is flattened into points
+                ...(depth === 0 && {
+                    subsections: (Array.isArray(section.subsections) ? section.subsections : [])
+                        .map(subsection => toSection(subsection, 1))
+                        .filter(Boolean)
+                })
+            };
+        };
+
+        return (Array.isArray(sections) ? sections : [])
+            .map(section => toSection(section, 0))
+            .filter(Boolean);
+    }
+
+    /**
+     * Normalize generated glossary entries, dropping incomplete ones
+     * @param {Array<Object>} entries - Raw entries ({ term, definition })
+     * @returns {Array<{term: string, definition: string}>}
+     */
+    static normalizeGlossary(entries) {
+        return (Array.isArray(entries) ? entries : [])
+            .filter(entry => typeof entry?.term === 'string' && typeof entry.definition === 'string')
+            .map(entry => ({ term: entry.term.trim(), definition: entry.definition.trim() }))
+            .filter(entry => entry.term && entry.definition && entry.term.length <= 100);
+    }
+
+    /**
+     * Merge concept maps into one: concepts with the same label become one node, and when
+     * there are too many, the best connected concepts are kept
+     * @param {Array<Object>} maps - Raw maps ({ nodes: [{ id, label }], edges: [{ from, to, label }] })
+     * @param {number} limit - Most concepts to keep
+     * @returns {{nodes: Array<{id: string, label: string}>, edges: Array<{from: string, to: string, label: string}>}}
+     *   Nodes are numbered n1, n2, ... in order of first appearance
+     */
+    static mergeConceptMaps(maps, limit) {
+        const nodes = new Map();
+        const edges = new Map();
+
+        for (const map of maps) {
+            // The model's IDs are only meaningful within its own map
+            const ids = new Map();
+            for (const node of Array.isArray(map.nodes) ? map.nodes : []) {
+                const label = typeof node?.label === 'string' ? node.label.replace(/\s+/g, ' ').trim() : '';
+                if (!label || node.id === undefined || node.id === null) {
+                    continue;
+                }
+                const key = normalizeText(label);
+                if (!nodes.has(key)) {
+                    nodes.set(key, { label, degree: 0 });
+                }
+                ids.set(String(node.id), key);
+            }
+
+            for (const edge of Array.isArray(map.edges) ? map.edges : []) {
+                const from = ids.get(String(edge?.from));
+                const to = ids.get(String(edge?.to));
+                if (!from || !to || from === to || edges.has(`${from}|${to}`)) {
+                    continue;
+                }
+                const label = typeof edge.label === 'string' ? edge.label.replace(/\s+/g, ' ').trim() : '';
+                edges.set(`${from}|${to}`, { from, to, label });
+                nodes.get(from).degree++;
+                nodes.get(to).degree++;
+            }
+        }
+
+        const kept = new Set([...nodes.entries()]
+            .sort(([, a], [, b]) => b.degree - a.degree)
+            .slice(0, limit)
+            .map(([key]) => key));
+        const ids = new Map([...nodes.keys()].filter(key => kept.has(key)).map((key, index) => [key, `n${index + 1}`]));
+
+        return {
+            nodes: [...ids].map(([key, id]) => ({ id, label: nodes.get(key).label })),
+            edges: [...edges.values()]
+                .filter(edge => ids.has(edge.from) && ids.has(edge.to))
+                .map(edge => ({ from: ids.get(edge.from), to: ids.get(edge.to), label: edge.label }))
+        };
+    }
+
+    /**
+     * Render a concept map as a Mermaid flowchart
+     * @param {Object} conceptMap - { nodes, edges }
+     * @returns {string} - Mermaid source
+     */
+    static toMermaid({ nodes, edges }) {
+        const lines = ['flowchart TD'];
+        nodes.forEach(node => lines.push(`    ${node.id}["${this.escapeMermaid(node.label)}"]`));
+        edges.forEach(edge => lines.push(edge.label
+            ? `    ${edge.from} -->|"${this.escapeMermaid(edge.label)}"| ${edge.to}`
+            : `    ${edge.from} --> ${edge.to}`));
+
+        return `${lines.join('\n')}\n`;
+    }
+
+    /**
+     * Concept map export of a stored result
+     * @param {Object} result - Stored processing result
+     * @returns {Object|null} - { materialId, title, nodes, edges, mermaid }, or null if the set has no concept map
+     */
+    static toConceptMapExport(result) {
+        if (!result.conceptMap) {
+            return null;
+        }
+
+        return {
+            materialId: result.materialId || null,
+            title: result.title,
+            nodes: result.conceptMap.nodes,
+            edges: result.conceptMap.edges,
+            mermaid: this.toMermaid(result.conceptMap)
+        };
+    }
+
+    /**
+     * Download file name for an export
+     */
+    static fileName(exported, extension) {
+        return `${slugify(exported.title) || 'concept-map'}-concept-map.${extension}`;
+    }
+
+    /**
+     * Escape text for a quoted Mermaid label
+     */
+    static escapeMermaid(text) {
+        return String(text).replace(/"/g, '#quot;');
+    }
+}
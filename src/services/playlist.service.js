@@ -0,0 +1,130 @@
+import { logger } from '../utils/logger.js';
+import { TranscriptError, ErrorCodes } from '../utils/errors.js';
+
+/**
+ * Service for listing the videos in a YouTube playlist. The public playlist page
+ * embeds its first 100 videos in `ytInitialData`, which covers a course's lectures
+ * without an API key.
+ */
+export class PlaylistService {
+    static PAGE_URL = 'https://www.youtube.com/playlist';
+    static TIMEOUT_MS = 15000;
+
+    /**
+     * Fetch a playlist's title and videos, in playlist order
+     * @param {string} playlistId - YouTube playlist ID
+     * @returns {Promise<{playlistId: string, title: string|null, videos: Array<{videoId: string, title: string|null, position: number}>}>}
+     */
+    static async getPlaylist(playlistId) {
+        logger.info(`Fetching playlist: ${playlistId}`);
+
+        const html = await this.fetchPage(playlistId);
+        const data = this.parseInitialData(html);
+        const videos = data ? this.findVideos(data) : [];
+
+        if (videos.length === 0) {
+            throw new TranscriptError(
+                'Playlist not found, private or empty. Please check the link and that the playlist is public or unlisted.',
+                { code: ErrorCodes.PLAYLIST_NOT_FOUND }
+            );
+        }
+
+        const title = data.metadata?.playlistMetadataRenderer?.title
+            || data.header?.playlistHeaderRenderer?.title?.simpleText
+            || null;
+
+        logger.info(`Playlist ${playlistId}: ${videos.length} videos`);
+
+        return { playlistId, title, videos };
+    }
+
+    /**
+     * Download the playlist page
+     * @param {string} playlistId - Playlist ID
+     * @returns {Promise<string>} - Page HTML
+     */
+    static async fetchPage(playlistId) {
+        const url = `${this.PAGE_URL}?list=${encodeURIComponent(playlistId)}&hl=en`;
+
+        let response;
+        try {
+            response = await fetch(url, {
+                headers: {
+                    'Accept-Language': 'en-US,en;q=0.9',
+                    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36'
+                },
+                signal: AbortSignal.timeout(this.TIMEOUT_MS)
+            });
+        } catch (error) {
+            logger.error(`Error fetching playlist ${playlistId}:`, error.message);
+            throw new TranscriptError('Failed to fetch the playlist from YouTube. Please try again.', { code: ErrorCodes.PLAYLIST_FETCH_FAILED, statusCode: 502, cause: error });
+        }
+
+        if (response.status === 429) {
+            throw new TranscriptError(
+                'YouTube is limiting requests from this server. Please try again later.',
+                { code: ErrorCodes.YOUTUBE_RATE_LIMITED, statusCode: 503 }
+            );
+        }
+        if (!response.ok) {
+            throw new TranscriptError(`YouTube returned HTTP ${response.status} for the playlist`, { code: ErrorCodes.PLAYLIST_FETCH_FAILED, statusCode: 502 });
+        }
+
+        return response.text();
+    }
+
+    /**
+     * Read the `ytInitialData` object embedded in a YouTube page
+     * @param {string} html - Page HTML
+     * @returns {Object|null}
+     */
+    static parseInitialData(html) {
+        const match = html.match(/(?:var ytInitialData|window\["ytInitialData"\])\s*=\s*(\{.+?\});\s*<\/script>/s);
+        if (!match) {
+            return null;
+        }
+
+        try {
+            return JSON.parse(match[1]);
+        } catch (error) {
+            logger.warn('Could not parse playlist page data:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Collect the playable videos listed in page data, in order and without duplicates
+     * @param {Object} data - ytInitialData
+     * @returns {Array<{videoId: string, title: string|null, position: number}>}
+     */
+    static findVideos(data) {
+        const videos = [];
+        const seen = new Set();
+
+        const visit = (node) => {
+            if (Array.isArray(node)) {
+                node.forEach(visit);
+                return;
+            }
+            if (!node || typeof node !== 'object') {
+                return;
+            }
+
+            const renderer = node.playlistVideoRenderer;
+            if (renderer?.videoId && renderer.isPlayable !== false && !seen.has(renderer.videoId)) {
+                seen.add(renderer.videoId);
+                videos.push({
+                    videoId: renderer.videoId,
+                    title: renderer.title?.runs?.map(run => run.text).join('') || renderer.title?.simpleText || null,
+                    position: videos.length + 1
+                });
+                return;
+            }
+
+            Object.values(node).forEach(visit);
+        };
+
+        visit(data);
+        return videos;
+    }
+}
@@ -0,0 +1,368 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { logger } from '../../utils/logger.js';
+import { coverage, tokenize } from '../../utils/text.js';
+
+/**
+ * Deterministic, offline LLM provider for development and testing.
+ *
+ * Responses are resolved in this order:
+ *   1. `<dir>/<promptHash>.txt` - a recorded response for this exact prompt
+ *   2. `<dir>/<task>.txt`       - a canned response for the task type
+ *   3. a built-in response derived from the transcript in the prompt
+ */
+export class FixtureProvider {
+    /**
+     * @param {Object} [config] - Provider configuration
+     * @param {string} [config.dir] - Directory containing recorded responses
+     */
+    constructor({ dir } = {}) {
+        this.name = 'fixture';
+        this.model = 'fixture';
+        this.supportsResponseSchema = true;
+        this.dir = dir || null;
+
+        logger.info(`Fixture provider initialized${this.dir ? ` (dir: ${this.dir})` : ''}`);
+    }
+
+    /**
+     * Hash a prompt to the file name used for recorded responses
+     * @param {string} prompt - Prompt text
+     * @returns {string} - Short hex digest
+     */
+    static hashPrompt(prompt) {
+        return crypto.createHash('sha256').update(prompt).digest('hex').substring(0, 16);
+    }
+
+    /**
+     * Generate text for a prompt
+     * @param {string} prompt - Prompt text
+     * @param {Object} [options] - Generation options
+     * @param {string} [options.task] - Task type (summary, courseSummary, keyPoints, quiz, title, materials, flashcards, repairQuestion, gradeShortAnswer, answerQuestion, outline, glossary, conceptMap)
+     * @returns {Promise<string>} - Generated text
+     */
+    async generate(prompt, { task } = {}) {
+        const recorded = this.readRecorded(FixtureProvider.hashPrompt(prompt))
+            ?? (task ? this.readRecorded(task) : null);
+
+        if (recorded !== null) {
+            return recorded.trim();
+        }
+
+        return this.buildResponse(prompt, task);
+    }
+
+    /**
+     * Generate text for a prompt, emitting it word by word
+     * @param {string} prompt - Prompt text
+     * @param {Object} options - Generation options (see generate)
+     * @param {Function} onToken - Called with each piece of text as it is produced
+     * @returns {Promise<string>} - Complete generated text
+     */
+    async generateStream(prompt, options, onToken) {
+        const text = await this.generate(prompt, options);
+        for (const token of text.match(/\S+\s*/g) || []) {
+            onToken(token);
+        }
+        return text;
+    }
+
+    /**
+     * Read a recorded response file
+     * @param {string} name - File name without extension
+     * @returns {string|null} - File contents or null
+     */
+    readRecorded(name) {
+        if (!this.dir) {
+            return null;
+        }
+
+        const file = path.join(this.dir, `${name}.txt`);
+        return fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+    }
+
+    /**
+     * Build a deterministic response from the transcript embedded in the prompt
+     * @param {string} prompt - Prompt text
+     * @param {string} [task] - Task type
+     * @returns {string} - Response text
+     */
+    buildResponse(prompt, task) {
+        const sentences = FixtureProvider.extractSentences(prompt);
+
+        switch (task) {
+            case 'title':
+                return sentences[0]
+                    ? sentences[0].split(/\s+/).slice(0, 6).join(' ').replace(/[.!?,;:]+$/, '')
+                    : 'Fixture Lesson';
+
+            case 'summary':
+                return sentences.slice(0, 5).join(' ') || 'Fixture summary.';
+
+            case 'courseSummary':
+                return sentences.slice(0, 8).join(' ') || 'Fixture course summary.';
+
+            case 'keyPoints':
+                return sentences.slice(0, 8).map(sentence => `- ${sentence}`).join('\n');
+
+            case 'quiz':
+                return JSON.stringify(FixtureProvider.buildQuiz(sentences, FixtureProvider.parseQuestionPlan(prompt)), null, 2);
+
+            case 'repairQuestion': {
+                const type = prompt.match(/"type" is "([a-z-]+)"/)?.[1] || 'multiple-choice';
+                return JSON.stringify(FixtureProvider.buildQuiz(sentences, [type])[0] || {}, null, 2);
+            }
+
+            case 'gradeShortAnswer':
+                return JSON.stringify(FixtureProvider.buildGrade(prompt), null, 2);
+
+            case 'answerQuestion':
+                return JSON.stringify(FixtureProvider.buildAnswer(prompt), null, 2);
+
+            case 'outline':
+                return JSON.stringify(FixtureProvider.buildOutline(sentences), null, 2);
+
+            case 'glossary':
+                return JSON.stringify(FixtureProvider.buildGlossary(sentences), null, 2);
+
+            case 'conceptMap':
+                return JSON.stringify(FixtureProvider.buildConceptMap(sentences), null, 2);
+
+            case 'flashcards': {
+                const count = parseInt(prompt.match(/Write (\d+) flashcards/)?.[1]) || 15;
+                return JSON.stringify(FixtureProvider.buildFlashcards(sentences.slice(0, count)), null, 2);
+            }
+
+            case 'materials':
+                return JSON.stringify({
+                    title: this.buildResponse(prompt, 'title'),
+                    summary: sentences.slice(0, 5).join(' ') || 'Fixture summary.',
+                    keyPoints: sentences.slice(0, 8),
+                    quiz: FixtureProvider.buildQuiz(sentences, FixtureProvider.parseQuestionPlan(prompt))
+                }, null, 2);
+
+            default:
+                return sentences.slice(0, 3).join(' ') || 'Fixture response.';
+        }
+    }
+
+    /**
+     * Read the requested question types from a quiz prompt's QUESTION MIX section
+     * @param {string} prompt - Prompt text
+     * @returns {Array<string>} - One question type per requested question
+     */
+    static parseQuestionPlan(prompt) {
+        const plan = [...prompt.matchAll(/^- (\d+) ([a-z-]+) questions?$/gm)]
+            .flatMap(([, count, type]) => Array(parseInt(count)).fill(type));
+
+        if (plan.length > 0) {
+            return plan;
+        }
+
+        const count = parseInt(prompt.match(/EXACTLY (\d+)/)?.[1]) || 10;
+        return Array(count).fill('multiple-choice');
+    }
+
+    /**
+     * Build questions that quote transcript sentences
+     * @param {Array<string>} sentences - Transcript sentences
+     * @param {Array<string>} plan - Question type for each question
+     * @returns {Array<Object>} - Quiz questions
+     */
+    static buildQuiz(sentences, plan) {
+        const letters = ['A', 'B', 'C', 'D'];
+
+        return plan.slice(0, sentences.length).map((type, index) => {
+            const sentence = sentences[index];
+            const others = [1, 2, 3].map(offset =>
+                sentences[(index + offset) % sentences.length] || `Not covered in the lesson (${offset})`
+            );
+            const explanation = `The lesson states: "${sentence}"`;
+
+            switch (type) {
+                case 'true-false':
+                    return { type, question: sentence, correctAnswer: 'True', explanation };
+
+                case 'multi-select':
+                    return {
+                        type,
+                        question: `Which statements were made in the lesson? (Select all that apply) (${index + 1})`,
+                        options: [sentence, others[0], `The lesson never mentions topic ${index + 1}.`, `The lesson contradicts itself about topic ${index + 1}.`],
+                        correctAnswer: 'A,B',
+                        explanation
+                    };
+
+                case 'fill-in-the-blank': {
+                    const word = sentence.split(/\s+/).reduce((longest, w) => w.length > longest.length ? w : longest, '');
+                    return {
+                        type,
+                        question: sentence.replace(word, '____'),
+                        correctAnswer: word.replace(/[.!?,;:]+$/, ''),
+                        acceptableAnswers: [],
+                        explanation
+                    };
+                }
+
+                case 'short-answer':
+                    return {
+                        type,
+                        question: `Explain what the lesson says about "${sentence.split(/\s+/).slice(0, 4).join(' ')}".`,
+                        correctAnswer: sentence,
+                        rubric: [`Mentions: ${sentence}`, 'Uses the terminology from the lesson'],
+                        explanation
+                    };
+
+                default: {
+                    const correctIndex = index % 4;
+                    const options = [...others];
+                    options.splice(correctIndex, 0, sentence);
+
+                    return {
+                        type: 'multiple-choice',
+                        question: `Which statement was made in the lesson? (${index + 1})`,
+                        options,
+                        correctAnswer: letters[correctIndex],
+                        explanation
+                    };
+                }
+            }
+        });
+    }
+
+    /**
+     * Build flashcards from transcript sentences: every third card is a cloze
+     * deletion of the sentence's longest word, the rest ask for the sentence
+     * @param {Array<string>} sentences - Transcript sentences
+     * @returns {Array<Object>} - Cards
+     */
+    static buildFlashcards(sentences) {
+        return sentences.map((sentence, index) => {
+            if (index % 3 === 2) {
+                const word = sentence.split(/\s+/).reduce((longest, w) => w.length > longest.length ? w : longest, '')
+                    .replace(/[.!?,;:]+$/, '');
+                return { type: 'cloze', front: sentence.replace(word, `{{c1::${word}}}`), back: '' };
+            }
+
+            return {
+                type: 'basic',
+                front: `What does the lesson say about "${sentence.split(/\s+/).slice(0, 4).join(' ')}"?`,
+                back: sentence
+            };
+        });
+    }
+
+    /**
+     * Build an outline with one section per three sentences, titled after its first sentence
+     * @param {Array<string>} sentences - Transcript sentences
+     * @returns {Array<Object>} - Sections
+     */
+    static buildOutline(sentences) {
+        const sections = [];
+        for (let i = 0; i < sentences.length && sections.length < 12; i += 3) {
+            sections.push({
+                title: sentences[i].split(/\s+/).slice(0, 5).join(' ').replace(/[.!?,;:]+$/, ''),
+                points: sentences.slice(i, i + 3),
+                subsections: []
+            });
+        }
+        return sections;
+    }
+
+    /**
+     * Build glossary entries from sentences of the form "<term> is/are/means ..."
+     * @param {Array<string>} sentences - Transcript sentences
+     * @returns {Array<Object>} - Entries
+     */
+    static buildGlossary(sentences) {
+        return sentences
+            .map(sentence => sentence.match(/^(?:(?:A|An|The) )?([\w-]+(?: [\w-]+)?) (?:is|are|means|refers to) /))
+            .filter(Boolean)
+            .map(match => ({ term: match[1], definition: match.input }));
+    }
+
+    /**
+     * Build a concept map linking the first and last content word of each sentence
+     * @param {Array<string>} sentences - Transcript sentences
+     * @returns {Object} - { nodes, edges }
+     */
+    static buildConceptMap(sentences) {
+        const nodes = new Map();
+        const edges = [];
+
+        for (const sentence of sentences.slice(0, 20)) {
+            const words = tokenize(sentence);
+            if (words.length < 2 || words[0] === words[words.length - 1]) {
+                continue;
+            }
+            const [from, to] = [words[0], words[words.length - 1]];
+            [from, to].forEach(word => nodes.set(word, { id: word, label: word.charAt(0).toUpperCase() + word.slice(1) }));
+            edges.push({ from, to, label: 'relates to' });
+        }
+
+        return { nodes: [...nodes.values()], edges };
+    }
+
+    /**
+     * Grade a short answer by the share of model-answer words it contains
+     * @param {string} prompt - Grading prompt
+     * @returns {Object} - { score, criteriaMet, feedback }
+     */
+    static buildGrade(prompt) {
+        const section = (name) => prompt.match(new RegExp(`${name}:\\n([\\s\\S]*?)\\n\\n`))?.[1] || '';
+        const words = (text) => new Set(text.toLowerCase().match(/[a-z0-9]{4,}/g) || []);
+        const expected = words(section('MODEL ANSWER'));
+        const given = words(section('STUDENT ANSWER'));
+        const score = expected.size === 0 ? 0 : [...expected].filter(word => given.has(word)).length / expected.size;
+        const criteria = section('RUBRIC').split('\n').map(line => line.replace(/^- /, '').trim()).filter(Boolean);
+
+        return {
+            score: Math.round(score * 100) / 100,
+            criteriaMet: score >= 0.5 ? criteria : [],
+            feedback: score >= 0.5 ? 'Covers the main idea from the lesson.' : 'Misses the main idea from the lesson.'
+        };
+    }
+
+    /**
+     * Answer with the passage sentence that shares the most words with the question;
+     * the question counts as covered when at least half of its words are found there
+     * @param {string} prompt - answerQuestion prompt
+     * @returns {{answer: string, covered: boolean, citations: Array<number>}}
+     */
+    static buildAnswer(prompt) {
+        const question = prompt.match(/QUESTION:\s*([\s\S]*?)\n\s*TASK:/)?.[1] || '';
+        const section = prompt.match(/PASSAGES:\s*([\s\S]*?)\n\s*(?:CONVERSATION SO FAR|QUESTION):/)?.[1] || '';
+
+        let best = { score: 0, sentence: null, passage: null };
+        for (const [, number, text] of section.matchAll(/^\[(\d+)\](?: \([\d:]+\))? (.*)$/gm)) {
+            for (const sentence of text.split(/(?<=[.!?])\s+/)) {
+                const score = coverage(question, sentence);
+                if (score > best.score) {
+                    best = { score, sentence: sentence.trim(), passage: parseInt(number) };
+                }
+            }
+        }
+
+        return best.score >= 0.5
+            ? { answer: best.sentence, covered: true, citations: [best.passage] }
+            : { answer: "The lesson doesn't cover this.", covered: false, citations: [] };
+    }
+
+    /**
+     * Pull transcript sentences out of a prompt
+     * @param {string} prompt - Prompt text
+     * @returns {Array<string>} - Sentences
+     */
+    static extractSentences(prompt) {
+        // Prompts either label the transcript or wrap a snippet in blank lines
+        const match = prompt.match(/(?:TRANSCRIPT|SECTION SUMMARIES):\s*([\s\S]*?)\n\s*TASK:/)
+            || prompt.match(/\n\n([\s\S]*)\n\n/);
+        const source = match ? match[1] : prompt;
+
+        return source
+            .replace(/\s+/g, ' ')
+            .split(/(?<=[.!?])\s+/)
+            .map(sentence => sentence.trim())
+            .filter(sentence => sentence.split(' ').length >= 4);
+    }
+}
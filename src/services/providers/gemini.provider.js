@@ -0,0 +1,122 @@
+import { GoogleGenerativeAI, GoogleGenerativeAIFetchError, GoogleGenerativeAIResponseError } from '@google/generative-ai';
+import { logger } from '../../utils/logger.js';
+import { AIProviderError, ConfigurationError, ErrorCodes, parseRetryAfter } from '../../utils/errors.js';
+
+/**
+ * LLM provider backed by Google Gemini
+ */
+export class GeminiProvider {
+    /**
+     * @param {Object} config - Provider configuration
+     * @param {string} config.apiKey - Gemini API key
+     * @param {string} config.model - Gemini model name
+     * @param {number} [config.temperature] - Sampling temperature
+     * @param {number} [config.maxTokens] - Maximum output tokens
+     */
+    constructor({ apiKey, model, temperature, maxTokens }) {
+        if (!apiKey) {
+            throw new ConfigurationError('GEMINI_API_KEY is not set in environment variables');
+        }
+
+        this.name = 'gemini';
+        this.model = model;
+        this.supportsResponseSchema = true;
+        this.generationConfig = {
+            ...(Number.isFinite(temperature) && { temperature }),
+            ...(Number.isFinite(maxTokens) && { maxOutputTokens: maxTokens })
+        };
+        this.genAI = new GoogleGenerativeAI(apiKey);
+        this.client = this.genAI.getGenerativeModel({
+            model,
+            generationConfig: this.generationConfig
+        });
+
+        logger.info(`Gemini provider initialized (model: ${model})`);
+    }
+
+    /**
+     * Generate text for a prompt
+     * @param {string} prompt - Prompt text
+     * @param {Object} [options] - Generation options
+     * @param {Object} [options.responseSchema] - JSON schema the response must follow
+     * @param {AbortSignal} [options.signal] - Aborts the request
+     * @returns {Promise<string>} - Generated text
+     */
+    async generate(prompt, { responseSchema, signal } = {}) {
+        const request = responseSchema
+            ? {
+                contents: [{ role: 'user', parts: [{ text: prompt }] }],
+                // Request-level config replaces the model-level one, so merge it in
+                generationConfig: {
+                    ...this.generationConfig,
+                    responseMimeType: 'application/json',
+                    responseSchema
+                }
+            }
+            : prompt;
+
+        try {
+            const result = await this.client.generateContent(request, { signal });
+            const response = await result.response;
+            return response.text().trim();
+        } catch (error) {
+            throw this.toError(error);
+        }
+    }
+
+    /**
+     * Generate text for a prompt, emitting it as the model produces it
+     * @param {string} prompt - Prompt text
+     * @param {Object} options - Generation options (see generate)
+     * @param {Function} onToken - Called with each piece of text as it arrives
+     * @returns {Promise<string>} - Complete generated text
+     */
+    async generateStream(prompt, { signal } = {}, onToken) {
+        let text = '';
+
+        try {
+            const result = await this.client.generateContentStream(prompt, { signal });
+
+            for await (const chunk of result.stream) {
+                const piece = chunk.text();
+                if (piece) {
+                    text += piece;
+                    onToken(piece);
+                }
+            }
+        } catch (error) {
+            throw this.toError(error);
+        }
+
+        return text.trim();
+    }
+
+    /**
+     * Convert a Gemini SDK error into an AIProviderError
+     * @param {Error} error - SDK error
+     * @returns {Error}
+     */
+    toError(error) {
+        if (error instanceof GoogleGenerativeAIFetchError) {
+            // 429s carry google.rpc details: QuotaFailure for exhausted quotas, RetryInfo with a delay
+            const details = error.errorDetails || [];
+            const quota = details.some(detail => detail['@type']?.endsWith('QuotaFailure'));
+            const retryInfo = details.find(detail => detail['@type']?.endsWith('RetryInfo'));
+
+            return AIProviderError.fromResponse({
+                status: error.status,
+                quota,
+                retryAfter: parseRetryAfter(retryInfo?.retryDelay),
+                cause: error
+            });
+        }
+        if (error instanceof GoogleGenerativeAIResponseError) {
+            // e.g. the response was blocked by safety filters
+            return new AIProviderError('AI returned no usable response. Please try again.', { code: ErrorCodes.AI_INVALID_RESPONSE, cause: error });
+        }
+        if (error instanceof TypeError && error.message.includes('fetch')) {
+            return AIProviderError.fromResponse({ cause: error });
+        }
+        return error;
+    }
+}
@@ -0,0 +1,50 @@
+import { GeminiProvider } from './gemini.provider.js';
+import { OpenAIProvider } from './openai.provider.js';
+import { FixtureProvider } from './fixture.provider.js';
+import { ConfigurationError } from '../../utils/errors.js';
+
+export const DEFAULT_GEMINI_MODEL = 'gemini-2.0-flash-exp';
+
+/**
+ * Create the LLM provider selected by environment configuration
+ *
+ * AI_PROVIDER=gemini  (default) - Google Gemini, needs GEMINI_API_KEY
+ * AI_PROVIDER=openai            - OpenAI-compatible API at OPENAI_BASE_URL
+ * AI_PROVIDER=fixture           - Offline deterministic responses (FIXTURE_DIR optional)
+ *
+ * @param {Object} [env] - Environment variables
+ * @returns {GeminiProvider|OpenAIProvider|FixtureProvider} - Provider instance
+ */
+export function createProvider(env = process.env) {
+    const providerName = (env.AI_PROVIDER || 'gemini').toLowerCase();
+    const temperature = parseFloat(env.AI_TEMPERATURE);
+    const maxTokens = parseInt(env.MAX_TOKENS);
+
+    switch (providerName) {
+        case 'gemini':
+            return new GeminiProvider({
+                apiKey: env.GEMINI_API_KEY,
+                model: env.AI_MODEL || DEFAULT_GEMINI_MODEL,
+                temperature,
+                maxTokens
+            });
+
+        case 'openai':
+            return new OpenAIProvider({
+                baseUrl: env.OPENAI_BASE_URL,
+                apiKey: env.OPENAI_API_KEY,
+                model: env.AI_MODEL,
+                temperature,
+                maxTokens,
+                responseSchema: env.OPENAI_RESPONSE_SCHEMA !== 'false'
+            });
+
+        case 'fixture':
+            return new FixtureProvider({ dir: env.FIXTURE_DIR });
+
+        default:
+            throw new ConfigurationError(`Unknown AI_PROVIDER "${providerName}". Use gemini, openai or fixture.`);
+    }
+}
+
+export { GeminiProvider, OpenAIProvider, FixtureProvider };
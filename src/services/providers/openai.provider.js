@@ -0,0 +1,157 @@
+import { logger } from '../../utils/logger.js';
+import { AIProviderError, ConfigurationError, ErrorCodes, parseRetryAfter } from '../../utils/errors.js';
+
+/**
+ * LLM provider for any OpenAI-compatible chat completions API
+ * (OpenAI, Ollama, llama.cpp server, vLLM, LM Studio, ...)
+ */
+export class OpenAIProvider {
+    /**
+     * @param {Object} config - Provider configuration
+     * @param {string} config.baseUrl - API base URL, e.g. http://localhost:11434/v1
+     * @param {string} config.model - Model name
+     * @param {string} [config.apiKey] - Bearer token (optional for local servers)
+     * @param {number} [config.temperature] - Sampling temperature
+     * @param {number} [config.maxTokens] - Maximum output tokens
+     * @param {boolean} [config.responseSchema] - Whether the server supports json_schema response formats
+     */
+    constructor({ baseUrl, model, apiKey, temperature, maxTokens, responseSchema = true }) {
+        if (!baseUrl) {
+            throw new ConfigurationError('OPENAI_BASE_URL is not set in environment variables');
+        }
+        if (!model) {
+            throw new ConfigurationError('AI_MODEL is not set for the OpenAI-compatible provider');
+        }
+
+        this.name = 'openai';
+        this.model = model;
+        this.supportsResponseSchema = responseSchema;
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.apiKey = apiKey;
+        this.temperature = temperature;
+        this.maxTokens = maxTokens;
+
+        logger.info(`OpenAI-compatible provider initialized (${this.baseUrl}, model: ${model})`);
+    }
+
+    /**
+     * Generate text for a prompt
+     * @param {string} prompt - Prompt text
+     * @param {Object} [options] - Generation options
+     * @param {Object} [options.responseSchema] - JSON schema the response must follow
+     * @param {AbortSignal} [options.signal] - Aborts the request
+     * @returns {Promise<string>} - Generated text
+     */
+    async generate(prompt, { responseSchema, signal } = {}) {
+        const response = await this.request(prompt, { responseSchema, signal });
+        const data = await response.json();
+        const content = data.choices?.[0]?.message?.content;
+
+        if (typeof content !== 'string') {
+            throw new AIProviderError('OpenAI-compatible provider returned no message content', { code: ErrorCodes.AI_INVALID_RESPONSE });
+        }
+
+        return content.trim();
+    }
+
+    /**
+     * Generate text for a prompt, emitting it as the server streams it
+     * @param {string} prompt - Prompt text
+     * @param {Object} options - Generation options (see generate)
+     * @param {Function} onToken - Called with each piece of text as it arrives
+     * @returns {Promise<string>} - Complete generated text
+     */
+    async generateStream(prompt, { signal } = {}, onToken) {
+        const response = await this.request(prompt, { stream: true, signal });
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let text = '';
+
+        // Server-sent events: "data: {...}" lines, ending with "data: [DONE]"
+        for await (const bytes of response.body) {
+            buffer += decoder.decode(bytes, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+
+            for (const line of lines) {
+                const data = line.replace(/^data:\s*/, '').trim();
+                if (!line.startsWith('data:') || !data || data === '[DONE]') {
+                    continue;
+                }
+
+                const piece = this.parseChunk(data).choices?.[0]?.delta?.content;
+                if (piece) {
+                    text += piece;
+                    onToken(piece);
+                }
+            }
+        }
+
+        return text.trim();
+    }
+
+    /**
+     * Parse one server-sent event of a stream
+     * @param {string} data - Event data (JSON)
+     * @returns {Object} - Chunk
+     */
+    parseChunk(data) {
+        try {
+            return JSON.parse(data);
+        } catch (error) {
+            throw new AIProviderError('OpenAI-compatible provider sent a malformed stream event', {
+                code: ErrorCodes.AI_INVALID_RESPONSE,
+                cause: error
+            });
+        }
+    }
+
+    /**
+     * Send a chat completions request
+     * @param {string} prompt - Prompt text
+     * @param {Object} options - { responseSchema, stream, signal }
+     * @returns {Promise<Response>} - Successful fetch response
+     */
+    async request(prompt, { responseSchema, stream = false, signal }) {
+        const response = await fetch(`${this.baseUrl}/chat/completions`, {
+            method: 'POST',
+            signal,
+            headers: {
+                'Content-Type': 'application/json',
+                ...(this.apiKey && { Authorization: `Bearer ${this.apiKey}` })
+            },
+            body: JSON.stringify({
+                model: this.model,
+                messages: [{ role: 'user', content: prompt }],
+                ...(stream && { stream: true }),
+                ...(Number.isFinite(this.temperature) && { temperature: this.temperature }),
+                ...(Number.isFinite(this.maxTokens) && { max_tokens: this.maxTokens }),
+                ...(responseSchema && this.supportsResponseSchema && {
+                    response_format: {
+                        type: 'json_schema',
+                        json_schema: { name: 'response', schema: responseSchema }
+                    }
+                })
+            })
+        }).catch(error => {
+            // Connection refused, DNS failure, ...
+            throw AIProviderError.fromResponse({ cause: error });
+        });
+
+        if (!response.ok) {
+            const body = await response.text().catch(() => '');
+            const error = new Error(`[${response.status} ${response.statusText}] ${body}`.trim());
+            error.status = response.status;
+
+            throw AIProviderError.fromResponse({
+                status: response.status,
+                // OpenAI reports an exhausted plan as 429 "insufficient_quota"
+                quota: /insufficient_quota|quota/i.test(body),
+                retryAfter: parseRetryAfter(response.headers.get('retry-after')),
+                cause: error
+            });
+        }
+
+        return response;
+    }
+}
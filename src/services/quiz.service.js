@@ -0,0 +1,425 @@
+import { normalizeText, similarity } from '../utils/text.js';
+
+/**
+ * Quiz options, validation and normalization of generated quiz questions
+ */
+export class QuizService {
+    static LETTERS = ['A', 'B', 'C', 'D', 'E', 'F'];
+    static QUESTION_TYPES = ['multiple-choice', 'true-false', 'multi-select', 'fill-in-the-blank', 'short-answer'];
+    // Coarse difficulty levels followed by Bloom's taxonomy levels
+    static DIFFICULTIES = ['easy', 'mixed', 'hard', 'remember', 'understand', 'apply', 'analyze', 'evaluate', 'create'];
+    static DEFAULT_OPTIONS = { questionCount: 10, difficulty: 'mixed', questionTypes: ['multiple-choice'] };
+    static MAX_QUESTIONS = 30;
+    // Question stems (plus answer) at or above this similarity count as duplicates
+    static DUPLICATE_THRESHOLD = 0.8;
+    // Rubric score from which a short answer counts as correct
+    static SHORT_ANSWER_PASS_SCORE = 0.7;
+
+    static TYPE_ALIASES = {
+        mcq: 'multiple-choice',
+        'multiple-choice': 'multiple-choice',
+        'true-false': 'true-false',
+        'true-or-false': 'true-false',
+        boolean: 'true-false',
+        'multi-select': 'multi-select',
+        'multiple-select': 'multi-select',
+        'multiple-response': 'multi-select',
+        'fill-in-the-blank': 'fill-in-the-blank',
+        'fill-in-blank': 'fill-in-the-blank',
+        'fill-blank': 'fill-in-the-blank',
+        cloze: 'fill-in-the-blank',
+        'short-answer': 'short-answer',
+        open: 'short-answer'
+    };
+
+    /**
+     * Validate quiz options from a request and fill in defaults
+     * @param {Object} [input] - { questionCount, difficulty, questionTypes }
+     * @returns {{options?: Object, error?: string}} - Resolved options or an error message
+     */
+    static resolveOptions(input = {}) {
+        const { questionCount, difficulty, questionTypes } = input;
+        const options = { ...this.DEFAULT_OPTIONS };
+
+        if (questionCount !== undefined) {
+            const count = Number(questionCount);
+            if (!Number.isInteger(count) || count < 1 || count > this.MAX_QUESTIONS) {
+                return { error: `questionCount must be an integer between 1 and ${this.MAX_QUESTIONS}` };
+            }
+            options.questionCount = count;
+        }
+
+        if (difficulty !== undefined) {
+            const level = String(difficulty).toLowerCase();
+            if (!this.DIFFICULTIES.includes(level)) {
+                return { error: `difficulty must be one of: ${this.DIFFICULTIES.join(', ')}` };
+            }
+            options.difficulty = level;
+        }
+
+        if (questionTypes !== undefined) {
+            // A single string may list several types ("true-false,short-answer"), e.g. from form fields
+            const types = Array.isArray(questionTypes) ? questionTypes : String(questionTypes).split(',');
+            const resolved = types.map(type => this.resolveType(type));
+
+            if (types.length === 0 || resolved.includes(null)) {
+                return { error: `questionTypes must be a list of: ${this.QUESTION_TYPES.join(', ')}` };
+            }
+            options.questionTypes = [...new Set(resolved)];
+        }
+
+        return { options };
+    }
+
+    /**
+     * Map a question type name (or alias) to its canonical form
+     * @param {string} type - Type name
+     * @returns {string|null} - Canonical type or null if unknown
+     */
+    static resolveType(type) {
+        const key = String(type ?? '').trim().toLowerCase().replace(/[\s_/]+/g, '-');
+        return this.TYPE_ALIASES[key] || null;
+    }
+
+    /**
+     * Stable string form of quiz options, for cache keys
+     * @param {Object} options - Resolved quiz options
+     * @returns {string}
+     */
+    static optionsKey(options) {
+        return `${options.questionCount}-${options.difficulty}-${[...options.questionTypes].sort().join('+')}`;
+    }
+
+    /**
+     * Spread a question count across the requested types
+     * @param {number} count - Number of questions
+     * @param {Array<string>} types - Question types
+     * @returns {Array<{type: string, count: number}>} - Questions per type (zero counts omitted)
+     */
+    static distribute(count, types) {
+        return types
+            .map((type, index) => ({
+                type,
+                count: Math.floor(count / types.length) + (index < count % types.length ? 1 : 0)
+            }))
+            .filter(entry => entry.count > 0);
+    }
+
+    /**
+     * Clean up formatting differences that don't need another model call:
+     * trimmed strings, option letters like "A)" stripped, and answers given as
+     * "a", "Option B", "A, C" or the option text itself mapped to letters
+     * @param {Object} question - Raw question
+     * @returns {Object} - Normalized question
+     */
+    static normalizeQuestion(question) {
+        if (!question || typeof question !== 'object') {
+            return { type: 'multiple-choice', question: '', options: [], correctAnswer: '', explanation: '' };
+        }
+
+        const type = question.type === undefined ? 'multiple-choice' : this.resolveType(question.type) || String(question.type);
+        const base = {
+            type,
+            question: String(question.question ?? '').trim(),
+            explanation: String(question.explanation ?? '').trim()
+        };
+        const options = Array.isArray(question.options)
+            ? question.options.map(option => String(option ?? '').replace(/^\s*[A-F][).:]\s+/, '').trim())
+            : [];
+        const answer = question.correctAnswer ?? question.correctAnswers;
+
+        switch (type) {
+            case 'true-false':
+                return { ...base, options: ['True', 'False'], correctAnswer: this.normalizeBoolean(answer) };
+
+            case 'multi-select':
+                return { ...base, options, correctAnswer: this.normalizeAnswerList(answer, options) };
+
+            case 'fill-in-the-blank':
+                return {
+                    ...base,
+                    correctAnswer: String(answer ?? '').trim(),
+                    acceptableAnswers: Array.isArray(question.acceptableAnswers)
+                        ? question.acceptableAnswers.map(alt => String(alt).trim()).filter(Boolean)
+                        : []
+                };
+
+            case 'short-answer':
+                return {
+                    ...base,
+                    correctAnswer: String(answer ?? '').trim(),
+                    rubric: Array.isArray(question.rubric)
+                        ? question.rubric.map(criterion => String(criterion).trim()).filter(Boolean)
+                        : []
+                };
+
+            default:
+                return { ...base, options, correctAnswer: this.normalizeAnswer(answer, options) };
+        }
+    }
+
+    /**
+     * Map a correct answer to its option letter
+     * @param {*} answer - Answer as returned by the model
+     * @param {Array<string>} options - Question options
+     * @returns {string} - Option letter, or the original answer if it can't be mapped
+     */
+    static normalizeAnswer(answer, options) {
+        const text = String(answer ?? '').trim();
+        const letter = text.match(/^(?:option\s+)?([A-F])(?:[).:]|$)/i);
+
+        if (letter) {
+            return letter[1].toUpperCase();
+        }
+
+        const index = options.findIndex(option => normalizeText(option) === normalizeText(text));
+        return index >= 0 && index < this.LETTERS.length ? this.LETTERS[index] : text;
+    }
+
+    /**
+     * Map a multi-select answer ("A, C", ["A", "C"] or option texts) to sorted letters
+     * @param {*} answer - Answer as returned by the model
+     * @param {Array<string>} options - Question options
+     * @returns {Array<string>} - Letters (unmappable entries kept as-is so validation flags them)
+     */
+    static normalizeAnswerList(answer, options) {
+        const parts = Array.isArray(answer) ? answer : String(answer ?? '').split(/[,;]|\band\b/);
+        const letters = parts
+            .map(part => String(part).trim())
+            .filter(Boolean)
+            .map(part => this.normalizeAnswer(part, options));
+
+        return [...new Set(letters)].sort();
+    }
+
+    /**
+     * Map a true/false answer to "True" or "False"
+     * @param {*} answer - Answer as returned by the model
+     * @returns {string} - "True", "False", or the original answer
+     */
+    static normalizeBoolean(answer) {
+        const text = String(answer ?? '').trim().toLowerCase();
+
+        if (['true', 't', 'a', 'yes'].includes(text)) {
+            return 'True';
+        }
+        if (['false', 'f', 'b', 'no'].includes(text)) {
+            return 'False';
+        }
+
+        return String(answer ?? '');
+    }
+
+    /**
+     * Check a normalized question for problems
+     * @param {Object} question - Normalized question
+     * @param {Array<string>} [allowedTypes] - Question types requested for this quiz
+     * @returns {Array<string>} - Issues (empty when valid)
+     */
+    static validateQuestion(question, allowedTypes = this.QUESTION_TYPES) {
+        const issues = [];
+
+        if (!allowedTypes.includes(question.type)) {
+            issues.push(`unexpected question type "${question.type}"`);
+            return issues;
+        }
+
+        if (!question.question) {
+            issues.push('missing question text');
+        }
+
+        switch (question.type) {
+            case 'multiple-choice':
+                issues.push(...this.validateOptions(question.options, 4, 4));
+                if (!this.LETTERS.slice(0, 4).includes(question.correctAnswer)) {
+                    issues.push('correct answer does not point to an option');
+                }
+                break;
+
+            case 'true-false':
+                if (!['True', 'False'].includes(question.correctAnswer)) {
+                    issues.push('correct answer must be True or False');
+                }
+                break;
+
+            case 'multi-select': {
+                issues.push(...this.validateOptions(question.options, 4, 6));
+                const valid = this.LETTERS.slice(0, question.options.length);
+                if (question.correctAnswer.length === 0) {
+                    issues.push('no correct answers');
+                } else if (question.correctAnswer.some(letter => !valid.includes(letter))) {
+                    issues.push('correct answer does not point to an option');
+                }
+                break;
+            }
+
+            case 'fill-in-the-blank':
+                if (!/_{3,}/.test(question.question)) {
+                    issues.push('question has no blank (____)');
+                }
+                if (!question.correctAnswer) {
+                    issues.push('missing answer for the blank');
+                }
+                break;
+
+            case 'short-answer':
+                if (!question.correctAnswer) {
+                    issues.push('missing model answer');
+                }
+                if (question.rubric.length === 0) {
+                    issues.push('missing rubric');
+                }
+                break;
+        }
+
+        if (!question.explanation) {
+            issues.push('missing explanation');
+        }
+
+        return issues;
+    }
+
+    /**
+     * Check option count and distinctness
+     * @param {Array<string>} options - Options
+     * @param {number} min - Minimum number of options
+     * @param {number} max - Maximum number of options
+     * @returns {Array<string>} - Issues
+     */
+    static validateOptions(options, min, max) {
+        if (options.length < min || options.length > max) {
+            return [min === max
+                ? `expected ${min} options, got ${options.length}`
+                : `expected ${min}-${max} options, got ${options.length}`];
+        }
+        if (options.some(option => !option)) {
+            return ['empty option'];
+        }
+        if (new Set(options.map(normalizeText)).size !== options.length) {
+            return ['options are not distinct'];
+        }
+        return [];
+    }
+
+    /**
+     * Whether a question duplicates any of the accepted ones
+     * @param {Object} question - Normalized question
+     * @param {Array<Object>} accepted - Questions already accepted
+     * @returns {boolean}
+     */
+    static isDuplicate(question, accepted) {
+        const text = this.describeQuestion(question);
+        return accepted.some(existing =>
+            similarity(this.describeQuestion(existing), text) >= this.DUPLICATE_THRESHOLD
+        );
+    }
+
+    /**
+     * Split questions into accepted, invalid and duplicate ones
+     * @param {Array<Object>} questions - Raw questions
+     * @param {Array<Object>} [accepted] - Questions already accepted (for duplicate checks)
+     * @param {Array<string>} [allowedTypes] - Question types requested for this quiz
+     * @returns {{accepted: Array<Object>, invalid: Array<Object>, duplicates: number}}
+     */
+    static screen(questions, accepted = [], allowedTypes = this.QUESTION_TYPES) {
+        const result = { accepted: [...accepted], invalid: [], duplicates: 0 };
+
+        for (const raw of questions) {
+            const question = this.normalizeQuestion(raw);
+            const issues = this.validateQuestion(question, allowedTypes);
+
+            if (issues.length > 0) {
+                result.invalid.push({ question, issues });
+            } else if (this.isDuplicate(question, result.accepted)) {
+                result.duplicates++;
+            } else {
+                result.accepted.push(question);
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Text identifying a question for duplicate detection: the stem plus its correct answer,
+     * so generic stems ("Which statement is true?") with different answers are kept apart
+     * @param {Object} question - Question
+     * @returns {string} - Comparison text
+     */
+    static describeQuestion(question) {
+        return `${question.question || ''} ${this.answerText(question)}`;
+    }
+
+    /**
+     * Human-readable correct answer of a question
+     * @param {Object} question - Normalized question
+     * @returns {string} - Answer text (empty if unknown)
+     */
+    static answerText(question) {
+        const answers = Array.isArray(question.correctAnswer) ? question.correctAnswer : [question.correctAnswer];
+        const options = Array.isArray(question.options) ? question.options : [];
+
+        return answers
+            .map(answer => {
+                const index = this.LETTERS.indexOf(String(answer ?? '').trim().toUpperCase());
+                return question.type !== 'true-false' && index >= 0 && options[index] ? options[index] : String(answer ?? '');
+            })
+            .join(', ');
+    }
+
+    /**
+     * Strip answers and explanations from a question before sending it to a client
+     * @param {Object} question - Stored question
+     * @returns {Object} - Client-safe question
+     */
+    static toClientQuestion(question) {
+        const { correctAnswer, acceptableAnswers, rubric, explanation, start, link, ...safe } = question;
+
+        if (question.type === 'multi-select') {
+            safe.selectCount = question.correctAnswer.length;
+        }
+
+        return safe;
+    }
+
+    /**
+     * Grade an answer to a question that can be checked without a model
+     * (everything except short-answer)
+     * @param {Object} question - Stored question
+     * @param {*} answer - Learner's answer
+     * @returns {{score: number, correct: boolean}} - Score between 0 and 1
+     */
+    static gradeObjective(question, answer) {
+        if (answer === undefined || answer === null || answer === '') {
+            return { score: 0, correct: false };
+        }
+
+        switch (question.type) {
+            case 'true-false': {
+                const correct = this.normalizeBoolean(answer) === question.correctAnswer;
+                return { score: correct ? 1 : 0, correct };
+            }
+
+            case 'multi-select': {
+                // Partial credit: correct picks minus wrong picks, never below zero
+                const selected = this.normalizeAnswerList(answer, question.options);
+                const hits = selected.filter(letter => question.correctAnswer.includes(letter)).length;
+                const misses = selected.length - hits;
+                const score = Math.max(0, (hits - misses) / question.correctAnswer.length);
+                return { score, correct: score === 1 };
+            }
+
+            case 'fill-in-the-blank': {
+                const given = normalizeText(answer);
+                const correct = [question.correctAnswer, ...(question.acceptableAnswers || [])]
+                    .some(accepted => normalizeText(accepted) === given);
+                return { score: correct ? 1 : 0, correct };
+            }
+
+            default: {
+                const correct = this.normalizeAnswer(answer, question.options) === question.correctAnswer;
+                return { score: correct ? 1 : 0, correct };
+            }
+        }
+    }
+}
@@ -0,0 +1,128 @@
+import { getStorage } from '../storage/index.js';
+import { logger } from '../utils/logger.js';
+import { createKeyedLock } from '../utils/concurrency.js';
+import { QuotaExceededError } from '../utils/errors.js';
+
+const COLLECTION = 'usage';
+
+/**
+ * Daily LLM-call quotas. Usage is counted per subject (an API key, or the client IP
+ * for anonymous callers) per UTC day and kept in the `usage` collection, one record
+ * per subject that is reset when the day changes.
+ */
+export class QuotaService {
+    static lock = createKeyedLock();
+
+    /**
+     * Quota settings from the environment
+     * @returns {Object} - { allowAnonymous, dailyLlmCalls, anonymousDailyLlmCalls } (0 means no limit)
+     */
+    static getConfig() {
+        const limit = (value, fallback) => {
+            const parsed = parseInt(value);
+            return Number.isInteger(parsed) && parsed >= 0 ? parsed : fallback;
+        };
+
+        return {
+            allowAnonymous: process.env.ALLOW_ANONYMOUS !== 'false',
+            dailyLlmCalls: limit(process.env.DAILY_LLM_CALLS, 500),
+            anonymousDailyLlmCalls: limit(process.env.ANONYMOUS_DAILY_LLM_CALLS, 50)
+        };
+    }
+
+    /**
+     * Count one LLM call against a subject's daily quota
+     * @param {string} subject - Usage subject (key_<id> or anon_<hash>)
+     * @param {number} limit - Calls allowed per day (0 for no limit)
+     * @returns {Promise<Object>} - Usage after the call
+     * @throws {QuotaExceededError} - When the day's calls are used up
+     */
+    static async consume(subject, limit) {
+        return this.lock(subject, async () => {
+            const usage = await this.getRecord(subject);
+
+            if (limit > 0 && usage.llmCalls >= limit) {
+                const { resetsAt, retryAfter } = this.nextReset();
+                throw new QuotaExceededError(
+                    `Daily limit of ${limit} AI calls reached. It resets at ${resetsAt} (UTC midnight).`,
+                    { retryAfter, details: { limit, used: usage.llmCalls, resetsAt } }
+                );
+            }
+
+            usage.llmCalls++;
+            usage.updatedAt = new Date().toISOString();
+            await getStorage().put(COLLECTION, subject, usage);
+
+            return usage;
+        });
+    }
+
+    /**
+     * Give back a call counted by consume that never reached the provider
+     * @param {string} subject - Usage subject
+     * @returns {Promise<Object>} - Usage after the refund
+     */
+    static async refund(subject) {
+        return this.lock(subject, async () => {
+            const usage = await this.getRecord(subject);
+
+            if (usage.llmCalls > 0) {
+                usage.llmCalls--;
+                usage.updatedAt = new Date().toISOString();
+                await getStorage().put(COLLECTION, subject, usage);
+            }
+
+            return usage;
+        });
+    }
+
+    /**
+     * Today's usage for a subject
+     * @param {string} subject - Usage subject
+     * @param {number} limit - Calls allowed per day (0 for no limit)
+     * @returns {Promise<Object>} - { date, llmCalls, limit, remaining, resetsAt }
+     */
+    static async getUsage(subject, limit) {
+        const { date, llmCalls } = await this.getRecord(subject);
+
+        return {
+            date,
+            llmCalls,
+            limit: limit > 0 ? limit : null,
+            remaining: limit > 0 ? Math.max(0, limit - llmCalls) : null,
+            resetsAt: this.nextReset().resetsAt
+        };
+    }
+
+    /**
+     * The subject's usage record for today (a fresh one when the stored record is from an earlier day)
+     */
+    static async getRecord(subject) {
+        const today = new Date().toISOString().slice(0, 10);
+
+        try {
+            const stored = await getStorage().get(COLLECTION, subject);
+            if (stored?.date === today) {
+                return stored;
+            }
+        } catch (error) {
+            logger.error(`Usage lookup failed for ${subject}:`, error);
+        }
+
+        return { subject, date: today, llmCalls: 0 };
+    }
+
+    /**
+     * When daily quotas reset: the next UTC midnight
+     * @returns {{resetsAt: string, retryAfter: number}} - ISO time and seconds until then
+     */
+    static nextReset() {
+        const now = new Date();
+        const midnight = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+
+        return {
+            resetsAt: new Date(midnight).toISOString(),
+            retryAfter: Math.ceil((midnight - now.getTime()) / 1000)
+        };
+    }
+}
@@ -0,0 +1,265 @@
+import { getStorage } from '../storage/index.js';
+import { QuizStore } from '../utils/quizStore.js';
+import { QuizService } from './quiz.service.js';
+import { logger } from '../utils/logger.js';
+import { createKeyedLock } from '../utils/concurrency.js';
+
+const COLLECTION = 'reviews';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Spaced-repetition review of quiz questions. Every question a learner answers becomes
+ * a review card scheduled with SM-2: answers of quality 3 or better push the next review
+ * further out (1 day, 6 days, then the previous interval times the ease factor), while
+ * failed answers reset the card and make it due again straight away.
+ *
+ * Cards are stored per learner (one record per learner ID) with a copy of the question,
+ * so reviews keep working across all of the learner's quizzes.
+ */
+export class ReviewService {
+    static INITIAL_EASE = 2.5;
+    static MIN_EASE = 1.3;
+    // SM-2 answer quality: 0 (no answer) to 5 (perfect); 3 is the lowest passing grade
+    static PASSING_QUALITY = 3;
+    static MAX_QUALITY = 5;
+    static LEARNER_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+    // Read-modify-write of a learner's record is serialized per learner
+    static lock = createKeyedLock();
+
+    /**
+     * Add a graded quiz submission to the learner's reviews
+     * @param {string} learnerId - Learner ID
+     * @param {Object} entry - Stored quiz entry ({ id, quiz, title, source })
+     * @param {Array<Object>} grades - Grade per question, in quiz order ({ score, correct })
+     * @returns {Promise<{tracked: number, due: number, nextDueAt: string|null}>}
+     */
+    static async recordQuiz(learnerId, entry, grades) {
+        return this.update(learnerId, (record, now) => {
+            entry.quiz.forEach((question, index) => {
+                const id = this.buildId(entry.id, question.id);
+                const card = record.cards[id] || this.createCard(entry, question, now);
+                record.cards[id] = this.schedule(card, this.toQuality(grades[index]), now, grades[index].score);
+            });
+
+            const cards = Object.values(record.cards).filter(card => card.quizId === entry.id);
+            return {
+                tracked: cards.length,
+                due: cards.filter(card => card.dueAt <= now.toISOString()).length,
+                nextDueAt: this.nextDueAt(cards, now)
+            };
+        });
+    }
+
+    /**
+     * Record one review of a question. The question does not have to be tracked yet,
+     * as long as its quiz is still stored.
+     * @param {string} learnerId - Learner ID
+     * @param {string} reviewId - Review card ID ("<quizId>:<questionId>")
+     * @param {Function} grade - async (question) => { score, correct, quality? }
+     * @returns {Promise<Object|null>} - { card, grade }, or null if the question doesn't exist
+     */
+    static async review(learnerId, reviewId, grade) {
+        const [quizId, questionId] = this.parseId(reviewId);
+        if (!quizId) {
+            return null;
+        }
+
+        // Look up untracked questions before taking the learner's lock
+        const record = await this.getRecord(learnerId);
+        let source = null;
+        if (!record.cards[reviewId]) {
+            const entry = await QuizStore.get(quizId);
+            const question = entry?.quiz.find(item => String(item.id) === questionId);
+            if (!question) {
+                return null;
+            }
+            source = { entry, question };
+        }
+
+        const card = record.cards[reviewId] || source;
+        const result = await grade(card.question);
+
+        return this.update(learnerId, (current, now) => {
+            const existing = current.cards[reviewId] || this.createCard(source.entry, source.question, now);
+            const quality = result.quality ?? this.toQuality(result);
+
+            current.cards[reviewId] = this.schedule(existing, quality, now, result.score ?? null);
+            return { card: this.toClientCard(current.cards[reviewId], now), grade: { ...result, quality } };
+        });
+    }
+
+    /**
+     * Questions due for review, most overdue first
+     * @param {string} learnerId - Learner ID
+     * @param {Object} [options] - { limit }
+     * @returns {Promise<{items: Array<Object>, due: number, total: number, nextDueAt: string|null}>}
+     */
+    static async getDue(learnerId, { limit = 20 } = {}) {
+        const now = new Date();
+        const cards = Object.values((await this.getRecord(learnerId)).cards);
+        const due = cards
+            .filter(card => card.dueAt <= now.toISOString())
+            .sort((a, b) => a.dueAt.localeCompare(b.dueAt) || a.easeFactor - b.easeFactor);
+
+        return {
+            items: due.slice(0, limit).map(card => this.toClientCard(card, now)),
+            due: due.length,
+            total: cards.length,
+            nextDueAt: this.nextDueAt(cards, now)
+        };
+    }
+
+    /**
+     * Apply one SM-2 repetition to a card
+     * @param {Object} card - Review card
+     * @param {number} quality - Answer quality, 0-5
+     * @param {Date} now - Review time
+     * @param {number|null} [score] - Grade score (0-1) of the answer, if it was graded
+     * @returns {Object} - Updated card
+     */
+    static schedule(card, quality, now, score = null) {
+        const passed = quality >= this.PASSING_QUALITY;
+        const easeFactor = Math.max(
+            this.MIN_EASE,
+            card.easeFactor + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)
+        );
+
+        let repetitions = 0;
+        let interval = 0;
+        if (passed) {
+            repetitions = card.repetitions + 1;
+            interval = repetitions === 1 ? 1 : repetitions === 2 ? 6 : Math.round(card.interval * easeFactor);
+        }
+
+        return {
+            ...card,
+            repetitions,
+            interval,
+            easeFactor: Math.round(easeFactor * 100) / 100,
+            lapses: card.lapses + (passed ? 0 : 1),
+            reviews: card.reviews + 1,
+            lastQuality: quality,
+            lastScore: score,
+            lastReviewedAt: now.toISOString(),
+            // Failed cards are due again right away
+            dueAt: new Date(now.getTime() + interval * DAY_MS).toISOString()
+        };
+    }
+
+    /**
+     * Map a grade to SM-2 answer quality. 5 is left for learners rating a review as easy.
+     * @param {{score: number, correct: boolean, answered?: boolean}} grade - Grade of an answer
+     * @returns {number} - 4 fully correct, 3 passing, 2 partly right, 1 wrong, 0 unanswered
+     */
+    static toQuality({ score, correct, answered = true }) {
+        if (!answered) {
+            return 0;
+        }
+        if (score >= 1) {
+            return 4;
+        }
+        if (correct) {
+            return 3;
+        }
+        return score >= 0.5 ? 2 : 1;
+    }
+
+    static createCard(entry, question, now) {
+        return {
+            id: this.buildId(entry.id, question.id),
+            quizId: entry.id,
+            questionId: question.id,
+            materialId: entry.source || null,
+            title: entry.title,
+            question,
+            repetitions: 0,
+            interval: 0,
+            easeFactor: this.INITIAL_EASE,
+            lapses: 0,
+            reviews: 0,
+            lastQuality: null,
+            lastScore: null,
+            lastReviewedAt: null,
+            dueAt: now.toISOString(),
+            createdAt: now.toISOString()
+        };
+    }
+
+    /**
+     * Review card for the client: the question without its answers, plus scheduling state
+     * @param {Object} card - Stored card
+     * @param {Date} now - Current time
+     * @returns {Object}
+     */
+    static toClientCard(card, now) {
+        return {
+            reviewId: card.id,
+            quizId: card.quizId,
+            materialId: card.materialId,
+            title: card.title,
+            question: QuizService.toClientQuestion(card.question),
+            dueAt: card.dueAt,
+            overdueDays: Math.max(0, Math.floor((now.getTime() - Date.parse(card.dueAt)) / DAY_MS)),
+            interval: card.interval,
+            repetitions: card.repetitions,
+            easeFactor: card.easeFactor,
+            lapses: card.lapses,
+            reviews: card.reviews,
+            lastScore: card.lastScore,
+            lastReviewedAt: card.lastReviewedAt
+        };
+    }
+
+    static buildId(quizId, questionId) {
+        return `${quizId}:${questionId}`;
+    }
+
+    /**
+     * Split a review card ID into quiz ID and question ID
+     * @returns {Array<string>} - [quizId, questionId], or [] if malformed
+     */
+    static parseId(reviewId) {
+        const match = String(reviewId).match(/^([A-Za-z0-9_-]+):([A-Za-z0-9_-]+)$/);
+        return match ? [match[1], match[2]] : [];
+    }
+
+    static nextDueAt(cards, now) {
+        const upcoming = cards
+            .map(card => card.dueAt)
+            .filter(dueAt => dueAt > now.toISOString())
+            .sort();
+        return upcoming[0] || null;
+    }
+
+    /**
+     * Whether a learner ID is usable (it is also the storage key)
+     * @param {string} learnerId - Learner ID
+     * @returns {boolean}
+     */
+    static isValidLearnerId(learnerId) {
+        return typeof learnerId === 'string' && this.LEARNER_ID_PATTERN.test(learnerId);
+    }
+
+    static async getRecord(learnerId) {
+        return (await getStorage().get(COLLECTION, learnerId)) || { learnerId, cards: {} };
+    }
+
+    /**
+     * Load, change and save a learner's record, one change at a time per learner
+     * @param {string} learnerId - Learner ID
+     * @param {Function} change - (record, now) => result; mutates the record
+     * @returns {Promise<*>} - Result of change
+     */
+    static async update(learnerId, change) {
+        return this.lock(learnerId, async () => {
+            const record = await this.getRecord(learnerId);
+            const now = new Date();
+            const result = change(record, now);
+
+            await getStorage().put(COLLECTION, learnerId, { ...record, updatedAt: now.toISOString() });
+            logger.info(`Reviews updated for learner ${learnerId}`);
+            return result;
+        });
+    }
+}
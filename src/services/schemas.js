@@ -0,0 +1,163 @@
+import { QuizService } from './quiz.service.js';
+
+/**
+ * Response schemas for structured generation
+ */
+
+export const QUESTION_SCHEMA = {
+    type: 'object',
+    properties: {
+        type: { type: 'string', enum: QuizService.QUESTION_TYPES },
+        question: { type: 'string', minLength: 1 },
+        options: { type: 'array', items: { type: 'string', minLength: 1 } },
+        // Letter, comma-separated letters (multi-select), True/False, or the answer text
+        correctAnswer: { type: 'string', minLength: 1 },
+        acceptableAnswers: { type: 'array', items: { type: 'string' } },
+        rubric: { type: 'array', items: { type: 'string' } },
+        explanation: { type: 'string', minLength: 1 }
+    },
+    required: ['type', 'question', 'correctAnswer', 'explanation']
+};
+
+/**
+ * Schema for one structured call returning every learning material
+ */
+export const MATERIALS_SCHEMA = {
+    type: 'object',
+    properties: {
+        title: { type: 'string', minLength: 1 },
+        summary: { type: 'string', minLength: 1 },
+        keyPoints: { type: 'array', items: { type: 'string', minLength: 1 }, minItems: 1 },
+        quiz: { type: 'array', items: QUESTION_SCHEMA, minItems: 1 }
+    },
+    required: ['title', 'summary', 'keyPoints', 'quiz']
+};
+
+/**
+ * MATERIALS_SCHEMA with quiz items left unchecked, for validating the overall shape
+ * of a response; individual questions are validated and repaired by QuizService
+ */
+export const MATERIALS_ENVELOPE_SCHEMA = {
+    ...MATERIALS_SCHEMA,
+    properties: {
+        ...MATERIALS_SCHEMA.properties,
+        quiz: { type: 'array', items: { type: 'object' }, minItems: 1 }
+    }
+};
+
+/**
+ * Schema for generated flashcards; cloze cards carry {{c1::...}} deletions in "front"
+ */
+export const FLASHCARDS_SCHEMA = {
+    type: 'array',
+    items: {
+        type: 'object',
+        properties: {
+            type: { type: 'string', enum: ['basic', 'cloze'] },
+            front: { type: 'string', minLength: 1 },
+            back: { type: 'string' }
+        },
+        required: ['type', 'front', 'back']
+    }
+};
+
+/**
+ * Schema for grading a short answer against a rubric
+ */
+export const GRADING_SCHEMA = {
+    type: 'object',
+    properties: {
+        score: { type: 'number' },
+        criteriaMet: { type: 'array', items: { type: 'string' } },
+        feedback: { type: 'string', minLength: 1 }
+    },
+    required: ['score', 'feedback']
+};
+
+/**
+ * Schema for answering a question from numbered transcript passages; "citations" holds
+ * the numbers of the passages the answer relies on
+ */
+export const ANSWER_SCHEMA = {
+    type: 'object',
+    properties: {
+        answer: { type: 'string', minLength: 1 },
+        covered: { type: 'boolean' },
+        citations: { type: 'array', items: { type: 'integer' } }
+    },
+    required: ['answer', 'covered', 'citations']
+};
+
+/**
+ * Schema for a lecture outline: sections with key points and one level of subsections
+ */
+export const OUTLINE_SCHEMA = {
+    type: 'array',
+    items: {
+        type: 'object',
+        properties: {
+            title: { type: 'string', minLength: 1 },
+            points: { type: 'array', items: { type: 'string' } },
+            subsections: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        title: { type: 'string', minLength: 1 },
+                        points: { type: 'array', items: { type: 'string' } }
+                    },
+                    required: ['title', 'points']
+                }
+            }
+        },
+        required: ['title', 'points']
+    }
+};
+
+/**
+ * Schema for glossary entries of terms defined in the lecture
+ */
+export const GLOSSARY_SCHEMA = {
+    type: 'array',
+    items: {
+        type: 'object',
+        properties: {
+            term: { type: 'string', minLength: 1 },
+            definition: { type: 'string', minLength: 1 }
+        },
+        required: ['term', 'definition']
+    }
+};
+
+/**
+ * Schema for a concept map: concepts, and labelled relations between them by node ID
+ */
+export const CONCEPT_MAP_SCHEMA = {
+    type: 'object',
+    properties: {
+        nodes: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    id: { type: 'string', minLength: 1 },
+                    label: { type: 'string', minLength: 1 }
+                },
+                required: ['id', 'label']
+            }
+        },
+        edges: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    from: { type: 'string', minLength: 1 },
+                    to: { type: 'string', minLength: 1 },
+                    label: { type: 'string' }
+                },
+                required: ['from', 'to', 'label']
+            }
+        }
+    },
+    required: ['nodes', 'edges']
+};
@@ -0,0 +1,127 @@
+import { tokenize } from '../utils/text.js';
+import { QuizService } from './quiz.service.js';
+
+/**
+ * Links generated learning materials back to moments in the video
+ * by matching their wording against timed transcript segments
+ */
+export class TimestampService {
+    // Each caption cue is matched together with the cues starting within this many seconds after it
+    static WINDOW_SECONDS = 10;
+    // Minimum share of an item's words found in a window to accept the match
+    static MIN_SCORE = 0.25;
+
+    /**
+     * Add `start` and `link` to key points and quiz questions
+     * @param {Object} materials - Learning materials ({ keyPoints, quiz })
+     * @param {Array<{text: string, start: number, duration: number}>} segments - Timed segments
+     * @param {string} [videoId] - YouTube video ID for deep links
+     * @returns {{keyPoints: Array<Object>, quiz: Array<Object>}} - Annotated materials
+     */
+    static annotate({ keyPoints = [], quiz = [] }, segments, videoId) {
+        const windows = this.buildWindows(segments);
+
+        const locate = (text) => {
+            const start = this.locate(text, windows);
+            return {
+                start,
+                link: start !== null && videoId ? this.buildLink(videoId, start) : null
+            };
+        };
+
+        return {
+            keyPoints: keyPoints.map(point => ({
+                text: point,
+                ...locate(point)
+            })),
+            quiz: quiz.map(question => ({
+                ...question,
+                ...locate(`${question.question} ${QuizService.answerText(question)} ${question.explanation}`)
+            }))
+        };
+    }
+
+    /**
+     * Build one matching window per cue: its own words, plus those of the cues that follow
+     * within WINDOW_SECONDS (sentences often run over several short cues)
+     * @param {Array<{text: string, start: number, duration: number}>} segments - Timed segments
+     * @returns {Array<{start: number, tokens: Set<string>, own: Set<string>}>} - Windows, one per cue
+     */
+    static buildWindows(segments) {
+        const cues = segments.map(segment => ({ start: segment.start, own: new Set(tokenize(segment.text)) }));
+
+        return cues.map((cue, index) => {
+            const tokens = new Set(cue.own);
+            for (let next = index + 1; next < cues.length && cues[next].start - cue.start < this.WINDOW_SECONDS; next++) {
+                cues[next].own.forEach(token => tokens.add(token));
+            }
+            return { start: cue.start, tokens, own: cue.own };
+        });
+    }
+
+    /**
+     * Find the start time of the cue that best supports a piece of text: the best-matching
+     * window, and among equally good ones, the cue with most of the words itself
+     * @param {string} text - Key point or question text
+     * @param {Array<{start: number, tokens: Set<string>, own: Set<string>}>} windows - Transcript windows
+     * @returns {number|null} - Start time in seconds, or null if nothing matches well
+     */
+    static locate(text, windows) {
+        const tokens = [...new Set(tokenize(text))];
+        if (tokens.length === 0) {
+            return null;
+        }
+
+        let best = null;
+        let bestScore = 0;
+        let bestOwn = 0;
+
+        for (const window of windows) {
+            const score = tokens.filter(token => window.tokens.has(token)).length / tokens.length;
+            const own = tokens.filter(token => window.own.has(token)).length;
+            if (score > bestScore || (score === bestScore && own > bestOwn)) {
+                best = window;
+                bestScore = score;
+                bestOwn = own;
+            }
+        }
+
+        return best && bestScore >= this.MIN_SCORE ? Math.floor(best.start) : null;
+    }
+
+    /**
+     * Key point in the shape clients get: { text, start, link }, with null timing for untimed
+     * transcripts (and for results saved when those key points were plain strings)
+     * @param {string|Object} point - Key point text, or an annotated key point
+     * @returns {{text: string, start: number|null, link: string|null}}
+     */
+    static toKeyPoint(point) {
+        return typeof point === 'string'
+            ? { text: point, start: null, link: null }
+            : { text: point.text, start: point.start ?? null, link: point.link ?? null };
+    }
+
+    /**
+     * Build a YouTube deep link to a moment in the video
+     * @param {string} videoId - YouTube video ID
+     * @param {number} seconds - Start time in seconds
+     * @returns {string} - Deep link URL
+     */
+    static buildLink(videoId, seconds) {
+        return `https://youtu.be/${videoId}?t=${Math.floor(seconds)}`;
+    }
+
+    /**
+     * Format a start time for display, e.g. 83 -> "1:23", 3723 -> "1:02:03"
+     * @param {number} seconds - Start time in seconds
+     * @returns {string} - Formatted time
+     */
+    static formatTime(seconds) {
+        const total = Math.max(0, Math.floor(seconds));
+        const hours = Math.floor(total / 3600);
+        const minutes = Math.floor((total % 3600) / 60);
+        const secs = String(total % 60).padStart(2, '0');
+
+        return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+    }
+}
@@ -1,52 +1,250 @@
-import { YoutubeTranscript } from 'youtube-transcript';
+import {
+    YoutubeTranscript,
+    YoutubeTranscriptNotAvailableLanguageError,
+    YoutubeTranscriptDisabledError,
+    YoutubeTranscriptNotAvailableError,
+    YoutubeTranscriptVideoUnavailableError,
+    YoutubeTranscriptTooManyRequestError
+} from 'youtube-transcript';
 import { logger } from '../utils/logger.js';
+import { languageName, baseLanguage } from '../utils/language.js';
+import { TranscriptError, ValidationError, ErrorCodes } from '../utils/errors.js';
 
 /**
  * Service for extracting and processing YouTube video transcripts
  */
 export class TranscriptService {
+    // Words that mark caption annotations for sounds rather than speech
+    static NON_SPEECH_WORDS = new Set([
+        'music', 'instrumental', 'intro', 'outro', 'applause', 'applauding', 'clapping', 'cheering', 'cheers',
+        'laughter', 'laughing', 'laughs', 'chuckles', 'chuckling', 'silence', 'inaudible', 'unintelligible',
+        'indistinct', 'crosstalk', 'noise', 'coughs', 'coughing', 'sighs', 'sneezes', 'beep', 'beeping',
+        'rings', 'ringing', 'foreign', 'audio', 'blank_audio'
+    ]);
+
+    // Words that only describe an annotation ("audience laughing", "no audio"), never one on their own
+    static NON_SPEECH_MODIFIERS = new Set([
+        'upbeat', 'soft', 'dramatic', 'musical', 'playing', 'plays', 'audience', 'crowd', 'students',
+        'background', 'static', 'bell', 'phone', 'speaking', 'language', 'no', 'sound', 'sounds', 'effects', 'and'
+    ]);
+
+    // Shortest transcript worth generating materials from
+    static MIN_LENGTH = 100;
+
+    /**
+     * Longest transcript accepted for processing. Long transcripts are processed in chunks,
+     * so this only guards against abuse (default 300,000 characters, about 5 hours of speech).
+     * @returns {number}
+     */
+    static getMaxLength() {
+        return parseInt(process.env.MAX_TRANSCRIPT_LENGTH) || 300000;
+    }
+
+    /**
+     * Check that a transcript is within the accepted length
+     * @param {string} transcript - Transcript text
+     * @returns {ValidationError|null} - Error to report, or null if the length is fine
+     */
+    static checkLength(transcript) {
+        if (transcript.trim().length < this.MIN_LENGTH) {
+            return new ValidationError(
+                `Transcript is too short. Please provide at least ${this.MIN_LENGTH} characters of content.`,
+                { code: ErrorCodes.TRANSCRIPT_TOO_SHORT, details: { minLength: this.MIN_LENGTH } }
+            );
+        }
+
+        const maxLength = this.getMaxLength();
+        if (transcript.length > maxLength) {
+            return new ValidationError(
+                `Transcript is too long. Please limit to ${maxLength.toLocaleString('en-US')} characters.`,
+                { code: ErrorCodes.TRANSCRIPT_TOO_LONG, details: { maxLength } }
+            );
+        }
+
+        return null;
+    }
+
+    // Caption language requested when listing languages; no track uses it, so YouTube reports them all
+    static LANGUAGE_PROBE = 'zxx-probe';
+
     /**
      * Fetch transcript for a YouTube video
      * @param {string} videoId - YouTube video ID
+     * @param {Object} [options] - Options
+     * @param {string} [options.lang] - Caption track language (default: the video's first track)
      * @returns {Promise<string>} - Cleaned transcript text
      */
-    static async getTranscript(videoId) {
+    static async getTranscript(videoId, options = {}) {
+        const { text } = await this.getTimedTranscript(videoId, options);
+        return text;
+    }
+
+    /**
+     * Fetch transcript for a YouTube video, keeping cue timings
+     * @param {string} videoId - YouTube video ID
+     * @param {Object} [options] - Options
+     * @param {string} [options.lang] - Caption track language (default: the video's first track).
+     *   "es" also matches a regional track such as "es-419" when there is no plain "es" track.
+     * @returns {Promise<{text: string, segments: Array<{text: string, start: number, duration: number}>, language: string|null}>}
+     *          Cleaned transcript text plus timed segments (seconds) and the caption language used
+     */
+    static async getTimedTranscript(videoId, { lang = null } = {}) {
         try {
-            logger.info(`Fetching transcript for video: ${videoId}`);
+            logger.info(`Fetching transcript for video: ${videoId}${lang ? ` (${lang})` : ''}`);
 
             // Fetch transcript segments
-            const transcriptData = await YoutubeTranscript.fetchTranscript(videoId);
+            const transcriptData = await this.fetchCaptions(videoId, lang);
 
             if (!transcriptData || transcriptData.length === 0) {
-                throw new Error('No transcript available');
+                throw new YoutubeTranscriptNotAvailableError(videoId);
             }
 
+            const segments = this.toTimedSegments(transcriptData);
+
             // Combine all text segments
-            const fullTranscript = transcriptData
+            const fullTranscript = segments
                 .map(segment => segment.text)
                 .join(' ');
 
             // Clean the transcript
             const cleanedTranscript = this.cleanTranscript(fullTranscript);
 
-            logger.info(`Transcript fetched: ${cleanedTranscript.length} characters`);
+            logger.info(`Transcript fetched: ${cleanedTranscript.length} characters, ${segments.length} segments`);
 
-            return cleanedTranscript;
+            return { text: cleanedTranscript, segments, language: transcriptData[0].lang || lang };
 
         } catch (error) {
             logger.error(`Error fetching transcript for ${videoId}:`, error.message);
 
-            // Provide specific error messages
-            if (error.message.includes('Transcript is disabled')) {
-                throw new Error('Transcripts are disabled for this video');
-            } else if (error.message.includes('Could not find')) {
-                throw new Error('Video not found or transcripts not available');
-            } else {
-                throw new Error('Failed to fetch transcript. Please ensure the video has captions enabled.');
+            throw this.toTranscriptError(error, lang);
+        }
+    }
+
+    /**
+     * Convert a youtube-transcript failure into a TranscriptError with a stable code
+     * @param {Error} error - Error from youtube-transcript
+     * @param {string|null} lang - Requested caption language
+     * @returns {TranscriptError}
+     */
+    static toTranscriptError(error, lang) {
+        if (error instanceof YoutubeTranscriptNotAvailableLanguageError) {
+            const available = this.parseAvailableLanguages(error);
+            return new TranscriptError(
+                `This video has no ${languageName(lang)} (${lang}) captions. Available languages: ${available.join(', ') || 'none'}`,
+                { code: ErrorCodes.CAPTION_LANGUAGE_UNAVAILABLE, statusCode: 400, details: { available }, cause: error }
+            );
+        }
+        if (error instanceof YoutubeTranscriptDisabledError) {
+            return new TranscriptError('Transcripts are disabled for this video', { code: ErrorCodes.TRANSCRIPT_DISABLED, cause: error });
+        }
+        if (error instanceof YoutubeTranscriptNotAvailableError) {
+            return new TranscriptError(
+                'No transcript available for this video. Please try a video with captions/subtitles enabled.',
+                { code: ErrorCodes.TRANSCRIPT_UNAVAILABLE, cause: error }
+            );
+        }
+        if (error instanceof YoutubeTranscriptVideoUnavailableError) {
+            return new TranscriptError('Video not found or no longer available', { code: ErrorCodes.VIDEO_NOT_FOUND, cause: error });
+        }
+        if (error instanceof YoutubeTranscriptTooManyRequestError) {
+            return new TranscriptError(
+                'YouTube is limiting requests from this server. Please try again later.',
+                { code: ErrorCodes.YOUTUBE_RATE_LIMITED, statusCode: 503, cause: error }
+            );
+        }
+        return new TranscriptError(
+            'Failed to fetch transcript. Please ensure the video has captions enabled.',
+            { code: ErrorCodes.TRANSCRIPT_FETCH_FAILED, statusCode: 502, cause: error }
+        );
+    }
+
+    /**
+     * Fetch raw captions in a language, falling back to a regional variant ("es" -> "es-419")
+     * @param {string} videoId - YouTube video ID
+     * @param {string|null} lang - Caption language, or null for the default track
+     * @returns {Promise<Array<Object>>} - Raw caption entries
+     */
+    static async fetchCaptions(videoId, lang) {
+        if (!lang) {
+            return YoutubeTranscript.fetchTranscript(videoId);
+        }
+
+        try {
+            return await YoutubeTranscript.fetchTranscript(videoId, { lang });
+        } catch (error) {
+            if (!(error instanceof YoutubeTranscriptNotAvailableLanguageError)) {
+                throw error;
+            }
+
+            const variant = this.parseAvailableLanguages(error)
+                .find(code => baseLanguage(code) === baseLanguage(lang));
+            if (!variant) {
+                throw error;
+            }
+
+            logger.info(`No ${lang} captions for ${videoId}, using ${variant}`);
+            return YoutubeTranscript.fetchTranscript(videoId, { lang: variant });
+        }
+    }
+
+    /**
+     * List the caption languages a YouTube video has
+     * @param {string} videoId - YouTube video ID
+     * @returns {Promise<Array<{code: string, name: string}>>} - Available caption languages
+     */
+    static async listCaptionLanguages(videoId) {
+        try {
+            // Asking for a language no video has makes YouTube report the available ones
+            await YoutubeTranscript.fetchTranscript(videoId, { lang: this.LANGUAGE_PROBE });
+            return [];
+
+        } catch (error) {
+            if (error instanceof YoutubeTranscriptNotAvailableLanguageError) {
+                return this.parseAvailableLanguages(error).map(code => ({ code, name: languageName(code) }));
+            }
+
+            logger.error(`Error listing caption languages for ${videoId}:`, error.message);
+
+            if (error instanceof YoutubeTranscriptDisabledError || error instanceof YoutubeTranscriptNotAvailableError) {
+                return [];
             }
+            throw this.toTranscriptError(error, null);
         }
     }
 
+    /**
+     * Read the language codes listed in a "language not available" error
+     * @param {Error} error - YoutubeTranscriptNotAvailableLanguageError
+     * @returns {Array<string>} - Language codes
+     */
+    static parseAvailableLanguages(error) {
+        const match = error.message.match(/Available languages:\s*(.*)$/);
+        return match
+            ? [...new Set(match[1].split(',').map(code => code.trim()).filter(Boolean))]
+            : [];
+    }
+
+    /**
+     * Convert raw caption entries into cleaned segments timed in seconds
+     * youtube-transcript reports milliseconds for srv3 captions and seconds for
+     * classic XML captions, so the unit is inferred from the cue durations
+     * @param {Array<{text: string, offset: number, duration: number}>} transcriptData - Raw captions
+     * @returns {Array<{text: string, start: number, duration: number}>} - Timed segments
+     */
+    static toTimedSegments(transcriptData) {
+        const maxDuration = Math.max(0, ...transcriptData.map(segment => Number(segment.duration) || 0));
+        // No single caption cue lasts anywhere near 100 seconds
+        const scale = maxDuration > 100 ? 1000 : 1;
+
+        return transcriptData
+            .map(segment => ({
+                text: this.cleanTranscript(segment.text || ''),
+                start: Math.round(((Number(segment.offset) || 0) / scale) * 100) / 100,
+                duration: Math.round(((Number(segment.duration) || 0) / scale) * 100) / 100
+            }))
+            .filter(segment => segment.text.length > 0);
+    }
+
     /**
      * Clean and normalize transcript text
      * @param {string} text - Raw transcript text
@@ -56,15 +254,29 @@ export class TranscriptService {
         return text
             // Remove extra whitespace
             .replace(/\s+/g, ' ')
-            // Remove special characters and artifacts
-            .replace(/\[.*?\]/g, '')
-            .replace(/\(.*?\)/g, '')
+            // Remove non-speech annotations such as [Music] or (applause), keeping other bracketed content
+            .replace(/\s*(?:\[([^\]]*)\]|\(([^)]*)\))/g, (match, square, round) => this.isNonSpeech(square ?? round) ? '' : match)
             // Remove music/sound notations
             .replace(/♪/g, '')
+            .replace(/\s{2,}/g, ' ')
             // Trim
             .trim();
     }
 
+    /**
+     * Whether bracketed caption text is a sound annotation rather than speech,
+     * e.g. "Music", "applause", "audience laughing", "speaking foreign language". Ordinary words
+     * such as "students" or "static" only count alongside an annotation word, so "(static)" is kept.
+     * @param {string} text - Text inside the brackets
+     * @returns {boolean}
+     */
+    static isNonSpeech(text) {
+        const words = text.toLowerCase().replace(/♪/g, ' ').split(/[^a-z_]+/).filter(Boolean);
+        return words.length > 0 && words.length <= 4
+            && words.some(word => this.NON_SPEECH_WORDS.has(word))
+            && words.every(word => this.NON_SPEECH_WORDS.has(word) || this.NON_SPEECH_MODIFIERS.has(word));
+    }
+
     /**
      * Segment transcript into chunks for better AI processing
      * @param {string} transcript - Full transcript
@@ -72,21 +284,25 @@ export class TranscriptService {
      * @returns {Array<string>} - Array of transcript chunks
      */
     static segmentTranscript(transcript, maxLength = 8000) {
-        const words = transcript.split(' ');
+        // Words longer than a chunk are cut into chunk-sized pieces
+        const words = transcript.split(/\s+/)
+            .filter(Boolean)
+            .flatMap(word => word.match(new RegExp(`.{1,${maxLength}}`, 'gs')));
         const chunks = [];
         let currentChunk = '';
 
         for (const word of words) {
-            if ((currentChunk + word).length > maxLength) {
-                chunks.push(currentChunk.trim());
-                currentChunk = word + ' ';
+            const candidate = currentChunk ? `${currentChunk} ${word}` : word;
+            if (candidate.length > maxLength) {
+                chunks.push(currentChunk);
+                currentChunk = word;
             } else {
-                currentChunk += word + ' ';
+                currentChunk = candidate;
             }
         }
 
-        if (currentChunk.trim()) {
-            chunks.push(currentChunk.trim());
+        if (currentChunk) {
+            chunks.push(currentChunk);
         }
 
         return chunks;
@@ -0,0 +1,114 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { logger } from '../utils/logger.js';
+
+/**
+ * File-backed storage: one JSON document per record at <dir>/<collection>/<id>.json
+ */
+export class FileStorage {
+    /**
+     * @param {Object} config - Storage configuration
+     * @param {string} config.dir - Root directory for stored data
+     */
+    constructor({ dir }) {
+        this.name = 'file';
+        this.dir = dir;
+
+        logger.info(`File storage initialized (dir: ${dir})`);
+    }
+
+    /**
+     * Get a record
+     * @param {string} collection - Collection name
+     * @param {string} id - Record ID
+     * @returns {Promise<Object|null>} - Record or null
+     */
+    async get(collection, id) {
+        try {
+            const content = await fs.readFile(this.filePath(collection, id), 'utf8');
+            return JSON.parse(content);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Create or replace a record
+     * @param {string} collection - Collection name
+     * @param {string} id - Record ID
+     * @param {Object} value - Record
+     * @returns {Promise<Object>} - Stored record
+     */
+    async put(collection, id, value) {
+        const file = this.filePath(collection, id);
+        // Unique per write, so concurrent puts of one record never share a temp file
+        const temp = `${file}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        // Write then rename so readers never see a half-written file
+        try {
+            await fs.writeFile(temp, JSON.stringify(value), 'utf8');
+            await fs.rename(temp, file);
+        } catch (error) {
+            await fs.unlink(temp).catch(() => {});
+            throw error;
+        }
+
+        return value;
+    }
+
+    /**
+     * Delete a record
+     * @param {string} collection - Collection name
+     * @param {string} id - Record ID
+     * @returns {Promise<boolean>} - Whether a record was deleted
+     */
+    async delete(collection, id) {
+        try {
+            await fs.unlink(this.filePath(collection, id));
+            return true;
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * List all records in a collection
+     * @param {string} collection - Collection name
+     * @returns {Promise<Array<Object>>} - Records
+     */
+    async list(collection) {
+        let files;
+        try {
+            files = await fs.readdir(path.join(this.dir, collection));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+
+        const records = await Promise.all(files
+            .filter(file => file.endsWith('.json'))
+            .map(file => this.get(collection, file.slice(0, -'.json'.length)).catch(error => {
+                logger.warn(`Skipping unreadable record ${collection}/${file}:`, error.message);
+                return null;
+            })));
+
+        return records.filter(Boolean);
+    }
+
+    filePath(collection, id) {
+        if (!/^[A-Za-z0-9_-]+$/.test(collection) || !/^[A-Za-z0-9_.-]+$/.test(id) || id.startsWith('.')) {
+            throw new Error(`Invalid storage key: ${collection}/${id}`);
+        }
+        return path.join(this.dir, collection, `${id}.json`);
+    }
+}
@@ -0,0 +1,65 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { FileStorage } from './file.storage.js';
+import { MemoryStorage } from './memory.storage.js';
+import { ConfigurationError } from '../utils/errors.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Create the storage adapter selected by environment configuration
+ *
+ * STORAGE_DRIVER=file   (default) - JSON files under STORAGE_DIR
+ * STORAGE_DRIVER=memory           - In-process only, lost on restart
+ *
+ * Every adapter implements:
+ *   get(collection, id), put(collection, id, value), delete(collection, id), list(collection)
+ *
+ * @param {Object} [env] - Environment variables
+ * @returns {FileStorage|MemoryStorage} - Storage adapter
+ */
+export function createStorage(env = process.env) {
+    const driver = (env.STORAGE_DRIVER || 'file').toLowerCase();
+
+    switch (driver) {
+        case 'file':
+            return new FileStorage({ dir: env.STORAGE_DIR || defaultDataDir(env) });
+
+        case 'memory':
+            return new MemoryStorage();
+
+        default:
+            throw new ConfigurationError(`Unknown STORAGE_DRIVER "${driver}". Use file or memory.`);
+    }
+}
+
+/**
+ * Vercel functions can only write to /tmp
+ */
+function defaultDataDir(env) {
+    return env.VERCEL ? '/tmp/learning-tool-data' : path.join(__dirname, '../../data');
+}
+
+let instance = null;
+
+/**
+ * Get the shared storage adapter, created on first use so that
+ * environment variables loaded at startup are respected
+ * @returns {FileStorage|MemoryStorage} - Storage adapter
+ */
+export function getStorage() {
+    if (!instance) {
+        instance = createStorage();
+    }
+    return instance;
+}
+
+/**
+ * Replace the shared storage adapter (used for tests and offline tooling)
+ * @param {Object} adapter - Storage adapter
+ */
+export function setStorage(adapter) {
+    instance = adapter;
+}
+
+export { FileStorage, MemoryStorage };
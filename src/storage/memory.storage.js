@@ -0,0 +1,35 @@
+/**
+ * In-memory storage with the same interface as FileStorage.
+ * Data is lost on restart; meant for tests and throwaway environments.
+ */
+export class MemoryStorage {
+    constructor() {
+        this.name = 'memory';
+        this.collections = new Map();
+    }
+
+    async get(collection, id) {
+        const record = this.collection(collection).get(id);
+        return record ? structuredClone(record) : null;
+    }
+
+    async put(collection, id, value) {
+        this.collection(collection).set(id, structuredClone(value));
+        return value;
+    }
+
+    async delete(collection, id) {
+        return this.collection(collection).delete(id);
+    }
+
+    async list(collection) {
+        return [...this.collection(collection).values()].map(record => structuredClone(record));
+    }
+
+    collection(name) {
+        if (!this.collections.has(name)) {
+            this.collections.set(name, new Map());
+        }
+        return this.collections.get(name);
+    }
+}
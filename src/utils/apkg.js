@@ -0,0 +1,267 @@
+import crypto from 'crypto';
+import initSqlJs from 'sql.js';
+import { createZip } from './zip.js';
+
+/**
+ * Builds Anki package (.apkg) files: a ZIP holding an Anki 2.1 collection
+ * (collection.anki2, SQLite) with one deck and Basic/Cloze note types
+ */
+
+// Fixed note type IDs, so repeated imports reuse the same note types
+const BASIC_MODEL_ID = 1684512730001;
+const CLOZE_MODEL_ID = 1684512730002;
+
+const FIELD_SEPARATOR = '\x1f';
+
+const SCHEMA = `
+CREATE TABLE col (
+    id integer primary key, crt integer not null, mod integer not null, scm integer not null,
+    ver integer not null, dty integer not null, usn integer not null, ls integer not null,
+    conf text not null, models text not null, decks text not null, dconf text not null, tags text not null
+);
+CREATE TABLE notes (
+    id integer primary key, guid text not null, mid integer not null, mod integer not null,
+    usn integer not null, tags text not null, flds text not null, sfld integer not null,
+    csum integer not null, flags integer not null, data text not null
+);
+CREATE TABLE cards (
+    id integer primary key, nid integer not null, did integer not null, ord integer not null,
+    mod integer not null, usn integer not null, type integer not null, queue integer not null,
+    due integer not null, ivl integer not null, factor integer not null, reps integer not null,
+    lapses integer not null, left integer not null, odue integer not null, odid integer not null,
+    flags integer not null, data text not null
+);
+CREATE TABLE revlog (
+    id integer primary key, cid integer not null, usn integer not null, ease integer not null,
+    ivl integer not null, lastIvl integer not null, factor integer not null, time integer not null,
+    type integer not null
+);
+CREATE TABLE graves (usn integer not null, oid integer not null, type integer not null);
+CREATE INDEX ix_notes_usn on notes (usn);
+CREATE INDEX ix_cards_usn on cards (usn);
+CREATE INDEX ix_revlog_usn on revlog (usn);
+CREATE INDEX ix_cards_nid on cards (nid);
+CREATE INDEX ix_cards_sched on cards (did, queue, due);
+CREATE INDEX ix_revlog_cid on revlog (cid);
+CREATE INDEX ix_notes_csum on notes (csum);
+`;
+
+const CARD_CSS = '.card { font-family: arial; font-size: 20px; text-align: center; color: black; background-color: white; }\n.cloze { font-weight: bold; color: blue; }';
+
+let sqlPromise = null;
+
+/**
+ * Build an .apkg file
+ * @param {Object} deck - Deck to export
+ * @param {string} deck.name - Deck name
+ * @param {string} deck.key - Stable identifier (e.g. material ID); re-importing the same deck updates its notes
+ * @param {Array<Object>} deck.notes - { type: 'basic'|'cloze', fields: [front, back], tags: [] }, field values in HTML
+ * @returns {Promise<Buffer>} - .apkg contents
+ */
+export async function buildApkg({ name, key, notes }) {
+    sqlPromise = sqlPromise || initSqlJs();
+    const SQL = await sqlPromise;
+    const db = new SQL.Database();
+
+    try {
+        const now = Date.now();
+        const seconds = Math.floor(now / 1000);
+        const deckId = stableId(`deck:${key}`);
+
+        db.run(SCHEMA);
+        db.run('INSERT INTO col VALUES (1, ?, ?, ?, 11, 0, 0, 0, ?, ?, ?, ?, ?)', [
+            seconds,
+            now,
+            now,
+            JSON.stringify(collectionConfig(deckId)),
+            JSON.stringify({
+                [BASIC_MODEL_ID]: basicModel(deckId, seconds),
+                [CLOZE_MODEL_ID]: clozeModel(deckId, seconds)
+            }),
+            JSON.stringify({
+                1: deckConfig(1, 'Default', seconds),
+                [deckId]: deckConfig(deckId, name, seconds)
+            }),
+            JSON.stringify({ 1: DEFAULT_DECK_OPTIONS }),
+            '{}'
+        ]);
+
+        let cardId = now;
+        notes.forEach((note, index) => {
+            const noteId = now + index;
+            const sortField = stripHtml(note.fields[0]);
+            const ords = note.type === 'cloze' ? clozeOrdinals(note.fields[0]) : [0];
+
+            db.run('INSERT INTO notes VALUES (?, ?, ?, ?, -1, ?, ?, ?, ?, 0, \'\')', [
+                noteId,
+                guid(`${key}:${note.fields[0]}`),
+                note.type === 'cloze' ? CLOZE_MODEL_ID : BASIC_MODEL_ID,
+                seconds,
+                note.tags.length > 0 ? ` ${note.tags.join(' ')} ` : '',
+                note.fields.join(FIELD_SEPARATOR),
+                sortField,
+                checksum(sortField)
+            ]);
+
+            for (const ord of ords) {
+                // New cards, due in note order
+                db.run('INSERT INTO cards VALUES (?, ?, ?, ?, ?, -1, 0, 0, ?, 0, 0, 0, 0, 0, 0, 0, 0, \'\')', [
+                    cardId++,
+                    noteId,
+                    deckId,
+                    ord,
+                    seconds,
+                    index + 1
+                ]);
+            }
+        });
+
+        return createZip([
+            { name: 'collection.anki2', data: Buffer.from(db.export()) },
+            { name: 'media', data: '{}' }
+        ]);
+
+    } finally {
+        db.close();
+    }
+}
+
+/**
+ * Card ordinals for a cloze note: one card per distinct {{cN::...}} number
+ * @param {string} text - Cloze text
+ * @returns {Array<number>} - Zero-based ordinals
+ */
+function clozeOrdinals(text) {
+    const numbers = [...text.matchAll(/\{\{c(\d+)::/g)].map(match => parseInt(match[1]));
+    const unique = [...new Set(numbers)].sort((a, b) => a - b);
+    return unique.length > 0 ? unique.map(number => number - 1) : [0];
+}
+
+/**
+ * Positive 53-bit-safe ID derived from a string
+ */
+function stableId(value) {
+    return parseInt(crypto.createHash('sha1').update(value).digest('hex').slice(0, 12), 16);
+}
+
+/**
+ * Anki note GUID derived from a string, so re-imports update notes instead of duplicating them
+ */
+function guid(value) {
+    return crypto.createHash('sha1').update(value).digest('base64').slice(0, 10);
+}
+
+/**
+ * Anki's duplicate-check checksum: first 8 hex digits of the SHA-1 of the sort field
+ */
+function checksum(text) {
+    return parseInt(crypto.createHash('sha1').update(text).digest('hex').slice(0, 8), 16);
+}
+
+function stripHtml(html) {
+    return html
+        .replace(/<[^>]*>/g, '')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&amp;/g, '&');
+}
+
+function collectionConfig(deckId) {
+    return {
+        activeDecks: [deckId],
+        addToCur: true,
+        collapseTime: 1200,
+        curDeck: deckId,
+        curModel: String(BASIC_MODEL_ID),
+        dueCounts: true,
+        estTimes: true,
+        newBury: true,
+        newSpread: 0,
+        nextPos: 1,
+        sortBackwards: false,
+        sortType: 'noteFld',
+        timeLim: 0
+    };
+}
+
+function field(name, ord) {
+    return { name, ord, font: 'Arial', size: 20, media: [], rtl: false, sticky: false };
+}
+
+function model({ id, name, type, fields, templates, deckId, seconds }) {
+    return {
+        id,
+        name,
+        type,
+        did: deckId,
+        mod: seconds,
+        usn: -1,
+        sortf: 0,
+        css: CARD_CSS,
+        flds: fields.map(field),
+        tmpls: templates.map((template, ord) => ({ ...template, ord, bqfmt: '', bafmt: '', did: null })),
+        req: type === 0 ? [[0, 'any', [0]]] : [],
+        tags: [],
+        vers: [],
+        latexPre: '\\documentclass[12pt]{article}\n\\special{papersize=3in,5in}\n\\usepackage{amssymb,amsmath}\n\\pagestyle{empty}\n\\setlength{\\parindent}{0in}\n\\begin{document}\n',
+        latexPost: '\\end{document}'
+    };
+}
+
+function basicModel(deckId, seconds) {
+    return model({
+        id: BASIC_MODEL_ID,
+        name: 'Basic (Learning Tool)',
+        type: 0,
+        fields: ['Front', 'Back'],
+        templates: [{ name: 'Card 1', qfmt: '{{Front}}', afmt: '{{FrontSide}}\n\n<hr id=answer>\n\n{{Back}}' }],
+        deckId,
+        seconds
+    });
+}
+
+function clozeModel(deckId, seconds) {
+    return model({
+        id: CLOZE_MODEL_ID,
+        name: 'Cloze (Learning Tool)',
+        type: 1,
+        fields: ['Text', 'Back Extra'],
+        templates: [{ name: 'Cloze', qfmt: '{{cloze:Text}}', afmt: '{{cloze:Text}}<br>\n{{Back Extra}}' }],
+        deckId,
+        seconds
+    });
+}
+
+function deckConfig(id, name, seconds) {
+    return {
+        id,
+        name,
+        desc: '',
+        conf: 1,
+        dyn: 0,
+        collapsed: false,
+        extendNew: 10,
+        extendRev: 50,
+        mod: seconds,
+        usn: -1,
+        newToday: [0, 0],
+        revToday: [0, 0],
+        lrnToday: [0, 0],
+        timeToday: [0, 0]
+    };
+}
+
+const DEFAULT_DECK_OPTIONS = {
+    id: 1,
+    name: 'Default',
+    mod: 0,
+    usn: 0,
+    maxTaken: 60,
+    autoplay: true,
+    timer: 0,
+    replayq: true,
+    new: { bury: true, delays: [1, 10], initialFactor: 2500, ints: [1, 4, 7], order: 1, perDay: 20, separate: true },
+    rev: { bury: true, ease4: 1.3, fuzz: 0.05, ivlFct: 1, maxIvl: 36500, minSpace: 1, perDay: 100 },
+    lapse: { delays: [10], leechAction: 0, leechFails: 8, minInt: 1, mult: 0 }
+};
@@ -0,0 +1,46 @@
+/**
+ * Map over items with at most `limit` promises in flight, preserving order
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent tasks
+ * @param {Function} fn - Async mapper (item, index) => result
+ * @returns {Promise<Array>} - Results in input order
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+
+    const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+    await Promise.all(workers);
+
+    return results;
+}
+
+/**
+ * Create a lock that runs tasks sharing a key one at a time, in call order
+ * (e.g. read-modify-write of one stored record)
+ * @returns {Function} - (key, fn) => Promise resolving to fn's result
+ */
+export function createKeyedLock() {
+    const queues = new Map();
+
+    return async (key, fn) => {
+        const previous = queues.get(key) || Promise.resolve();
+        const run = previous.catch(() => {}).then(fn);
+
+        queues.set(key, run);
+        try {
+            return await run;
+        } finally {
+            if (queues.get(key) === run) {
+                queues.delete(key);
+            }
+        }
+    };
+}
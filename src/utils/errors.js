@@ -0,0 +1,261 @@
+/**
+ * Application errors with stable, machine-readable codes.
+ * Services throw these; the error handler maps them to responses directly,
+ * so clients can branch on `code` instead of parsing messages.
+ */
+
+/**
+ * Error codes returned to clients, grouped by the error class that uses them
+ */
+export const ErrorCodes = Object.freeze({
+    // ValidationError (400)
+    VALIDATION_ERROR: 'VALIDATION_ERROR',
+    INVALID_VIDEO_URL: 'INVALID_VIDEO_URL',
+    INVALID_TRANSCRIPT: 'INVALID_TRANSCRIPT',
+    TRANSCRIPT_TOO_SHORT: 'TRANSCRIPT_TOO_SHORT',
+    TRANSCRIPT_TOO_LONG: 'TRANSCRIPT_TOO_LONG',
+    INVALID_QUIZ_OPTIONS: 'INVALID_QUIZ_OPTIONS',
+    INVALID_LANGUAGE: 'INVALID_LANGUAGE',
+    INVALID_INCLUDE: 'INVALID_INCLUDE',
+    INVALID_PROMPT_VARIANT: 'INVALID_PROMPT_VARIANT',
+    INVALID_ANSWERS: 'INVALID_ANSWERS',
+    INVALID_EXPORT_FORMAT: 'INVALID_EXPORT_FORMAT',
+    INVALID_LEARNER_ID: 'INVALID_LEARNER_ID',
+    INVALID_REVIEW: 'INVALID_REVIEW',
+    INVALID_COURSE: 'INVALID_COURSE',
+    INVALID_QUESTION: 'INVALID_QUESTION',
+    INVALID_JSON: 'INVALID_JSON',
+    FILE_REQUIRED: 'FILE_REQUIRED',
+    FILE_TOO_LARGE: 'FILE_TOO_LARGE',
+    UNSUPPORTED_FILE_TYPE: 'UNSUPPORTED_FILE_TYPE',
+    UPLOAD_FAILED: 'UPLOAD_FAILED',
+    PAYLOAD_TOO_LARGE: 'PAYLOAD_TOO_LARGE',
+
+    // AuthenticationError (401) and ForbiddenError (403)
+    AUTH_REQUIRED: 'AUTH_REQUIRED',
+    INVALID_API_KEY: 'INVALID_API_KEY',
+    FORBIDDEN: 'FORBIDDEN',
+
+    // NotFoundError (404)
+    NOT_FOUND: 'NOT_FOUND',
+    JOB_NOT_FOUND: 'JOB_NOT_FOUND',
+    MATERIALS_NOT_FOUND: 'MATERIALS_NOT_FOUND',
+    QUIZ_NOT_FOUND: 'QUIZ_NOT_FOUND',
+    FLASHCARDS_NOT_FOUND: 'FLASHCARDS_NOT_FOUND',
+    CONCEPT_MAP_NOT_FOUND: 'CONCEPT_MAP_NOT_FOUND',
+    REVIEW_QUESTION_NOT_FOUND: 'REVIEW_QUESTION_NOT_FOUND',
+    USER_NOT_FOUND: 'USER_NOT_FOUND',
+    API_KEY_NOT_FOUND: 'API_KEY_NOT_FOUND',
+    COURSE_NOT_FOUND: 'COURSE_NOT_FOUND',
+    ASK_SESSION_NOT_FOUND: 'ASK_SESSION_NOT_FOUND',
+    TRANSCRIPT_NOT_STORED: 'TRANSCRIPT_NOT_STORED',
+
+    // TranscriptError (captions and playlists fetched from YouTube)
+    VIDEO_NOT_FOUND: 'VIDEO_NOT_FOUND',
+    TRANSCRIPT_DISABLED: 'TRANSCRIPT_DISABLED',
+    TRANSCRIPT_UNAVAILABLE: 'TRANSCRIPT_UNAVAILABLE',
+    CAPTION_LANGUAGE_UNAVAILABLE: 'CAPTION_LANGUAGE_UNAVAILABLE',
+    YOUTUBE_RATE_LIMITED: 'YOUTUBE_RATE_LIMITED',
+    TRANSCRIPT_FETCH_FAILED: 'TRANSCRIPT_FETCH_FAILED',
+    PLAYLIST_NOT_FOUND: 'PLAYLIST_NOT_FOUND',
+    PLAYLIST_FETCH_FAILED: 'PLAYLIST_FETCH_FAILED',
+
+    // AIProviderError
+    AI_QUOTA_EXCEEDED: 'AI_QUOTA_EXCEEDED',
+    AI_RATE_LIMITED: 'AI_RATE_LIMITED',
+    AI_MODEL_UNAVAILABLE: 'AI_MODEL_UNAVAILABLE',
+    AI_UNAVAILABLE: 'AI_UNAVAILABLE',
+    AI_TIMEOUT: 'AI_TIMEOUT',
+    AI_CIRCUIT_OPEN: 'AI_CIRCUIT_OPEN',
+    AI_INVALID_RESPONSE: 'AI_INVALID_RESPONSE',
+    AI_GENERATION_FAILED: 'AI_GENERATION_FAILED',
+
+    // ConfigurationError (500)
+    CONFIGURATION_ERROR: 'CONFIGURATION_ERROR',
+
+    // QuotaExceededError (429)
+    DAILY_QUOTA_EXCEEDED: 'DAILY_QUOTA_EXCEEDED',
+
+    // Anything else
+    RATE_LIMITED: 'RATE_LIMITED',
+    JOB_INTERRUPTED: 'JOB_INTERRUPTED',
+    INTERNAL_ERROR: 'INTERNAL_ERROR'
+});
+
+/**
+ * Base class for errors that carry their own HTTP status and code
+ */
+export class AppError extends Error {
+    /**
+     * @param {string} message - Client-facing message
+     * @param {Object} [options] - Error options
+     * @param {string} [options.code] - Machine-readable code (see ErrorCodes)
+     * @param {number} [options.statusCode] - HTTP status
+     * @param {number} [options.retryAfter] - Seconds the client should wait before retrying
+     * @param {Object} [options.details] - Extra structured information for the client
+     * @param {boolean} [options.expose] - Whether the message may be shown to clients
+     * @param {Error} [options.cause] - Underlying error, kept for logs
+     */
+    constructor(message, { code = ErrorCodes.INTERNAL_ERROR, statusCode = 500, retryAfter = null, details = null, expose = true, cause } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = this.constructor.name;
+        this.code = code;
+        this.statusCode = statusCode;
+        this.retryAfter = retryAfter;
+        this.details = details;
+        this.expose = expose;
+    }
+}
+
+/**
+ * The request is malformed or has invalid options (400)
+ */
+export class ValidationError extends AppError {
+    constructor(message, { code = ErrorCodes.VALIDATION_ERROR, statusCode = 400, ...options } = {}) {
+        super(message, { code, statusCode, ...options });
+    }
+}
+
+/**
+ * No API key was given where one is required, or the key is unknown or revoked (401)
+ */
+export class AuthenticationError extends AppError {
+    constructor(message, { code = ErrorCodes.AUTH_REQUIRED, statusCode = 401, ...options } = {}) {
+        super(message, { code, statusCode, ...options });
+    }
+}
+
+/**
+ * The caller is authenticated but may not perform this action (403)
+ */
+export class ForbiddenError extends AppError {
+    constructor(message, { code = ErrorCodes.FORBIDDEN, statusCode = 403, ...options } = {}) {
+        super(message, { code, statusCode, ...options });
+    }
+}
+
+/**
+ * A stored resource (job, quiz, materials, course, review question, conversation, kept transcript)
+ * does not exist or has expired (404)
+ */
+export class NotFoundError extends AppError {
+    constructor(message, { code = ErrorCodes.NOT_FOUND, statusCode = 404, ...options } = {}) {
+        super(message, { code, statusCode, ...options });
+    }
+}
+
+/**
+ * Captions for a YouTube video, or the videos in a playlist, could not be fetched
+ */
+export class TranscriptError extends AppError {
+    constructor(message, { code = ErrorCodes.TRANSCRIPT_UNAVAILABLE, statusCode = 404, ...options } = {}) {
+        super(message, { code, statusCode, ...options });
+    }
+}
+
+/**
+ * The LLM provider failed or returned something unusable
+ */
+export class AIProviderError extends AppError {
+    constructor(message, { code = ErrorCodes.AI_GENERATION_FAILED, statusCode = 502, ...options } = {}) {
+        super(message, { code, statusCode, ...options });
+    }
+
+    /**
+     * Classify a failed provider HTTP response
+     * @param {Object} response - Failure details
+     * @param {number} [response.status] - HTTP status from the provider (none for network failures)
+     * @param {boolean} [response.quota] - Whether the provider reported an exhausted quota rather than a rate limit
+     * @param {number} [response.retryAfter] - Seconds until the provider accepts requests again
+     * @param {Error} [response.cause] - Original error
+     * @returns {AppError}
+     */
+    static fromResponse({ status, quota = false, retryAfter = null, cause } = {}) {
+        if (status === 429) {
+            return quota
+                ? new AIProviderError('API quota exceeded. Please try again later.', { code: ErrorCodes.AI_QUOTA_EXCEEDED, statusCode: 429, retryAfter, cause })
+                : new AIProviderError('Too many requests to the AI service. Please try again later.', { code: ErrorCodes.AI_RATE_LIMITED, statusCode: 429, retryAfter, cause });
+        }
+        if (status === 401 || status === 403) {
+            return new ConfigurationError('AI provider rejected the API key', { cause });
+        }
+        if (status === 404) {
+            return new AIProviderError('AI model not available. Please try again later.', { code: ErrorCodes.AI_MODEL_UNAVAILABLE, statusCode: 503, cause });
+        }
+        if (!status || status >= 500) {
+            return new AIProviderError('AI service temporarily unavailable. Please try again.', { code: ErrorCodes.AI_UNAVAILABLE, statusCode: 503, retryAfter, cause });
+        }
+        return new AIProviderError('AI service rejected the request. Please try again.', { code: ErrorCodes.AI_GENERATION_FAILED, cause });
+    }
+}
+
+/**
+ * The caller has used up its daily allowance of LLM calls (429); retryAfter is the time until it resets
+ */
+export class QuotaExceededError extends AppError {
+    constructor(message, { code = ErrorCodes.DAILY_QUOTA_EXCEEDED, statusCode = 429, ...options } = {}) {
+        super(message, { code, statusCode, ...options });
+    }
+}
+
+/**
+ * The server is misconfigured (missing API key, unknown driver). The message is
+ * logged but never shown to clients.
+ */
+export class ConfigurationError extends AppError {
+    constructor(message, { code = ErrorCodes.CONFIGURATION_ERROR, statusCode = 500, ...options } = {}) {
+        super(message, { code, statusCode, expose: false, ...options });
+    }
+}
+
+/**
+ * Map an error to the HTTP status and client-facing body fields
+ * @param {Error} err - Error
+ * @returns {{statusCode: number, code: string, message: string, retryAfter: number|null, details: Object|null}}
+ */
+export function describeError(err) {
+    if (err instanceof AppError) {
+        return {
+            statusCode: err.statusCode,
+            code: err.code,
+            message: err.expose ? err.message : 'Server configuration error. Please contact support.',
+            retryAfter: err.retryAfter,
+            details: err.details
+        };
+    }
+
+    // Request body errors from express.json()
+    if (err.type === 'entity.parse.failed') {
+        return describeError(new ValidationError('Request body is not valid JSON', { code: ErrorCodes.INVALID_JSON }));
+    }
+    if (err.type === 'entity.too.large') {
+        return describeError(new ValidationError('Request body is too large', { code: ErrorCodes.PAYLOAD_TOO_LARGE, statusCode: 413 }));
+    }
+
+    return {
+        statusCode: 500,
+        code: ErrorCodes.INTERNAL_ERROR,
+        message: 'An unexpected error occurred. Please try again.',
+        retryAfter: null,
+        details: null
+    };
+}
+
+/**
+ * Parse a retry delay given in seconds ("30"), as an HTTP date, or as a duration ("37s", "1.5s")
+ * @param {string|number|null|undefined} value - Retry-After header or provider retry delay
+ * @returns {number|null} - Whole seconds, or null when absent or unreadable
+ */
+export function parseRetryAfter(value) {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+
+    const seconds = parseFloat(String(value));
+    if (Number.isFinite(seconds) && /^\s*[\d.]+\s*s?\s*$/.test(String(value))) {
+        return Math.max(0, Math.ceil(seconds));
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
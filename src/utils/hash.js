@@ -0,0 +1,20 @@
+import crypto from 'crypto';
+
+/**
+ * Normalize a transcript so formatting-only differences (line breaks, repeated
+ * spaces, Unicode composition) produce the same digest
+ * @param {string} transcript - Transcript text
+ * @returns {string} - Normalized text
+ */
+export function normalizeTranscript(transcript) {
+    return transcript.normalize('NFC').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * SHA-256 digest of the whole normalized transcript
+ * @param {string} transcript - Transcript text
+ * @returns {string} - Hex digest
+ */
+export function hashTranscript(transcript) {
+    return crypto.createHash('sha256').update(normalizeTranscript(transcript)).digest('hex');
+}
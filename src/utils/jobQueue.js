@@ -0,0 +1,341 @@
+import crypto from 'crypto';
+import { AsyncResource } from 'async_hooks';
+import NodeCache from 'node-cache';
+import { getStorage } from '../storage/index.js';
+import { logger } from './logger.js';
+import { describeError, ErrorCodes } from './errors.js';
+
+const COLLECTION = 'jobs';
+
+/**
+ * In-process job queue for long-running work such as video processing.
+ * Jobs run in the background with bounded concurrency and report stage-by-stage
+ * progress; jobs sharing a key while one is still pending share that run, and every
+ * caller that queued or joined a job (`ownerIds`, null for anonymous callers) can see it.
+ *
+ * Job state is also saved through the storage adapter, so finished jobs can still be
+ * polled after a restart. Jobs only run in the process that queued them: a queued or
+ * running job whose process stopped sending heartbeats is reported as interrupted.
+ */
+class JobQueueClass {
+    // How often active jobs are saved while they run, and how long without a save before one counts as interrupted
+    HEARTBEAT_INTERVAL = 30 * 1000;
+    STALE_AFTER = 2 * 60 * 1000;
+
+    constructor() {
+        // Finished jobs are kept for polling for 1 hour by default
+        this.jobs = new NodeCache({
+            stdTTL: parseInt(process.env.JOB_TTL) || 3600,
+            checkperiod: 600,
+            useClones: false
+        });
+        this.activeByKey = new Map();
+        this.waiting = [];
+        this.running = 0;
+        this.saving = new Map();
+        this.heartbeat = null;
+    }
+
+    /**
+     * Seconds finished jobs are kept
+     * @returns {number}
+     */
+    get ttl() {
+        return parseInt(process.env.JOB_TTL) || 3600;
+    }
+
+    /**
+     * Maximum number of jobs running at once
+     * @returns {number}
+     */
+    get concurrency() {
+        return parseInt(process.env.JOB_CONCURRENCY) || 2;
+    }
+
+    /**
+     * Queue a job, or return the pending job with the same key
+     * @param {Object} params - Job parameters
+     * @param {string} params.type - Job type (e.g. 'youtube')
+     * @param {string} params.key - Deduplication key
+     * @param {Array<string>} params.stages - Stage names, in order
+     * @param {Object} [params.input] - Public description of the job input
+     * @param {string} [params.ownerId] - User who queued the job (null for anonymous callers); joins
+     *   the owners of the pending job when one with the same key is already queued or running
+     * @param {Function} params.run - async (progress, job) => result; progress(stage, { detail, partial }),
+     *   and job.ownerIds lists every caller sharing the job by the time it finishes
+     * @returns {Object} - { job, deduplicated }
+     */
+    enqueue({ type, key, stages, input = {}, ownerId = null, run }) {
+        const activeId = this.activeByKey.get(key);
+        const active = activeId && this.jobs.get(activeId);
+        if (active) {
+            logger.info(`Job deduplicated: ${key} -> ${active.id}`);
+            if (!active.ownerIds.includes(ownerId)) {
+                active.ownerIds.push(ownerId);
+                this.touch(active);
+            }
+            return { job: active, deduplicated: true };
+        }
+
+        const now = new Date().toISOString();
+        const job = {
+            id: crypto.randomUUID(),
+            type,
+            key,
+            input,
+            ownerIds: [ownerId],
+            status: 'queued',
+            stages: stages.map(name => ({ name, status: 'pending', detail: null, startedAt: null, completedAt: null })),
+            partial: {},
+            result: null,
+            error: null,
+            createdAt: now,
+            updatedAt: now,
+            completedAt: null,
+            expiresAt: null
+        };
+
+        // Pending jobs never expire; the TTL starts once they finish
+        this.jobs.set(job.id, job, 0);
+        this.activeByKey.set(key, job.id);
+        // Run in the request context of the caller that queued the job (e.g. to charge its quota),
+        // not that of whichever job happens to finish and start it
+        this.waiting.push({ job, run: AsyncResource.bind(run) });
+        logger.info(`Job queued: ${job.id} (${type})`);
+
+        this.save(job);
+        this.startHeartbeat();
+        this.drain();
+        return { job, deduplicated: false };
+    }
+
+    /**
+     * Get a job from this process, or from storage when another process (or an earlier run of this one) queued it
+     * @param {string} id - Job ID
+     * @returns {Promise<Object|null>} - Job, or null if unknown or expired
+     */
+    async get(id) {
+        const local = this.jobs.get(id);
+        if (local) {
+            return local;
+        }
+
+        let job;
+        try {
+            job = await getStorage().get(COLLECTION, id);
+        } catch (error) {
+            logger.error('Job get error:', error);
+            return null;
+        }
+        if (!job) {
+            return null;
+        }
+
+        if (job.expiresAt && job.expiresAt < new Date().toISOString()) {
+            await getStorage().delete(COLLECTION, id).catch(error => logger.error(`Error deleting expired job ${id}:`, error));
+            return null;
+        }
+
+        const active = job.status === 'queued' || job.status === 'running';
+        if (active && Date.now() - Date.parse(job.updatedAt) > this.STALE_AFTER) {
+            this.interrupt(job);
+        }
+        return job;
+    }
+
+    /**
+     * Whether a caller may see a job: admins see every job, everyone else the jobs they queued or joined
+     * (anonymous callers share the anonymous jobs)
+     * @param {Object} job - Job record
+     * @param {Object|null} user - Authenticated user, or null for anonymous callers
+     * @returns {boolean}
+     */
+    canAccess(job, user) {
+        return user?.role === 'admin' || job.ownerIds.includes(user?.id || null);
+    }
+
+    /**
+     * Mark a job whose process stopped (restart, or a recycled serverless instance) as failed
+     * @param {Object} job - Job record from storage
+     */
+    interrupt(job) {
+        logger.warn(`Job interrupted: ${job.id}`);
+        const stage = job.stages.find(item => item.status === 'running');
+        if (stage) {
+            stage.status = 'failed';
+        }
+
+        job.status = 'failed';
+        job.error = {
+            code: ErrorCodes.JOB_INTERRUPTED,
+            message: 'The server stopped before this job finished. Please submit it again.',
+            retryAfter: null,
+            stage: stage?.name || null
+        };
+        job.completedAt = new Date().toISOString();
+        job.expiresAt = new Date(Date.now() + this.ttl * 1000).toISOString();
+        this.touch(job);
+    }
+
+    /**
+     * Save a job's current state; saves of one job are written one after another, in order
+     * @param {Object} job - Job record
+     */
+    save(job) {
+        const previous = this.saving.get(job.id) || Promise.resolve();
+        const saved = previous
+            .then(() => getStorage().put(COLLECTION, job.id, job))
+            .catch(error => logger.error(`Error saving job ${job.id}:`, error));
+
+        this.saving.set(job.id, saved);
+        saved.then(() => {
+            if (this.saving.get(job.id) === saved) {
+                this.saving.delete(job.id);
+            }
+        });
+    }
+
+    /**
+     * Save active jobs regularly, so other processes can tell they are still alive
+     */
+    startHeartbeat() {
+        if (this.heartbeat) {
+            return;
+        }
+
+        this.heartbeat = setInterval(() => {
+            const active = [...this.activeByKey.values()].map(id => this.jobs.get(id)).filter(Boolean);
+            if (active.length === 0) {
+                clearInterval(this.heartbeat);
+                this.heartbeat = null;
+                return;
+            }
+            active.forEach(job => this.touch(job));
+        }, this.HEARTBEAT_INTERVAL);
+        // Never keep the process alive just for heartbeats
+        this.heartbeat.unref();
+    }
+
+    /**
+     * Start waiting jobs while below the concurrency limit
+     */
+    drain() {
+        while (this.running < this.concurrency && this.waiting.length > 0) {
+            const { job, run } = this.waiting.shift();
+            this.running++;
+            this.execute(job, run).finally(() => {
+                this.running--;
+                this.drain();
+            });
+        }
+    }
+
+    /**
+     * Run a job and record its progress, result or error
+     * @param {Object} job - Job record
+     * @param {Function} run - Job function
+     */
+    async execute(job, run) {
+        job.status = 'running';
+        this.touch(job);
+        logger.info(`Job started: ${job.id}`);
+
+        const progress = (stage, { detail = null, partial } = {}) => this.advance(job, stage, detail, partial);
+
+        try {
+            job.result = await run(progress, job);
+            job.status = 'completed';
+            for (const stage of job.stages) {
+                if (stage.status === 'running') {
+                    stage.status = 'completed';
+                    stage.completedAt = new Date().toISOString();
+                } else if (stage.status === 'pending') {
+                    // e.g. the result was already cached
+                    stage.status = 'skipped';
+                }
+            }
+            logger.info(`Job completed: ${job.id}`);
+
+        } catch (error) {
+            logger.error(`Job failed: ${job.id}`, error);
+            const failedStage = job.stages.find(stage => stage.status === 'running');
+            if (failedStage) {
+                failedStage.status = 'failed';
+            }
+            job.status = 'failed';
+            const { code, message, retryAfter } = describeError(error);
+            job.error = { code, message, retryAfter, stage: failedStage?.name || null };
+        }
+
+        job.completedAt = new Date().toISOString();
+        job.expiresAt = new Date(Date.now() + this.ttl * 1000).toISOString();
+        this.touch(job);
+        this.activeByKey.delete(job.key);
+        this.jobs.ttl(job.id, this.ttl);
+    }
+
+    /**
+     * Mark a stage as running (completing earlier stages) and merge partial results
+     */
+    advance(job, stageName, detail, partial) {
+        const index = job.stages.findIndex(stage => stage.name === stageName);
+        if (index === -1) {
+            return;
+        }
+
+        const now = new Date().toISOString();
+        job.stages.forEach((stage, i) => {
+            if (i < index && stage.status !== 'completed') {
+                stage.status = 'completed';
+                stage.startedAt = stage.startedAt || now;
+                stage.completedAt = now;
+            }
+        });
+
+        const stage = job.stages[index];
+        if (stage.status === 'pending') {
+            stage.status = 'running';
+            stage.startedAt = now;
+        }
+        stage.detail = detail;
+
+        if (partial) {
+            Object.assign(job.partial, partial);
+        }
+        this.touch(job);
+    }
+
+    /**
+     * Record that a job changed, and save it
+     */
+    touch(job) {
+        job.updatedAt = new Date().toISOString();
+        this.save(job);
+    }
+
+    /**
+     * Public view of a job with an overall progress percentage
+     * @param {Object} job - Job record
+     * @returns {Object}
+     */
+    toClient(job) {
+        const finished = job.stages.filter(stage => stage.status === 'completed' || stage.status === 'skipped').length;
+
+        return {
+            id: job.id,
+            type: job.type,
+            input: job.input,
+            status: job.status,
+            progress: job.status === 'completed' ? 100 : Math.round((finished / job.stages.length) * 100),
+            stages: job.stages,
+            partial: job.status === 'completed' ? null : job.partial,
+            result: job.result,
+            error: job.error,
+            createdAt: job.createdAt,
+            updatedAt: job.updatedAt,
+            completedAt: job.completedAt
+        };
+    }
+}
+
+export const JobQueue = new JobQueueClass();
@@ -0,0 +1,44 @@
+// Language tags such as "en", "hi", "es-419" or "pt-BR"
+const LANGUAGE_TAG = /^[a-z]{2,3}(?:-[a-z0-9]{2,8})*$/i;
+
+const displayNames = new Intl.DisplayNames(['en'], { type: 'language' });
+
+/**
+ * Canonicalize a BCP 47 language tag ("ES-419" -> "es-419")
+ * @param {string} code - Language tag
+ * @returns {string|null} - Canonical tag, or null if it is not a valid tag
+ */
+export function normalizeLanguage(code) {
+    const value = String(code ?? '').trim().replace(/_/g, '-');
+    if (!LANGUAGE_TAG.test(value)) {
+        return null;
+    }
+
+    try {
+        return Intl.getCanonicalLocales(value)[0];
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * English name of a language, e.g. "hi" -> "Hindi"
+ * @param {string} code - Language tag
+ * @returns {string} - Language name (the tag itself when unknown)
+ */
+export function languageName(code) {
+    try {
+        return displayNames.of(code) || code;
+    } catch (error) {
+        return code;
+    }
+}
+
+/**
+ * Primary language subtag ("es-419" -> "es")
+ * @param {string} code - Language tag
+ * @returns {string}
+ */
+export function baseLanguage(code) {
+    return String(code).split('-')[0].toLowerCase();
+}
@@ -1,9 +1,12 @@
+// Command-line tools that print their result to stdout send info and debug lines to stderr
+let toStderr = false;
+
 /**
  * Simple logger utility
  */
 export const logger = {
     info: (message, ...args) => {
-        console.log(`[INFO] ${new Date().toISOString()} - ${message}`, ...args);
+        (toStderr ? console.error : console.log)(`[INFO] ${new Date().toISOString()} - ${message}`, ...args);
     },
 
     error: (message, ...args) => {
@@ -16,7 +19,14 @@ export const logger = {
 
     debug: (message, ...args) => {
         if (process.env.NODE_ENV === 'development') {
-            console.debug(`[DEBUG] ${new Date().toISOString()} - ${message}`, ...args);
+            (toStderr ? console.error : console.debug)(`[DEBUG] ${new Date().toISOString()} - ${message}`, ...args);
         }
+    },
+
+    /**
+     * Write info and debug lines to stderr, keeping stdout free for a tool's own output
+     */
+    useStderr: () => {
+        toStderr = true;
     }
 };
@@ -0,0 +1,303 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { logger } from './logger.js';
+import { ConfigurationError } from './errors.js';
+
+const BUNDLED_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'prompts');
+
+// <dir>/<name>/<variant>.v<version>.txt
+const FILE_PATTERN = /^([a-z0-9][a-z0-9-]*)\.v(\d+)\.txt$/;
+const VARIABLE_PATTERN = /\{\{(\w+)\}\}/g;
+
+/**
+ * Named, versioned prompt templates loaded from files, so prompts can change without a
+ * code change. Templates live in src/prompts (and PROMPTS_DIR, which adds variants and
+ * versions or replaces bundled ones) as <name>/<variant>.v<version>.txt, with an optional
+ * front matter block for a description, and {{variable}} placeholders.
+ *
+ * A part's template can also say what it asks for in one line (front matter `structured`),
+ * which the single structured call for all materials uses in place of the whole prompt.
+ *
+ * Every template has a "default" variant. Unless a version is pinned ("eli5@1"), the
+ * highest version of a variant is used.
+ */
+class PromptRegistryClass {
+    // Templates callers may choose a variant for; the rest follow (mergeSummaries follows summary)
+    SELECTABLE = ['summary', 'keyPoints', 'quiz', 'title'];
+    DEFAULT_VARIANT = 'default';
+
+    constructor() {
+        this.templates = null;
+    }
+
+    /**
+     * Directories templates are read from, in order of precedence (later ones win)
+     * @returns {Array<string>}
+     */
+    getDirs() {
+        return [BUNDLED_DIR, process.env.PROMPTS_DIR].filter(Boolean);
+    }
+
+    /**
+     * Read every template from disk again (e.g. after editing PROMPTS_DIR)
+     * @returns {number} - Number of templates loaded
+     */
+    reload() {
+        const templates = new Map();
+
+        for (const dir of this.getDirs()) {
+            if (!fs.existsSync(dir)) {
+                logger.warn(`Prompt directory not found: ${dir}`);
+                continue;
+            }
+
+            for (const name of fs.readdirSync(dir)) {
+                const folder = path.join(dir, name);
+                if (!fs.statSync(folder).isDirectory()) {
+                    continue;
+                }
+
+                for (const file of fs.readdirSync(folder)) {
+                    const match = file.match(FILE_PATTERN);
+                    if (!match) {
+                        continue;
+                    }
+                    const [, variant, version] = match;
+                    const template = this.parse(fs.readFileSync(path.join(folder, file), 'utf8'), { name, variant, version: parseInt(version) });
+                    templates.set(template.id, template);
+                }
+            }
+        }
+
+        this.templates = templates;
+        logger.info(`Prompt templates loaded: ${templates.size}`);
+        return templates.size;
+    }
+
+    /**
+     * Parse a template file: optional front matter ("---" lines around "key: value" pairs), then the body
+     * @param {string} content - File contents
+     * @param {Object} meta - { name, variant, version }
+     * @returns {Object} - Template { id, name, variant, version, description, structured, variables, body }
+     */
+    parse(content, { name, variant, version }) {
+        let body = content.replace(/\r\n/g, '\n');
+        const attributes = {};
+
+        const frontMatter = body.match(/^---\n([\s\S]*?)\n---\n/);
+        if (frontMatter) {
+            for (const line of frontMatter[1].split('\n')) {
+                const [key, ...value] = line.split(':');
+                if (key.trim() && value.length > 0) {
+                    attributes[key.trim()] = value.join(':').trim();
+                }
+            }
+            body = body.slice(frontMatter[0].length);
+        }
+
+        return {
+            id: `${name}/${variant}@${version}`,
+            name,
+            variant,
+            version,
+            description: attributes.description || null,
+            structured: attributes.structured || null,
+            variables: [...new Set([...body.matchAll(VARIABLE_PATTERN)].map(([, variable]) => variable))],
+            // Files end with a newline; prompts don't
+            body: body.replace(/\n$/, '')
+        };
+    }
+
+    /**
+     * All templates, loading them on first use
+     * @returns {Map<string, Object>}
+     */
+    getTemplates() {
+        if (!this.templates) {
+            this.reload();
+        }
+        return this.templates;
+    }
+
+    /**
+     * Find a template
+     * @param {string} name - Template name, e.g. "summary"
+     * @param {string} [selector] - Variant, optionally with a pinned version ("eli5" or "eli5@1")
+     * @returns {Object|null} - Template, or null if there is no such variant (or version)
+     */
+    find(name, selector = this.DEFAULT_VARIANT) {
+        const [variant, pinned] = String(selector).split('@');
+        const candidates = [...this.getTemplates().values()]
+            .filter(template => template.name === name && template.variant === variant)
+            .filter(template => pinned === undefined || String(template.version) === pinned)
+            .sort((a, b) => b.version - a.version);
+
+        return candidates[0] || null;
+    }
+
+    /**
+     * Render a template
+     * @param {string} name - Template name
+     * @param {Object} variables - Values for its placeholders
+     * @param {string} [selector] - Variant (see find); falls back to the default variant when this template has no such variant
+     * @returns {{id: string, text: string}} - Template ID and prompt text
+     */
+    render(name, variables, selector = this.DEFAULT_VARIANT) {
+        const template = this.find(name, selector) || this.find(name);
+        if (!template) {
+            throw new ConfigurationError(`Prompt template "${name}" not found`);
+        }
+
+        return { id: template.id, text: this.fill(template, template.body, variables) };
+    }
+
+    /**
+     * Render a template's one-line instructions for the single structured call
+     * @param {string} name - Template name
+     * @param {Object} variables - Values for its placeholders
+     * @param {string} [selector] - Variant (see render)
+     * @returns {{id: string, text: string}|null} - Template ID and instructions, or null if the template has none
+     */
+    renderStructured(name, variables, selector = this.DEFAULT_VARIANT) {
+        const template = this.find(name, selector) || this.find(name);
+        if (!template?.structured) {
+            return null;
+        }
+
+        return { id: template.id, text: this.fill(template, template.structured, variables) };
+    }
+
+    /**
+     * Fill in a template's placeholders
+     * @param {Object} template - Template (for error messages)
+     * @param {string} text - Text with {{variable}} placeholders
+     * @param {Object} variables - Values for its placeholders
+     * @returns {string}
+     */
+    fill(template, text, variables) {
+        return text.replace(VARIABLE_PATTERN, (placeholder, variable) => {
+            if (variables[variable] === undefined || variables[variable] === null) {
+                throw new ConfigurationError(`Prompt template ${template.id} has no value for {{${variable}}}`);
+            }
+            return String(variables[variable]);
+        });
+    }
+
+    /**
+     * Resolve a choice of variants from a request: an object ({ summary: "eli5", quiz: "default@2" })
+     * or, for form uploads, a comma-separated string ("summary=eli5,quiz=default@2")
+     * @param {Object|string} [value] - Variant per template name
+     * @returns {{variants: Object, error: string|null}} - Variants, or the first problem found
+     */
+    resolveVariants(value) {
+        if (value === undefined || value === null || value === '') {
+            return { variants: {}, error: null };
+        }
+
+        const variants = typeof value === 'string'
+            ? Object.fromEntries(value.split(',').filter(part => part.trim()).map(part => part.split('=').map(item => item.trim())))
+            : value;
+        if (typeof variants !== 'object' || Array.isArray(variants)) {
+            return { variants: {}, error: `promptVariants must map ${this.SELECTABLE.join(', ')} to a variant name` };
+        }
+
+        for (const [name, selector] of Object.entries(variants)) {
+            if (!this.SELECTABLE.includes(name)) {
+                return { variants: {}, error: `promptVariants can only choose variants for: ${this.SELECTABLE.join(', ')}` };
+            }
+            if (typeof selector !== 'string' || !this.find(name, selector)) {
+                const available = [...new Set(this.list().filter(template => template.name === name).map(template => template.variant))];
+                return { variants: {}, error: `Unknown ${name} prompt variant "${selector}". Available: ${available.join(', ')}` };
+            }
+        }
+        return { variants, error: null };
+    }
+
+    /**
+     * Start a selection of variants for one generation run; it records which templates were used
+     * @param {Object} [variants] - Variant per template name (see resolveVariants), default variants otherwise
+     * @returns {PromptSelection}
+     */
+    select(variants = {}) {
+        return new PromptSelection(this, variants || {});
+    }
+
+    /**
+     * Describe a choice of variants for cache keys: the templates it resolves to that differ from
+     * the first default versions, so existing keys stay valid until a prompt actually changes
+     * @param {Object} [variants] - Variant per template name
+     * @returns {string} - e.g. "mergeSummaries/eli5@1,summary/eli5@1", or "" with only first default versions
+     */
+    describe(variants = {}) {
+        const selection = this.select(variants);
+        return [...new Set(this.list().map(template => template.name))]
+            .map(name => (this.find(name, selection.selectorFor(name)) || this.find(name))?.id)
+            .filter(id => id && !id.endsWith(`/${this.DEFAULT_VARIANT}@1`))
+            .sort()
+            .join(',');
+    }
+
+    /**
+     * Summaries of all templates, for admins
+     * @returns {Array<Object>} - { id, name, variant, version, description, variables }, sorted by ID
+     */
+    list() {
+        return [...this.getTemplates().values()]
+            .map(({ body, ...template }) => template)
+            .sort((a, b) => a.id.localeCompare(b.id));
+    }
+}
+
+/**
+ * The variants chosen for one generation run, and the templates actually rendered
+ */
+class PromptSelection {
+    constructor(registry, variants) {
+        this.registry = registry;
+        this.variants = variants;
+        this.used = {};
+    }
+
+    /**
+     * Render a template with the chosen variant, recording its ID
+     * @param {string} name - Template name
+     * @param {Object} variables - Values for its placeholders
+     * @returns {string} - Prompt text
+     */
+    render(name, variables) {
+        const { id, text } = this.registry.render(name, variables, this.selectorFor(name));
+        this.used[name] = id;
+        return text;
+    }
+
+    /**
+     * Variant chosen for a template; mergeSummaries follows the summary choice
+     * @param {string} name - Template name
+     * @returns {string|undefined}
+     */
+    selectorFor(name) {
+        return this.variants[name] ?? (name === 'mergeSummaries' ? this.variants.summary : undefined);
+    }
+
+    /**
+     * Render the chosen variants' one-line instructions for the single structured call, recording their IDs
+     * @param {Array<string>} names - Template names
+     * @param {Object} variables - Values for their placeholders
+     * @returns {Object|null} - Instructions by template name, or null when a chosen template has none
+     *   (then the parts have to be generated one by one)
+     */
+    renderStructured(names, variables) {
+        const rendered = names.map(name => [name, this.registry.renderStructured(name, variables, this.selectorFor(name))]);
+        if (rendered.some(([, result]) => !result)) {
+            return null;
+        }
+
+        return Object.fromEntries(rendered.map(([name, { id, text }]) => {
+            this.used[name] = id;
+            return [name, text];
+        }));
+    }
+}
+
+export const PromptRegistry = new PromptRegistryClass();
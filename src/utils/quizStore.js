@@ -0,0 +1,52 @@
+import crypto from 'crypto';
+import { getStorage } from '../storage/index.js';
+import { logger } from './logger.js';
+
+const COLLECTION = 'quizzes';
+
+/**
+ * Server-side store for generated quizzes, including their answers,
+ * so clients only ever receive the answer-free version
+ */
+class QuizStoreClass {
+    /**
+     * Save a quiz
+     * @param {Object} entry - { quiz, title, source }
+     * @param {string} [id] - Existing quiz ID to save under
+     * @returns {Promise<string>} - Quiz ID
+     */
+    async save(entry, id = crypto.randomUUID()) {
+        await getStorage().put(COLLECTION, id, {
+            ...entry,
+            id,
+            createdAt: entry.createdAt || new Date().toISOString()
+        });
+        logger.info(`Quiz saved: ${id}`);
+        return id;
+    }
+
+    /**
+     * Get a stored quiz
+     * @param {string} id - Quiz ID
+     * @returns {Promise<Object|null>} - Stored quiz entry or null
+     */
+    async get(id) {
+        try {
+            return await getStorage().get(COLLECTION, id);
+        } catch (error) {
+            logger.error('Quiz store get error:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Whether a quiz is stored
+     * @param {string} id - Quiz ID
+     * @returns {Promise<boolean>}
+     */
+    async has(id) {
+        return (await this.get(id)) !== null;
+    }
+}
+
+export const QuizStore = new QuizStoreClass();
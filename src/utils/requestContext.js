@@ -0,0 +1,26 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+/**
+ * Per-request context (the authenticated caller and its quota) that follows a request
+ * through async calls, so deep code such as AIService.generate can charge LLM calls to
+ * the right API key without every service passing the caller along
+ */
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function with a context
+ * @param {Object} context - { user, apiKey, quota }
+ * @param {Function} fn - Function to run
+ * @returns {*} - Result of fn
+ */
+export function runWithContext(context, fn) {
+    return storage.run(context, fn);
+}
+
+/**
+ * Context of the current request
+ * @returns {Object|null} - { user, apiKey, quota }, or null outside a request
+ */
+export function getContext() {
+    return storage.getStore() || null;
+}
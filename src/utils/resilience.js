@@ -0,0 +1,218 @@
+import { logger } from './logger.js';
+
+/**
+ * Helpers for calling flaky upstream services: per-call timeouts,
+ * retries with exponential backoff and jitter, and a circuit breaker
+ */
+
+/**
+ * Run a call with a time limit. The call receives an AbortSignal that is aborted on timeout,
+ * and the returned promise rejects at the deadline even if the call ignores the signal.
+ * With `idle`, the call also receives a keepAlive function that restarts the clock, so the
+ * limit applies to the time between signs of progress (such as the tokens of a stream).
+ * @param {Function} fn - (signal, keepAlive) => Promise
+ * @param {number} timeoutMs - Time limit in milliseconds (0 or less for none)
+ * @param {Function} createError - () => Error thrown on timeout
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.idle] - Time out after timeoutMs without progress rather than overall
+ * @returns {Promise<*>} - Result of the call
+ */
+export async function withTimeout(fn, timeoutMs, createError, { idle = false } = {}) {
+    const controller = new AbortController();
+    if (!(timeoutMs > 0)) {
+        return fn(controller.signal, () => {});
+    }
+
+    let timer;
+    let expire;
+    const deadline = new Promise((resolve, reject) => {
+        expire = () => {
+            controller.abort();
+            reject(createError());
+        };
+    });
+    const arm = () => {
+        clearTimeout(timer);
+        timer = setTimeout(expire, timeoutMs);
+    };
+
+    arm();
+    try {
+        return await Promise.race([fn(controller.signal, idle ? arm : () => {}), deadline]);
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * How long to wait before retrying after an error: the error's retryAfter hint when it
+ * has one, otherwise exponential backoff with full jitter
+ * @param {Error} error - Error from the failed attempt (may carry retryAfter in seconds)
+ * @param {number} attempt - Zero-based number of the failed attempt
+ * @param {Object} options - { baseDelayMs, maxDelayMs, maxWaitMs }
+ * @returns {number|null} - Delay in milliseconds, or null when the hint is longer than maxWaitMs
+ */
+export function getRetryDelay(error, attempt, { baseDelayMs, maxDelayMs, maxWaitMs }) {
+    if (Number.isFinite(error.retryAfter)) {
+        const wait = error.retryAfter * 1000;
+        // A little jitter so parallel callers don't all come back at the same moment
+        return wait > maxWaitMs ? null : wait + Math.random() * baseDelayMs;
+    }
+
+    return Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+}
+
+/**
+ * Run a call, retrying failures that shouldRetry accepts
+ * @param {Function} fn - ({ signal, attempt, keepAlive }) => Promise
+ * @param {Object} options - Retry options
+ * @param {number} options.retries - Retries after the first attempt
+ * @param {number} options.timeoutMs - Time limit per attempt
+ * @param {boolean} [options.idleTimeout] - Apply timeoutMs to the time between keepAlive calls instead (see withTimeout)
+ * @param {Function} options.createTimeoutError - () => Error thrown when an attempt times out
+ * @param {number} options.baseDelayMs - First backoff delay
+ * @param {number} options.maxDelayMs - Longest backoff delay
+ * @param {number} options.maxWaitMs - Longest retryAfter hint worth waiting for
+ * @param {Function} [options.shouldRetry] - (error) => boolean
+ * @param {Function} [options.onRetry] - (error, attempt, delayMs) => void, before each retry
+ * @returns {Promise<*>} - Result of the first successful attempt
+ */
+export async function withRetry(fn, { retries, timeoutMs, idleTimeout = false, createTimeoutError, shouldRetry = () => true, onRetry, ...backoff }) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await withTimeout((signal, keepAlive) => fn({ signal, attempt, keepAlive }), timeoutMs, createTimeoutError, { idle: idleTimeout });
+        } catch (error) {
+            const delay = attempt < retries && shouldRetry(error)
+                ? getRetryDelay(error, attempt, backoff)
+                : null;
+
+            if (delay === null) {
+                throw error;
+            }
+
+            onRetry?.(error, attempt + 1, delay);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+}
+
+/**
+ * Circuit breaker: after `failureThreshold` consecutive failures the circuit opens and
+ * calls fail fast for `cooldownMs`. Then one trial call is let through (half-open);
+ * success closes the circuit, failure opens it again.
+ */
+export class CircuitBreaker {
+    /**
+     * @param {Object} options - Breaker options
+     * @param {string} options.name - Name used in logs
+     * @param {number} options.failureThreshold - Consecutive failures that open the circuit
+     * @param {number} options.cooldownMs - How long the circuit stays open
+     * @param {Function} options.isFailure - (error) => boolean; other errors count as the service responding
+     * @param {Function} options.createOpenError - (retryAfterSeconds) => Error thrown while open
+     */
+    constructor({ name, failureThreshold, cooldownMs, isFailure, createOpenError }) {
+        this.name = name;
+        this.failureThreshold = failureThreshold;
+        this.cooldownMs = cooldownMs;
+        this.isFailure = isFailure;
+        this.createOpenError = createOpenError;
+
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+        this.lastFailure = null;
+    }
+
+    /**
+     * Run a call through the breaker
+     * @param {Function} fn - () => Promise
+     * @returns {Promise<*>} - Result of the call
+     */
+    async call(fn) {
+        this.admit();
+
+        try {
+            const result = await fn();
+            this.recordSuccess();
+            return result;
+        } catch (error) {
+            if (this.isFailure(error)) {
+                this.recordFailure(error);
+            } else {
+                this.recordSuccess();
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Let a call through, or throw while the circuit is open
+     */
+    admit() {
+        if (this.state === 'open') {
+            const remaining = this.openedAt + this.cooldownMs - Date.now();
+            if (remaining > 0) {
+                throw this.createOpenError(Math.ceil(remaining / 1000));
+            }
+            this.state = 'half-open';
+            logger.info(`Circuit ${this.name} half-open: trying one call`);
+        }
+
+        if (this.state === 'half-open') {
+            if (this.trialInFlight) {
+                throw this.createOpenError(Math.ceil(this.cooldownMs / 1000));
+            }
+            this.trialInFlight = true;
+        }
+    }
+
+    /**
+     * The service responded: close the circuit
+     */
+    recordSuccess() {
+        if (this.state !== 'closed') {
+            logger.info(`Circuit ${this.name} closed`);
+        }
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+    }
+
+    /**
+     * The service failed: open the circuit at the threshold, or straight away after a failed trial
+     */
+    recordFailure(error) {
+        this.failures++;
+        this.trialInFlight = false;
+        this.lastFailure = { code: error.code || null, message: error.message, at: new Date().toISOString() };
+
+        if (this.state === 'half-open' || this.failures >= this.failureThreshold) {
+            if (this.state !== 'open') {
+                logger.warn(`Circuit ${this.name} open after ${this.failures} failures (last: ${error.message})`);
+            }
+            this.state = 'open';
+            this.openedAt = Date.now();
+        }
+    }
+
+    /**
+     * Current state for health checks
+     * @returns {Object} - { state, failures, failureThreshold, openUntil, lastFailure }
+     */
+    getState() {
+        // An open circuit whose cooldown has passed admits the next call
+        const cooledDown = this.state === 'open' && Date.now() >= this.openedAt + this.cooldownMs;
+
+        return {
+            state: cooledDown ? 'half-open' : this.state,
+            failures: this.failures,
+            failureThreshold: this.failureThreshold,
+            openUntil: this.state === 'open' && !cooledDown
+                ? new Date(this.openedAt + this.cooldownMs).toISOString()
+                : null,
+            lastFailure: this.lastFailure
+        };
+    }
+}
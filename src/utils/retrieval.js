@@ -0,0 +1,75 @@
+import { tokenize, stem } from './text.js';
+
+/**
+ * Lexical retrieval over transcript passages with BM25 ranking
+ */
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+/**
+ * Stemmed content words of a text, as used for indexing and queries
+ * @param {string} text - Input text
+ * @returns {Array<string>} - Terms
+ */
+export function toTerms(text) {
+    return tokenize(text).map(stem);
+}
+
+/**
+ * Index passages for search: term counts per passage and inverse document frequencies
+ * @param {Array<Object>} passages - Passages with a `text` field (other fields are kept)
+ * @returns {{passages: Array<Object>, idf: Map<string, number>, maxIdf: number, averageLength: number}}
+ *   Passages without any terms are left out; maxIdf is the weight of a term no passage contains
+ */
+export function buildSearchIndex(passages) {
+    const indexed = passages.map(passage => {
+        const terms = toTerms(passage.text);
+        const counts = new Map();
+        terms.forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+        return { ...passage, counts, length: terms.length };
+    }).filter(passage => passage.length > 0);
+
+    const documentFrequency = new Map();
+    indexed.forEach(passage => passage.counts.forEach((count, term) => {
+        documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }));
+
+    const n = indexed.length;
+
+    return {
+        passages: indexed,
+        idf: new Map([...documentFrequency].map(([term, df]) => [term, Math.log(1 + (n - df + 0.5) / (df + 0.5))])),
+        maxIdf: Math.log(1 + (n + 0.5) / 0.5),
+        averageLength: indexed.reduce((sum, passage) => sum + passage.length, 0) / (n || 1)
+    };
+}
+
+/**
+ * Rank passages for a query
+ * @param {Object} index - Index from buildSearchIndex
+ * @param {Array<string>} terms - Query terms (see toTerms)
+ * @param {number} limit - Most passages to return
+ * @returns {Array<{passage: Object, score: number}>} - Best matches first; passages sharing no term are left out
+ */
+export function search(index, terms, limit) {
+    const unique = [...new Set(terms)];
+
+    return index.passages
+        .map(passage => ({ passage, score: bm25(index, passage, unique) }))
+        .filter(({ score }) => score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+}
+
+function bm25(index, passage, terms) {
+    return terms.reduce((score, term) => {
+        const frequency = passage.counts.get(term) || 0;
+        if (frequency === 0) {
+            return score;
+        }
+        const norm = frequency + K1 * (1 - B + B * (passage.length / index.averageLength));
+        return score + index.idf.get(term) * ((frequency * (K1 + 1)) / norm);
+    }, 0);
+}
@@ -0,0 +1,106 @@
+/**
+ * Minimal JSON schema support for validating structured model output.
+ * Covers the subset used by our response schemas: type, properties, required,
+ * items, enum, minItems, maxItems and minLength.
+ */
+
+// Keywords we validate locally but do not send to providers
+const VALIDATION_ONLY_KEYWORDS = ['minItems', 'maxItems', 'minLength'];
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Value to validate
+ * @param {Object} schema - JSON schema
+ * @param {string} [path] - Path of the value, used in error messages
+ * @returns {Array<string>} - Validation errors (empty when valid)
+ */
+export function validateSchema(value, schema, path = '$') {
+    const errors = [];
+
+    if (!matchesType(value, schema.type)) {
+        errors.push(`${path} should be ${schema.type}`);
+        return errors;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path} should be one of ${schema.enum.join(', ')}`);
+    }
+
+    if (schema.type === 'string' && schema.minLength && value.trim().length < schema.minLength) {
+        errors.push(`${path} should not be empty`);
+    }
+
+    if (schema.type === 'array') {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${path} should have at least ${schema.minItems} items`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push(`${path} should have at most ${schema.maxItems} items`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => {
+                errors.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+            });
+        }
+    }
+
+    if (schema.type === 'object') {
+        for (const key of schema.required || []) {
+            if (value[key] === undefined || value[key] === null) {
+                errors.push(`${path}.${key} is required`);
+            }
+        }
+        for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+            if (value[key] !== undefined && value[key] !== null) {
+                errors.push(...validateSchema(value[key], propertySchema, `${path}.${key}`));
+            }
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Remove validation-only keywords so the schema can be sent to a provider
+ * @param {Object} schema - JSON schema
+ * @returns {Object} - Provider-safe schema
+ */
+export function toProviderSchema(schema) {
+    const result = {};
+
+    for (const [key, value] of Object.entries(schema)) {
+        if (VALIDATION_ONLY_KEYWORDS.includes(key)) {
+            continue;
+        }
+        if (key === 'properties') {
+            result.properties = Object.fromEntries(
+                Object.entries(value).map(([name, property]) => [name, toProviderSchema(property)])
+            );
+        } else if (key === 'items') {
+            result.items = toProviderSchema(value);
+        } else {
+            result[key] = value;
+        }
+    }
+
+    return result;
+}
+
+function matchesType(value, type) {
+    switch (type) {
+        case 'string':
+            return typeof value === 'string';
+        case 'number':
+            return typeof value === 'number' && Number.isFinite(value);
+        case 'integer':
+            return Number.isInteger(value);
+        case 'boolean':
+            return typeof value === 'boolean';
+        case 'array':
+            return Array.isArray(value);
+        case 'object':
+            return value !== null && typeof value === 'object' && !Array.isArray(value);
+        default:
+            return true;
+    }
+}
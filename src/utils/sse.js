@@ -0,0 +1,53 @@
+/**
+ * Open a Server-Sent Events stream on a response
+ * @param {Object} res - Express response
+ * @returns {{send: Function, close: Function, isOpen: Function}} - Event stream
+ */
+export function openEventStream(res) {
+    let open = true;
+
+    res.status(200).set({
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        // Stop proxies such as nginx from buffering the stream
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    // Fires when the client disconnects (or once the stream has ended)
+    res.on('close', () => {
+        open = false;
+    });
+
+    return {
+        /**
+         * Send one event; data is sent as JSON
+         * @param {string} event - Event name
+         * @param {*} data - Event payload
+         */
+        send(event, data) {
+            if (open) {
+                res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+            }
+        },
+
+        /**
+         * End the stream
+         */
+        close() {
+            if (open) {
+                open = false;
+                res.end();
+            }
+        },
+
+        /**
+         * Whether the client is still connected
+         * @returns {boolean}
+         */
+        isOpen() {
+            return open;
+        }
+    };
+}
@@ -0,0 +1,168 @@
+/**
+ * Text helpers for comparing and deduplicating generated content
+ */
+
+const STOP_WORDS = new Set([
+    'a', 'an', 'the', 'and', 'or', 'but', 'of', 'to', 'in', 'on', 'at', 'for', 'with', 'by',
+    'is', 'are', 'was', 'were', 'be', 'been', 'it', 'its', 'this', 'that', 'these', 'those',
+    'as', 'from', 'which', 'what', 'who', 'how', 'why', 'when', 'can', 'does', 'do', 'not'
+]);
+
+/**
+ * Normalize text for comparison (lowercase, strip punctuation, collapse whitespace)
+ * @param {string} text - Input text
+ * @returns {string} - Normalized text
+ */
+export function normalizeText(text) {
+    return String(text || '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Split text into content words (stop words removed)
+ * @param {string} text - Input text
+ * @returns {Array<string>} - Tokens
+ */
+export function tokenize(text) {
+    return normalizeText(text)
+        .split(' ')
+        .filter(token => token.length > 1 && !STOP_WORDS.has(token));
+}
+
+/**
+ * Reduce an English word to a rough stem by stripping common suffixes, so that
+ * "explains", "explained" and "explaining" match. Only meant for comparing tokens.
+ * @param {string} token - Token from tokenize()
+ * @returns {string} - Stem
+ */
+export function stem(token) {
+    if (token.length <= 4) {
+        return token;
+    }
+    if (token.endsWith('ies')) {
+        return `${token.slice(0, -3)}y`;
+    }
+
+    for (const suffix of ['ing', 'ed', 'es', 'ly', 's']) {
+        if (token.endsWith(suffix) && !token.endsWith('ss') && token.length - suffix.length >= 3) {
+            return token.slice(0, -suffix.length);
+        }
+    }
+    return token;
+}
+
+/**
+ * Shorten text to at most `maxLength` characters at a word boundary, marking the cut with "..."
+ * @param {string} text - Input text
+ * @param {number} maxLength - Maximum length before the marker
+ * @returns {string} - Text with whitespace collapsed
+ */
+export function excerpt(text, maxLength) {
+    const collapsed = String(text || '').replace(/\s+/g, ' ').trim();
+    return collapsed.length > maxLength
+        ? `${collapsed.slice(0, maxLength).replace(/\s+\S*$/, '')}...`
+        : collapsed;
+}
+
+/**
+ * URL- and file-name-safe slug (ASCII letters, digits and dashes)
+ * @param {string} text - Input text, e.g. a lesson title
+ * @param {number} [maxLength] - Maximum slug length
+ * @returns {string} - Slug, empty if nothing usable is left
+ */
+export function slugify(text, maxLength = 60) {
+    return String(text || '')
+        .normalize('NFKD')
+        .replace(/[^\w\s-]/g, '')
+        .trim()
+        .replace(/\s+/g, '-')
+        .toLowerCase()
+        .slice(0, maxLength);
+}
+
+/**
+ * Jaccard similarity between the token sets of two strings
+ * @param {string} a - First text
+ * @param {string} b - Second text
+ * @returns {number} - Similarity between 0 and 1
+ */
+export function similarity(a, b) {
+    const setA = new Set(tokenize(a));
+    const setB = new Set(tokenize(b));
+
+    if (setA.size === 0 && setB.size === 0) {
+        return normalizeText(a) === normalizeText(b) ? 1 : 0;
+    }
+
+    let shared = 0;
+    for (const token of setA) {
+        if (setB.has(token)) {
+            shared++;
+        }
+    }
+
+    return shared / (setA.size + setB.size - shared);
+}
+
+/**
+ * Share of a text's content words that also appear in a source text
+ * @param {string} text - Text to look for (e.g. a question)
+ * @param {string} source - Text to search in (e.g. a transcript chunk)
+ * @returns {number} - Coverage between 0 and 1
+ */
+export function coverage(text, source) {
+    const tokens = [...new Set(tokenize(text))];
+    if (tokens.length === 0) {
+        return 0;
+    }
+
+    const sourceTokens = new Set(tokenize(source));
+    return tokens.filter(token => sourceTokens.has(token)).length / tokens.length;
+}
+
+/**
+ * Remove near-duplicate items, keeping the first occurrence
+ * @param {Array} items - Items to deduplicate
+ * @param {Function} [getText] - Returns the text to compare for an item
+ * @param {number} [threshold] - Similarity at or above which items count as duplicates
+ * @returns {Array} - Deduplicated items
+ */
+export function dedupeBySimilarity(items, getText = item => item, threshold = 0.6) {
+    const kept = [];
+
+    for (const item of items) {
+        const text = getText(item);
+        if (!kept.some(existing => similarity(getText(existing), text) >= threshold)) {
+            kept.push(item);
+        }
+    }
+
+    return kept;
+}
+
+/**
+ * Pick up to `limit` items spread evenly across groups, preserving group order
+ * @param {Array<Array>} groups - Items grouped by source (e.g. transcript chunk)
+ * @param {number} limit - Maximum number of items
+ * @returns {Array} - Selected items in group order
+ */
+export function pickEvenly(groups, limit) {
+    const picked = groups.map(() => []);
+    let remaining = limit;
+    let round = 0;
+
+    while (remaining > 0 && groups.some(group => group.length > round)) {
+        for (let i = 0; i < groups.length && remaining > 0; i++) {
+            if (groups[i].length > round) {
+                picked[i].push(groups[i][round]);
+                remaining--;
+            }
+        }
+        round++;
+    }
+
+    return picked.flat();
+}
@@ -0,0 +1,59 @@
+/**
+ * Extract YouTube video ID from various URL formats
+ * @param {string} url - Video URL or bare 11-character video ID
+ * @returns {string|null} - Video ID or null
+ */
+export function extractVideoId(url) {
+    try {
+        const patterns = [
+            /(?:youtube\.com\/watch\?v=|youtu\.be\/|youtube\.com\/embed\/)([a-zA-Z0-9_-]{11})/,
+            /^([a-zA-Z0-9_-]{11})$/
+        ];
+
+        for (const pattern of patterns) {
+            const match = url.match(pattern);
+            if (match && match[1]) {
+                return match[1];
+            }
+        }
+
+        return null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Extract a YouTube playlist ID from a playlist URL, a watch URL with a `list` parameter,
+ * or a bare playlist ID
+ * @param {string} url - Playlist URL or ID
+ * @returns {string|null} - Playlist ID or null
+ */
+export function extractPlaylistId(url) {
+    try {
+        const patterns = [
+            /(?:youtube\.com|youtu\.be)\/.*[?&]list=([a-zA-Z0-9_-]{10,64})/,
+            /^((?:PL|UU|OL|FL|RD)[a-zA-Z0-9_-]{8,62})$/
+        ];
+
+        for (const pattern of patterns) {
+            const match = url.match(pattern);
+            if (match && match[1]) {
+                return match[1];
+            }
+        }
+
+        return null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Watch URL for a YouTube video
+ * @param {string} videoId - Video ID
+ * @returns {string}
+ */
+export function buildVideoUrl(videoId) {
+    return `https://www.youtube.com/watch?v=${videoId}`;
+}
@@ -0,0 +1,84 @@
+/**
+ * Minimal ZIP writer for small generated archives (entries are stored uncompressed)
+ */
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+/**
+ * CRC-32 checksum of a buffer
+ * @param {Buffer} buffer - Data
+ * @returns {number} - Unsigned checksum
+ */
+export function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Build a ZIP archive
+ * @param {Array<{name: string, data: Buffer|string}>} entries - Files to include
+ * @returns {Buffer} - ZIP file contents
+ */
+export function createZip(entries) {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+        const name = Buffer.from(entry.name, 'utf8');
+        const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(entry.data, 'utf8');
+        const checksum = crc32(data);
+
+        // Local file header
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);            // version needed to extract
+        local.writeUInt16LE(0x0800, 6);        // flags: UTF-8 names
+        local.writeUInt16LE(0, 8);             // method: stored
+        local.writeUInt32LE(0, 10);            // modification time and date
+        local.writeUInt32LE(checksum, 14);
+        local.writeUInt32LE(data.length, 18);  // compressed size
+        local.writeUInt32LE(data.length, 22);  // uncompressed size
+        local.writeUInt16LE(name.length, 26);
+        local.writeUInt16LE(0, 28);            // extra field length
+
+        // Central directory header
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);          // version made by
+        central.writeUInt16LE(20, 6);          // version needed to extract
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt16LE(0, 10);
+        central.writeUInt32LE(0, 12);
+        central.writeUInt32LE(checksum, 16);
+        central.writeUInt32LE(data.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(name.length, 28);
+        central.writeUInt32LE(offset, 42);     // offset of the local header
+
+        locals.push(local, name, data);
+        centrals.push(central, name);
+        offset += local.length + name.length + data.length;
+    }
+
+    const directory = Buffer.concat(centrals);
+
+    // End of central directory record
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...locals, directory, end]);
+}
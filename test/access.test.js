@@ -0,0 +1,64 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { MaterialsService } from '../src/services/materials.service.js';
+import { CourseService } from '../src/services/course.service.js';
+import { JobQueue } from '../src/utils/jobQueue.js';
+
+const owner = { id: 'usr_owner', role: 'user' };
+const stranger = { id: 'usr_other', role: 'user' };
+const admin = { id: 'usr_admin', role: 'admin' };
+
+describe('MaterialsService.canAccess', () => {
+    const owned = { ownerIds: ['usr_owner'], anonymous: false };
+
+    it('lets owners and admins see private sets, and no one else', () => {
+        assert.equal(MaterialsService.canAccess(owned, owner), true);
+        assert.equal(MaterialsService.canAccess(owned, admin), true);
+        assert.equal(MaterialsService.canAccess(owned, stranger), false);
+        assert.equal(MaterialsService.canAccess(owned, null), false);
+    });
+
+    it('lets everyone see sets an anonymous caller processed', () => {
+        assert.equal(MaterialsService.canAccess({ ownerIds: ['usr_owner'], anonymous: true }, stranger), true);
+        assert.equal(MaterialsService.canAccess({ ownerIds: [], anonymous: true }, null), true);
+    });
+
+    it('counts only owners and admins as owners of public sets', () => {
+        const shared = { ownerIds: ['usr_owner'], anonymous: true };
+        assert.equal(MaterialsService.isOwner(shared, owner), true);
+        assert.equal(MaterialsService.isOwner(shared, admin), true);
+        assert.equal(MaterialsService.isOwner(shared, stranger), false);
+        assert.equal(MaterialsService.isOwner(shared, null), false);
+    });
+
+    it('records each owner once', () => {
+        assert.deepEqual(MaterialsService.withOwner(owned, 'usr_owner').ownerIds, ['usr_owner']);
+        assert.deepEqual(MaterialsService.withOwner(owned, 'usr_other').ownerIds, ['usr_owner', 'usr_other']);
+        assert.equal(MaterialsService.withOwner(owned, null).anonymous, true);
+    });
+});
+
+describe('CourseService.canAccess', () => {
+    it('lets owners and admins see a course', () => {
+        const course = { ownerIds: ['usr_owner', null] };
+        assert.equal(CourseService.canAccess(course, owner), true);
+        assert.equal(CourseService.canAccess(course, admin), true);
+        assert.equal(CourseService.canAccess(course, null), true);
+        assert.equal(CourseService.canAccess(course, stranger), false);
+    });
+
+    it('falls back to the single owner of courses saved before sharing', () => {
+        assert.equal(CourseService.canAccess({ ownerId: 'usr_owner' }, owner), true);
+        assert.equal(CourseService.canAccess({ ownerId: 'usr_owner' }, null), false);
+    });
+});
+
+describe('JobQueue.canAccess', () => {
+    it('lets every owner of a shared job and admins see it', () => {
+        const job = { ownerIds: ['usr_owner', null] };
+        assert.equal(JobQueue.canAccess(job, owner), true);
+        assert.equal(JobQueue.canAccess(job, null), true);
+        assert.equal(JobQueue.canAccess(job, admin), true);
+        assert.equal(JobQueue.canAccess(job, stranger), false);
+    });
+});
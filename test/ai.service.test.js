@@ -0,0 +1,95 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { AIService } from '../src/services/ai.service.js';
+import { FixtureProvider } from '../src/services/providers/index.js';
+import { ErrorCodes } from '../src/utils/errors.js';
+
+describe('AIService.extractJSON', () => {
+    it('reads JSON on its own, in a code block or surrounded by text', () => {
+        assert.deepEqual(AIService.extractJSON('[1, 2]'), [1, 2]);
+        assert.deepEqual(AIService.extractJSON('Here you go:\n```json\n{"a": 1}\n```'), { a: 1 });
+        assert.deepEqual(AIService.extractJSON('The quiz: [{"q": 1}] Good luck!'), [{ q: 1 }]);
+    });
+
+    it('throws a typed error for malformed or missing JSON', () => {
+        assert.throws(() => AIService.extractJSON('[{"q": 1,]'), { code: ErrorCodes.AI_INVALID_RESPONSE });
+        assert.throws(() => AIService.extractJSON('No JSON here'), { code: ErrorCodes.AI_INVALID_RESPONSE });
+    });
+});
+
+describe('AIService quiz generation', () => {
+    const transcript = ['photosynthesis', 'newtons-laws', 'supply-and-demand']
+        .map(id => fs.readFileSync(new URL(`../eval/cases/${id}/transcript.txt`, import.meta.url), 'utf8').trim())
+        .join('\n\n');
+    const fixture = new FixtureProvider();
+    const limits = { SINGLE_PASS_LIMIT: AIService.SINGLE_PASS_LIMIT, CHUNK_SIZE: AIService.CHUNK_SIZE };
+    const previous = AIService.provider;
+    let quizCalls;
+
+    beforeEach(() => {
+        quizCalls = 0;
+        // The first quiz response is cut off mid-JSON; everything else comes from the fixture
+        AIService.setProvider({
+            name: 'fixture',
+            model: 'fixture',
+            supportsResponseSchema: false,
+            generate: (prompt, options = {}) => (options.task === 'quiz' && quizCalls++ === 0
+                ? Promise.resolve('```json\n[{"type": "multiple-choice", "question": "Where does\n```')
+                : fixture.generate(prompt, options))
+        });
+        // Split the three lessons into chunks
+        AIService.SINGLE_PASS_LIMIT = 2000;
+        AIService.CHUNK_SIZE = 1500;
+    });
+
+    afterEach(() => {
+        Object.assign(AIService, limits);
+        AIService.setProvider(previous);
+    });
+
+    it('returns no questions for an unparseable quiz response instead of failing', async () => {
+        assert.deepEqual(await AIService.generateQuestions(transcript, 5), []);
+    });
+
+    it('fills the quiz from the other chunks when one chunk returns malformed JSON', async () => {
+        const result = await AIService.processTranscript(transcript, null, { quiz: { questionCount: 5, difficulty: 'mixed', questionTypes: ['multiple-choice'] } });
+
+        assert.ok(result.chunks > 1);
+        assert.ok(quizCalls > 1);
+        assert.equal(result.quiz.length, 5);
+        assert.equal(result.quizQuality.status, 'complete');
+    });
+});
+
+describe('AIService.answerQuestion', () => {
+    const passages = [{ text: 'Chlorophyll absorbs red and blue light and reflects green.', start: 12 }];
+    const previous = AIService.provider;
+
+    const answerWith = reply => AIService.setProvider({
+        name: 'stub',
+        model: 'stub',
+        supportsResponseSchema: false,
+        generate: () => Promise.resolve(JSON.stringify(reply))
+    });
+
+    afterEach(() => AIService.setProvider(previous));
+
+    it('keeps a covered answer with its valid citations', async () => {
+        answerWith({ answer: 'Chlorophyll reflects green light.', covered: true, citations: [1, 1, 7] });
+        assert.deepEqual(await AIService.answerQuestion('Why are leaves green?', passages), {
+            answer: 'Chlorophyll reflects green light.',
+            covered: true,
+            citations: [1]
+        });
+    });
+
+    it('replaces an answer without valid citations with the not-covered reply', async () => {
+        answerWith({ answer: 'Leaves are green because of their cell walls.', covered: true, citations: [7] });
+        assert.deepEqual(await AIService.answerQuestion('Why are leaves green?', passages), {
+            answer: AIService.NOT_COVERED_ANSWER,
+            covered: false,
+            citations: []
+        });
+    });
+});
@@ -0,0 +1,35 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { CaptionService } from '../src/services/caption.service.js';
+
+describe('CaptionService.parse', () => {
+    it('parses SubRip cues with their timing and speakers', () => {
+        const srt = '1\n00:00:01,000 --> 00:00:04,500\nJOHN: Welcome to the lecture.\n\n2\n00:00:04,500 --> 00:00:08,000\nJOHN: Today we cover inertia. [Music]\n';
+        const parsed = CaptionService.parse(srt, 'lecture.srt');
+
+        assert.equal(parsed.format, 'srt');
+        assert.equal(parsed.timed, true);
+        assert.deepEqual(parsed.speakers, ['JOHN']);
+        assert.deepEqual(parsed.segments.map(({ start, end, text }) => ({ start, end, text })), [
+            { start: 1, end: 4.5, text: 'Welcome to the lecture.' },
+            { start: 4.5, end: 8, text: 'Today we cover inertia.' }
+        ]);
+    });
+
+    it('parses WebVTT, skipping NOTE blocks and keeping <v> voices', () => {
+        const vtt = 'WEBVTT\n\nNOTE recorded in 2024\n\n00:01.000 --> 00:03.000\n<v Dr Smith>Hello there.</v>\n';
+        const parsed = CaptionService.parse(vtt);
+
+        assert.equal(parsed.format, 'vtt');
+        assert.equal(parsed.segments.length, 1);
+        assert.equal(parsed.segments[0].speaker, 'Dr Smith');
+        assert.equal(parsed.segments[0].text, 'Hello there.');
+    });
+
+    it('keeps untimed plain text as untimed cues', () => {
+        const parsed = CaptionService.parse('First line.\nSecond line.\n', 'notes.txt');
+        assert.equal(parsed.format, 'txt');
+        assert.equal(parsed.timed, false);
+        assert.equal(parsed.segments.length, 2);
+    });
+});
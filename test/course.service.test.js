@@ -0,0 +1,20 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { CourseService } from '../src/services/course.service.js';
+import { PlaylistService } from '../src/services/playlist.service.js';
+
+describe('CourseService.processCourse', () => {
+    it('rejects a course without videos before processing anything', async () => {
+        await assert.rejects(CourseService.processCourse({ videoIds: [] }), { code: 'INVALID_COURSE' });
+    });
+
+    it('rejects a playlist without videos', async () => {
+        const getPlaylist = PlaylistService.getPlaylist;
+        PlaylistService.getPlaylist = async playlistId => ({ playlistId, title: 'Empty', videos: [] });
+        try {
+            await assert.rejects(CourseService.processCourse({ playlistId: 'PLempty' }), { code: 'PLAYLIST_NOT_FOUND' });
+        } finally {
+            PlaylistService.getPlaylist = getPlaylist;
+        }
+    });
+});
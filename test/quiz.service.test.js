@@ -0,0 +1,77 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { QuizService } from '../src/services/quiz.service.js';
+
+const multipleChoice = {
+    type: 'multiple-choice',
+    question: 'Where does photosynthesis take place?',
+    options: ['In the chloroplasts', 'In the nucleus', 'In the cell wall', 'In the vacuole'],
+    correctAnswer: 'A',
+    explanation: 'Photosynthesis happens inside the chloroplasts.'
+};
+
+describe('QuizService.resolveOptions', () => {
+    it('fills in defaults', () => {
+        assert.deepEqual(QuizService.resolveOptions({}).options, QuizService.DEFAULT_OPTIONS);
+    });
+
+    it('rejects out-of-range counts and unknown difficulties', () => {
+        assert.match(QuizService.resolveOptions({ questionCount: 0 }).error, /questionCount/);
+        assert.match(QuizService.resolveOptions({ questionCount: QuizService.MAX_QUESTIONS + 1 }).error, /questionCount/);
+        assert.match(QuizService.resolveOptions({ difficulty: 'impossible' }).error, /difficulty/);
+    });
+});
+
+describe('QuizService.normalizeQuestion', () => {
+    it('strips option letters and maps answers given as text to letters', () => {
+        const question = QuizService.normalizeQuestion({
+            ...multipleChoice,
+            options: ['A) In the chloroplasts', 'B) In the nucleus', 'C) In the cell wall', 'D) In the vacuole'],
+            correctAnswer: 'in the nucleus'
+        });
+        assert.equal(question.options[0], 'In the chloroplasts');
+        assert.equal(question.correctAnswer, 'B');
+    });
+
+    it('maps multi-select answers to sorted letters and true/false answers to True or False', () => {
+        const options = ['One', 'Two', 'Three', 'Four'];
+        assert.deepEqual(QuizService.normalizeQuestion({ type: 'multi-select', options, correctAnswer: 'C, a' }).correctAnswer, ['A', 'C']);
+        assert.equal(QuizService.normalizeQuestion({ type: 'true-false', correctAnswer: 'yes' }).correctAnswer, 'True');
+        assert.equal(QuizService.normalizeQuestion({ type: 'boolean', correctAnswer: 'F' }).correctAnswer, 'False');
+    });
+});
+
+describe('QuizService.validateQuestion', () => {
+    it('accepts a well-formed question', () => {
+        assert.deepEqual(QuizService.validateQuestion(multipleChoice), []);
+    });
+
+    it('flags questions that are broken for their type', () => {
+        assert.deepEqual(QuizService.validateQuestion({ ...multipleChoice, correctAnswer: 'E' }), ['correct answer does not point to an option']);
+        assert.deepEqual(QuizService.validateQuestion({ ...multipleChoice, options: ['Yes', 'yes', 'No', 'Maybe'] }), ['options are not distinct']);
+        assert.ok(QuizService.validateQuestion({
+            type: 'fill-in-the-blank', question: 'Force equals mass times acceleration.', correctAnswer: 'acceleration', acceptableAnswers: [], explanation: 'F = m a'
+        }).includes('question has no blank (____)'));
+    });
+
+    it('flags question types the quiz did not ask for', () => {
+        assert.deepEqual(QuizService.validateQuestion(multipleChoice, ['true-false']), ['unexpected question type "multiple-choice"']);
+    });
+});
+
+describe('QuizService.gradeObjective', () => {
+    it('grades choice, true/false and fill-in-the-blank answers', () => {
+        assert.deepEqual(QuizService.gradeObjective(multipleChoice, 'a'), { score: 1, correct: true });
+        assert.deepEqual(QuizService.gradeObjective(multipleChoice, 'C'), { score: 0, correct: false });
+        assert.deepEqual(QuizService.gradeObjective({ type: 'true-false', correctAnswer: 'False' }, 'no'), { score: 1, correct: true });
+        assert.deepEqual(QuizService.gradeObjective({ type: 'fill-in-the-blank', correctAnswer: 'newtons', acceptableAnswers: ['newton'] }, ' Newton '), { score: 1, correct: true });
+        assert.deepEqual(QuizService.gradeObjective(multipleChoice, ''), { score: 0, correct: false });
+    });
+
+    it('gives multi-select partial credit, minus wrong picks', () => {
+        const question = { type: 'multi-select', options: ['One', 'Two', 'Three', 'Four'], correctAnswer: ['A', 'B'] };
+        assert.deepEqual(QuizService.gradeObjective(question, ['A']), { score: 0.5, correct: false });
+        assert.deepEqual(QuizService.gradeObjective(question, ['A', 'C']), { score: 0, correct: false });
+        assert.deepEqual(QuizService.gradeObjective(question, 'A, B'), { score: 1, correct: true });
+    });
+});
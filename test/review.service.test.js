@@ -0,0 +1,48 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ReviewService } from '../src/services/review.service.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date('2026-01-01T00:00:00.000Z');
+const card = { repetitions: 0, interval: 0, easeFactor: ReviewService.INITIAL_EASE, lapses: 0, reviews: 0 };
+
+describe('ReviewService.schedule (SM-2)', () => {
+    it('spaces passing reviews 1 day, 6 days, then by the ease factor', () => {
+        const first = ReviewService.schedule(card, 4, now);
+        assert.equal(first.interval, 1);
+        assert.equal(first.dueAt, new Date(now.getTime() + DAY_MS).toISOString());
+
+        const second = ReviewService.schedule(first, 4, now);
+        assert.equal(second.interval, 6);
+
+        const third = ReviewService.schedule(second, 4, now);
+        assert.equal(third.repetitions, 3);
+        assert.equal(third.interval, Math.round(6 * third.easeFactor));
+    });
+
+    it('adjusts the ease factor by answer quality', () => {
+        assert.equal(ReviewService.schedule(card, 5, now).easeFactor, 2.6);
+        assert.equal(ReviewService.schedule(card, 4, now).easeFactor, 2.5);
+        assert.equal(ReviewService.schedule(card, 3, now).easeFactor, 2.36);
+    });
+
+    it('resets a failed card, due right away, and never lets the ease drop below the minimum', () => {
+        const learned = { ...card, repetitions: 4, interval: 30, easeFactor: 1.4 };
+        const failed = ReviewService.schedule(learned, 1, now);
+        assert.equal(failed.repetitions, 0);
+        assert.equal(failed.interval, 0);
+        assert.equal(failed.lapses, 1);
+        assert.equal(failed.dueAt, now.toISOString());
+        assert.equal(failed.easeFactor, ReviewService.MIN_EASE);
+    });
+});
+
+describe('ReviewService.toQuality', () => {
+    it('maps grades to SM-2 quality', () => {
+        assert.equal(ReviewService.toQuality({ score: 1, correct: true }), 4);
+        assert.equal(ReviewService.toQuality({ score: 0.8, correct: true }), 3);
+        assert.equal(ReviewService.toQuality({ score: 0.5, correct: false }), 2);
+        assert.equal(ReviewService.toQuality({ score: 0, correct: false }), 1);
+        assert.equal(ReviewService.toQuality({ score: 0, correct: false, answered: false }), 0);
+    });
+});
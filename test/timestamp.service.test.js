@@ -0,0 +1,34 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { TimestampService } from '../src/services/timestamp.service.js';
+import { CaptionService } from '../src/services/caption.service.js';
+
+const srt = [
+    '1\n00:00:04,000 --> 00:00:08,000\nPhotosynthesis happens inside the chloroplasts of leaf cells.',
+    '2\n00:00:08,000 --> 00:00:12,000\nChlorophyll absorbs red and blue light and reflects green light.',
+    '3\n00:00:12,000 --> 00:00:16,000\nSplitting water releases oxygen through the stomata.',
+    '4\n00:00:16,000 --> 00:00:20,000\nThe Calvin cycle turns carbon dioxide into glucose.'
+].join('\n\n');
+
+describe('TimestampService.annotate', () => {
+    it('gives key points from different cues of a short recording their own timestamps', () => {
+        const { segments } = CaptionService.parse(srt, 'lecture.srt');
+        const { keyPoints } = TimestampService.annotate({
+            keyPoints: [
+                'Photosynthesis takes place in the chloroplasts.',
+                'Chlorophyll reflects green light.',
+                'Oxygen leaves through the stomata when water is split.',
+                'The Calvin cycle makes glucose from carbon dioxide.'
+            ]
+        }, segments, 'abc123');
+
+        assert.deepEqual(keyPoints.map(point => point.start), [4, 8, 12, 16]);
+        assert.equal(keyPoints[1].link, 'https://youtu.be/abc123?t=8');
+    });
+
+    it('leaves items the transcript does not support without a timestamp', () => {
+        const { segments } = CaptionService.parse(srt, 'lecture.srt');
+        const { keyPoints } = TimestampService.annotate({ keyPoints: ['Mitochondria are the powerhouse of the cell.'] }, segments, null);
+        assert.deepEqual(keyPoints, [{ text: 'Mitochondria are the powerhouse of the cell.', start: null, link: null }]);
+    });
+});
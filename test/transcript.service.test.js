@@ -0,0 +1,23 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { TranscriptService } from '../src/services/transcript.service.js';
+
+describe('TranscriptService.segmentTranscript', () => {
+    it('keeps every chunk within the maximum length, whatever whitespace separates the words', () => {
+        const transcript = Array.from({ length: 200 }, (_, index) => `word${index}`).join('\n\n\t');
+        const chunks = TranscriptService.segmentTranscript(transcript, 50);
+
+        assert.ok(chunks.length > 1);
+        assert.ok(chunks.every(chunk => chunk.length > 0 && chunk.length <= 50));
+        assert.equal(chunks.join(' '), transcript.split(/\s+/).join(' '));
+    });
+
+    it('hard-splits a word longer than a chunk instead of starting with an empty chunk', () => {
+        const chunks = TranscriptService.segmentTranscript(`${'x'.repeat(25)} tail`, 10);
+        assert.deepEqual(chunks, ['xxxxxxxxxx', 'xxxxxxxxxx', 'xxxxx tail']);
+    });
+
+    it('returns no chunks for a blank transcript', () => {
+        assert.deepEqual(TranscriptService.segmentTranscript(' \n '), []);
+    });
+});